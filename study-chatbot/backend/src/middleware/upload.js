@@ -0,0 +1,37 @@
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+const configService = require('../services/configService');
+
+// Uploaded files are saved under uploads/ until ingestion has processed them
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    const uploadDir = path.join(__dirname, '../../uploads');
+    if (!fs.existsSync(uploadDir)) {
+      fs.mkdirSync(uploadDir, { recursive: true });
+    }
+    cb(null, uploadDir);
+  },
+  filename: (req, file, cb) => {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
+  }
+});
+
+const upload = multer({
+  storage: storage,
+  limits: {
+    fileSize: configService.get('maxFileSize'),
+    files: 10 // Maximum 10 files per upload
+  },
+  fileFilter: (req, file, cb) => {
+    const validation = configService.validateFileUpload(file);
+    if (validation.valid) {
+      cb(null, true);
+    } else {
+      cb(new Error(validation.errors.join(', ')), false);
+    }
+  }
+});
+
+module.exports = upload;
@@ -0,0 +1,110 @@
+/**
+ * Initial schema: sessions, documents with their chunks and embeddings,
+ * chat history, highlights/annotations and learning content.
+ */
+module.exports = {
+    version: 1,
+    name: 'initial_schema',
+    up: `
+        CREATE TABLE sessions (
+            id TEXT PRIMARY KEY,
+            user_id TEXT,
+            data TEXT NOT NULL,
+            created_at TEXT NOT NULL,
+            last_activity TEXT NOT NULL
+        );
+        CREATE INDEX idx_sessions_user ON sessions(user_id);
+
+        CREATE TABLE document_sessions (
+            session_id TEXT PRIMARY KEY,
+            metadata TEXT NOT NULL,
+            usage TEXT,
+            updated_at TEXT NOT NULL
+        );
+
+        CREATE TABLE documents (
+            id TEXT PRIMARY KEY,
+            session_id TEXT,
+            filename TEXT,
+            original_name TEXT,
+            metadata TEXT NOT NULL,
+            keywords TEXT,
+            statistics TEXT,
+            added_at TEXT NOT NULL
+        );
+        CREATE INDEX idx_documents_session ON documents(session_id);
+
+        CREATE TABLE chunks (
+            id TEXT PRIMARY KEY,
+            document_id TEXT NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+            chunk_index INTEGER NOT NULL,
+            text TEXT NOT NULL,
+            embedding TEXT,
+            keywords TEXT
+        );
+        CREATE INDEX idx_chunks_document ON chunks(document_id, chunk_index);
+
+        CREATE TABLE chat_sessions (
+            id TEXT PRIMARY KEY,
+            title TEXT,
+            created_at TEXT NOT NULL,
+            last_activity TEXT NOT NULL,
+            message_count INTEGER NOT NULL DEFAULT 0
+        );
+
+        CREATE TABLE chat_messages (
+            id TEXT PRIMARY KEY,
+            session_id TEXT NOT NULL REFERENCES chat_sessions(id) ON DELETE CASCADE,
+            type TEXT NOT NULL,
+            content TEXT,
+            data TEXT,
+            timestamp TEXT NOT NULL
+        );
+        CREATE INDEX idx_chat_messages_session ON chat_messages(session_id, timestamp);
+
+        CREATE TABLE file_history (
+            id TEXT PRIMARY KEY,
+            session_id TEXT NOT NULL,
+            filename TEXT,
+            data TEXT NOT NULL,
+            uploaded_at TEXT NOT NULL
+        );
+        CREATE INDEX idx_file_history_session ON file_history(session_id);
+
+        CREATE TABLE highlights (
+            id TEXT PRIMARY KEY,
+            session_id TEXT NOT NULL,
+            text TEXT NOT NULL,
+            position TEXT,
+            document_info TEXT,
+            explanation TEXT,
+            created_at TEXT NOT NULL
+        );
+        CREATE INDEX idx_highlights_session ON highlights(session_id);
+
+        CREATE TABLE annotations (
+            id TEXT PRIMARY KEY,
+            session_id TEXT NOT NULL,
+            data TEXT NOT NULL,
+            created_at TEXT NOT NULL,
+            updated_at TEXT NOT NULL
+        );
+        CREATE INDEX idx_annotations_session ON annotations(session_id);
+
+        CREATE TABLE learning_content (
+            id TEXT PRIMARY KEY,
+            session_id TEXT NOT NULL,
+            content_type TEXT NOT NULL,
+            data TEXT NOT NULL,
+            created_at TEXT NOT NULL,
+            updated_at TEXT NOT NULL
+        );
+        CREATE INDEX idx_learning_content_session ON learning_content(session_id, content_type);
+
+        CREATE TABLE learning_progress (
+            session_id TEXT PRIMARY KEY,
+            data TEXT NOT NULL,
+            updated_at TEXT NOT NULL
+        );
+    `
+};
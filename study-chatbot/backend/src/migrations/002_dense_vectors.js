@@ -0,0 +1,12 @@
+/**
+ * Dense chunk embeddings (float32 blobs) and the model that produced them,
+ * so the ANN index can be rebuilt without re-embedding every chunk.
+ */
+module.exports = {
+    version: 2,
+    name: 'dense_vectors',
+    up: `
+        ALTER TABLE chunks ADD COLUMN vector BLOB;
+        ALTER TABLE chunks ADD COLUMN vector_model TEXT;
+    `
+};
@@ -0,0 +1,25 @@
+/**
+ * One row per flashcard review, with the schedule before and after it.
+ * Review history drives the progress and streak numbers and lets a
+ * scheduler be re-fitted later.
+ */
+module.exports = {
+    version: 3,
+    name: 'flashcard_reviews',
+    up: `
+        CREATE TABLE flashcard_reviews (
+            id TEXT PRIMARY KEY,
+            session_id TEXT NOT NULL,
+            set_id TEXT NOT NULL,
+            card_id TEXT NOT NULL,
+            grade TEXT NOT NULL,
+            scheduler TEXT NOT NULL,
+            elapsed_days REAL,
+            previous_schedule TEXT,
+            schedule TEXT NOT NULL,
+            reviewed_at TEXT NOT NULL
+        );
+        CREATE INDEX idx_flashcard_reviews_session ON flashcard_reviews(session_id, reviewed_at);
+        CREATE INDEX idx_flashcard_reviews_card ON flashcard_reviews(card_id);
+    `
+};
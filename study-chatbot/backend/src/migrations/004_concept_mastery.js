@@ -0,0 +1,17 @@
+/**
+ * Per-session mastery of each concept, built from quiz answers and
+ * flashcard reviews.
+ */
+module.exports = {
+    version: 4,
+    name: 'concept_mastery',
+    up: `
+        CREATE TABLE concept_mastery (
+            session_id TEXT NOT NULL,
+            concept_key TEXT NOT NULL,
+            data TEXT NOT NULL,
+            updated_at TEXT NOT NULL,
+            PRIMARY KEY (session_id, concept_key)
+        );
+    `
+};
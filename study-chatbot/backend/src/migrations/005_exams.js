@@ -0,0 +1,18 @@
+/**
+ * Exams registered by learners: date, syllabus topics and linked documents.
+ */
+module.exports = {
+    version: 5,
+    name: 'exams',
+    up: `
+        CREATE TABLE exams (
+            id TEXT PRIMARY KEY,
+            session_id TEXT NOT NULL,
+            exam_date TEXT NOT NULL,
+            data TEXT NOT NULL,
+            created_at TEXT NOT NULL,
+            updated_at TEXT NOT NULL
+        );
+        CREATE INDEX idx_exams_session ON exams(session_id, exam_date);
+    `
+};
@@ -0,0 +1,19 @@
+/**
+ * Background ingestion jobs with per-file progress, so job status survives
+ * a restart and unfinished uploads can be picked up again.
+ */
+module.exports = {
+    version: 6,
+    name: 'ingestion_jobs',
+    up: `
+        CREATE TABLE ingestion_jobs (
+            id TEXT PRIMARY KEY,
+            session_id TEXT NOT NULL,
+            status TEXT NOT NULL,
+            data TEXT NOT NULL,
+            created_at TEXT NOT NULL,
+            updated_at TEXT NOT NULL
+        );
+        CREATE INDEX idx_ingestion_jobs_session ON ingestion_jobs(session_id, created_at);
+    `
+};
@@ -0,0 +1,11 @@
+/**
+ * Where each chunk came from: character span in the extracted text, page
+ * range and heading path, so citations can point at real pages.
+ */
+module.exports = {
+    version: 7,
+    name: 'chunk_provenance',
+    up: `
+        ALTER TABLE chunks ADD COLUMN provenance TEXT;
+    `
+};
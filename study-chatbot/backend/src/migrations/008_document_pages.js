@@ -0,0 +1,19 @@
+/**
+ * Extracted text of every page, with its span in the document text, so the
+ * viewer can show pages and map chunks and quotes back onto them.
+ */
+module.exports = {
+    version: 8,
+    name: 'document_pages',
+    up: `
+        CREATE TABLE document_pages (
+            document_id TEXT NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+            page_number INTEGER NOT NULL,
+            start_offset INTEGER NOT NULL,
+            end_offset INTEGER NOT NULL,
+            text TEXT NOT NULL,
+            ocr_confidence REAL,
+            PRIMARY KEY (document_id, page_number)
+        );
+    `
+};
@@ -0,0 +1,23 @@
+/**
+ * Tables extracted from documents as rows and columns, with their caption,
+ * pages and span in the document text, for table lookups and aggregations.
+ */
+module.exports = {
+    version: 9,
+    name: 'document_tables',
+    up: `
+        CREATE TABLE document_tables (
+            document_id TEXT NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+            table_index INTEGER NOT NULL,
+            page_start INTEGER,
+            page_end INTEGER,
+            caption TEXT,
+            columns TEXT NOT NULL,
+            rows TEXT NOT NULL,
+            source TEXT,
+            start_offset INTEGER,
+            end_offset INTEGER,
+            PRIMARY KEY (document_id, table_index)
+        );
+    `
+};
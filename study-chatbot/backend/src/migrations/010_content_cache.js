@@ -0,0 +1,34 @@
+/**
+ * Processing results shared by content hash: the extracted text, pages,
+ * tables and metadata of an uploaded file and its chunks with their
+ * embeddings, so uploading the same file again (in any session) reuses
+ * them instead of processing and storing it a second time. Documents point
+ * at their content; their chunks live in content_chunks instead of chunks.
+ */
+module.exports = {
+    version: 10,
+    name: 'content_cache',
+    up: `
+        CREATE TABLE contents (
+            id TEXT PRIMARY KEY,
+            processed TEXT NOT NULL,
+            signatures TEXT,
+            created_at TEXT NOT NULL
+        );
+
+        CREATE TABLE content_chunks (
+            content_id TEXT NOT NULL REFERENCES contents(id) ON DELETE CASCADE,
+            chunk_index INTEGER NOT NULL,
+            text TEXT NOT NULL,
+            embedding TEXT,
+            keywords TEXT,
+            vector BLOB,
+            vector_model TEXT,
+            provenance TEXT,
+            PRIMARY KEY (content_id, chunk_index)
+        );
+
+        ALTER TABLE documents ADD COLUMN content_id TEXT REFERENCES contents(id);
+        CREATE INDEX idx_documents_content ON documents(content_id);
+    `
+};
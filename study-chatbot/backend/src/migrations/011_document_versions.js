@@ -0,0 +1,21 @@
+/**
+ * Versions of a document: the content of each upload, what changed from
+ * the version before it and, once requested, a summary of those changes.
+ */
+module.exports = {
+    version: 11,
+    name: 'document_versions',
+    up: `
+        CREATE TABLE document_versions (
+            document_id TEXT NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+            version INTEGER NOT NULL,
+            content_id TEXT REFERENCES contents(id),
+            original_name TEXT,
+            metadata TEXT NOT NULL,
+            changes TEXT,
+            summary TEXT,
+            created_at TEXT NOT NULL,
+            PRIMARY KEY (document_id, version)
+        );
+    `
+};
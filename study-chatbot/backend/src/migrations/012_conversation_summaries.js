@@ -0,0 +1,13 @@
+/**
+ * Running summary of the older turns of each chat and the number of
+ * messages it covers, so follow-up questions keep their context once the
+ * history outgrows the prompt.
+ */
+module.exports = {
+    version: 12,
+    name: 'conversation_summaries',
+    up: `
+        ALTER TABLE chat_sessions ADD COLUMN summary TEXT;
+        ALTER TABLE chat_sessions ADD COLUMN summarized_count INTEGER NOT NULL DEFAULT 0;
+    `
+};
@@ -0,0 +1,27 @@
+/**
+ * Shared libraries of course documents and the sessions each is attached
+ * to. A library's documents are indexed once, under the library, and
+ * searched by every session that attaches it. Only a hash of the owner
+ * token, the credential for changing a library, is stored.
+ */
+module.exports = {
+    version: 13,
+    name: 'libraries',
+    up: `
+        CREATE TABLE libraries (
+            id TEXT PRIMARY KEY,
+            name TEXT NOT NULL,
+            description TEXT,
+            owner_token_hash TEXT NOT NULL,
+            created_at TEXT NOT NULL,
+            updated_at TEXT NOT NULL
+        );
+        CREATE TABLE library_attachments (
+            session_id TEXT NOT NULL,
+            library_id TEXT NOT NULL REFERENCES libraries(id) ON DELETE CASCADE,
+            attached_at TEXT NOT NULL,
+            PRIMARY KEY (session_id, library_id)
+        );
+        CREATE INDEX idx_library_attachments_library ON library_attachments(library_id);
+    `
+};
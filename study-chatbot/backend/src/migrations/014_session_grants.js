@@ -0,0 +1,17 @@
+/**
+ * Read access one session has granted another, which is what lets a
+ * request opt in to another session's documents with `includeSessions`.
+ */
+module.exports = {
+    version: 14,
+    name: 'session_grants',
+    up: `
+        CREATE TABLE session_grants (
+            session_id TEXT NOT NULL,
+            grantee_session_id TEXT NOT NULL,
+            granted_at TEXT NOT NULL,
+            PRIMARY KEY (session_id, grantee_session_id)
+        );
+        CREATE INDEX idx_session_grants_grantee ON session_grants(grantee_session_id);
+    `
+};
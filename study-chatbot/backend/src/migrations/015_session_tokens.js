@@ -0,0 +1,11 @@
+/**
+ * Hash of the secret issued to each session when it is created, which
+ * changes to who may read the session's documents must present.
+ */
+module.exports = {
+    version: 15,
+    name: 'session_tokens',
+    up: `
+        ALTER TABLE sessions ADD COLUMN token_hash TEXT;
+    `
+};
@@ -0,0 +1,14 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Load every numbered migration in this directory, ordered by version.
+ * New migrations are added as `NNN_description.js` files exporting
+ * `{ version, name, up }`.
+ */
+const migrations = fs.readdirSync(__dirname)
+    .filter(file => /^\d+_.+\.js$/.test(file))
+    .map(file => require(path.join(__dirname, file)))
+    .sort((a, b) => a.version - b.version);
+
+module.exports = migrations;
@@ -1,6 +1,8 @@
 const express = require('express');
 const documentService = require('../services/documentService');
+const documentLifecycle = require('../services/documentLifecycleService');
 const logger = require('../services/logger');
+const { statusFor } = require('../utils/errorStatus');
 
 const router = express.Router();
 
@@ -149,7 +151,7 @@ router.get('/document/:documentId/structure', async (req, res) => {
 
     } catch (error) {
         logger.error(`Error getting document structure for ${req.params.documentId}:`, error);
-        res.status(500).json({
+        res.status(statusFor(error)).json({
             success: false,
             message: 'Failed to get document structure',
             error: error.message
@@ -192,7 +194,7 @@ router.delete('/session/:sessionId', async (req, res) => {
     try {
         const { sessionId } = req.params;
         
-        const result = await documentService.deleteSession(sessionId);
+        const result = await documentLifecycle.deleteSession(sessionId);
         
         res.status(200).json({
             success: true,
@@ -1,17 +1,31 @@
 const express = require('express');
 const documentService = require('../services/documentService');
 const aiService = require('../services/aiService');
-const pdfProcessor = require('../services/simplePdfProcessor');
+const documentRepository = require('../services/documentRepository');
 const configService = require('../services/configService');
 const advancedFeatures = require('../services/advancedFeatures');
 const chatHistoryService = require('../services/chatHistoryService');
+const conversationService = require('../services/conversationService');
+const answerStreamService = require('../services/answerStreamService');
+const accessService = require('../services/accessService');
 const logger = require('../services/logger');
+const { statusFor } = require('../utils/errorStatus');
 
 const router = express.Router();
 
+// The token issued when a session was created, sent as `X-Session-Token`
+const sessionToken = (req) => req.get('X-Session-Token');
+
 /**
  * @route POST /api/chat/ask
- * @desc Ask a question and get AI-powered answer
+ * @desc Ask a question and get AI-powered answer. `section` ("Chapter 3 > 3.2")
+ *       limits the answer to that section of the documents. Follow-ups are read
+ *       in the context of the session's chat; `retrievalQuery` is what was searched.
+ *       The answer cites its sources with [n] markers, each located in `citationMarkers`.
+ *       Each claim of the answer is checked against its context (`faithfulness`);
+ *       `regenerateUnsupported` answers once more without the `unsupportedClaims`.
+ *       Only the session's documents are used; `includeSessions` adds other
+ *       sessions that granted this session read access
  * @access Public
  */
 router.post('/ask', async (req, res) => {
@@ -21,7 +35,10 @@ router.post('/ask', async (req, res) => {
       question, 
       depth = 'medium', 
       documentIds = null,
-      includeSteps = false 
+      section = null,
+      includeSteps = false,
+      regenerateUnsupported = null,
+      includeSessions = null
     } = req.body;
     
     if (!sessionId) {
@@ -31,13 +48,16 @@ router.post('/ask', async (req, res) => {
       });
     }
 
-    if (!question || question.trim() === '') {
+    if (typeof question !== 'string' || question.trim() === '') {
       return res.status(400).json({
         success: false,
         message: 'Question is required'
       });
     }
 
+    // Follow-ups ("what about the second one?") are searched as standalone queries
+    const conversation = await conversationService.prepare(sessionId, question);
+
     // Use enhanced document service for Q&A
     const result = await documentService.askQuestion(question, sessionId, {
       useEnhancedAI: true,
@@ -45,7 +65,12 @@ router.post('/ask', async (req, res) => {
       confidenceThreshold: 0.1,
       includeAnalysis: true,
       responseFormat: depth === 'detailed' ? 'comprehensive' : 'standard',
-      documentIds: documentIds && documentIds.length > 0 ? documentIds : null
+      documentIds: documentIds && documentIds.length > 0 ? documentIds : null,
+      section,
+      includeSessions,
+      retrievalQuery: conversation.retrievalQuery,
+      conversation: conversation.conversation,
+      regenerateUnsupported
     });
 
     if (!result.success) {
@@ -79,9 +104,17 @@ router.post('/ask', async (req, res) => {
       success: true,
       question,
       answer: result.answer,
+      retrievalQuery: conversation.retrievalQuery,
+      queryRewritten: conversation.rewritten,
       depth,
       citations: citations.citations,
       sources: result.sources,
+      citationMarkers: result.citationMarkers,
+      warning: result.warning,
+      faithfulness: result.faithfulness,
+      unsupportedClaims: result.unsupportedClaims,
+      regeneration: result.regeneration,
+      table: result.table,
       analysis: result.analysis,
       timestamp: result.timestamp,
       sessionId,
@@ -100,6 +133,7 @@ router.post('/ask', async (req, res) => {
       chatHistoryService.addMessage(sessionId, {
         type: 'user',
         content: question,
+        retrievalQuery: conversation.rewritten ? conversation.retrievalQuery : undefined,
         timestamp: new Date().toISOString()
       });
       
@@ -109,6 +143,7 @@ router.post('/ask', async (req, res) => {
         content: result.answer,
         sources: result.sources,
         citations: citations.citations,
+        unsupportedClaims: result.unsupportedClaims.length > 0 ? result.unsupportedClaims : undefined,
         timestamp: result.timestamp
       });
       
@@ -120,7 +155,7 @@ router.post('/ask', async (req, res) => {
 
   } catch (error) {
     logger.error('Error in chat ask endpoint:', error);
-    res.status(500).json({
+    res.status(statusFor(error)).json({
       success: false,
       message: 'Failed to process question',
       error: error.message
@@ -128,9 +163,95 @@ router.post('/ask', async (req, res) => {
   }
 });
 
+/**
+ * @route GET|POST /api/chat/ask/stream
+ * @desc Ask a question and stream the answer as Server-Sent Events
+ *       (retrieval -> token... -> final). GET accepts query parameters for EventSource clients.
+ * @access Public
+ */
+const streamAsk = async (req, res) => {
+  let heartbeat = null;
+  // Events go out once the stream has started; failures before that are plain JSON responses
+  let send = null;
+
+  try {
+    const params = req.method === 'GET' ? req.query : req.body;
+    const { sessionId, question, depth = 'medium', section = null } = params;
+    const includeSessions = typeof params.includeSessions === 'string'
+      ? params.includeSessions.split(',').filter(Boolean)
+      : params.includeSessions || null;
+    const documentIds = typeof params.documentIds === 'string'
+      ? params.documentIds.split(',').filter(Boolean)
+      : params.documentIds || null;
+
+    if (!sessionId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Session ID is required'
+      });
+    }
+
+    // A repeated ?question= arrives as an array
+    if (typeof question !== 'string' || question.trim() === '') {
+      return res.status(400).json({
+        success: false,
+        message: 'Question is required'
+      });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const controller = new AbortController();
+    heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      if (!res.writableFinished) {
+        controller.abort();
+      }
+    });
+
+    send = (event, data) => {
+      if (res.writableEnded || res.destroyed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      if (typeof res.flush === 'function') res.flush();
+    };
+
+    await answerStreamService.streamAnswer(
+      { sessionId, question, depth, documentIds, section, includeSessions },
+      { send, signal: controller.signal }
+    );
+  } catch (error) {
+    logger.error('Error in chat ask stream endpoint:', error);
+    if (send) {
+      send('error', { message: 'Failed to process question', error: error.message });
+    } else if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to process question',
+        error: error.message
+      });
+    }
+  } finally {
+    clearInterval(heartbeat);
+    if (!res.writableEnded) res.end();
+  }
+};
+
+router.get('/ask/stream', streamAsk);
+router.post('/ask/stream', streamAsk);
+
 /**
  * @route POST /api/chat/search
- * @desc Perform semantic search across documents
+ * @desc Hybrid (BM25 + dense) search across documents. Each result carries the
+ *       per-stage scores (bm25, dense, rrf, rerank) used to rank it. `section`
+ *       limits the search to that section of the documents. `includeSessions` also
+ *       searches other sessions that granted this session read access
  * @access Public
  */
 router.post('/search', async (req, res) => {
@@ -140,7 +261,10 @@ router.post('/search', async (req, res) => {
       query, 
       documentIds = null,
       maxResults = 10,
-      crossDocument = true 
+      crossDocument = true,
+      section = null,
+      includeSessions = null,
+      searchType: requestedSearchType
     } = req.body;
     
     if (!sessionId) {
@@ -158,12 +282,14 @@ router.post('/search', async (req, res) => {
     }
 
     // Use enhanced document service for searching
-    const searchType = crossDocument ? 'cross-document' : 'semantic';
+    const searchType = requestedSearchType || (crossDocument ? 'cross-document' : 'semantic');
     const results = await documentService.searchDocuments(query, sessionId, {
       searchType,
       maxResults,
       documentIds: documentIds && documentIds.length > 0 ? documentIds : null,
-      includeSnippets: true
+      includeSnippets: true,
+      section,
+      includeSessions
     });
 
     // Generate citations for search results
@@ -182,7 +308,7 @@ router.post('/search', async (req, res) => {
 
   } catch (error) {
     logger.error('Error in chat search endpoint:', error);
-    res.status(500).json({
+    res.status(statusFor(error)).json({
       success: false,
       message: 'Failed to perform search',
       error: error.message
@@ -342,19 +468,22 @@ router.delete('/highlight/:highlightId', async (req, res) => {
 
 /**
  * @route POST /api/chat/session
- * @desc Create a new chat session
+ * @desc Create a new chat session. The response carries the session's
+ *       `sessionToken`, which changes to who may read its documents must
+ *       send as X-Session-Token; it is not shown again.
  * @access Public
  */
 router.post('/session', async (req, res) => {
   try {
     const { userId = null } = req.body;
     
-    const session = configService.createSession(userId);
+    const { session, sessionToken: token } = configService.createSession(userId);
     
     res.status(201).json({
       success: true,
       message: 'Session created successfully',
-      session
+      session,
+      sessionToken: token
     });
 
   } catch (error) {
@@ -384,7 +513,7 @@ router.get('/session/:sessionId', async (req, res) => {
       });
     }
 
-    const vectorStats = pdfProcessor.getSessionStats(sessionId);
+    const vectorStats = documentRepository.getSessionStats(sessionId);
     
     res.status(200).json({
       success: true,
@@ -404,4 +533,96 @@ router.get('/session/:sessionId', async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+/**
+ * @route GET /api/chat/session/:sessionId/grants
+ * @desc List the sessions granted read access to this session's documents
+ * @access The session itself (X-Session-Token)
+ */
+router.get('/session/:sessionId/grants', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    configService.requireSessionToken(sessionId, sessionToken(req));
+    const grantees = accessService.grantsOf(sessionId);
+
+    res.status(200).json({
+      success: true,
+      grantees,
+      count: grantees.length,
+      sessionId
+    });
+
+  } catch (error) {
+    logger.error('Error listing session grants:', error);
+    res.status(statusFor(error)).json({
+      success: false,
+      message: 'Failed to list session grants',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/chat/session/:sessionId/grants
+ * @desc Let another session read this session's documents ({ granteeSessionId }),
+ *       which it then opts in to with `includeSessions`
+ * @access The session itself (X-Session-Token)
+ */
+router.post('/session/:sessionId/grants', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { granteeSessionId } = req.body;
+
+    const grantees = accessService.grant(sessionId, granteeSessionId, sessionToken(req));
+
+    res.status(201).json({
+      success: true,
+      message: 'Read access granted',
+      grantees,
+      sessionId
+    });
+
+  } catch (error) {
+    logger.error('Error granting session access:', error);
+    res.status(statusFor(error)).json({
+      success: false,
+      message: 'Failed to grant read access',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route DELETE /api/chat/session/:sessionId/grants/:granteeSessionId
+ * @desc Revoke another session's read access to this session's documents
+ * @access The session itself (X-Session-Token)
+ */
+router.delete('/session/:sessionId/grants/:granteeSessionId', async (req, res) => {
+  try {
+    const { sessionId, granteeSessionId } = req.params;
+
+    if (!accessService.revoke(sessionId, granteeSessionId, sessionToken(req))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Grant not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Read access revoked',
+      granteeSessionId,
+      sessionId
+    });
+
+  } catch (error) {
+    logger.error('Error revoking session access:', error);
+    res.status(statusFor(error)).json({
+      success: false,
+      message: 'Failed to revoke read access',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,78 @@
+const express = require('express');
+const answerStreamService = require('../services/answerStreamService');
+const logger = require('../services/logger');
+
+const router = express.Router();
+
+/**
+ * @route WS /api/chat/ws
+ * @desc Streaming Q&A over WebSocket. Clients send
+ *       { type: 'ask', requestId, sessionId, question, depth, documentIds, section, includeSessions }
+ *       and receive { type: 'retrieval' | 'token' | 'final' | 'cancelled' | 'error', requestId, ... }.
+ *       Send { type: 'cancel', requestId } to stop an answer in flight.
+ * @access Public
+ */
+router.ws('/ws', (ws) => {
+  const inFlight = new Map(); // requestId -> AbortController
+
+  const send = (requestId) => (event, data) => {
+    if (ws.readyState !== ws.OPEN) return;
+    ws.send(JSON.stringify({ type: event, requestId, ...data }));
+  };
+
+  ws.on('message', async (raw) => {
+    let requestId = null;
+
+    try {
+      let message;
+      try {
+        message = JSON.parse(raw);
+      } catch (parseError) {
+        return send(null)('error', { message: 'Messages must be valid JSON' });
+      }
+
+      // `null`, arrays and bare values parse fine but are not messages
+      if (!message || typeof message !== 'object' || Array.isArray(message)) {
+        return send(null)('error', { message: 'Messages must be JSON objects' });
+      }
+
+      requestId = message.requestId || `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+      if (message.type === 'cancel') {
+        inFlight.get(requestId)?.abort();
+        return;
+      }
+
+      if (message.type !== 'ask') {
+        return send(requestId)('error', { message: `Unknown message type: ${message.type}` });
+      }
+
+      const { sessionId, question, depth = 'medium', documentIds = null, section = null, includeSessions = null } = message;
+      if (!sessionId || typeof question !== 'string' || question.trim() === '') {
+        return send(requestId)('error', { message: 'Session ID and question are required' });
+      }
+
+      const controller = new AbortController();
+      inFlight.set(requestId, controller);
+
+      try {
+        await answerStreamService.streamAnswer(
+          { sessionId, question, depth, documentIds, section, includeSessions },
+          { send: send(requestId), signal: controller.signal }
+        );
+      } finally {
+        inFlight.delete(requestId);
+      }
+    } catch (error) {
+      logger.error('Error in chat WebSocket stream:', error);
+      send(requestId)('error', { message: 'Failed to process question', error: error.message });
+    }
+  });
+
+  ws.on('close', () => {
+    inFlight.forEach(controller => controller.abort());
+    inFlight.clear();
+  });
+});
+
+module.exports = router;
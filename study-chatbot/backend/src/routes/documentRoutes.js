@@ -0,0 +1,538 @@
+const express = require('express');
+const documentLifecycle = require('../services/documentLifecycleService');
+const documentStorage = require('../services/documentStorageService');
+const documentVersions = require('../services/documentVersionService');
+const libraryService = require('../services/libraryService');
+const sectionService = require('../services/sectionService');
+const tableService = require('../services/tableService');
+const logger = require('../services/logger');
+const { statusFor } = require('../utils/errorStatus');
+
+const router = express.Router();
+
+// Token of the session a document is copied or moved to, unless it granted the source session read access
+const targetSessionToken = (req) => req.get('X-Target-Session-Token');
+
+// Every route is scoped to the session that owns the document; read routes also serve the documents of libraries attached to the session
+const requireSession = (req, res, next) => {
+  if (!req.query.sessionId) {
+    return res.status(400).json({
+      success: false,
+      message: 'Session ID is required'
+    });
+  }
+  // Library documents are managed through /api/libraries
+  if (libraryService.isLibraryKey(req.query.sessionId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid session ID: library documents are managed through /api/libraries'
+    });
+  }
+  next();
+};
+
+router.use('/:documentId', requireSession);
+
+/**
+ * @route GET /api/documents?sessionId=&tag=
+ * @desc List the session's documents, optionally only those with a tag
+ * @access Owning session
+ */
+router.get('/', requireSession, async (req, res) => {
+  try {
+    const { sessionId, tag } = req.query;
+
+    const documents = documentLifecycle.listDocuments(sessionId, { tag });
+
+    res.status(200).json({
+      success: true,
+      documents,
+      count: documents.length,
+      sessionId
+    });
+
+  } catch (error) {
+    logger.error('Error listing documents:', error);
+    res.status(statusFor(error)).json({
+      success: false,
+      message: 'Failed to list documents',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route PATCH /api/documents/:documentId
+ * @desc Rename a document and/or replace its tags ({ name, tags })
+ * @access Owning session
+ */
+router.patch('/:documentId', async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    const { sessionId } = req.query;
+    const { name, tags } = req.body;
+
+    const document = await documentLifecycle.updateDocument(sessionId, documentId, { name, tags });
+
+    res.status(200).json({
+      success: true,
+      message: 'Document updated successfully',
+      document,
+      sessionId
+    });
+
+  } catch (error) {
+    logger.error('Error updating document:', error);
+    res.status(statusFor(error)).json({
+      success: false,
+      message: 'Failed to update document',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route DELETE /api/documents/:documentId
+ * @desc Delete a document with its chunks, indexes, chat history records,
+ *       highlights, citations and the learning content drawn from it
+ * @access Owning session
+ */
+router.delete('/:documentId', async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    const { sessionId } = req.query;
+
+    const result = await documentLifecycle.deleteDocument(sessionId, documentId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Document deleted successfully',
+      ...result,
+      sessionId
+    });
+
+  } catch (error) {
+    logger.error('Error deleting document:', error);
+    res.status(statusFor(error)).json({
+      success: false,
+      message: 'Failed to delete document',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/documents/:documentId/copy
+ * @desc Copy a document into another session ({ targetSessionId }) without
+ *       processing or embedding it again
+ * @access Owning session, into a session that granted it read access or
+ *         whose token is sent as X-Target-Session-Token
+ */
+router.post('/:documentId/copy', async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    const { sessionId } = req.query;
+
+    const document = await documentLifecycle.copyDocument(sessionId, documentId, req.body.targetSessionId, targetSessionToken(req));
+
+    res.status(201).json({
+      success: true,
+      message: 'Document copied successfully',
+      document,
+      sessionId: req.body.targetSessionId
+    });
+
+  } catch (error) {
+    logger.error('Error copying document:', error);
+    res.status(statusFor(error)).json({
+      success: false,
+      message: 'Failed to copy document',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/documents/:documentId/move
+ * @desc Move a document to another session ({ targetSessionId })
+ * @access Owning session, into a session that granted it read access or
+ *         whose token is sent as X-Target-Session-Token
+ */
+router.post('/:documentId/move', async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    const { sessionId } = req.query;
+
+    const document = await documentLifecycle.moveDocument(sessionId, documentId, req.body.targetSessionId, targetSessionToken(req));
+
+    res.status(200).json({
+      success: true,
+      message: 'Document moved successfully',
+      document,
+      sessionId: req.body.targetSessionId
+    });
+
+  } catch (error) {
+    logger.error('Error moving document:', error);
+    res.status(statusFor(error)).json({
+      success: false,
+      message: 'Failed to move document',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/documents/:documentId/original
+ * @desc Download the original uploaded file
+ * @access Owning session, or a session the document's library is attached to
+ */
+router.get('/:documentId/original', async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    const { sessionId, download } = req.query;
+
+    const original = documentStorage.getOriginal(sessionId, documentId);
+    const disposition = download === 'true' ? 'attachment' : 'inline';
+
+    // Clients often upload with a generic type; the extension is more telling then
+    res.type(original.mimetype === 'application/octet-stream' ? original.extension : original.mimetype);
+    res.setHeader('Content-Disposition', `${disposition}; filename*=UTF-8''${encodeURIComponent(original.filename)}`);
+    res.sendFile(original.path);
+
+  } catch (error) {
+    logger.error('Error getting original document:', error);
+    res.status(statusFor(error)).json({
+      success: false,
+      message: 'Failed to retrieve original document',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/documents/:documentId/pages
+ * @desc Get the extracted text of every page
+ * @access Owning session, or a session the document's library is attached to
+ */
+router.get('/:documentId/pages', async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    const { sessionId } = req.query;
+
+    const pages = await documentStorage.getPages(sessionId, documentId);
+
+    res.status(200).json({
+      success: true,
+      documentId,
+      pages,
+      count: pages.length,
+      sessionId
+    });
+
+  } catch (error) {
+    logger.error('Error getting document pages:', error);
+    res.status(statusFor(error)).json({
+      success: false,
+      message: 'Failed to retrieve document pages',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/documents/:documentId/pages/:pageNumber
+ * @desc Get the extracted text of one page
+ * @access Owning session, or a session the document's library is attached to
+ */
+router.get('/:documentId/pages/:pageNumber', async (req, res) => {
+  try {
+    const { documentId, pageNumber } = req.params;
+    const { sessionId } = req.query;
+
+    const page = await documentStorage.getPage(sessionId, documentId, parseInt(pageNumber));
+
+    res.status(200).json({
+      success: true,
+      documentId,
+      page,
+      sessionId
+    });
+
+  } catch (error) {
+    logger.error('Error getting document page:', error);
+    res.status(statusFor(error)).json({
+      success: false,
+      message: 'Failed to retrieve document page',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/documents/:documentId/pages/:pageNumber/image
+ * @desc Get a PDF page rendered as a PNG image
+ * @access Owning session, or a session the document's library is attached to
+ */
+router.get('/:documentId/pages/:pageNumber/image', async (req, res) => {
+  try {
+    const { documentId, pageNumber } = req.params;
+    const { sessionId } = req.query;
+
+    const imagePath = await documentStorage.renderPageImage(sessionId, documentId, parseInt(pageNumber));
+
+    res.type('png');
+    res.sendFile(imagePath);
+
+  } catch (error) {
+    logger.error('Error rendering document page:', error);
+    res.status(statusFor(error)).json({
+      success: false,
+      message: 'Failed to render document page',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/documents/:documentId/chunks/:chunkIndex
+ * @desc Locate a chunk (e.g. behind a citation) on its pages
+ * @access Owning session, or a session the document's library is attached to
+ */
+router.get('/:documentId/chunks/:chunkIndex', async (req, res) => {
+  try {
+    const { documentId, chunkIndex } = req.params;
+    const { sessionId } = req.query;
+
+    const location = await documentStorage.getChunkLocation(sessionId, documentId, parseInt(chunkIndex));
+
+    res.status(200).json({
+      success: true,
+      ...location,
+      sessionId
+    });
+
+  } catch (error) {
+    logger.error('Error locating chunk:', error);
+    res.status(statusFor(error)).json({
+      success: false,
+      message: 'Failed to locate chunk',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/documents/:documentId/tables
+ * @desc Get the tables extracted from a document as rows and columns
+ * @access Owning session, or a session the document's library is attached to
+ */
+router.get('/:documentId/tables', async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    const { sessionId } = req.query;
+
+    const tables = await tableService.getTables(sessionId, documentId);
+
+    res.status(200).json({
+      success: true,
+      documentId,
+      tables,
+      count: tables.length,
+      sessionId
+    });
+
+  } catch (error) {
+    logger.error('Error getting document tables:', error);
+    res.status(statusFor(error)).json({
+      success: false,
+      message: 'Failed to retrieve document tables',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/documents/:documentId/tables/:tableIndex
+ * @desc Get one extracted table
+ * @access Owning session, or a session the document's library is attached to
+ */
+router.get('/:documentId/tables/:tableIndex', async (req, res) => {
+  try {
+    const { documentId, tableIndex } = req.params;
+    const { sessionId } = req.query;
+
+    const table = await tableService.getTable(sessionId, documentId, parseInt(tableIndex));
+
+    res.status(200).json({
+      success: true,
+      documentId,
+      table,
+      sessionId
+    });
+
+  } catch (error) {
+    logger.error('Error getting document table:', error);
+    res.status(statusFor(error)).json({
+      success: false,
+      message: 'Failed to retrieve document table',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/documents/:documentId/toc
+ * @desc Get the table of contents of a document as a tree of sections, from
+ *       the PDF outline, heading font sizes or heading patterns in the text
+ * @access Owning session, or a session the document's library is attached to
+ */
+router.get('/:documentId/toc', async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    const { sessionId } = req.query;
+
+    const toc = await sectionService.getToc(sessionId, documentId);
+
+    res.status(200).json({
+      success: true,
+      documentId,
+      toc,
+      sessionId
+    });
+
+  } catch (error) {
+    logger.error('Error getting document table of contents:', error);
+    res.status(statusFor(error)).json({
+      success: false,
+      message: 'Failed to retrieve table of contents',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/documents/:documentId/section?path=
+ * @desc Get a section (e.g. path=Chapter 3 > 3.2) with its text exactly as extracted
+ * @access Owning session, or a session the document's library is attached to
+ */
+router.get('/:documentId/section', async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    const { sessionId, path } = req.query;
+
+    if (!path || !path.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Section path is required'
+      });
+    }
+
+    const section = await sectionService.getSection(sessionId, documentId, path);
+
+    res.status(200).json({
+      success: true,
+      section,
+      sessionId
+    });
+
+  } catch (error) {
+    logger.error('Error getting document section:', error);
+    res.status(statusFor(error)).json({
+      success: false,
+      message: 'Failed to retrieve section',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/documents/:documentId/versions
+ * @desc Get the version history of a document, oldest first. New versions
+ *       are uploaded with POST /api/upload/version.
+ * @access Owning session, or a session the document's library is attached to
+ */
+router.get('/:documentId/versions', async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    const { sessionId } = req.query;
+
+    const versions = await documentVersions.getVersions(sessionId, documentId);
+
+    res.status(200).json({
+      success: true,
+      documentId,
+      versions,
+      currentVersion: versions[versions.length - 1].version,
+      sessionId
+    });
+
+  } catch (error) {
+    logger.error('Error getting document versions:', error);
+    res.status(statusFor(error)).json({
+      success: false,
+      message: 'Failed to retrieve document versions',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/documents/:documentId/versions/:version/changes
+ * @desc What changed from the previous version: passages added and removed,
+ *       flashcards and quiz questions marked stale, and an AI summary
+ * @access Owning session, or a session the document's library is attached to
+ */
+router.get('/:documentId/versions/:version/changes', async (req, res) => {
+  try {
+    const { documentId, version } = req.params;
+    const { sessionId } = req.query;
+
+    const changes = await documentVersions.getChanges(sessionId, documentId, parseInt(version));
+
+    res.status(200).json({
+      success: true,
+      ...changes,
+      sessionId
+    });
+
+  } catch (error) {
+    logger.error('Error getting document version changes:', error);
+    res.status(statusFor(error)).json({
+      success: false,
+      message: 'Failed to retrieve document version changes',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/documents/:documentId/passage?start=&end=
+ * @desc Map a span of the extracted text (e.g. a citation's quoteSpan) onto its pages
+ * @access Owning session, or a session the document's library is attached to
+ */
+router.get('/:documentId/passage', async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    const { sessionId, start, end } = req.query;
+
+    const passage = await documentStorage.getPassage(sessionId, documentId, Number(start), Number(end));
+
+    res.status(200).json({
+      success: true,
+      documentId,
+      passage,
+      sessionId
+    });
+
+  } catch (error) {
+    logger.error('Error getting passage:', error);
+    res.status(statusFor(error)).json({
+      success: false,
+      message: 'Failed to retrieve passage',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,184 @@
+const express = require('express');
+const examTracking = require('../services/examTrackingService');
+const logger = require('../services/logger');
+const { statusFor } = require('../utils/errorStatus');
+
+const router = express.Router();
+
+/**
+ * @route POST /api/exams
+ * @desc Register an exam with a date, syllabus topics and linked documents
+ * @access Public
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { sessionId, title, examDate, topics, documentIds = [], notes = '' } = req.body;
+
+    if (!sessionId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Session ID is required'
+      });
+    }
+
+    const exam = examTracking.createExam(sessionId, { title, examDate, topics, documentIds, notes });
+
+    res.status(201).json({
+      success: true,
+      message: `Registered exam: ${exam.title}`,
+      exam: examTracking.getExamReport(sessionId, exam.id),
+      sessionId
+    });
+
+  } catch (error) {
+    logger.error('Error registering exam:', error);
+    res.status(statusFor(error)).json({
+      success: false,
+      message: 'Failed to register exam',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/exams/session/:sessionId
+ * @desc Get all exams for a session, soonest first, with countdowns and readiness
+ * @access Public
+ */
+router.get('/session/:sessionId', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { includePast = 'true' } = req.query;
+
+    const exams = examTracking.getSessionExams(sessionId)
+      .map(exam => examTracking.getExamReport(sessionId, exam.id))
+      .filter(exam => includePast !== 'false' || exam.countdown.status !== 'past');
+
+    res.status(200).json({
+      success: true,
+      exams,
+      count: exams.length,
+      nextExam: exams.find(exam => exam.countdown.status !== 'past') || null,
+      sessionId
+    });
+
+  } catch (error) {
+    logger.error('Error getting exams:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve exams',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/exams/:examId
+ * @desc Get an exam with its countdown, topic readiness and at-risk topics
+ * @access Public
+ */
+router.get('/:examId', async (req, res) => {
+  try {
+    const { examId } = req.params;
+    const { sessionId } = req.query;
+
+    if (!sessionId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Session ID is required'
+      });
+    }
+
+    const exam = examTracking.getExamReport(sessionId, examId);
+
+    res.status(200).json({
+      success: true,
+      exam,
+      sessionId
+    });
+
+  } catch (error) {
+    logger.error('Error getting exam:', error);
+    res.status(statusFor(error)).json({
+      success: false,
+      message: 'Failed to retrieve exam',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route PUT /api/exams/:examId
+ * @desc Update an exam's title, date, topics, linked documents or notes
+ * @access Public
+ */
+router.put('/:examId', async (req, res) => {
+  try {
+    const { examId } = req.params;
+    const { sessionId, ...changes } = req.body;
+
+    if (!sessionId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Session ID is required'
+      });
+    }
+
+    const allowed = ['title', 'examDate', 'topics', 'documentIds', 'notes'];
+    const updates = Object.fromEntries(Object.entries(changes).filter(([key]) => allowed.includes(key)));
+    examTracking.updateExam(sessionId, examId, updates);
+
+    res.status(200).json({
+      success: true,
+      message: 'Exam updated',
+      exam: examTracking.getExamReport(sessionId, examId),
+      sessionId
+    });
+
+  } catch (error) {
+    logger.error('Error updating exam:', error);
+    res.status(statusFor(error)).json({
+      success: false,
+      message: 'Failed to update exam',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route DELETE /api/exams/:examId
+ * @desc Delete an exam
+ * @access Public
+ */
+router.delete('/:examId', async (req, res) => {
+  try {
+    const { examId } = req.params;
+    const { sessionId } = req.body;
+
+    if (!sessionId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Session ID is required'
+      });
+    }
+
+    examTracking.deleteExam(sessionId, examId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Exam deleted',
+      examId,
+      sessionId
+    });
+
+  } catch (error) {
+    logger.error('Error deleting exam:', error);
+    res.status(statusFor(error)).json({
+      success: false,
+      message: 'Failed to delete exam',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
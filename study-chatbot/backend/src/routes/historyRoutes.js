@@ -1,16 +1,28 @@
 const express = require('express');
 const router = express.Router();
 const chatHistoryService = require('../services/chatHistoryService');
+const accessService = require('../services/accessService');
 const logger = require('../utils/logger');
 
+const sessionIdRequired = (res) => res.status(400).json({
+    success: false,
+    error: 'Session ID is required'
+});
+
 /**
- * Get all chat sessions
- * GET /api/history/sessions
+ * Get the chat session and the sessions that granted it read access
+ * GET /api/history/sessions?sessionId=id
  */
 router.get('/sessions', async (req, res) => {
     try {
         await chatHistoryService.initialize();
-        const sessions = chatHistoryService.getAllSessions();
+        const { sessionId } = req.query;
+
+        if (!sessionId) {
+            return sessionIdRequired(res);
+        }
+
+        const sessions = chatHistoryService.getAllSessions(accessService.readableSessions(sessionId));
         
         res.json({
             success: true,
@@ -185,13 +197,19 @@ router.get('/sessions/:sessionId/files', async (req, res) => {
 });
 
 /**
- * Get all files across all sessions
- * GET /api/history/files
+ * Get the files of a session and of the sessions that granted it read access
+ * GET /api/history/files?sessionId=id
  */
 router.get('/files', async (req, res) => {
     try {
         await chatHistoryService.initialize();
-        const files = chatHistoryService.getAllFiles();
+        const { sessionId } = req.query;
+
+        if (!sessionId) {
+            return sessionIdRequired(res);
+        }
+
+        const files = chatHistoryService.getAllFiles(accessService.readableSessions(sessionId));
         
         res.json({
             success: true,
@@ -209,8 +227,8 @@ router.get('/files', async (req, res) => {
 });
 
 /**
- * Search chat history
- * GET /api/history/search?q=query&sessionId=optional
+ * Search the chat history of a session and of the sessions that granted it read access
+ * GET /api/history/search?q=query&sessionId=id
  */
 router.get('/search', async (req, res) => {
     try {
@@ -223,13 +241,17 @@ router.get('/search', async (req, res) => {
                 error: 'Search query is required'
             });
         }
+
+        if (!sessionId) {
+            return sessionIdRequired(res);
+        }
         
-        const results = chatHistoryService.searchChatHistory(query, sessionId);
+        const results = chatHistoryService.searchChatHistory(query, accessService.readableSessions(sessionId));
         
         res.json({
             success: true,
             query,
-            sessionId: sessionId || 'all',
+            sessionId,
             results,
             count: results.length
         });
@@ -1,7 +1,9 @@
 const express = require('express');
 const learningFeatures = require('../services/learningFeatures');
 const configService = require('../services/configService');
+const spacedRepetition = require('../services/spacedRepetitionService');
 const logger = require('../services/logger');
+const { statusFor } = require('../utils/errorStatus');
 
 const router = express.Router();
 
@@ -38,7 +40,6 @@ router.post('/flashcards/generate', async (req, res) => {
 
     // Update session stats
     configService.updateSessionStats(sessionId, 'flashcardsGenerated');
-    learningFeatures.updateLearningProgress(sessionId, 'flashcard_study');
 
     res.status(201).json({
       success: true,
@@ -85,6 +86,73 @@ router.get('/flashcards/:sessionId', async (req, res) => {
   }
 });
 
+/**
+ * @route GET /api/learning/flashcards/:sessionId/due
+ * @desc Get the review queue: cards due now, most overdue first
+ * @access Public
+ */
+router.get('/flashcards/:sessionId/due', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { limit = 20, setId = null } = req.query;
+
+    const queue = learningFeatures.getDueFlashcards(sessionId, {
+      limit: Math.min(Math.max(parseInt(limit) || 20, 1), 200),
+      setId
+    });
+
+    res.status(200).json({
+      success: true,
+      ...queue,
+      sessionId
+    });
+
+  } catch (error) {
+    logger.error('Error getting due flashcards:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve due flashcards',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/learning/flashcards/:setId/cards/:cardId/review
+ * @desc Grade a flashcard (again/hard/good/easy) and reschedule it
+ * @access Public
+ */
+router.post('/flashcards/:setId/cards/:cardId/review', async (req, res) => {
+  try {
+    const { setId, cardId } = req.params;
+    const { sessionId, grade } = req.body;
+
+    if (!sessionId || !spacedRepetition.normalizeGrade(grade)) {
+      return res.status(400).json({
+        success: false,
+        message: `Session ID and a grade (${spacedRepetition.grades.join(', ')}) are required`
+      });
+    }
+
+    const result = learningFeatures.reviewFlashcard(sessionId, setId, cardId, grade);
+
+    res.status(200).json({
+      success: true,
+      message: `Next review in ${result.card.schedule.interval} day(s)`,
+      ...result,
+      sessionId
+    });
+
+  } catch (error) {
+    logger.error('Error reviewing flashcard:', error);
+    res.status(statusFor(error)).json({
+      success: false,
+      message: 'Failed to review flashcard',
+      error: error.message
+    });
+  }
+});
+
 /**
  * @route POST /api/learning/quiz/generate
  * @desc Generate quiz from document content
@@ -99,7 +167,8 @@ router.post('/quiz/generate', async (req, res) => {
       questionCount = 10,
       difficulty = 'mixed',
       questionTypes = ['multiple_choice', 'true_false', 'short_answer'],
-      timeLimit = null
+      timeLimit = null,
+      mode = 'standard'
     } = req.body;
     
     if (!sessionId) {
@@ -109,13 +178,21 @@ router.post('/quiz/generate', async (req, res) => {
       });
     }
 
+    if (!['standard', 'adaptive'].includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Mode must be standard or adaptive'
+      });
+    }
+
     const options = {
       documentIds,
       topic,
       questionCount: Math.min(Math.max(questionCount, 1), 30), // Limit between 1-30
       difficulty,
       questionTypes,
-      timeLimit
+      timeLimit,
+      mode
     };
 
     const quiz = await learningFeatures.generateQuiz(sessionId, options);
@@ -132,7 +209,9 @@ router.post('/quiz/generate', async (req, res) => {
         questions: quiz.questions.map(q => ({
           ...q,
           correct_answer: undefined,
-          explanation: undefined
+          explanation: undefined,
+          rubric: undefined,
+          source: undefined
         }))
       },
       sessionId
@@ -206,7 +285,9 @@ router.get('/quiz/:sessionId', async (req, res) => {
       questions: quiz.questions.map(q => ({
         ...q,
         correct_answer: undefined,
-        explanation: undefined
+        explanation: undefined,
+        rubric: undefined,
+        source: undefined
       }))
     }));
 
@@ -227,6 +308,33 @@ router.get('/quiz/:sessionId', async (req, res) => {
   }
 });
 
+/**
+ * @route GET /api/learning/mastery/:sessionId
+ * @desc Get concept mastery per document, weakest concepts first
+ * @access Public
+ */
+router.get('/mastery/:sessionId', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const report = learningFeatures.getMasteryReport(sessionId);
+
+    res.status(200).json({
+      success: true,
+      mastery: report,
+      sessionId
+    });
+
+  } catch (error) {
+    logger.error('Error getting concept mastery:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve concept mastery',
+      error: error.message
+    });
+  }
+});
+
 /**
  * @route POST /api/learning/concept-map/generate
  * @desc Generate concept map from document content
@@ -516,9 +624,22 @@ router.get('/dashboard/:sessionId', async (req, res) => {
 
     const learningContent = learningFeatures.getSessionLearningContent(sessionId);
     const progress = learningFeatures.getLearningProgress(sessionId);
+    const reviewStats = learningFeatures.getReviewStats(sessionId);
 
     // Calculate dashboard statistics
     const recentActivity = [];
+
+    // Add the last day with flashcard reviews
+    if (reviewStats.lastReviewedAt) {
+      recentActivity.push({
+        type: 'flashcards_reviewed',
+        timestamp: reviewStats.lastReviewedAt,
+        description: reviewStats.reviewedToday > 0
+          ? `Reviewed ${reviewStats.reviewedToday} flashcards today`
+          : 'Reviewed flashcards',
+        id: null
+      });
+    }
     
     // Add recent flashcard sets
     learningContent.flashcards.slice(-3).forEach(set => {
@@ -567,6 +688,7 @@ router.get('/dashboard/:sessionId', async (req, res) => {
         conceptMaps: learningContent.conceptMaps.length,
         studyPlans: learningContent.studyPlans.length
       },
+      flashcardReviews: reviewStats,
       recentActivity: recentActivity.slice(0, 10), // Last 10 activities
       achievements: progress.achievements || []
     };
@@ -0,0 +1,293 @@
+const express = require('express');
+const fs = require('fs');
+const documentLifecycle = require('../services/documentLifecycleService');
+const ingestionQueue = require('../services/ingestionQueue');
+const libraryService = require('../services/libraryService');
+const logger = require('../services/logger');
+const { statusFor } = require('../utils/errorStatus');
+const upload = require('../middleware/upload');
+
+const router = express.Router();
+
+// The owner token issued when a library was created, sent as `X-Library-Token`
+const ownerToken = (req) => req.get('X-Library-Token');
+
+/**
+ * @route POST /api/libraries
+ * @desc Create a library of course documents ({ name, description }). The
+ *       response carries the library's `ownerToken`, which changes to its
+ *       documents must send as X-Library-Token; it is not shown again.
+ * @access Public
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { name, description } = req.body;
+
+    const { library, ownerToken: token } = libraryService.createLibrary({ name, description });
+
+    res.status(201).json({
+      success: true,
+      message: 'Library created successfully',
+      library,
+      ownerToken: token
+    });
+
+  } catch (error) {
+    logger.error('Error creating library:', error);
+    res.status(statusFor(error)).json({
+      success: false,
+      message: 'Failed to create library',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/libraries
+ * @desc List libraries
+ * @access Public
+ */
+router.get('/', async (req, res) => {
+  try {
+    const libraries = libraryService.listLibraries();
+
+    res.status(200).json({
+      success: true,
+      libraries,
+      count: libraries.length
+    });
+
+  } catch (error) {
+    logger.error('Error listing libraries:', error);
+    res.status(statusFor(error)).json({
+      success: false,
+      message: 'Failed to list libraries',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/libraries/session/:sessionId
+ * @desc List the libraries attached to a session
+ * @access Public
+ */
+router.get('/session/:sessionId', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const libraries = libraryService.attachedLibraries(sessionId);
+
+    res.status(200).json({
+      success: true,
+      libraries,
+      count: libraries.length,
+      sessionId
+    });
+
+  } catch (error) {
+    logger.error('Error listing attached libraries:', error);
+    res.status(statusFor(error)).json({
+      success: false,
+      message: 'Failed to list attached libraries',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/libraries/:libraryId
+ * @desc Get a library with its documents
+ * @access Public
+ */
+router.get('/:libraryId', async (req, res) => {
+  try {
+    const { libraryId } = req.params;
+
+    const library = libraryService.getLibrary(libraryId);
+    const documents = documentLifecycle.listDocuments(libraryService.libraryKey(libraryId));
+
+    res.status(200).json({
+      success: true,
+      library,
+      documents
+    });
+
+  } catch (error) {
+    logger.error('Error getting library:', error);
+    res.status(statusFor(error)).json({
+      success: false,
+      message: 'Failed to retrieve library',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/libraries/:libraryId/documents
+ * @desc Upload documents to a library (up to 10 `documents`).
+ *       They are indexed once, as a background job; poll
+ *       GET /api/libraries/:libraryId/jobs/:jobId for progress.
+ * @access Library owner (X-Library-Token)
+ */
+router.post('/:libraryId/documents', upload.array('documents', 10), async (req, res) => {
+  try {
+    const { libraryId } = req.params;
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No files uploaded'
+      });
+    }
+
+    libraryService.requireOwner(libraryId, ownerToken(req));
+    const job = ingestionQueue.enqueue(libraryService.libraryKey(libraryId), req.files, {
+      useEnhancedProcessing: true,
+      enableOCR: true,
+      enableSemanticAnalysis: true
+    });
+    libraryService.touch(libraryId);
+
+    res.status(202).json({
+      success: true,
+      message: `${req.files.length} files uploaded and queued for processing`,
+      jobId: job.id,
+      job,
+      libraryId
+    });
+
+  } catch (error) {
+    (req.files || []).forEach(file => fs.promises.unlink(file.path).catch(() => {}));
+    logger.error('Error uploading library documents:', error);
+    res.status(statusFor(error)).json({
+      success: false,
+      message: 'Failed to upload library documents',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/libraries/:libraryId/jobs/:jobId
+ * @desc Get the status of a library's ingestion job
+ * @access Library owner (X-Library-Token)
+ */
+router.get('/:libraryId/jobs/:jobId', async (req, res) => {
+  try {
+    const { libraryId, jobId } = req.params;
+
+    libraryService.requireOwner(libraryId, ownerToken(req));
+    const job = ingestionQueue.getJob(jobId, libraryService.libraryKey(libraryId));
+
+    res.status(200).json({
+      success: true,
+      job,
+      libraryId
+    });
+
+  } catch (error) {
+    logger.error('Error getting library ingestion job:', error);
+    res.status(statusFor(error)).json({
+      success: false,
+      message: 'Failed to retrieve ingestion job',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route DELETE /api/libraries/:libraryId/documents/:documentId
+ * @desc Delete a document from a library, for every session it is attached to
+ * @access Library owner (X-Library-Token)
+ */
+router.delete('/:libraryId/documents/:documentId', async (req, res) => {
+  try {
+    const { libraryId, documentId } = req.params;
+
+    libraryService.requireOwner(libraryId, ownerToken(req));
+    const result = await documentLifecycle.deleteDocument(libraryService.libraryKey(libraryId), documentId);
+    libraryService.touch(libraryId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Document deleted successfully',
+      ...result,
+      libraryId
+    });
+
+  } catch (error) {
+    logger.error('Error deleting library document:', error);
+    res.status(statusFor(error)).json({
+      success: false,
+      message: 'Failed to delete library document',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/libraries/:libraryId/attach
+ * @desc Attach a library to a session ({ sessionId }), so questions and
+ *       searches in the session also cover the library's documents
+ * @access Public
+ */
+router.post('/:libraryId/attach', async (req, res) => {
+  try {
+    const { libraryId } = req.params;
+    const { sessionId } = req.body;
+
+    const library = libraryService.attach(sessionId, libraryId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Library attached successfully',
+      library,
+      sessionId
+    });
+
+  } catch (error) {
+    logger.error('Error attaching library:', error);
+    res.status(statusFor(error)).json({
+      success: false,
+      message: 'Failed to attach library',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/libraries/:libraryId/detach
+ * @desc Detach a library from a session ({ sessionId })
+ * @access Public
+ */
+router.post('/:libraryId/detach', async (req, res) => {
+  try {
+    const { libraryId } = req.params;
+    const { sessionId } = req.body;
+
+    if (!libraryService.detach(sessionId, libraryId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Library is not attached to this session'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Library detached successfully',
+      libraryId,
+      sessionId
+    });
+
+  } catch (error) {
+    logger.error('Error detaching library:', error);
+    res.status(statusFor(error)).json({
+      success: false,
+      message: 'Failed to detach library',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
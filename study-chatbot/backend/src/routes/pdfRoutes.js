@@ -1,6 +1,9 @@
 const express = require('express');
 const aiService = require('../services/aiService');
-const pdfProcessor = require('../services/simplePdfProcessor');
+const llm = require('../services/llm');
+const documentRepository = require('../services/documentRepository');
+const documentLifecycle = require('../services/documentLifecycleService');
+const sectionService = require('../services/sectionService');
 const configService = require('../services/configService');
 const logger = require('../services/logger');
 
@@ -32,12 +35,12 @@ router.post('/summarize', async (req, res) => {
 
     if (topic) {
       // Summarize content related to a specific topic
-      const contextData = await pdfProcessor.getRelevantContext(topic, sessionId, 6000);
+      const contextData = await documentRepository.getRelevantContext(topic, sessionId, 6000);
       content = contextData.context;
       sources = contextData.sources;
     } else if (documentIds && documentIds.length > 0) {
       // Summarize specific documents
-      const searchResults = await pdfProcessor.searchInDocuments(
+      const searchResults = await documentRepository.searchInDocuments(
         'main content key points important information', 
         documentIds, 
         sessionId, 
@@ -47,7 +50,7 @@ router.post('/summarize', async (req, res) => {
       sources = searchResults.map(r => r.metadata);
     } else {
       // Summarize all documents in session
-      const contextData = await pdfProcessor.getRelevantContext(
+      const contextData = await documentRepository.getRelevantContext(
         'main content overview key points', 
         sessionId, 
         6000
@@ -92,7 +95,9 @@ router.post('/summarize', async (req, res) => {
 
 /**
  * @route POST /api/pdf/extract-sections
- * @desc Extract specific sections from PDFs
+ * @desc Extract sections from PDFs by their place in the table of contents
+ *       (e.g. "Chapter 3 > 3.2"). Each section's text is returned as extracted,
+ *       from every document that has it
  * @access Public
  */
 router.post('/extract-sections', async (req, res) => {
@@ -115,31 +120,22 @@ router.post('/extract-sections', async (req, res) => {
     // Extract each requested section
     for (const sectionName of sectionNames) {
       try {
-        let searchResults;
-        
-        if (documentIds && documentIds.length > 0) {
-          searchResults = await pdfProcessor.searchInDocuments(
-            sectionName, 
-            documentIds, 
-            sessionId, 
-            10
-          );
-        } else {
-          searchResults = await pdfProcessor.similaritySearch(
-            sectionName, 
-            sessionId, 
-            10
-          );
-        }
+        const sections = await sectionService.findSections(
+          sessionId,
+          sectionName,
+          documentIds && documentIds.length > 0 ? documentIds : null
+        );
 
         extractedSections[sectionName] = {
-          content: searchResults.map(r => r.content).join('\n\n'),
-          sources: searchResults.map(r => ({
-            filename: r.metadata.filename,
-            chunkIndex: r.metadata.chunkIndex,
-            relevance: r.relevance || r.score
+          content: sections.map(section => section.text).join('\n\n'),
+          sources: sections.map(section => ({
+            documentId: section.documentId,
+            filename: section.document,
+            path: section.path,
+            pageStart: section.pageStart,
+            pageEnd: section.pageEnd
           })),
-          matchCount: searchResults.length
+          matchCount: sections.length
         };
         
       } catch (error) {
@@ -187,7 +183,7 @@ router.get('/documents/:sessionId', async (req, res) => {
       });
     }
 
-    const vectorStats = pdfProcessor.getSessionStats(sessionId);
+    const vectorStats = documentRepository.getSessionStats(sessionId);
     
     res.status(200).json({
       success: true,
@@ -212,7 +208,7 @@ router.get('/documents/:sessionId', async (req, res) => {
 
 /**
  * @route POST /api/pdf/analyze-structure
- * @desc Analyze document structure and extract headings/sections
+ * @desc Analyze document structure from each document's table of contents
  * @access Public
  */
 router.post('/analyze-structure', async (req, res) => {
@@ -226,59 +222,36 @@ router.post('/analyze-structure', async (req, res) => {
       });
     }
 
-    // Search for structural elements
-    const structureQueries = [
-      'chapter section heading title',
-      'introduction conclusion summary',
-      'table of contents index',
-      'figure table chart diagram'
-    ];
-
-    const structureAnalysis = {};
-
-    for (const query of structureQueries) {
-      try {
-        let searchResults;
-        
-        if (documentIds && documentIds.length > 0) {
-          searchResults = await pdfProcessor.searchInDocuments(
-            query, 
-            documentIds, 
-            sessionId, 
-            15
-          );
-        } else {
-          searchResults = await pdfProcessor.similaritySearch(
-            query, 
-            sessionId, 
-            15
-          );
-        }
-
-        const queryType = query.replace(/\s+/g, '_');
-        structureAnalysis[queryType] = searchResults.map(result => ({
-          content: result.content.substring(0, 200) + '...', // Preview
-          filename: result.metadata.filename,
-          chunkIndex: result.metadata.chunkIndex,
-          relevance: result.relevance || result.score
-        }));
-        
-      } catch (error) {
-        logger.warn(`Error analyzing structure for ${query}:`, error);
-      }
+    const documents = documentRepository.getSessionDocuments(sessionId)
+      .filter(doc => !documentIds || documentIds.length === 0 || documentIds.includes(doc.documentId));
+
+    // Each document's table of contents, from its PDF outline, heading font sizes or heading patterns
+    const structureAnalysis = [];
+    for (const doc of documents) {
+      const toc = await sectionService.getToc(sessionId, doc.documentId);
+      structureAnalysis.push({
+        documentId: doc.documentId,
+        filename: doc.filename,
+        sectionCount: sectionService.flatten(toc).length,
+        toc
+      });
     }
 
-    // Use AI to identify document structure
-    const allContent = Object.values(structureAnalysis)
-      .flat()
-      .map(item => item.content)
+    // Use AI to identify document structure from the section titles
+    const outline = (sections, depth = 0) => sections.flatMap(section => [
+      `${'  '.repeat(depth)}- ${section.title}`,
+      ...outline(section.children, depth + 1)
+    ]);
+    const allContent = structureAnalysis
+      .filter(doc => doc.sectionCount > 0)
+      .map(doc => `${doc.filename}:\n${outline(doc.toc).join('\n')}`)
       .join('\n\n');
 
     let aiAnalysis = null;
     if (allContent.trim()) {
       try {
         const structurePrompt = `
-          Analyze the following document content and identify the structure:
+          Analyze the following tables of contents and identify the document structure:
           
           ${allContent}
           
@@ -301,18 +274,12 @@ router.post('/analyze-structure', async (req, res) => {
           }
         `;
 
-        const response = await aiService.geminiModel.invoke([
-          { role: 'user', content: structurePrompt }
-        ]);
-
-        try {
-          aiAnalysis = JSON.parse(response.content);
-        } catch (parseError) {
-          aiAnalysis = {
-            documentType: 'unknown',
-            analysis: response.content
-          };
-        }
+        const response = await llm.forFeature('analysis').generateJSON(structurePrompt);
+
+        aiAnalysis = response.data || {
+          documentType: 'unknown',
+          analysis: response.text
+        };
       } catch (aiError) {
         logger.warn('Error in AI structure analysis:', aiError);
       }
@@ -351,7 +318,7 @@ router.post('/find-similar', async (req, res) => {
       });
     }
 
-    const similarDocuments = await pdfProcessor.findSimilarDocuments(
+    const similarDocuments = await documentRepository.findSimilarDocuments(
       content, 
       sessionId, 
       maxResults
@@ -384,8 +351,8 @@ router.delete('/session/:sessionId', async (req, res) => {
   try {
     const { sessionId } = req.params;
     
-    // Delete vector store data
-    await pdfProcessor.deleteSession(sessionId);
+    // Delete documents with their chunks, vectors and everything derived from them
+    await documentLifecycle.deleteSession(sessionId);
     
     // Update session
     const session = configService.getSession(sessionId);
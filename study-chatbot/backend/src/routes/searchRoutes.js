@@ -1,13 +1,24 @@
 const express = require('express');
 const router = express.Router();
 const logger = require('../services/logger');
+const { statusFor } = require('../utils/errorStatus');
+const accessService = require('../services/accessService');
 const documentService = require('../services/documentService');
+const tableService = require('../services/tableService');
 
-// Search endpoint using enhanced vector search
+// Search endpoint using enhanced vector search. Only the session's documents and the libraries
+// attached to it are searched; `includeSessions` also searches other sessions that granted it read access
 router.post('/', async (req, res) => {
   try {
-    const { query, sessionId } = req.body;
+    const { query, sessionId, section = null, includeSessions = null } = req.body;
     
+    if (!sessionId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Session ID is required'
+      });
+    }
+
     if (!query || !query.trim()) {
       return res.status(400).json({
         success: false,
@@ -18,11 +29,11 @@ router.post('/', async (req, res) => {
     logger.info(`Search request: "${query}" for session: ${sessionId}`);
 
     // Check if session exists
-    const hasSession = await documentService.hasSession(sessionId || 'demo-session');
+    const hasSession = await documentService.hasSession(sessionId);
     logger.info(`Session exists: ${hasSession}`);
 
     // Use the enhanced document service for semantic search
-    const searchResults = await documentService.searchDocuments(query, sessionId || 'demo-session');
+    const searchResults = await documentService.searchDocuments(query, sessionId, { section, includeSessions });
     
     logger.info(`Search completed. Results count: ${searchResults?.results?.length || 0}`);
     
@@ -30,7 +41,8 @@ router.post('/', async (req, res) => {
       success: true,
       results: searchResults.results || [],
       query: query,
-      sessionId: sessionId || 'demo-session',
+      section,
+      sessionId,
       debug: {
         hasSession: hasSession,
         resultCount: searchResults?.results?.length || 0
@@ -39,6 +51,12 @@ router.post('/', async (req, res) => {
 
   } catch (error) {
     logger.error('Search error:', error);
+    if (statusFor(error) !== 500) {
+      return res.status(statusFor(error)).json({
+        success: false,
+        message: error.message
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Search failed',
@@ -47,10 +65,64 @@ router.post('/', async (req, res) => {
   }
 });
 
+// Search the tables extracted from the session's documents and attached libraries
+router.post('/tables', async (req, res) => {
+  try {
+    const { query, sessionId, documentIds, limit = 5 } = req.body;
+
+    if (!sessionId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Session ID is required'
+      });
+    }
+
+    if (!query || !query.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Search query is required'
+      });
+    }
+
+    const results = await tableService.searchTables(accessService.searchSessions(sessionId), query, {
+      documentIds: documentIds && documentIds.length > 0 ? documentIds : null,
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      results,
+      query,
+      sessionId
+    });
+
+  } catch (error) {
+    logger.error('Table search error:', error);
+    if (statusFor(error) !== 500) {
+      return res.status(statusFor(error)).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Table search failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
 // Summarization endpoint using Granite model
 router.post('/summarize', async (req, res) => {
   try {
     const { sessionId } = req.body;
+
+    if (!sessionId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Session ID is required'
+      });
+    }
     
     logger.info(`Summarization request for session: ${sessionId}`);
 
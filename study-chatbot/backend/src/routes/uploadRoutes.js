@@ -1,51 +1,55 @@
 const express = require('express');
-const multer = require('multer');
-const path = require('path');
 const fs = require('fs');
 const documentService = require('../services/documentService');
+const documentLifecycle = require('../services/documentLifecycleService');
+const documentStorage = require('../services/documentStorageService');
 const configService = require('../services/configService');
-const chatHistoryService = require('../services/chatHistoryService');
+const ingestionQueue = require('../services/ingestionQueue');
+const libraryService = require('../services/libraryService');
 const logger = require('../services/logger');
+const { statusFor } = require('../utils/errorStatus');
+const upload = require('../middleware/upload');
 
 const router = express.Router();
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const uploadDir = path.join(__dirname, '../../uploads');
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir, { recursive: true });
-    }
-    cb(null, uploadDir);
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
+// Library documents are uploaded and deleted through /api/libraries
+const rejectLibrarySession = (req, res, next) => {
+  if (!libraryService.isLibraryKey(req.body?.sessionId || req.query.sessionId)) {
+    return next();
   }
-});
 
-const upload = multer({
-  storage: storage,
-  limits: {
-    fileSize: configService.get('maxFileSize'),
-    files: 10 // Maximum 10 files per upload
-  },
-  fileFilter: (req, file, cb) => {
-    const validation = configService.validateFileUpload(file);
-    if (validation.valid) {
-      cb(null, true);
-    } else {
-      cb(new Error(validation.errors.join(', ')), false);
-    }
+  [].concat(req.file || [], req.files || []).forEach(file => fs.promises.unlink(file.path).catch(() => {}));
+  res.status(400).json({
+    success: false,
+    message: 'Invalid session ID: library documents are managed through /api/libraries'
+  });
+};
+
+// Jobs are scoped to the session that queued them (?sessionId=); library jobs are polled through /api/libraries
+const requireJobSession = (req, res, next) => {
+  if (!req.query.sessionId) {
+    return res.status(400).json({
+      success: false,
+      message: 'Session ID is required'
+    });
   }
-});
+  if (libraryService.isLibraryKey(req.query.sessionId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid session ID: library documents are managed through /api/libraries'
+    });
+  }
+  next();
+};
 
 /**
  * @route POST /api/upload
- * @desc General upload endpoint for any document type
+ * @desc General upload endpoint for any document type. Processing runs as a
+ *       background job; poll
+ *       GET /api/upload/jobs/:jobId?sessionId= for progress.
  * @access Public
  */
-router.post('/', upload.single('document'), async (req, res) => {
+router.post('/', upload.single('document'), rejectLibrarySession, async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -54,36 +58,28 @@ router.post('/', upload.single('document'), async (req, res) => {
       });
     }
 
-    const { sessionId = 'demo-session' } = req.body;
-    const file = req.file;
-    
-    // Process the document using the document service
-    const result = await documentService.processDocuments([file], sessionId, {
+    const { sessionId } = req.body;
+
+    // Every document belongs to a session; there is no shared default
+    if (!sessionId) {
+      fs.promises.unlink(req.file.path).catch(() => {});
+      return res.status(400).json({
+        success: false,
+        message: 'Session ID is required'
+      });
+    }
+
+    const job = ingestionQueue.enqueue(sessionId, [req.file], {
       useEnhancedProcessing: true,
       enableOCR: true,
       enableSemanticAnalysis: true
     });
 
-    // Save file to history
-    try {
-      await chatHistoryService.initialize();
-      chatHistoryService.addFileToHistory(sessionId, {
-        filename: file.filename,
-        originalname: file.originalname,
-        mimetype: file.mimetype,
-        size: file.size,
-        path: file.path,
-        processingResult: result.results?.[0] || {},
-        status: 'processed'
-      });
-    } catch (historyError) {
-      logger.warn('Failed to save file history:', historyError);
-    }
-
-    res.json({
+    res.status(202).json({
       success: true,
-      message: 'File uploaded and processed successfully',
-      result: result,
+      message: 'File uploaded and queued for processing',
+      jobId: job.id,
+      job,
       sessionId: sessionId
     });
 
@@ -99,14 +95,15 @@ router.post('/', upload.single('document'), async (req, res) => {
 
 /**
  * @route POST /api/upload/pdf
- * @desc Upload and process PDF files
+ * @desc Upload PDF files and queue them for processing as one background job
  * @access Public
  */
-router.post('/pdf', upload.array('pdfs', 10), async (req, res) => {
+router.post('/pdf', upload.array('pdfs', 10), rejectLibrarySession, async (req, res) => {
   try {
     const { sessionId } = req.body;
     
     if (!sessionId) {
+      (req.files || []).forEach(file => fs.promises.unlink(file.path).catch(() => {}));
       return res.status(400).json({
         success: false,
         message: 'Session ID is required'
@@ -120,60 +117,235 @@ router.post('/pdf', upload.array('pdfs', 10), async (req, res) => {
       });
     }
 
-    const results = [];
-    const errors = [];
-
-    // Use enhanced document service for processing
-    const processingResult = await documentService.processDocuments(
-      req.files.map(file => ({
-        path: file.path,
-        filename: file.filename,
-        originalname: file.originalname,
-        mimetype: file.mimetype,
-        size: file.size
-      })),
-      sessionId,
-      {
-        useEnhancedProcessing: true,
-        enableOCR: true,
-        enableSemanticAnalysis: true,
-        chunkingOptions: {
-          maxChunkSize: 1000,
-          respectSentences: true,
-          respectParagraphs: true
-        }
+    const job = ingestionQueue.enqueue(sessionId, req.files, {
+      useEnhancedProcessing: true,
+      enableOCR: true,
+      enableSemanticAnalysis: true,
+      chunkingOptions: {
+        maxChunkSize: 1000,
+        respectSentences: true,
+        respectParagraphs: true
       }
-    );
+    });
+
+    res.status(202).json({
+      success: true,
+      message: `${req.files.length} files queued for processing`,
+      jobId: job.id,
+      job,
+      sessionId
+    });
+
+  } catch (error) {
+    logger.error('Error in PDF upload endpoint:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to queue uploaded files',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/upload/version
+ * @desc Upload a new version of an existing document. Only chunks whose
+ *       text changed are re-embedded; the job's file result has the new
+ *       version number and what changed.
+ * @access Owning session
+ */
+router.post('/version', upload.single('document'), rejectLibrarySession, async (req, res) => {
+  try {
+    const { sessionId, documentId } = req.body;
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No file uploaded'
+      });
+    }
+
+    if (!sessionId || !documentId) {
+      fs.promises.unlink(req.file.path).catch(() => {});
+      return res.status(400).json({
+        success: false,
+        message: 'Session ID and document ID are required'
+      });
+    }
+
+    try {
+      documentStorage.getDocument(sessionId, documentId);
+    } catch (error) {
+      fs.promises.unlink(req.file.path).catch(() => {});
+      return res.status(404).json({
+        success: false,
+        message: 'Failed to upload new version',
+        error: error.message
+      });
+    }
 
-    // Update session stats
-    configService.updateSessionStats(sessionId, 'documentsUploaded');
+    const job = ingestionQueue.enqueue(sessionId, [req.file], {
+      useEnhancedProcessing: true,
+      enableOCR: true,
+      enableSemanticAnalysis: true,
+      documentId
+    });
 
-    return res.status(200).json({
+    res.status(202).json({
       success: true,
-      message: `Enhanced processing completed: ${processingResult.processed} files processed successfully`,
-      ...processingResult
+      message: 'New version uploaded and queued for processing',
+      jobId: job.id,
+      job,
+      sessionId,
+      documentId
     });
 
-    // Return results
-    const response = {
+  } catch (error) {
+    logger.error('Error in version upload endpoint:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to queue new version',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/upload/jobs/session/:sessionId
+ * @desc Get ingestion jobs for a session, newest first
+ * @access Public
+ */
+router.get('/jobs/session/:sessionId', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    // Library jobs are polled through /api/libraries by the library's owner
+    if (libraryService.isLibraryKey(sessionId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid session ID: library documents are managed through /api/libraries'
+      });
+    }
+
+    const jobs = ingestionQueue.getSessionJobs(sessionId);
+
+    res.status(200).json({
       success: true,
-      message: `Processed ${results.length} files successfully`,
-      results,
+      jobs,
+      count: jobs.length,
       sessionId
-    };
+    });
+
+  } catch (error) {
+    logger.error('Error getting ingestion jobs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve ingestion jobs',
+      error: error.message
+    });
+  }
+});
 
-    if (errors.length > 0) {
-      response.errors = errors;
-      response.message += `, ${errors.length} files failed`;
+/**
+ * @route GET /api/upload/jobs/:jobId?sessionId=
+ * @desc Get an ingestion job's status with per-file stages, errors and retries
+ * @access Owning session
+ */
+router.get('/jobs/:jobId', requireJobSession, async (req, res) => {
+  try {
+    const job = ingestionQueue.getJob(req.params.jobId, req.query.sessionId);
+
+    res.status(200).json({
+      success: true,
+      job
+    });
+
+  } catch (error) {
+    logger.error('Error getting ingestion job:', error);
+    res.status(statusFor(error)).json({
+      success: false,
+      message: 'Failed to retrieve ingestion job',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/upload/jobs/:jobId/events?sessionId=
+ * @desc Server-sent `progress` events for a job, ending with `done` once it finishes
+ * @access Owning session
+ */
+router.get('/jobs/:jobId/events', requireJobSession, (req, res) => {
+  let job;
+  try {
+    job = ingestionQueue.getJob(req.params.jobId, req.query.sessionId);
+  } catch (error) {
+    return res.status(404).json({
+      success: false,
+      message: 'Failed to retrieve ingestion job',
+      error: error.message
+    });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    if (res.writableEnded || res.destroyed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    if (typeof res.flush === 'function') res.flush();
+  };
+
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  const onUpdate = (update) => {
+    if (update.id !== job.id) return;
+    send('progress', update);
+    if (ingestionQueue.isFinished(update)) {
+      stop();
+    }
+  };
+  const stop = () => {
+    clearInterval(heartbeat);
+    ingestionQueue.off('update', onUpdate);
+    if (!res.writableEnded) {
+      send('done', { jobId: job.id, status: ingestionQueue.getJob(job.id, job.sessionId).status });
+      res.end();
     }
+  };
+
+  res.on('close', stop);
+  send('progress', job);
+  if (ingestionQueue.isFinished(job)) {
+    stop();
+  } else {
+    ingestionQueue.on('update', onUpdate);
+  }
+});
 
-    res.status(200).json(response);
+/**
+ * @route POST /api/upload/jobs/:jobId/cancel?sessionId=
+ * @desc Cancel an ingestion job; files already processed stay indexed
+ * @access Owning session
+ */
+router.post('/jobs/:jobId/cancel', requireJobSession, async (req, res) => {
+  try {
+    const job = ingestionQueue.cancelJob(req.params.jobId, req.query.sessionId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Ingestion job cancelled',
+      job
+    });
 
   } catch (error) {
-    logger.error('Error in PDF upload endpoint:', error);
-    res.status(500).json({
+    logger.error('Error cancelling ingestion job:', error);
+    res.status(statusFor(error)).json({
       success: false,
-      message: 'Failed to process uploaded files',
+      message: 'Failed to cancel ingestion job',
       error: error.message
     });
   }
@@ -189,6 +361,7 @@ router.post('/image', upload.array('images', 5), async (req, res) => {
     const { sessionId, context } = req.body;
     
     if (!sessionId) {
+      (req.files || []).forEach(file => fs.promises.unlink(file.path).catch(() => {}));
       return res.status(400).json({
         success: false,
         message: 'Session ID is required'
@@ -289,13 +462,13 @@ router.get('/session/:sessionId', async (req, res) => {
 
 /**
  * @route DELETE /api/upload/document/:documentId
- * @desc Delete a specific document
+ * @desc Delete a specific document and everything derived from it (see DELETE /api/documents/:documentId)
  * @access Public
  */
-router.delete('/document/:documentId', async (req, res) => {
+router.delete('/document/:documentId', rejectLibrarySession, async (req, res) => {
   try {
     const { documentId } = req.params;
-    const { sessionId } = req.body;
+    const sessionId = req.body.sessionId || req.query.sessionId;
     
     if (!sessionId) {
       return res.status(400).json({
@@ -304,26 +477,17 @@ router.delete('/document/:documentId', async (req, res) => {
       });
     }
 
-    // Remove document from session
-    const session = configService.getSession(sessionId);
-    if (session && session.documentIds) {
-      session.documentIds = session.documentIds.filter(
-        doc => doc.documentId !== documentId
-      );
-    }
-
-    // Note: Vector store cleanup would need additional implementation
-    // For now, we'll just update the session
+    const result = await documentLifecycle.deleteDocument(sessionId, documentId);
     
     res.status(200).json({
       success: true,
       message: 'Document deleted successfully',
-      documentId
+      ...result
     });
 
   } catch (error) {
     logger.error('Error deleting document:', error);
-    res.status(500).json({
+    res.status(statusFor(error)).json({
       success: false,
       message: 'Failed to delete document',
       error: error.message
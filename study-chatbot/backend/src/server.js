@@ -5,7 +5,7 @@ const helmet = require('helmet');
 const compression = require('compression');
 const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
-const path = require('path');
+const expressWs = require('express-ws');
 
 // Import routes
 const uploadRoutes = require('./routes/uploadRoutes');
@@ -15,12 +15,26 @@ const learningRoutes = require('./routes/learningRoutes');
 const analyticsRoutes = require('./routes/analyticsRoutes');
 const searchRoutes = require('./routes/searchRoutes');
 const historyRoutes = require('./routes/historyRoutes');
+const examRoutes = require('./routes/examRoutes');
+const documentRoutes = require('./routes/documentRoutes');
+const libraryRoutes = require('./routes/libraryRoutes');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
 const logger = require('./services/logger');
+const database = require('./services/databaseService');
+const configService = require('./services/configService');
+const documentService = require('./services/documentService');
+const chatHistoryService = require('./services/chatHistoryService');
+const learningFeatures = require('./services/learningFeatures');
+const advancedFeatures = require('./services/advancedFeatures');
+const examTracking = require('./services/examTrackingService');
+const libraryService = require('./services/libraryService');
+const accessService = require('./services/accessService');
+const ingestionQueue = require('./services/ingestionQueue');
 
 const app = express();
+expressWs(app);
 const PORT = process.env.PORT || 5000;
 
 // Security middleware
@@ -46,9 +60,6 @@ app.use(cors({
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
-// Static file serving for uploads
-app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
-
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.status(200).json({
@@ -62,6 +73,8 @@ app.get('/health', (req, res) => {
 // API routes
 app.use('/api/upload', uploadRoutes);
 app.use('/api/chat', chatRoutes);
+// Required after expressWs(app) so the router has the .ws() method
+app.use('/api/chat', require('./routes/chatSocketRoutes'));
 app.use('/api/pdf', pdfRoutes);
 app.use('/api/learning', learningRoutes);
 app.use('/api/analytics', analyticsRoutes);
@@ -72,6 +85,9 @@ app.use('/api/summarize', (req, res, next) => {
   searchRoutes(req, res, next);
 });
 app.use('/api/history', historyRoutes);
+app.use('/api/exams', examRoutes);
+app.use('/api/documents', documentRoutes);
+app.use('/api/libraries', libraryRoutes);
 app.use('/api/status', require('./routes/statusRoutes'));
 
 // Error handling middleware
@@ -89,21 +105,42 @@ app.use('*', (req, res) => {
 app.use(errorHandler);
 
 // Graceful shutdown
-process.on('SIGTERM', () => {
-  logger.info('SIGTERM received, shutting down gracefully');
-  process.exit(0);
-});
-
-process.on('SIGINT', () => {
-  logger.info('SIGINT received, shutting down gracefully');
+const shutdown = async (signal) => {
+  logger.info(`${signal} received, shutting down gracefully`);
+  await database.close();
   process.exit(0);
-});
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+// Restore persisted state, then start accepting requests
+const startServer = async () => {
+  try {
+    await database.initialize();
+    await Promise.all([
+      configService.initialize(),
+      chatHistoryService.initialize(),
+      documentService.initialize(),
+      learningFeatures.initialize(),
+      advancedFeatures.initialize(),
+      examTracking.initialize(),
+      libraryService.initialize(),
+      accessService.initialize()
+    ]);
+    // Resumes interrupted uploads, so it starts once documents are restored
+    await ingestionQueue.initialize();
+  } catch (error) {
+    logger.error('Failed to restore persisted state, continuing with in-memory storage:', error);
+  }
+
+  app.listen(PORT, () => {
+    logger.info(`Study Chatbot Backend running on port ${PORT}`);
+    logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
+    logger.info(`Health check available at: http://localhost:${PORT}/health`);
+  });
+};
 
-// Start server
-app.listen(PORT, () => {
-  logger.info(`Study Chatbot Backend running on port ${PORT}`);
-  logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
-  logger.info(`Health check available at: http://localhost:${PORT}/health`);
-});
+startServer();
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,151 @@
+const configService = require('./configService');
+const database = require('./databaseService');
+const libraryService = require('./libraryService');
+const logger = require('./logger');
+
+/**
+ * Which sessions' documents a session may read. A session reads its own
+ * documents and nothing else by default; retrieval never falls back to other
+ * sessions. Reading another session's documents is opted in per request
+ * (`includeSessions`) and only allowed once that session has granted read
+ * access. Grants are made and revoked with the token issued to the
+ * granting session when it was created; knowing a session's ID is not
+ * enough, and a self-reported user ID grants nothing.
+ * Libraries attached to a session are searched with it.
+ */
+class AccessService {
+    constructor() {
+        this.grants = new Map(); // sessionId -> Set of sessions granted read access to it
+        this.isInitialized = false;
+    }
+
+    async initialize() {
+        if (this.isInitialized) return;
+
+        try {
+            await database.initialize();
+            const rows = await database.all('SELECT * FROM session_grants');
+            rows.forEach(row => this.getGrantees(row.session_id).add(row.grantee_session_id));
+            logger.info(`Restored ${rows.length} session grants from database`);
+        } catch (error) {
+            logger.warn(`Session grant persistence unavailable, using in-memory storage: ${error.message}`);
+        }
+
+        this.isInitialized = true;
+    }
+
+    getGrantees(sessionId) {
+        if (!this.grants.has(sessionId)) {
+            this.grants.set(sessionId, new Set());
+        }
+        return this.grants.get(sessionId);
+    }
+
+    /**
+     * Let `granteeSessionId` read the documents of `sessionId`
+     * @param {string} sessionToken - Token of `sessionId` (configService.createSession)
+     * @throws {Error} - for an unknown session, a wrong token, or a grantee
+     *   that cannot hold a grant
+     */
+    grant(sessionId, granteeSessionId, sessionToken) {
+        configService.requireSessionToken(sessionId, sessionToken);
+        if (!granteeSessionId || typeof granteeSessionId !== 'string' || libraryService.isLibraryKey(granteeSessionId)) {
+            throw new Error('Invalid grantee: granteeSessionId is required');
+        }
+        if (granteeSessionId === sessionId) {
+            throw new Error('Invalid grantee: a session always reads its own documents');
+        }
+        if (!configService.sessions.has(granteeSessionId)) {
+            throw new Error('Grantee session not found');
+        }
+
+        const grantees = this.getGrantees(sessionId);
+        if (!grantees.has(granteeSessionId)) {
+            grantees.add(granteeSessionId);
+            database.persist(
+                'INSERT OR IGNORE INTO session_grants (session_id, grantee_session_id, granted_at) VALUES (?, ?, ?)',
+                [sessionId, granteeSessionId, new Date().toISOString()]
+            );
+            logger.info(`Session ${sessionId} granted read access to session ${granteeSessionId}`);
+        }
+        return this.grantsOf(sessionId);
+    }
+
+    /**
+     * @param {string} sessionToken - Token of `sessionId`
+     * @returns {boolean} - Whether the grant existed
+     */
+    revoke(sessionId, granteeSessionId, sessionToken) {
+        configService.requireSessionToken(sessionId, sessionToken);
+        const grantees = this.grants.get(sessionId);
+        if (!grantees || !grantees.delete(granteeSessionId)) {
+            return false;
+        }
+
+        database.persist('DELETE FROM session_grants WHERE session_id = ? AND grantee_session_id = ?', [sessionId, granteeSessionId]);
+        logger.info(`Session ${sessionId} revoked read access of session ${granteeSessionId}`);
+        return true;
+    }
+
+    /**
+     * Sessions granted read access to the documents of `sessionId`
+     */
+    grantsOf(sessionId) {
+        return Array.from(this.grants.get(sessionId) || []);
+    }
+
+    /**
+     * Whether `sessionId` may read the documents of `otherSessionId`: its
+     * own, or those of a session that granted it access. Libraries are read
+     * by attaching them, not by opting in.
+     */
+    canReadSession(sessionId, otherSessionId) {
+        if (sessionId === otherSessionId) return true;
+        return Boolean(this.grants.get(otherSessionId)?.has(sessionId));
+    }
+
+    /**
+     * Sessions whose history and documents `sessionId` may read: its own,
+     * then every session that granted it access
+     */
+    readableSessions(sessionId) {
+        const granting = Array.from(this.grants.entries())
+            .filter(([, grantees]) => grantees.has(sessionId))
+            .map(([grantingSessionId]) => grantingSessionId);
+        return [sessionId, ...granting];
+    }
+
+    /**
+     * Sessions searched for a request from `sessionId`: the session itself
+     * followed by the sessions it opted in to, then the libraries attached
+     * to any of them
+     * @param {Array|null} includeSessions - Other sessions to search as well
+     * @throws {Error} - "Access denied" for a session it may not read
+     */
+    searchSessions(sessionId, includeSessions = null) {
+        if (!sessionId) {
+            throw new Error('Session ID is required');
+        }
+        if (libraryService.isLibraryKey(sessionId)) {
+            throw new Error('Invalid session ID: library documents are searched by attaching the library');
+        }
+        if (includeSessions && !Array.isArray(includeSessions)) {
+            throw new Error('Invalid includeSessions: must be an array of session IDs');
+        }
+
+        const sessions = [sessionId];
+        for (const otherSessionId of includeSessions || []) {
+            if (!this.canReadSession(sessionId, otherSessionId)) {
+                throw new Error(`Access denied: session ${sessionId} may not read the documents of session ${otherSessionId}`);
+            }
+            if (!sessions.includes(otherSessionId)) {
+                sessions.push(otherSessionId);
+            }
+        }
+
+        const libraries = sessions.flatMap(id => libraryService.attachedKeys(id));
+        return [...sessions, ...new Set(libraries)];
+    }
+}
+
+module.exports = new AccessService();
@@ -2,13 +2,91 @@ const sharp = require('sharp');
 const tesseract = require('tesseract.js');
 const logger = require('./logger');
 const aiService = require('./aiService');
-const pdfProcessor = require('./simplePdfProcessor');
+const llm = require('./llm');
+const documentRepository = require('./documentRepository');
+const database = require('./databaseService');
 
 class AdvancedFeaturesService {
   constructor() {
     this.annotations = new Map(); // sessionId -> annotations
     this.highlights = new Map(); // sessionId -> highlights
     this.citations = new Map(); // citationId -> citation data
+    this.isInitialized = false;
+  }
+
+  /**
+   * Restore persisted highlights and annotations from the database
+   */
+  async initialize() {
+    if (this.isInitialized) return;
+
+    try {
+      await database.initialize();
+
+      const highlights = await database.all('SELECT * FROM highlights ORDER BY created_at, rowid');
+      highlights.forEach(row => {
+        if (!this.highlights.has(row.session_id)) {
+          this.highlights.set(row.session_id, []);
+        }
+        this.highlights.get(row.session_id).push({
+          id: row.id,
+          sessionId: row.session_id,
+          text: row.text,
+          position: database.parseJSON(row.position),
+          documentInfo: database.parseJSON(row.document_info),
+          createdAt: row.created_at,
+          explanation: database.parseJSON(row.explanation)
+        });
+      });
+
+      const annotations = await database.all('SELECT * FROM annotations ORDER BY created_at, rowid');
+      annotations.forEach(row => {
+        if (!this.annotations.has(row.session_id)) {
+          this.annotations.set(row.session_id, []);
+        }
+        this.annotations.get(row.session_id).push(database.parseJSON(row.data, {}));
+      });
+
+      logger.info(`Restored ${highlights.length} highlights and ${annotations.length} annotations from database`);
+    } catch (error) {
+      logger.warn(`Highlight persistence unavailable, using in-memory storage: ${error.message}`);
+    }
+
+    this.isInitialized = true;
+  }
+
+  /**
+   * Persist a highlight
+   * @param {Object} highlight - Highlight annotation
+   */
+  saveHighlight(highlight) {
+    return database.persist(
+      `INSERT INTO highlights (id, session_id, text, position, document_info, explanation, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT(id) DO UPDATE SET explanation = excluded.explanation`,
+      [
+        highlight.id,
+        highlight.sessionId,
+        highlight.text,
+        database.toJSON(highlight.position),
+        database.toJSON(highlight.documentInfo),
+        database.toJSON(highlight.explanation),
+        highlight.createdAt
+      ]
+    );
+  }
+
+  /**
+   * Persist an annotation
+   * @param {Object} annotation - Annotation data
+   */
+  saveAnnotation(annotation) {
+    return database.persist(
+      `INSERT INTO annotations (id, session_id, data, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?)
+       ON CONFLICT(id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at`,
+      [annotation.id, annotation.sessionId, database.toJSON(annotation), annotation.createdAt, annotation.updatedAt]
+    );
   }
 
   /**
@@ -85,22 +163,18 @@ class AdvancedFeaturesService {
         }
       `;
 
-      const analysis = await aiService.geminiModel.invoke([
-        { role: 'user', content: analysisPrompt }
-      ]);
+      const analysis = await llm.forFeature('analysis').generateJSON(analysisPrompt);
 
-      let parsedAnalysis;
-      try {
-        parsedAnalysis = JSON.parse(analysis.content);
-      } catch (parseError) {
+      let parsedAnalysis = analysis.data;
+      if (!parsedAnalysis || typeof parsedAnalysis !== 'object') {
         // Fallback if JSON parsing fails
         parsedAnalysis = {
           type: 'unknown',
           title: 'Analysis Result',
           raw_text: ocrResult.text,
-          analysis: analysis.content,
+          analysis: analysis.text,
           insights: [],
-          summary: analysis.content
+          summary: analysis.text
         };
       }
 
@@ -148,16 +222,26 @@ class AdvancedFeaturesService {
   generateCitations(searchResults, query) {
     const citations = searchResults.map((result, index) => {
       const citationId = `cite_${Date.now()}_${index}`;
+      // Answer sources carry their page range directly, search results through the chunk's provenance
+      const provenance = result.provenance || {};
       
       const citation = {
         id: citationId,
-        text: result.content,
+        text: result.content || result.text,
         source: {
-          filename: result.filename || result.metadata?.filename || result.source || 'Unknown Document',
+          filename: result.filename || result.metadata?.filename || result.document || result.source || 'Unknown Document',
           documentId: result.documentId || result.metadata?.documentId || 'unknown',
           chunkIndex: result.chunkIndex || result.metadata?.chunkIndex || 0,
-          page: result.page || result.metadata?.page || 'N/A'
+          page: result.pageStart ?? provenance.pageStart ?? result.page ?? result.metadata?.page ?? 'N/A',
+          pageStart: result.pageStart ?? provenance.pageStart ?? null,
+          pageEnd: result.pageEnd ?? provenance.pageEnd ?? null,
+          headingPath: result.headingPath || provenance.headingPath || [],
+          // The shared course library the document belongs to, if any
+          library: result.library ?? null
         },
+        quoteSpan: result.quoteSpan || null,
+        // The [n] marker citing this source in the answer, when the answer has markers
+        marker: result.marker ?? null,
         relevanceScore: result.relevance || result.score || result.similarity || 0,
         query: query,
         createdAt: new Date().toISOString()
@@ -202,6 +286,7 @@ class AdvancedFeaturesService {
         this.highlights.set(sessionId, []);
       }
       this.highlights.get(sessionId).push(highlight);
+      this.saveHighlight(highlight);
 
       logger.info(`Created highlight: ${highlightId} for session: ${sessionId}`);
       return highlight;
@@ -230,7 +315,7 @@ class AdvancedFeaturesService {
       }
 
       // Get relevant context for the highlighted text
-      const contextData = await pdfProcessor.getRelevantContext(
+      const contextData = await documentRepository.getRelevantContext(
         highlight.text, 
         sessionId, 
         2000
@@ -250,6 +335,7 @@ class AdvancedFeaturesService {
         depth,
         explainedAt: new Date().toISOString()
       };
+      this.saveHighlight(highlight);
 
       return highlight.explanation;
 
@@ -282,6 +368,7 @@ class AdvancedFeaturesService {
         this.annotations.set(sessionId, []);
       }
       this.annotations.get(sessionId).push(annotation);
+      this.saveAnnotation(annotation);
 
       logger.info(`Created annotation: ${annotationId} for session: ${sessionId}`);
       return annotation;
@@ -322,6 +409,7 @@ class AdvancedFeaturesService {
     
     if (index !== -1) {
       sessionHighlights.splice(index, 1);
+      database.persist('DELETE FROM highlights WHERE id = ?', [highlightId]);
       logger.info(`Deleted highlight: ${highlightId}`);
       return true;
     }
@@ -344,12 +432,81 @@ class AdvancedFeaturesService {
       Object.assign(annotation, updates, {
         updatedAt: new Date().toISOString()
       });
+      this.saveAnnotation(annotation);
       logger.info(`Updated annotation: ${annotationId}`);
     }
     
     return annotation;
   }
 
+  /**
+   * Whether a highlight or annotation was made on a document
+   * @param {Object} item - Highlight or annotation
+   * @param {string} documentId - Document identifier
+   * @returns {boolean}
+   */
+  isOnDocument(item, documentId) {
+    return item.documentId === documentId || item.documentInfo?.documentId === documentId;
+  }
+
+  /**
+   * Remove the highlights, annotations and citations of a deleted document
+   * @param {string} sessionId - Session that owned the document
+   * @param {string} documentId - Document identifier
+   * @returns {Object} - Number of highlights, annotations and citations removed
+   */
+  removeDocument(sessionId, documentId) {
+    const highlights = (this.highlights.get(sessionId) || []).filter(h => this.isOnDocument(h, documentId));
+    this.highlights.set(sessionId, (this.highlights.get(sessionId) || []).filter(h => !highlights.includes(h)));
+    highlights.forEach(h => database.persist('DELETE FROM highlights WHERE id = ?', [h.id]));
+
+    const annotations = (this.annotations.get(sessionId) || []).filter(a => this.isOnDocument(a, documentId));
+    this.annotations.set(sessionId, (this.annotations.get(sessionId) || []).filter(a => !annotations.includes(a)));
+    annotations.forEach(a => database.persist('DELETE FROM annotations WHERE id = ?', [a.id]));
+
+    // Document IDs are unique across sessions, so citations need no session
+    let citations = 0;
+    for (const [citationId, citation] of this.citations) {
+      if (citation.source?.documentId === documentId) {
+        this.citations.delete(citationId);
+        citations++;
+      }
+    }
+
+    return { highlights: highlights.length, annotations: annotations.length, citations };
+  }
+
+  /**
+   * Move the highlights and annotations of a document to the session it was moved to
+   * @param {string} sessionId - Session the document was in
+   * @param {string} documentId - Document identifier
+   * @param {string} targetSessionId - Session the document was moved to
+   */
+  moveDocument(sessionId, documentId, targetSessionId) {
+    const move = (store) => {
+      const items = (store.get(sessionId) || []).filter(item => this.isOnDocument(item, documentId));
+      store.set(sessionId, (store.get(sessionId) || []).filter(item => !items.includes(item)));
+      if (!store.has(targetSessionId)) {
+        store.set(targetSessionId, []);
+      }
+      items.forEach(item => {
+        item.sessionId = targetSessionId;
+        store.get(targetSessionId).push(item);
+      });
+      return items;
+    };
+
+    move(this.highlights).forEach(highlight => {
+      database.persist('UPDATE highlights SET session_id = ? WHERE id = ?', [targetSessionId, highlight.id]);
+    });
+    move(this.annotations).forEach(annotation => {
+      database.persist(
+        'UPDATE annotations SET session_id = ?, data = ? WHERE id = ?',
+        [targetSessionId, database.toJSON(annotation), annotation.id]
+      );
+    });
+  }
+
   /**
    * Get citation by ID
    * @param {string} citationId - Citation identifier
@@ -400,6 +557,8 @@ class AdvancedFeaturesService {
   cleanupSession(sessionId) {
     this.highlights.delete(sessionId);
     this.annotations.delete(sessionId);
+    database.persist('DELETE FROM highlights WHERE session_id = ?', [sessionId]);
+    database.persist('DELETE FROM annotations WHERE session_id = ?', [sessionId]);
     
     // Remove citations for this session
     for (const [citationId, citation] of this.citations) {
@@ -433,10 +592,12 @@ class AdvancedFeaturesService {
     
     if (highlights && highlights.length > 0) {
       this.highlights.set(sessionId, highlights);
+      highlights.forEach(highlight => this.saveHighlight({ sessionId, ...highlight }));
     }
     
     if (annotations && annotations.length > 0) {
       this.annotations.set(sessionId, annotations);
+      annotations.forEach(annotation => this.saveAnnotation({ sessionId, ...annotation }));
     }
     
     logger.info(`Imported advanced features data for session: ${sessionId}`);
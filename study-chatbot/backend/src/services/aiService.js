@@ -1,26 +1,8 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const axios = require('axios');
+const llm = require('./llm');
 const logger = require('./logger');
 
 class AIService {
   constructor() {
-    // Initialize Gemini model
-    this.genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-    this.geminiModel = this.genAI.getGenerativeModel({ 
-      model: process.env.GEMINI_MODEL || "gemini-1.5-flash",
-      generationConfig: {
-        temperature: 0.7,
-        maxOutputTokens: parseInt(process.env.GEMINI_MAX_TOKENS) || 8192,
-      }
-    });
-
-    // IBM Granite configuration
-    this.graniteConfig = {
-      url: process.env.IBM_GRANITE_URL,
-      apiKey: process.env.IBM_GRANITE_API_KEY,
-      model: process.env.IBM_GRANITE_MODEL || "ibm/granite-3-8b-instruct"
-    };
-
     this.initializePromptTemplates();
   }
 
@@ -59,12 +41,14 @@ Instructions:
 - Include key concepts, definitions, and important facts
 - Make questions progressively challenging
 - Reference the source document for each flashcard
+- Name the single concept or topic each flashcard tests
 
 Generate {count} flashcards in JSON format:
 [
   {
     "question": "...",
     "answer": "...",
+    "concept": "...",
     "difficulty": "easy|medium|hard",
     "source": "...",
     "tags": ["tag1", "tag2"]
@@ -72,7 +56,7 @@ Generate {count} flashcards in JSON format:
 ]`;
 
     // Quiz Template
-    this.quizTemplate = `Generate a quiz with {count} questions based on the following content. Include a mix of multiple choice, true/false, and short answer questions.
+    this.quizTemplate = `Generate a quiz with {count} questions based on the following content. Include a mix of multiple choice, true/false, short answer and, for longer content, essay questions.
 
 Content:
 {content}
@@ -82,8 +66,10 @@ Source: {source}
 Instructions:
 - Create questions that test comprehension and critical thinking
 - Include correct answers and explanations
-- Vary question difficulty levels
+- {difficulty}
 - Reference specific parts of the source material
+- For short answer and essay questions, add a grading rubric: the points a complete answer must make, each with a point value
+- Name the single concept or topic each question tests{focus}
 
 Generate quiz in JSON format:
 {
@@ -91,11 +77,13 @@ Generate quiz in JSON format:
   "source": "...",
   "questions": [
     {
-      "type": "multiple_choice|true_false|short_answer",
+      "type": "multiple_choice|true_false|short_answer|essay",
       "question": "...",
       "options": ["A", "B", "C", "D"], // for multiple choice only
       "correct_answer": "...",
+      "rubric": [{"criterion": "...", "points": 1}], // for short answer and essay only
       "explanation": "...",
+      "concept": "...",
       "difficulty": "easy|medium|hard",
       "reference": "..."
     }
@@ -184,7 +172,7 @@ Provide explanation in JSON format:
   }
 
   /**
-   * Answer questions using Gemini with context
+   * Answer questions with context using the Q&A provider
    */
   async answerQuestion(question, context, depth = 'medium', sources = []) {
     try {
@@ -196,13 +184,13 @@ Provide explanation in JSON format:
 
       const fullPrompt = `You are an expert study assistant helping students understand their documents.\n\n${prompt}`;
       
-      const result = await this.geminiModel.generateContent(fullPrompt);
-      const response = await result.response;
+      const provider = llm.forFeature('qa');
+      const answer = await provider.generate(fullPrompt);
 
       return {
-        answer: response.text(),
+        answer: answer,
         sources: sources,
-        model: 'gemini',
+        model: provider.name,
         depth: depth,
         timestamp: new Date().toISOString()
       };
@@ -214,19 +202,20 @@ Provide explanation in JSON format:
   }
 
   /**
-   * Generate summary using IBM Granite
+   * Generate summary using the summarization provider (IBM Granite by default)
    */
   async generateSummary(content, summaryType = 'comprehensive', source = '') {
     try {
       const prompt = this.createSummaryPrompt(content, summaryType, source);
       
-      const response = await this.callIBMGranite(prompt);
+      const provider = llm.forFeature('summarization');
+      const response = await provider.generate(prompt, { maxTokens: 2048 });
       
       return {
         summary: response,
         type: summaryType,
         source: source,
-        model: 'ibm-granite',
+        model: provider.name,
         timestamp: new Date().toISOString()
       };
 
@@ -237,7 +226,48 @@ Provide explanation in JSON format:
   }
 
   /**
-   * Create flashcards using Gemini
+   * Summarize what changed between two versions of a document using the
+   * summarization provider
+   * @param {Object} changes - { added, removed } passages of the new version
+   */
+  async summarizeChanges(source, fromVersion, toVersion, changes) {
+    try {
+      const passages = (list) => list.length > 0
+        ? list.map(passage => `- ${passage}`).join('\n').substring(0, 6000)
+        : '(none)';
+      const prompt = `A study document, ${source}, was revised from version ${fromVersion} to version ${toVersion}.
+
+Passages removed in version ${toVersion}:
+${passages(changes.removed)}
+
+Passages added in version ${toVersion}:
+${passages(changes.added)}
+
+Instructions:
+- Explain for a student what changed between version ${fromVersion} and version ${toVersion} in a few bullet points
+- Group related edits (new topics, removed topics, corrected facts, reworded text)
+- Point out changes that affect what a student should study or revise
+- Do not describe passages that were only moved or reworded without changing their meaning as new material
+
+What changed:`;
+
+      const provider = llm.forFeature('summarization');
+      const response = await provider.generate(prompt, { maxTokens: 1024 });
+
+      return {
+        summary: response,
+        model: provider.name,
+        timestamp: new Date().toISOString()
+      };
+
+    } catch (error) {
+      logger.error('Error in summarizeChanges:', error);
+      throw new Error(`Failed to summarize changes: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create flashcards using the learning provider
    */
   async generateFlashcards(content, count = 5, source = '') {
     try {
@@ -249,18 +279,15 @@ Provide explanation in JSON format:
 
       const fullPrompt = `You are an expert at creating educational flashcards that enhance learning and retention.\n\n${prompt}`;
       
-      const result = await this.geminiModel.generateContent(fullPrompt);
-      const response = await result.response;
+      const provider = llm.forFeature('learning');
+      const { data, text } = await provider.generateJSON(fullPrompt);
       
-      // Parse JSON response
-      let flashcards;
-      try {
-        flashcards = JSON.parse(response.text());
-      } catch (parseError) {
+      let flashcards = data;
+      if (!Array.isArray(flashcards)) {
         // Fallback if JSON parsing fails
         flashcards = [{
           question: "Sample Question",
-          answer: response.text(),
+          answer: text,
           difficulty: "medium",
           source: source,
           tags: ["generated"]
@@ -271,7 +298,7 @@ Provide explanation in JSON format:
         flashcards: flashcards,
         count: flashcards.length,
         source: source,
-        model: 'gemini',
+        model: provider.name,
         timestamp: new Date().toISOString()
       };
 
@@ -282,26 +309,31 @@ Provide explanation in JSON format:
   }
 
   /**
-   * Generate quiz using Gemini
+   * Generate quiz using the learning provider
+   * @param {Object} options - { difficulty: easy|medium|hard|mixed, focusConcepts: concepts to weight questions toward }
    */
-  async generateQuiz(content, count = 5, source = '') {
+  async generateQuiz(content, count = 5, source = '', options = {}) {
     try {
+      const { difficulty = 'mixed', focusConcepts = [] } = options;
       const prompt = this.formatTemplate(this.quizTemplate, {
         content: content,
         count: count,
-        source: source
+        source: source,
+        difficulty: ['easy', 'medium', 'hard'].includes(difficulty)
+          ? `Make the questions ${difficulty} difficulty`
+          : 'Vary question difficulty levels',
+        focus: focusConcepts.length > 0
+          ? `\n- The learner is weakest on these concepts; make most questions about them: ${focusConcepts.join(', ')}`
+          : ''
       });
 
       const fullPrompt = `You are an expert at creating educational assessments and quizzes.\n\n${prompt}`;
       
-      const result = await this.geminiModel.generateContent(fullPrompt);
-      const response = await result.response;
-
-      // Parse JSON response
-      let quiz;
-      try {
-        quiz = JSON.parse(response.text());
-      } catch (parseError) {
+      const provider = llm.forFeature('learning');
+      const { data, text } = await provider.generateJSON(fullPrompt);
+
+      let quiz = data;
+      if (!quiz || !Array.isArray(quiz.questions)) {
         // Fallback structure if JSON parsing fails
         quiz = {
           title: "Generated Quiz",
@@ -310,7 +342,7 @@ Provide explanation in JSON format:
             type: "short_answer",
             question: "What are the main points covered in this content?",
             correct_answer: "Based on the provided content",
-            explanation: response.text(),
+            explanation: text,
             difficulty: "medium"
           }]
         };
@@ -318,7 +350,7 @@ Provide explanation in JSON format:
       
       return {
         ...quiz,
-        model: 'gemini',
+        model: provider.name,
         timestamp: new Date().toISOString()
       };
 
@@ -329,7 +361,7 @@ Provide explanation in JSON format:
   }
 
   /**
-   * Generate concept map using Gemini
+   * Generate concept map using the learning provider
    */
   async generateConceptMap(content, source = '') {
     try {
@@ -340,14 +372,11 @@ Provide explanation in JSON format:
 
       const fullPrompt = `You are an expert at creating educational concept maps and knowledge visualization.\n\n${prompt}`;
       
-      const result = await this.geminiModel.generateContent(fullPrompt);
-      const response = await result.response;
-
-      // Parse JSON response
-      let conceptMap;
-      try {
-        conceptMap = JSON.parse(response.text());
-      } catch (parseError) {
+      const provider = llm.forFeature('learning');
+      const { data, text } = await provider.generateJSON(fullPrompt);
+
+      let conceptMap = data;
+      if (!conceptMap || !Array.isArray(conceptMap.concepts)) {
         // Fallback structure if JSON parsing fails
         conceptMap = {
           title: "Generated Concept Map",
@@ -356,7 +385,7 @@ Provide explanation in JSON format:
             {
               id: "main_concept",
               name: "Main Concept",
-              description: response.text().substring(0, 200),
+              description: text.substring(0, 200),
               level: 0,
               connections: [],
               position: {x: 0, y: 0}
@@ -368,7 +397,7 @@ Provide explanation in JSON format:
       
       return {
         ...conceptMap,
-        model: 'gemini',
+        model: provider.name,
         timestamp: new Date().toISOString()
       };
 
@@ -379,7 +408,7 @@ Provide explanation in JSON format:
   }
 
   /**
-   * Generate step-by-step explanation using Gemini
+   * Generate step-by-step explanation using the learning provider
    */
   async generateStepByStepExplanation(context, topic) {
     try {
@@ -390,14 +419,11 @@ Provide explanation in JSON format:
 
       const fullPrompt = `You are an expert tutor specializing in breaking down complex topics into clear, understandable steps.\n\n${prompt}`;
       
-      const result = await this.geminiModel.generateContent(fullPrompt);
-      const response = await result.response;
-
-      // Parse JSON response
-      let explanation;
-      try {
-        explanation = JSON.parse(response.text());
-      } catch (parseError) {
+      const provider = llm.forFeature('learning');
+      const { data, text } = await provider.generateJSON(fullPrompt);
+
+      let explanation = data;
+      if (!explanation || !Array.isArray(explanation.steps)) {
         // Fallback structure if JSON parsing fails
         explanation = {
           topic: topic,
@@ -405,19 +431,19 @@ Provide explanation in JSON format:
             {
               step_number: 1,
               title: "Understanding " + topic,
-              explanation: response.text(),
+              explanation: text,
               key_points: ["Main concept explanation"],
               reference: "Generated explanation"
             }
           ],
-          summary: response.text().substring(0, 200) + "...",
+          summary: text.substring(0, 200) + "...",
           related_concepts: []
         };
       }
       
       return {
         ...explanation,
-        model: 'gemini',
+        model: provider.name,
         timestamp: new Date().toISOString()
       };
 
@@ -428,43 +454,7 @@ Provide explanation in JSON format:
   }
 
   /**
-   * Call IBM Granite API
-   */
-  async callIBMGranite(prompt, maxTokens = 2048) {
-    try {
-      const requestBody = {
-        model_id: this.graniteConfig.model,
-        input: prompt,
-        parameters: {
-          max_new_tokens: maxTokens,
-          temperature: 0.3,
-          top_p: 0.9,
-          repetition_penalty: 1.1
-        }
-      };
-
-      const response = await axios.post(this.graniteConfig.url, requestBody, {
-        headers: {
-          'Authorization': `Bearer ${this.graniteConfig.apiKey}`,
-          'Content-Type': 'application/json',
-          'Accept': 'application/json'
-        }
-      });
-
-      if (response.data && response.data.results && response.data.results[0]) {
-        return response.data.results[0].generated_text.trim();
-      } else {
-        throw new Error('Invalid response format from IBM Granite API');
-      }
-
-    } catch (error) {
-      logger.error('Error calling IBM Granite API:', error);
-      throw new Error(`IBM Granite API call failed: ${error.message}`);
-    }
-  }
-
-  /**
-   * Create summary prompt for IBM Granite
+   * Create summary prompt for the summarization provider
    */
   createSummaryPrompt(content, summaryType, source) {
     const prompts = {
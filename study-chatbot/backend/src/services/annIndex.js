@@ -0,0 +1,165 @@
+const { HierarchicalNSW } = require('hnswlib-node');
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const INITIAL_CAPACITY = 1024;
+
+/**
+ * Approximate nearest-neighbour index (HNSW, cosine) over chunk vectors.
+ * hnswlib works with integer labels, so chunk ids are mapped to labels and
+ * the map is written next to the index file. The index is tied to the
+ * embedding model that produced its vectors; loading it for a different
+ * model fails so the caller can rebuild.
+ */
+class AnnIndex {
+    constructor(directory) {
+        this.indexPath = path.join(directory, 'chunks.hnsw');
+        this.metaPath = path.join(directory, 'chunks.meta.json');
+        this.reset();
+    }
+
+    reset(model = null, dimension = null) {
+        this.index = null;
+        this.model = model;
+        this.dimension = dimension;
+        this.labels = new Map(); // chunkId -> label
+        this.chunkIds = new Map(); // label -> chunkId
+        this.nextLabel = 0;
+    }
+
+    get size() {
+        return this.labels.size;
+    }
+
+    isReadyFor(model) {
+        return this.index !== null && this.model === model;
+    }
+
+    /**
+     * Create an empty index unless one already exists for this model and dimension
+     */
+    ensure(model, dimension) {
+        if (this.index && this.model === model && this.dimension === dimension) return;
+
+        if (this.index) {
+            logger.warn(`Embedding model changed from ${this.model} to ${model}; rebuilding vector index`);
+        }
+        this.reset(model, dimension);
+        this.index = new HierarchicalNSW('cosine', dimension);
+        this.index.initIndex({ maxElements: INITIAL_CAPACITY, m: 16, efConstruction: 200, allowReplaceDeleted: true });
+    }
+
+    has(chunkId) {
+        return this.labels.has(chunkId);
+    }
+
+    ids() {
+        return Array.from(this.labels.keys());
+    }
+
+    add(chunkId, vector) {
+        if (vector.length !== this.dimension) {
+            throw new Error(`Vector dimension ${vector.length} does not match index dimension ${this.dimension}`);
+        }
+        if (this.labels.has(chunkId)) {
+            this.remove(chunkId);
+        }
+        if (this.index.getCurrentCount() >= this.index.getMaxElements()) {
+            this.index.resizeIndex(this.index.getMaxElements() * 2);
+        }
+
+        const label = this.nextLabel++;
+        // Reuse slots freed by deleted chunks before growing the index
+        this.index.addPoint(vector, label, true);
+        this.labels.set(chunkId, label);
+        this.chunkIds.set(label, chunkId);
+    }
+
+    remove(chunkId) {
+        const label = this.labels.get(chunkId);
+        if (label === undefined) return;
+
+        this.index.markDelete(label);
+        this.labels.delete(chunkId);
+        this.chunkIds.delete(label);
+    }
+
+    /**
+     * Nearest chunks to `vector`, optionally restricted by `filter(chunkId)`.
+     * Similarity is cosine similarity (1 - cosine distance).
+     */
+    search(vector, k, filter = null) {
+        if (!this.index || this.size === 0) return [];
+
+        const count = Math.min(k, this.size);
+        this.index.setEf(Math.max(count * 2, 50));
+
+        const { neighbors, distances } = this.index.searchKnn(
+            vector,
+            count,
+            filter ? label => this.chunkIds.has(label) && filter(this.chunkIds.get(label)) : undefined
+        );
+
+        return neighbors.map((label, position) => ({
+            chunkId: this.chunkIds.get(label),
+            similarity: 1 - distances[position]
+        }));
+    }
+
+    save() {
+        if (!this.index) return;
+
+        try {
+            fs.mkdirSync(path.dirname(this.indexPath), { recursive: true });
+            // Write to a temporary file first so a crash never leaves a truncated index
+            this.index.writeIndexSync(`${this.indexPath}.tmp`);
+            fs.renameSync(`${this.indexPath}.tmp`, this.indexPath);
+            fs.writeFileSync(this.metaPath, JSON.stringify({
+                model: this.model,
+                dimension: this.dimension,
+                nextLabel: this.nextLabel,
+                labels: Array.from(this.labels.entries()),
+                savedAt: new Date().toISOString()
+            }));
+        } catch (error) {
+            logger.warn(`Failed to save vector index: ${error.message}`);
+        }
+    }
+
+    /**
+     * Load the persisted index. Returns false when it is missing, unreadable
+     * or was built with a different embedding model.
+     */
+    load(model) {
+        try {
+            if (!fs.existsSync(this.indexPath) || !fs.existsSync(this.metaPath)) return false;
+
+            const meta = JSON.parse(fs.readFileSync(this.metaPath, 'utf8'));
+            if (meta.model !== model) {
+                logger.info(`Vector index on disk was built with ${meta.model}, current model is ${model}`);
+                return false;
+            }
+
+            const index = new HierarchicalNSW('cosine', meta.dimension);
+            index.readIndexSync(this.indexPath, true);
+
+            this.reset(meta.model, meta.dimension);
+            this.index = index;
+            this.nextLabel = meta.nextLabel;
+            meta.labels.forEach(([chunkId, label]) => {
+                this.labels.set(chunkId, label);
+                this.chunkIds.set(label, chunkId);
+            });
+
+            logger.info(`Loaded vector index with ${this.size} vectors from ${this.indexPath}`);
+            return true;
+        } catch (error) {
+            logger.warn(`Failed to load vector index, it will be rebuilt: ${error.message}`);
+            this.reset();
+            return false;
+        }
+    }
+}
+
+module.exports = AnnIndex;
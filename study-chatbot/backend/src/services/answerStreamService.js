@@ -0,0 +1,152 @@
+const enhancedAIService = require('./enhancedAIService');
+const documentService = require('./documentService');
+const advancedFeatures = require('./advancedFeatures');
+const configService = require('./configService');
+const chatHistoryService = require('./chatHistoryService');
+const conversationService = require('./conversationService');
+const logger = require('./logger');
+
+/**
+ * Transport-agnostic driver for streamed answers. The SSE and WebSocket
+ * endpoints supply a `send(event, data)` callback and an AbortSignal; this
+ * service emits `retrieval`, `token`, `final`/`cancelled`/`error` events and
+ * saves the exchange to chat history once the stream ends. Follow-up
+ * questions are searched as standalone queries rewritten from the chat so
+ * far (`retrievalQuery` in the retrieval and final events). Tokens are the
+ * answer as generated; the final answer has [n] markers that cite no source
+ * removed.
+ */
+class AnswerStreamService {
+    async streamAnswer(request, { send, signal } = {}) {
+        const {
+            sessionId,
+            question,
+            depth = 'medium',
+            documentIds = null,
+            section = null,
+            includeSessions = null
+        } = request;
+
+        const startedAt = Date.now();
+        let answer = '';
+        let result = null;
+        let citations = [];
+        let status = 'completed';
+        let conversation = null;
+
+        try {
+            conversation = await conversationService.prepare(sessionId, question);
+
+            const events = enhancedAIService.streamContextualQA(question, sessionId, {
+                depth,
+                responseFormat: depth === 'detailed' ? 'comprehensive' : 'standard',
+                documentIds: documentIds && documentIds.length > 0 ? documentIds : null,
+                section,
+                includeSessions,
+                retrievalQuery: conversation.retrievalQuery,
+                conversation: conversation.conversation,
+                signal
+            });
+
+            for await (const event of events) {
+                if (signal?.aborted) break;
+
+                switch (event.type) {
+                    case 'retrieval':
+                        send('retrieval', {
+                            retrievalQuery: conversation.retrievalQuery,
+                            results: event.results,
+                            totalResults: event.totalResults
+                        });
+                        break;
+                    case 'token':
+                        answer += event.text;
+                        send('token', { text: event.text });
+                        break;
+                    case 'done':
+                        result = event.result;
+                        break;
+                }
+            }
+
+            if (signal?.aborted) {
+                status = 'cancelled';
+            } else {
+                citations = advancedFeatures.generateCitations(result.sources || [], question).citations;
+                configService.updateSessionStats(sessionId, 'questionsAsked');
+                documentService.updateSessionUsage(sessionId, question, result);
+
+                send('final', {
+                    question,
+                    answer: result.answer,
+                    retrievalQuery: conversation.retrievalQuery,
+                    queryRewritten: conversation.rewritten,
+                    depth,
+                    citations,
+                    sources: result.sources || [],
+                    citationMarkers: result.citationMarkers || [],
+                    warning: result.warning || null,
+                    faithfulness: result.faithfulness || null,
+                    unsupportedClaims: result.unsupportedClaims || [],
+                    table: result.table || null,
+                    confidence: result.confidence,
+                    relatedTopics: result.relatedTopics || [],
+                    suggestions: result.suggestions,
+                    searchResults: result.searchResults || 0,
+                    durationMs: Date.now() - startedAt,
+                    sessionId,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        } catch (error) {
+            if (signal?.aborted || error.name === 'AbortError') {
+                status = 'cancelled';
+            } else {
+                status = 'error';
+                logger.error('Streaming answer failed:', error);
+                send('error', { message: 'Failed to process question', error: error.message });
+            }
+        }
+
+        if (status === 'cancelled') {
+            logger.info(`Streaming answer cancelled for session ${sessionId} after ${answer.length} characters`);
+            send('cancelled', { answer, sessionId });
+        }
+
+        if (status !== 'error' || answer) {
+            await this.saveHistory(sessionId, question, answer, { status, result, citations, conversation });
+        }
+
+        return { status, answer };
+    }
+
+    async saveHistory(sessionId, question, answer, { status, result, citations, conversation }) {
+        try {
+            await chatHistoryService.initialize();
+
+            chatHistoryService.addMessage(sessionId, {
+                type: 'user',
+                content: question,
+                retrievalQuery: conversation?.rewritten ? conversation.retrievalQuery : undefined,
+                timestamp: new Date().toISOString()
+            });
+
+            if (answer) {
+                chatHistoryService.addMessage(sessionId, {
+                    type: 'assistant',
+                    content: result?.answer || answer,
+                    sources: result?.sources || [],
+                    citations,
+                    unsupportedClaims: result?.unsupportedClaims?.length > 0 ? result.unsupportedClaims : undefined,
+                    streamed: true,
+                    cancelled: status === 'cancelled',
+                    timestamp: new Date().toISOString()
+                });
+            }
+        } catch (historyError) {
+            logger.warn('Failed to save chat history:', historyError);
+        }
+    }
+}
+
+module.exports = new AnswerStreamService();
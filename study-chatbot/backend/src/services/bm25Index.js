@@ -0,0 +1,91 @@
+/**
+ * Okapi BM25 inverted index over chunk texts. Unlike natural.TfIdf it
+ * supports removing chunks, so deleted documents stop matching immediately.
+ * `tokenize(text)` must return the normalized terms of a text.
+ */
+class BM25Index {
+    constructor(tokenize, { k1 = 1.2, b = 0.75 } = {}) {
+        this.tokenize = tokenize;
+        this.k1 = k1;
+        this.b = b;
+        this.termFrequencies = new Map(); // chunkId -> Map(term -> count)
+        this.chunkLengths = new Map(); // chunkId -> number of terms
+        this.postings = new Map(); // term -> Set(chunkId)
+        this.totalLength = 0;
+    }
+
+    get size() {
+        return this.chunkLengths.size;
+    }
+
+    add(chunkId, text) {
+        if (this.chunkLengths.has(chunkId)) {
+            this.remove(chunkId);
+        }
+
+        const terms = this.tokenize(text);
+        const frequencies = new Map();
+        terms.forEach(term => frequencies.set(term, (frequencies.get(term) || 0) + 1));
+
+        frequencies.forEach((count, term) => {
+            if (!this.postings.has(term)) {
+                this.postings.set(term, new Set());
+            }
+            this.postings.get(term).add(chunkId);
+        });
+
+        this.termFrequencies.set(chunkId, frequencies);
+        this.chunkLengths.set(chunkId, terms.length);
+        this.totalLength += terms.length;
+    }
+
+    remove(chunkId) {
+        const frequencies = this.termFrequencies.get(chunkId);
+        if (!frequencies) return;
+
+        frequencies.forEach((count, term) => {
+            const chunkIds = this.postings.get(term);
+            chunkIds.delete(chunkId);
+            if (chunkIds.size === 0) {
+                this.postings.delete(term);
+            }
+        });
+
+        this.totalLength -= this.chunkLengths.get(chunkId);
+        this.termFrequencies.delete(chunkId);
+        this.chunkLengths.delete(chunkId);
+    }
+
+    /**
+     * Top `k` chunks for `query` as `{ chunkId, score }`, optionally
+     * restricted by `filter(chunkId)`. Statistics are corpus-wide.
+     */
+    search(query, k, filter = null) {
+        if (this.size === 0) return [];
+
+        const averageLength = this.totalLength / this.size || 1;
+        const scores = new Map();
+
+        new Set(this.tokenize(query)).forEach(term => {
+            const chunkIds = this.postings.get(term);
+            if (!chunkIds) return;
+
+            const idf = Math.log(1 + (this.size - chunkIds.size + 0.5) / (chunkIds.size + 0.5));
+
+            chunkIds.forEach(chunkId => {
+                if (filter && !filter(chunkId)) return;
+
+                const frequency = this.termFrequencies.get(chunkId).get(term);
+                const lengthNorm = 1 - this.b + this.b * (this.chunkLengths.get(chunkId) / averageLength);
+                const score = idf * (frequency * (this.k1 + 1)) / (frequency + this.k1 * lengthNorm);
+                scores.set(chunkId, (scores.get(chunkId) || 0) + score);
+            });
+        });
+
+        return Array.from(scores, ([chunkId, score]) => ({ chunkId, score }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, k);
+    }
+}
+
+module.exports = BM25Index;
@@ -1,8 +1,9 @@
 const logger = require('../utils/logger');
+const database = require('../services/databaseService');
 
 class ChatHistoryService {
     constructor() {
-        // In-memory storage for chat history (in production, use a proper database)
+        // In-memory cache of chat history, written through to the database
         this.chatSessions = new Map(); // sessionId -> session data
         this.chatHistory = new Map(); // sessionId -> array of messages
         this.fileHistory = new Map(); // sessionId -> array of uploaded files
@@ -13,10 +14,73 @@ class ChatHistoryService {
         if (this.isInitialized) return;
         
         logger.info('Initializing Chat History Service...');
+        try {
+            await this.loadFromDatabase();
+        } catch (error) {
+            logger.warn(`Chat history persistence unavailable, using in-memory storage: ${error.message}`);
+        }
         this.isInitialized = true;
         logger.info('Chat History Service initialized successfully');
     }
 
+    /**
+     * Restore sessions, messages and file records from the database
+     */
+    async loadFromDatabase() {
+        await database.initialize();
+
+        const sessions = await database.all('SELECT * FROM chat_sessions');
+        for (const row of sessions) {
+            this.chatSessions.set(row.id, {
+                id: row.id,
+                title: row.title,
+                createdAt: row.created_at,
+                lastActivity: row.last_activity,
+                messageCount: row.message_count,
+                summary: row.summary,
+                summarizedCount: row.summarized_count
+            });
+            this.chatHistory.set(row.id, []);
+            this.fileHistory.set(row.id, []);
+        }
+
+        const messages = await database.all('SELECT * FROM chat_messages ORDER BY timestamp, rowid');
+        for (const row of messages) {
+            if (!this.chatHistory.has(row.session_id)) continue;
+            this.chatHistory.get(row.session_id).push({
+                ...database.parseJSON(row.data, {}),
+                type: row.type,
+                content: row.content,
+                id: row.id,
+                timestamp: row.timestamp
+            });
+        }
+
+        const files = await database.all('SELECT * FROM file_history ORDER BY uploaded_at, rowid');
+        for (const row of files) {
+            if (!this.fileHistory.has(row.session_id)) {
+                this.fileHistory.set(row.session_id, []);
+            }
+            this.fileHistory.get(row.session_id).push(database.parseJSON(row.data, {}));
+        }
+
+        logger.info(`Restored ${sessions.length} chat sessions and ${messages.length} messages from database`);
+    }
+
+    /**
+     * Persist session metadata
+     */
+    saveSession(session) {
+        return database.persist(
+            `INSERT INTO chat_sessions (id, title, created_at, last_activity, message_count, summary, summarized_count)
+             VALUES (?, ?, ?, ?, ?, ?, ?)
+             ON CONFLICT(id) DO UPDATE SET
+               title = excluded.title, last_activity = excluded.last_activity, message_count = excluded.message_count,
+               summary = excluded.summary, summarized_count = excluded.summarized_count`,
+            [session.id, session.title, session.createdAt, session.lastActivity, session.messageCount, session.summary, session.summarizedCount]
+        );
+    }
+
     /**
      * Create a new chat session
      */
@@ -27,12 +91,18 @@ class ChatHistoryService {
             title: title || 'New Chat',
             createdAt: new Date().toISOString(),
             lastActivity: new Date().toISOString(),
-            messageCount: 0
+            messageCount: 0,
+            summary: null,
+            summarizedCount: 0
         };
 
         this.chatSessions.set(id, session);
         this.chatHistory.set(id, []);
-        this.fileHistory.set(id, []);
+        // Files may be uploaded to the session before its first message
+        if (!this.fileHistory.has(id)) {
+            this.fileHistory.set(id, []);
+        }
+        this.saveSession(session);
 
         logger.info(`Created new chat session: ${id}`);
         return session;
@@ -43,7 +113,7 @@ class ChatHistoryService {
      */
     addMessage(sessionId, message) {
         if (!this.chatHistory.has(sessionId)) {
-            this.createSession();
+            this.createSession(null, sessionId);
         }
 
         const timestamp = new Date().toISOString();
@@ -54,6 +124,12 @@ class ChatHistoryService {
         };
 
         this.chatHistory.get(sessionId).push(messageWithTimestamp);
+
+        const { id, type, content, timestamp: savedAt, ...data } = messageWithTimestamp;
+        database.persist(
+            'INSERT INTO chat_messages (id, session_id, type, content, data, timestamp) VALUES (?, ?, ?, ?, ?, ?)',
+            [id, sessionId, type, content, database.toJSON(data), savedAt]
+        );
         
         // Update session metadata
         const session = this.chatSessions.get(sessionId);
@@ -67,6 +143,7 @@ class ChatHistoryService {
                     session.title = message.content.substring(0, 50) + (message.content.length > 50 ? '...' : '');
                 }
             }
+            this.saveSession(session);
         }
 
         logger.info(`Added message to session ${sessionId}: ${message.type}`);
@@ -81,10 +158,12 @@ class ChatHistoryService {
     }
 
     /**
-     * Get all chat sessions
+     * Get the chat sessions among `sessionIds`
      */
-    getAllSessions() {
-        const sessions = Array.from(this.chatSessions.values())
+    getAllSessions(sessionIds) {
+        const sessions = sessionIds
+            .map(sessionId => this.chatSessions.get(sessionId))
+            .filter(Boolean)
             .sort((a, b) => new Date(b.lastActivity) - new Date(a.lastActivity));
         
         return sessions;
@@ -105,6 +184,9 @@ class ChatHistoryService {
         this.chatHistory.delete(sessionId);
         this.fileHistory.delete(sessionId);
         
+        database.persist('DELETE FROM chat_sessions WHERE id = ?', [sessionId]);
+        database.persist('DELETE FROM file_history WHERE session_id = ?', [sessionId]);
+
         if (deleted) {
             logger.info(`Deleted session: ${sessionId}`);
         }
@@ -127,11 +209,16 @@ class ChatHistoryService {
         };
 
         this.fileHistory.get(sessionId).push(fileRecord);
+        database.persist(
+            'INSERT INTO file_history (id, session_id, filename, data, uploaded_at) VALUES (?, ?, ?, ?, ?)',
+            [fileRecord.id, sessionId, fileRecord.filename, database.toJSON(fileRecord), fileRecord.uploadedAt]
+        );
         
         // Update session activity
         const session = this.chatSessions.get(sessionId);
         if (session) {
             session.lastActivity = fileRecord.uploadedAt;
+            this.saveSession(session);
         }
 
         logger.info(`Added file to session ${sessionId}: ${fileData.filename}`);
@@ -139,20 +226,66 @@ class ChatHistoryService {
     }
 
     /**
-     * Get file history for a session
+     * Forget a deleted document: its upload records and the sources and
+     * citations of answers that point at it
+     */
+    removeDocument(sessionId, documentId) {
+        const files = this.fileHistory.get(sessionId) || [];
+        const removedFiles = files.filter(file => file.processingResult?.documentId === documentId);
+        this.fileHistory.set(sessionId, files.filter(file => !removedFiles.includes(file)));
+        removedFiles.forEach(file => database.persist('DELETE FROM file_history WHERE id = ?', [file.id]));
+
+        let sources = 0;
+        (this.chatHistory.get(sessionId) || []).forEach(message => {
+            const keptSources = (message.sources || []).filter(source => source.documentId !== documentId);
+            const keptCitations = (message.citations || []).filter(citation => citation.source?.documentId !== documentId);
+            const removed = (message.sources || []).length - keptSources.length;
+            if (removed === 0 && keptCitations.length === (message.citations || []).length) return;
+
+            sources += removed;
+            if (message.sources) message.sources = keptSources;
+            if (message.citations) message.citations = keptCitations;
+
+            const { id, type, content, timestamp, ...data } = message;
+            database.persist('UPDATE chat_messages SET data = ? WHERE id = ?', [database.toJSON(data), id]);
+        });
+
+        return { files: removedFiles.length, sources };
+    }
+
+    /**
+     * Move the upload records of a document to the session it was moved to
+     */
+    moveDocument(sessionId, documentId, targetSessionId) {
+        const files = this.fileHistory.get(sessionId) || [];
+        const moved = files.filter(file => file.processingResult?.documentId === documentId);
+        if (moved.length === 0) return 0;
+
+        this.fileHistory.set(sessionId, files.filter(file => !moved.includes(file)));
+        if (!this.fileHistory.has(targetSessionId)) {
+            this.fileHistory.set(targetSessionId, []);
+        }
+        this.fileHistory.get(targetSessionId).push(...moved);
+        moved.forEach(file => database.persist('UPDATE file_history SET session_id = ? WHERE id = ?', [targetSessionId, file.id]));
+        return moved.length;
+    }
+
+    /**
+     * Get file history for a session. Where an upload was stored on the
+     * server is not part of it.
      */
     getFileHistory(sessionId) {
-        return this.fileHistory.get(sessionId) || [];
+        return (this.fileHistory.get(sessionId) || []).map(({ path, ...file }) => file);
     }
 
     /**
-     * Get all files across all sessions
+     * Get the files of the sessions among `sessionIds`
      */
-    getAllFiles() {
+    getAllFiles(sessionIds) {
         const allFiles = [];
-        for (const [sessionId, files] of this.fileHistory.entries()) {
+        for (const sessionId of sessionIds) {
             const session = this.chatSessions.get(sessionId);
-            const filesWithSession = files.map(file => ({
+            const filesWithSession = this.getFileHistory(sessionId).map(file => ({
                 ...file,
                 sessionId,
                 sessionTitle: session?.title || 'Unknown Session'
@@ -171,6 +304,7 @@ class ChatHistoryService {
         if (session) {
             session.title = title;
             session.lastActivity = new Date().toISOString();
+            this.saveSession(session);
             logger.info(`Updated session title: ${sessionId} -> ${title}`);
             return session;
         }
@@ -178,15 +312,13 @@ class ChatHistoryService {
     }
 
     /**
-     * Search chat history
+     * Search the chat history of the sessions among `sessionIds`
      */
-    searchChatHistory(query, sessionId = null) {
+    searchChatHistory(query, sessionIds) {
         const results = [];
         const searchLower = query.toLowerCase();
 
-        const sessionsToSearch = sessionId ? [sessionId] : Array.from(this.chatHistory.keys());
-
-        for (const sid of sessionsToSearch) {
+        for (const sid of sessionIds) {
             const messages = this.chatHistory.get(sid) || [];
             const session = this.chatSessions.get(sid);
             
@@ -204,6 +336,20 @@ class ChatHistoryService {
         return results.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
     }
 
+    /**
+     * Replace the running summary of a session's older messages
+     * @param {number} summarizedCount - Messages, from the first, the summary covers
+     */
+    updateSummary(sessionId, summary, summarizedCount) {
+        const session = this.chatSessions.get(sessionId);
+        if (!session) return null;
+
+        session.summary = summary;
+        session.summarizedCount = summarizedCount;
+        this.saveSession(session);
+        return session;
+    }
+
     /**
      * Get session statistics
      */
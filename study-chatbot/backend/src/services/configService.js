@@ -1,13 +1,57 @@
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
 const fs = require('fs');
 const path = require('path');
 const logger = require('./logger');
+const database = require('./databaseService');
 
 class ConfigService {
   constructor() {
     this.config = this.loadConfiguration();
     this.sessions = new Map();
+    this.sessionTokenHashes = new Map(); // sessionId -> hash of the session's token
     this.validateAPIKeys();
+    this.isInitialized = false;
+  }
+
+  /**
+   * Restore persisted sessions from the database
+   */
+  async initialize() {
+    if (this.isInitialized) return;
+
+    try {
+      await database.initialize();
+      const rows = await database.all('SELECT data, token_hash FROM sessions');
+      rows.forEach(row => {
+        const session = database.parseJSON(row.data);
+        if (session && session.sessionId) {
+          this.sessions.set(session.sessionId, session);
+          if (row.token_hash) {
+            this.sessionTokenHashes.set(session.sessionId, row.token_hash);
+          }
+        }
+      });
+      logger.info(`Restored ${rows.length} sessions from database`);
+    } catch (error) {
+      logger.warn(`Session persistence unavailable, using in-memory sessions: ${error.message}`);
+    }
+
+    this.isInitialized = true;
+  }
+
+  /**
+   * Persist a session snapshot
+   */
+  saveSession(session) {
+    const now = new Date().toISOString();
+    return database.persist(
+      `INSERT INTO sessions (id, user_id, data, created_at, last_activity)
+       VALUES (?, ?, ?, ?, ?)
+       ON CONFLICT(id) DO UPDATE SET
+         user_id = excluded.user_id, data = excluded.data, last_activity = excluded.last_activity`,
+      [session.sessionId, session.userId || null, database.toJSON(session), session.createdAt || now, session.lastActivity || now]
+    );
   }
 
   /**
@@ -26,11 +70,41 @@ class ConfigService {
       
       // File upload settings
       maxFileSize: this.parseFileSize(process.env.MAX_FILE_SIZE || '50MB'),
-      allowedFileTypes: (process.env.ALLOWED_FILE_TYPES || 'pdf,doc,docx,txt').split(','),
+      allowedFileTypes: (process.env.ALLOWED_FILE_TYPES || 'pdf,docx,pptx,epub,html,htm,csv,xlsx,txt,md').split(','),
+      
+      // Background ingestion: jobs processed at once, retries per file, parsing on worker threads
+      // (0 retries disables retrying; at least one job always runs)
+      ingestionConcurrency: Math.max(1, this.parseInteger(process.env.INGESTION_CONCURRENCY, 1)),
+      ingestionMaxRetries: Math.max(0, this.parseInteger(process.env.INGESTION_MAX_RETRIES, 2)),
+      ingestionWorkerThreads: process.env.INGESTION_WORKER_THREADS !== 'false',
       
       // Vector database
       vectorDbPath: process.env.VECTOR_DB_PATH || './data/vector_store.db',
       embeddingDimension: parseInt(process.env.EMBEDDING_DIMENSION) || 768,
+      vectorIndexPath: process.env.VECTOR_INDEX_PATH || './data/vector_index',
+      
+      // Original uploads, stored by content hash and served only to the owning session
+      documentStoragePath: process.env.DOCUMENT_STORAGE_PATH || './data/documents',
+      pageImageDensity: parseInt(process.env.PAGE_IMAGE_DENSITY) || 150,
+      // Share of a new upload's chunks found in a session document before it is reported as a near-duplicate
+      nearDuplicateThreshold: parseFloat(process.env.NEAR_DUPLICATE_THRESHOLD) || 0.5,
+      
+      // Retrieval pipeline: BM25 + dense candidates fused with RRF, then an optional reranker
+      retrievalCandidates: parseInt(process.env.RETRIEVAL_CANDIDATES) || 50,
+      rrfK: parseInt(process.env.RRF_K) || 60,
+      reranker: process.env.RERANKER || 'none', // none, cross-encoder, llm
+      rerankTopK: parseInt(process.env.RERANK_TOP_K) || 20,
+      crossEncoderModel: process.env.CROSS_ENCODER_MODEL || 'Xenova/ms-marco-MiniLM-L-6-v2',
+      
+      // Follow-up questions: latest turns used to rewrite them, and the characters of chat history
+      // kept verbatim before older turns are rolled up into a running summary
+      conversationTurns: parseInt(process.env.CONVERSATION_TURNS) || 3,
+      conversationBudget: parseInt(process.env.CONVERSATION_BUDGET) || 3000,
+      
+      // Answer verification: each claim checked against the answer's context, and whether answers
+      // with unsupported claims are regenerated once (also a per-request option)
+      answerVerifier: process.env.ANSWER_VERIFIER || 'lexical', // none, lexical, llm
+      regenerateUnsupported: process.env.REGENERATE_UNSUPPORTED === 'true',
       
       // Security
       jwtSecret: process.env.JWT_SECRET || 'default-secret-change-in-production',
@@ -43,10 +117,44 @@ class ConfigService {
       ibmGraniteModel: process.env.IBM_GRANITE_MODEL || 'ibm/granite-3-8b-instruct',
       maxContextLength: parseInt(process.env.MAX_CONTEXT_LENGTH) || 4000,
       
+      // LLM providers, as `provider` or `provider:model` (gemini, granite, openai, fake)
+      llmProvider: process.env.LLM_PROVIDER || 'gemini',
+      llmFeatureProviders: {
+        qa: process.env.LLM_PROVIDER_QA,
+        // Summaries have always gone to Granite unless a global provider is chosen
+        summarization: process.env.LLM_PROVIDER_SUMMARIZATION || (process.env.LLM_PROVIDER ? undefined : 'granite'),
+        learning: process.env.LLM_PROVIDER_LEARNING,
+        analysis: process.env.LLM_PROVIDER_ANALYSIS,
+        rerank: process.env.LLM_PROVIDER_RERANK,
+        // Embeddings run on the local CPU model unless a global provider is chosen
+        embedding: process.env.LLM_PROVIDER_EMBEDDING || (process.env.LLM_PROVIDER ? undefined : 'local')
+      },
+      geminiEmbeddingModel: process.env.GEMINI_EMBEDDING_MODEL || 'text-embedding-004',
+      ibmGraniteEmbeddingUrl: process.env.IBM_GRANITE_EMBEDDING_URL,
+      ibmGraniteEmbeddingModel: process.env.IBM_GRANITE_EMBEDDING_MODEL || 'ibm/granite-embedding-107m-multilingual',
+      openaiBaseUrl: process.env.OPENAI_BASE_URL || 'http://localhost:11434/v1',
+      openaiApiKey: process.env.OPENAI_API_KEY,
+      openaiModel: process.env.OPENAI_MODEL || 'llama3.1',
+      openaiEmbeddingModel: process.env.OPENAI_EMBEDDING_MODEL || 'nomic-embed-text',
+      localEmbeddingModel: process.env.LOCAL_EMBEDDING_MODEL || 'Xenova/all-MiniLM-L6-v2',
+      localModelPath: process.env.LOCAL_MODEL_PATH,
+      modelCacheDir: process.env.MODEL_CACHE_DIR || './data/models',
+      
+      // Flashcard spaced repetition: sm2 or fsrs
+      flashcardScheduler: process.env.FLASHCARD_SCHEDULER || 'sm2',
+      fsrsDesiredRetention: parseFloat(process.env.FSRS_DESIRED_RETENTION) || 0.9,
+      
       // PDF processing
       pdfChunkSize: parseInt(process.env.PDF_CHUNK_SIZE) || 1000,
       pdfOverlap: parseInt(process.env.PDF_OVERLAP) || 200,
-      maxPdfPages: parseInt(process.env.MAX_PDF_PAGES) || 100
+      maxPdfPages: parseInt(process.env.MAX_PDF_PAGES) || 100,
+      
+      // OCR for scanned PDF pages (tesseract.js)
+      ocrEnabled: process.env.OCR_ENABLED !== 'false',
+      ocrLanguage: process.env.OCR_LANGUAGE || 'eng',
+      ocrDensity: parseInt(process.env.OCR_DENSITY) || 300,
+      ocrLangPath: process.env.OCR_LANG_PATH,
+      ocrLowConfidence: parseInt(process.env.OCR_LOW_CONFIDENCE) || 60
     };
   }
 
@@ -54,7 +162,13 @@ class ConfigService {
    * Validate API keys are present
    */
   validateAPIKeys() {
-    const requiredKeys = ['geminiApiKey', 'ibmGraniteApiKey'];
+    const providers = [this.config.llmProvider, ...Object.values(this.config.llmFeatureProviders)]
+      .filter(Boolean)
+      .map(spec => spec.split(':')[0]);
+    const requiredKeys = [
+      providers.includes('gemini') && 'geminiApiKey',
+      providers.includes('granite') && 'ibmGraniteApiKey'
+    ].filter(Boolean);
     const missingKeys = requiredKeys.filter(key => !this.config[key] || this.config[key] === 'your_api_key_here');
     
     if (missingKeys.length > 0) {
@@ -65,6 +179,15 @@ class ConfigService {
     }
   }
 
+  /**
+   * Parse an integer setting; unset or unparsable values use the default,
+   * unlike `parseInt(value) || default`, which also replaces a 0
+   */
+  parseInteger(value, defaultValue) {
+    const number = parseInt(value, 10);
+    return Number.isFinite(number) ? number : defaultValue;
+  }
+
   /**
    * Parse file size string (e.g., "50MB") to bytes
    */
@@ -87,9 +210,12 @@ class ConfigService {
 
   /**
    * Create new session
+   * @returns {Object} - `{ session, sessionToken }`; the token is needed to
+   *   change who may read the session's documents and is not shown again
    */
   createSession(userId = null) {
     const sessionId = uuidv4();
+    const sessionToken = crypto.randomBytes(32).toString('hex');
     const session = {
       sessionId,
       userId,
@@ -110,9 +236,35 @@ class ConfigService {
     };
     
     this.sessions.set(sessionId, session);
+    this.sessionTokenHashes.set(sessionId, this.hashToken(sessionToken));
+    this.saveSession(session);
+    database.persist('UPDATE sessions SET token_hash = ? WHERE id = ?', [this.hashToken(sessionToken), sessionId]);
     logger.info(`Created new session: ${sessionId}`);
     
-    return session;
+    return { session, sessionToken };
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Check that `sessionToken` is the token issued to the session when it was
+   * created. Knowing a session's ID is not enough to act for it.
+   * @throws {Error} - "Session not found", or "Access denied" for a missing or wrong token
+   */
+  requireSessionToken(sessionId, sessionToken) {
+    if (!this.sessions.has(sessionId)) {
+      throw new Error('Session not found');
+    }
+
+    const stored = this.sessionTokenHashes.get(sessionId);
+    const expected = stored ? Buffer.from(stored, 'hex') : null;
+    const given = typeof sessionToken === 'string' && sessionToken ? Buffer.from(this.hashToken(sessionToken), 'hex') : null;
+
+    if (!expected || !given || !crypto.timingSafeEqual(expected, given)) {
+      throw new Error(`Access denied: the session token of session ${sessionId} is required`);
+    }
   }
 
   /**
@@ -134,6 +286,7 @@ class ConfigService {
     if (session) {
       Object.assign(session, updates);
       session.lastActivity = new Date().toISOString();
+      this.saveSession(session);
       logger.info(`Updated session: ${sessionId}`);
     }
     return session;
@@ -144,7 +297,9 @@ class ConfigService {
    */
   deleteSession(sessionId) {
     const deleted = this.sessions.delete(sessionId);
+    this.sessionTokenHashes.delete(sessionId);
     if (deleted) {
+      database.persist('DELETE FROM sessions WHERE id = ?', [sessionId]);
       logger.info(`Deleted session: ${sessionId}`);
     }
     return deleted;
@@ -163,6 +318,34 @@ class ConfigService {
       });
       session.stats.documentsUploaded++;
       session.lastActivity = new Date().toISOString();
+      this.saveSession(session);
+    }
+    return session;
+  }
+
+  /**
+   * Update the name a document is listed under in a session
+   */
+  updateSessionDocument(sessionId, documentId, filename) {
+    const session = this.getSession(sessionId);
+    const entry = session?.documentIds.find(doc => doc.documentId === documentId);
+    if (entry) {
+      entry.filename = filename;
+      session.lastActivity = new Date().toISOString();
+      this.saveSession(session);
+    }
+    return session;
+  }
+
+  /**
+   * Remove a document from a session's document list
+   */
+  removeDocumentFromSession(sessionId, documentId) {
+    const session = this.getSession(sessionId);
+    if (session) {
+      session.documentIds = session.documentIds.filter(doc => doc.documentId !== documentId);
+      session.lastActivity = new Date().toISOString();
+      this.saveSession(session);
     }
     return session;
   }
@@ -175,6 +358,7 @@ class ConfigService {
     if (session && session.stats.hasOwnProperty(statType)) {
       session.stats[statType] += increment;
       session.lastActivity = new Date().toISOString();
+      this.saveSession(session);
     }
     return session;
   }
@@ -198,6 +382,8 @@ class ConfigService {
       const lastActivity = new Date(session.lastActivity);
       if (lastActivity < cutoffTime) {
         this.sessions.delete(sessionId);
+        this.sessionTokenHashes.delete(sessionId);
+        database.persist('DELETE FROM sessions WHERE id = ?', [sessionId]);
         cleanedCount++;
       }
     }
@@ -314,10 +500,12 @@ class ConfigService {
       throw new Error('Invalid session data: missing sessionId');
     }
     
-    this.sessions.set(sessionData.sessionId, {
+    const session = {
       ...sessionData,
       importedAt: new Date().toISOString()
-    });
+    };
+    this.sessions.set(sessionData.sessionId, session);
+    this.saveSession(session);
     
     logger.info(`Imported session data: ${sessionData.sessionId}`);
     return sessionData.sessionId;
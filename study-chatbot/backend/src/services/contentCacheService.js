@@ -0,0 +1,289 @@
+const configService = require('./configService');
+const database = require('./databaseService');
+const vectorDB = require('./enhancedVectorDB_simplified');
+const logger = require('./logger');
+
+// MinHash signatures of chunks: word trigram shingles under 64 hash
+// functions, compared with LSH in 16 bands of 4 rows, which finds chunk
+// pairs from about 0.5 Jaccard similarity upwards
+const SHINGLE_SIZE = 3;
+const SIGNATURE_SIZE = 64;
+const LSH_BANDS = 16;
+const BAND_ROWS = SIGNATURE_SIZE / LSH_BANDS;
+// Estimated Jaccard similarity from which two chunks are the same passage
+const CHUNK_MATCH_SIMILARITY = 0.8;
+
+// Final mix of MurmurHash3: spreads a 32-bit value over all bits
+function mix32(value) {
+    let hash = value >>> 0;
+    hash ^= hash >>> 16;
+    hash = Math.imul(hash, 0x85ebca6b);
+    hash ^= hash >>> 13;
+    hash = Math.imul(hash, 0xc2b2ae35);
+    hash ^= hash >>> 16;
+    return hash >>> 0;
+}
+
+// 32-bit FNV-1a
+function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+const SEEDS = Array.from({ length: SIGNATURE_SIZE }, (_, i) => mix32(i + 1));
+
+/**
+ * Processing results shared by content. An upload is identified by the
+ * hash of its bytes and its extension (the name of its original in
+ * document storage); the first upload of a content is processed and its
+ * text, pages, tables, metadata and embedded chunks are kept under that
+ * name. Uploading the same file again, in any session, reuses them: nothing
+ * is parsed, chunked or embedded again and nothing is stored twice, since
+ * documents refer to their content instead of holding a copy.
+ *
+ * Uploads are also compared with the documents already in the session, by
+ * content and by MinHash signatures of their chunks, so the same material
+ * uploaded twice (or a lightly edited copy of it) can be reported.
+ */
+class ContentCacheService {
+    constructor() {
+        this.contents = new Map(); // contentId -> { processed, signatures }, filled on first read
+        this.signatures = new Map(); // documentId -> chunk signatures, for documents without a stored content
+    }
+
+    contentId(storage) {
+        return `${storage.hash}${storage.extension}`;
+    }
+
+    async loadContent(contentId) {
+        if (!this.contents.has(contentId) && database.isInitialized) {
+            const row = await database.get('SELECT * FROM contents WHERE id = ?', [contentId]);
+            if (row) {
+                this.contents.set(contentId, {
+                    processed: database.parseJSON(row.processed),
+                    signatures: database.parseJSON(row.signatures, [])
+                });
+            }
+        }
+        return this.contents.get(contentId) || null;
+    }
+
+    /**
+     * Processed output of a content without its chunks:
+     * { text, pages, tables, metadata, wordCount, characterCount, chunkCount }
+     */
+    async getProcessed(contentId) {
+        return (await this.loadContent(contentId))?.processed || null;
+    }
+
+    /**
+     * Processed output of an earlier upload of the content, shaped like the
+     * document processor's, with chunks that carry their embeddings and
+     * dense vectors for vectorDB.addDocument
+     * @returns {Object|null} - null when the content has not been processed
+     *   and indexed yet
+     */
+    async get(contentId) {
+        const processed = await this.getProcessed(contentId);
+        if (!processed) return null;
+
+        // The first upload may have failed between processing and indexing
+        const chunks = await this.loadChunks(contentId);
+        if (chunks.length !== processed.chunkCount) return null;
+
+        return { ...processed, chunks };
+    }
+
+    async loadChunks(contentId) {
+        // Loaded documents also carry dense vectors embedded after they were stored
+        const doc = vectorDB.getAllDocuments().find(doc => doc.metadata?.contentId === contentId);
+        if (doc) {
+            return doc.chunks.map((text, index) => {
+                const entry = vectorDB.embeddings.get(`${doc.id}_${index}`);
+                return {
+                    text,
+                    provenance: entry?.provenance || null,
+                    embedding: entry?.embedding,
+                    keywords: entry?.keywords,
+                    vector: entry?.vector,
+                    vectorModel: entry?.vectorModel
+                };
+            });
+        }
+
+        if (!database.isInitialized) return [];
+        const rows = await database.all(
+            'SELECT * FROM content_chunks WHERE content_id = ? ORDER BY chunk_index',
+            [contentId]
+        );
+        return rows.map(row => ({
+            text: row.text,
+            provenance: database.parseJSON(row.provenance),
+            embedding: database.parseJSON(row.embedding),
+            keywords: database.parseJSON(row.keywords, []),
+            vector: database.parseVectorBlob(row.vector),
+            vectorModel: row.vector_model
+        }));
+    }
+
+    /**
+     * Keep the output of the document processor for later uploads of the
+     * content. Its chunks are stored by the vector database along with the
+     * first document that uses them.
+     * @param {string} contentId - Content identifier
+     * @param {Object} processed - Output of the document processor
+     * @returns {Array} - MinHash signatures of the chunks
+     */
+    async store(contentId, processed) {
+        const { chunks, ...rest } = processed;
+        const signatures = chunks.map(chunk => this.minhash(typeof chunk === 'string' ? chunk : chunk.text));
+
+        this.contents.set(contentId, { processed: rest, signatures });
+        await database.persist(
+            'INSERT OR REPLACE INTO contents (id, processed, signatures, created_at) VALUES (?, ?, ?, ?)',
+            [contentId, database.toJSON(rest), database.toJSON(signatures), new Date().toISOString()]
+        );
+        return signatures;
+    }
+
+    /**
+     * Forget a content no document refers to any more, with its chunks
+     */
+    async remove(contentId) {
+        this.contents.delete(contentId);
+        await database.persist('DELETE FROM contents WHERE id = ?', [contentId]);
+    }
+
+    /**
+     * MinHash signatures of a document's chunks
+     */
+    async getSignatures(documentId) {
+        const doc = vectorDB.documents.get(documentId);
+        if (!doc) return [];
+
+        const content = doc.metadata?.contentId ? await this.loadContent(doc.metadata.contentId) : null;
+        if (content?.signatures?.length === doc.chunks.length) {
+            return content.signatures;
+        }
+
+        if (!this.signatures.has(documentId)) {
+            this.signatures.set(documentId, doc.chunks.map(text => this.minhash(text)));
+        }
+        return this.signatures.get(documentId);
+    }
+
+    /**
+     * MinHash signature of a text, or null when it has no words
+     */
+    minhash(text) {
+        const words = text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+        if (words.length === 0) return null;
+
+        const size = Math.min(SHINGLE_SIZE, words.length);
+        const signature = new Array(SIGNATURE_SIZE).fill(0xffffffff);
+        for (let i = 0; i + size <= words.length; i++) {
+            const shingle = hashString(words.slice(i, i + size).join(' '));
+            for (let k = 0; k < SIGNATURE_SIZE; k++) {
+                const hash = mix32(shingle ^ SEEDS[k]);
+                if (hash < signature[k]) {
+                    signature[k] = hash;
+                }
+            }
+        }
+        return signature;
+    }
+
+    similarity(a, b) {
+        let equal = 0;
+        for (let k = 0; k < SIGNATURE_SIZE; k++) {
+            if (a[k] === b[k]) equal++;
+        }
+        return equal / SIGNATURE_SIZE;
+    }
+
+    bandKeys(signature) {
+        return Array.from({ length: LSH_BANDS }, (_, band) =>
+            `${band}:${signature.slice(band * BAND_ROWS, (band + 1) * BAND_ROWS).join(',')}`
+        );
+    }
+
+    /**
+     * Documents of the session with the same material as an upload: the
+     * same file ('exact'), or a document containing at least
+     * `nearDuplicateThreshold` of the upload's chunks ('near')
+     * @param {string} sessionId - Session the upload is added to
+     * @param {string} contentId - Content of the upload
+     * @param {Array} signatures - MinHash signatures of the upload's chunks
+     * @returns {Array} - [{ documentId, filename, match, similarity }], most
+     *   similar first
+     */
+    async findDuplicates(sessionId, contentId, signatures) {
+        const duplicates = [];
+        const candidates = [];
+
+        for (const documentId of vectorDB.sessionDocuments.get(sessionId) || []) {
+            const doc = vectorDB.documents.get(documentId);
+            if (!doc) continue;
+
+            const filename = doc.metadata?.originalname || doc.metadata?.filename || 'Unknown Document';
+            const storage = doc.metadata?.storage;
+            if ((doc.metadata?.contentId || (storage && this.contentId(storage))) === contentId) {
+                duplicates.push({ documentId, filename, match: 'exact', similarity: 1 });
+            } else {
+                candidates.push({ documentId, filename, signatures: await this.getSignatures(documentId) });
+            }
+        }
+
+        const uploaded = signatures.filter(Boolean);
+        if (uploaded.length > 0 && candidates.length > 0) {
+            // Only chunks that agree on a whole band are compared
+            const buckets = new Map();
+            candidates.forEach((candidate, position) => {
+                candidate.signatures.forEach(signature => {
+                    if (!signature) return;
+                    this.bandKeys(signature).forEach(key => {
+                        if (!buckets.has(key)) buckets.set(key, []);
+                        buckets.get(key).push({ position, signature });
+                    });
+                });
+            });
+
+            const matched = candidates.map(() => 0);
+            uploaded.forEach(signature => {
+                const matches = new Set();
+                this.bandKeys(signature).forEach(key => {
+                    (buckets.get(key) || []).forEach(({ position, signature: other }) => {
+                        if (!matches.has(position) && this.similarity(signature, other) >= CHUNK_MATCH_SIMILARITY) {
+                            matches.add(position);
+                        }
+                    });
+                });
+                matches.forEach(position => matched[position]++);
+            });
+
+            const threshold = configService.get('nearDuplicateThreshold');
+            candidates.forEach((candidate, position) => {
+                const similarity = matched[position] / uploaded.length;
+                if (similarity >= threshold) {
+                    duplicates.push({
+                        documentId: candidate.documentId,
+                        filename: candidate.filename,
+                        match: 'near',
+                        similarity: Math.round(similarity * 100) / 100
+                    });
+                }
+            });
+        }
+
+        if (duplicates.length > 0) {
+            logger.info(`Upload to session ${sessionId} duplicates ${duplicates.length} existing documents`);
+        }
+        return duplicates.sort((a, b) => b.similarity - a.similarity);
+    }
+}
+
+module.exports = new ContentCacheService();
@@ -0,0 +1,174 @@
+const chatHistoryService = require('./chatHistoryService');
+const configService = require('./configService');
+const llm = require('./llm');
+const logger = require('./logger');
+
+// Characters of each earlier answer carried into the conversation context
+const MAX_ANSWER_LENGTH = 600;
+// Longer rewrites are model chatter rather than a query
+const MAX_QUERY_LENGTH = 300;
+// Questions that lean on an earlier turn: a reference to it, a question
+// continuing it, or one of at most two words ("why?", "examples?")
+const FOLLOW_UP_PATTERN = /\b(it|its|they|them|their|this|that|these|those|one|ones|former|latter|above|same|again|more)\b|^\s*(and|but|so|what about|how about)\b|^\W*\w+(\W+\w+)?\W*$/i;
+
+/**
+ * Multi-turn memory for questions asked in a chat. The latest turns
+ * (`conversationTurns`) are used to rewrite a follow-up such as "what about
+ * the second one?" into a standalone query for retrieval, and the chat so
+ * far is passed to the answer prompt so answers can refer back to it.
+ * Once the history no longer fits in `conversationBudget` characters, the
+ * turns before the latest ones are rolled up into a running summary kept
+ * with the chat session.
+ */
+class ConversationService {
+    /**
+     * Retrieval query and conversation context for a question asked in a
+     * session's chat
+     * @returns {Object} - { retrievalQuery, rewritten, conversation, turns, summarized };
+     *   `conversation` is null in a chat without earlier turns
+     */
+    async prepare(sessionId, question) {
+        await chatHistoryService.initialize();
+        const { summary, turns } = await this.compact(sessionId);
+        const recent = turns.slice(-configService.config.conversationTurns);
+
+        const retrievalQuery = recent.length > 0 ? await this.rewrite(question, recent) : question;
+        if (retrievalQuery !== question) {
+            logger.info(`Rewrote follow-up question for session ${sessionId}: "${question}" -> "${retrievalQuery}"`);
+        }
+
+        return {
+            retrievalQuery,
+            rewritten: retrievalQuery !== question,
+            conversation: this.formatConversation(summary, turns),
+            turns: turns.length,
+            summarized: Boolean(summary)
+        };
+    }
+
+    /**
+     * The session's running summary and the turns after it, rolling turns
+     * before the latest ones into the summary when the history is over budget
+     */
+    async compact(sessionId) {
+        const session = chatHistoryService.getSession(sessionId);
+        if (!session) {
+            return { summary: null, turns: [] };
+        }
+
+        const { conversationTurns, conversationBudget } = configService.config;
+        let summary = session.summary || null;
+        let summarizedCount = session.summarizedCount || 0;
+        let turns = this.turns(chatHistoryService.getChatHistory(sessionId).slice(summarizedCount));
+
+        const older = turns.slice(0, Math.max(0, turns.length - conversationTurns));
+        if (older.length > 0 && this.formatConversation(summary, turns).length > conversationBudget) {
+            summary = await this.summarize(summary, older);
+            summarizedCount += older.reduce((sum, turn) => sum + turn.messageCount, 0);
+            turns = turns.slice(older.length);
+            chatHistoryService.updateSummary(sessionId, summary, summarizedCount);
+            logger.info(`Rolled ${older.length} earlier turns of session ${sessionId} into its conversation summary`);
+        }
+
+        return { summary, turns };
+    }
+
+    /**
+     * Chat messages as question and answer turns, each with the query its
+     * question was searched with and the number of messages it spans
+     */
+    turns(messages) {
+        const turns = [];
+        messages.forEach(message => {
+            if (message.type === 'user' || turns.length === 0) {
+                turns.push({ question: null, query: null, answer: null, messageCount: 0 });
+            }
+            const turn = turns[turns.length - 1];
+            turn.messageCount++;
+            if (message.type === 'user') {
+                turn.question = message.content;
+                turn.query = message.retrievalQuery || message.content;
+            }
+            if (message.type === 'assistant') turn.answer = message.content;
+        });
+        return turns.filter(turn => turn.question);
+    }
+
+    formatTurn(turn) {
+        const answer = turn.answer || '(no answer)';
+        return `Student: ${turn.question}\nAssistant: ${answer.length > MAX_ANSWER_LENGTH ? `${answer.substring(0, MAX_ANSWER_LENGTH)}...` : answer}`;
+    }
+
+    formatConversation(summary, turns) {
+        const parts = turns.map(turn => this.formatTurn(turn));
+        if (summary) {
+            parts.unshift(`Summary of the earlier conversation: ${summary}`);
+        }
+        return parts.length > 0 ? parts.join('\n\n') : null;
+    }
+
+    /**
+     * Standalone version of a follow-up question, or the question itself
+     * when it already stands on its own. Only questions that look like
+     * follow-ups (FOLLOW_UP_PATTERN) are sent to the model.
+     */
+    async rewrite(question, recentTurns) {
+        if (!FOLLOW_UP_PATTERN.test(question)) {
+            return question;
+        }
+
+        const prompt = `Rewrite the student's latest question as a standalone search query for their course documents. Replace references such as "it", "that" or "the second one" with what they refer to in the conversation. If the question already stands on its own, return it unchanged. Reply with the query only.
+
+CONVERSATION:
+${this.formatConversation(null, recentTurns)}
+
+LATEST QUESTION: ${question}
+
+STANDALONE QUERY:`;
+
+        try {
+            const response = await llm.forFeature('qa').generate(prompt);
+            const query = (response || '')
+                .split('\n')
+                .map(line => line.replace(/^(standalone query|query)\s*:\s*/i, '').replace(/^["'`]+|["'`]+$/g, '').trim())
+                .find(Boolean);
+
+            if (query && query.length <= MAX_QUERY_LENGTH) {
+                return query;
+            }
+        } catch (error) {
+            logger.warn(`Query rewriting failed, searching with the question as asked: ${error.message}`);
+        }
+
+        // Not pasted onto the previous query: its words (an earlier "total",
+        // say) would override what is asked now
+        return question;
+    }
+
+    /**
+     * Fold turns into the running summary
+     */
+    async summarize(summary, turns) {
+        const prompt = `Update the running summary of a study conversation with the new turns below. Keep the topics, documents and facts the student asked about and anything later questions may refer back to. Reply with the summary only, in at most 150 words.
+
+SUMMARY SO FAR:
+${summary || '(none)'}
+
+NEW TURNS:
+${turns.map(turn => this.formatTurn(turn)).join('\n\n')}
+
+UPDATED SUMMARY:`;
+
+        try {
+            const response = (await llm.forFeature('summarization').generate(prompt) || '').trim();
+            if (response) return response;
+        } catch (error) {
+            logger.warn(`Conversation summarization failed, keeping the earlier questions instead: ${error.message}`);
+        }
+
+        const questions = turns.map(turn => turn.question).join('; ');
+        return summary ? `${summary} Later questions: ${questions}` : `Earlier questions: ${questions}`;
+    }
+}
+
+module.exports = new ConversationService();
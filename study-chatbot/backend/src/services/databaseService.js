@@ -0,0 +1,211 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const sqlite3 = require('sqlite3');
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const migrations = require('../migrations');
+
+class DatabaseService {
+    constructor() {
+        this.dbPath = process.env.VECTOR_DB_PATH || './data/vector_store.db';
+        this.db = null;
+        this.isInitialized = false;
+        this.initPromise = null;
+        // Writes and transactions share one connection, so they take turns
+        this.writeQueue = Promise.resolve();
+        // Set while a transaction's work runs, so its own statements skip the queue
+        this.transactionScope = new AsyncLocalStorage();
+    }
+
+    /**
+     * Open the database and apply pending migrations. Safe to call repeatedly.
+     */
+    async initialize() {
+        if (this.isInitialized) return;
+        if (!this.initPromise) {
+            this.initPromise = this.open()
+                .then(() => this.migrate())
+                .then(() => {
+                    this.isInitialized = true;
+                    logger.info(`Database initialized at ${this.dbPath}`);
+                })
+                .catch(error => {
+                    this.initPromise = null;
+                    logger.error('Failed to initialize database:', error);
+                    throw error;
+                });
+        }
+        return this.initPromise;
+    }
+
+    open() {
+        if (this.dbPath !== ':memory:') {
+            fs.mkdirSync(path.dirname(path.resolve(this.dbPath)), { recursive: true });
+        }
+
+        return new Promise((resolve, reject) => {
+            const db = new sqlite3.Database(this.dbPath, error => {
+                if (error) return reject(error);
+
+                // Run statements strictly in call order so fire-and-forget writes stay consistent
+                db.serialize();
+                this.db = db;
+                this.exec('PRAGMA foreign_keys = ON; PRAGMA journal_mode = WAL;')
+                    .then(resolve)
+                    .catch(reject);
+            });
+        });
+    }
+
+    async migrate() {
+        await this.exec(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                version INTEGER PRIMARY KEY,
+                name TEXT NOT NULL,
+                applied_at TEXT NOT NULL
+            )
+        `);
+
+        const applied = new Set(
+            (await this.all('SELECT version FROM schema_migrations')).map(row => row.version)
+        );
+
+        for (const migration of migrations) {
+            if (applied.has(migration.version)) continue;
+
+            logger.info(`Applying migration ${migration.version}: ${migration.name}`);
+            await this.transaction(async () => {
+                await this.exec(migration.up);
+                await this.run(
+                    'INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)',
+                    [migration.version, migration.name, new Date().toISOString()]
+                );
+            });
+        }
+    }
+
+    exec(sql) {
+        return this.enqueueWrite(() => new Promise((resolve, reject) => {
+            this.ensureOpen();
+            this.db.exec(sql, error => (error ? reject(error) : resolve()));
+        }));
+    }
+
+    run(sql, params = []) {
+        return this.enqueueWrite(() => new Promise((resolve, reject) => {
+            this.ensureOpen();
+            this.db.run(sql, params, function (error) {
+                if (error) return reject(error);
+                resolve({ changes: this.changes, lastID: this.lastID });
+            });
+        }));
+    }
+
+    get(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.ensureOpen();
+            this.db.get(sql, params, (error, row) => (error ? reject(error) : resolve(row)));
+        });
+    }
+
+    all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.ensureOpen();
+            this.db.all(sql, params, (error, rows) => (error ? reject(error) : resolve(rows)));
+        });
+    }
+
+    /**
+     * Run a write once the writes and transactions queued before it have
+     * finished. Statements issued from inside a transaction's work belong to
+     * that transaction and run immediately.
+     */
+    enqueueWrite(task) {
+        if (this.transactionScope.getStore()) {
+            return task();
+        }
+
+        const result = this.writeQueue.then(task);
+        this.writeQueue = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Run `work` in a transaction. Transactions are queued behind each other
+     * and behind pending writes, since SQLite cannot nest them on one
+     * connection; a transaction started inside another joins it.
+     */
+    transaction(work) {
+        if (this.transactionScope.getStore()) {
+            return work();
+        }
+
+        return this.enqueueWrite(() => this.transactionScope.run(true, async () => {
+            await this.exec('BEGIN');
+            try {
+                const result = await work();
+                await this.exec('COMMIT');
+                return result;
+            } catch (error) {
+                await this.exec('ROLLBACK').catch(() => {});
+                throw error;
+            }
+        }));
+    }
+
+    /**
+     * Write-through helper for the in-memory caches kept by the services:
+     * never throws, and is a no-op when the database is unavailable.
+     */
+    persist(sql, params = []) {
+        if (!this.isInitialized) return Promise.resolve(null);
+
+        return this.run(sql, params).catch(error => {
+            logger.warn(`Database write failed: ${error.message}`);
+            return null;
+        });
+    }
+
+    ensureOpen() {
+        if (!this.db) {
+            throw new Error('Database is not initialized');
+        }
+    }
+
+    toJSON(value) {
+        return value === undefined ? null : JSON.stringify(value);
+    }
+
+    /**
+     * Dense vectors are stored as float32 blobs
+     */
+    toVectorBlob(vector) {
+        return vector ? Buffer.from(new Float32Array(vector).buffer) : null;
+    }
+
+    parseVectorBlob(blob) {
+        if (!blob) return null;
+        // Copy first: Buffers can start at offsets a Float32Array view cannot use
+        return Array.from(new Float32Array(new Uint8Array(blob).buffer));
+    }
+
+    parseJSON(value, fallback = null) {
+        if (value === null || value === undefined) return fallback;
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            return fallback;
+        }
+    }
+
+    async close() {
+        if (!this.db) return;
+
+        await new Promise(resolve => this.db.close(() => resolve()));
+        this.db = null;
+        this.isInitialized = false;
+        this.initPromise = null;
+    }
+}
+
+module.exports = new DatabaseService();
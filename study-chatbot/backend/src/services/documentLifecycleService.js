@@ -0,0 +1,280 @@
+const { v4: uuidv4 } = require('uuid');
+const accessService = require('./accessService');
+const advancedFeatures = require('./advancedFeatures');
+const chatHistoryService = require('./chatHistoryService');
+const configService = require('./configService');
+const contentCache = require('./contentCacheService');
+const database = require('./databaseService');
+const documentService = require('./documentService');
+const documentStorage = require('./documentStorageService');
+const documentVersions = require('./documentVersionService');
+const vectorDB = require('./enhancedVectorDB_simplified');
+const examTrackingService = require('./examTrackingService');
+const learningFeatures = require('./learningFeatures');
+const libraryService = require('./libraryService');
+const masteryService = require('./masteryService');
+const sectionService = require('./sectionService');
+const tableService = require('./tableService');
+const logger = require('./logger');
+
+const MAX_NAME_LENGTH = 255;
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 50;
+
+/**
+ * Renaming, tagging, copying, moving and deleting documents. Every store
+ * that refers to a document follows: the vector, lexical and dense
+ * indexes, the session listings, upload records and answer sources in the
+ * chat history, highlights, annotations and citations, flashcards and quiz
+ * questions drawn from it, concept mastery sources and exam links.
+ *
+ * A copy shares its content with the original, so copying embeds and
+ * stores nothing again. Content, its stored original and rendered page
+ * images are deleted with the last document (or version) that uses them.
+ * Every operation is scoped to the session that owns the document.
+ */
+class DocumentLifecycleService {
+    /**
+     * Summary of a document for listings
+     */
+    describe(doc) {
+        const metadata = doc.metadata || {};
+        return {
+            documentId: doc.id,
+            name: metadata.originalname || metadata.filename || 'Unknown Document',
+            filename: metadata.filename || null,
+            tags: metadata.tags || [],
+            version: metadata.version || 1,
+            chunkCount: doc.chunks.length,
+            size: metadata.storage?.size ?? metadata.size ?? null,
+            mimetype: metadata.mimetype || null,
+            uploadedAt: metadata.uploadedAt || null,
+            copiedFrom: metadata.copiedFrom || null
+        };
+    }
+
+    /**
+     * Documents of a session, optionally only those with a tag
+     */
+    listDocuments(sessionId, { tag = null } = {}) {
+        return (vectorDB.sessionDocuments.get(sessionId) || [])
+            .map(documentId => vectorDB.documents.get(documentId))
+            .filter(doc => doc && (!tag || (doc.metadata?.tags || []).includes(tag)))
+            .map(doc => this.describe(doc));
+    }
+
+    normalizeName(name) {
+        const normalized = typeof name === 'string' ? name.trim() : '';
+        if (!normalized || normalized.length > MAX_NAME_LENGTH) {
+            throw new Error(`Invalid name: must be a non-empty string of at most ${MAX_NAME_LENGTH} characters`);
+        }
+        return normalized;
+    }
+
+    normalizeTags(tags) {
+        if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+            throw new Error('Invalid tags: must be an array of strings');
+        }
+
+        const normalized = [...new Set(tags.map(tag => tag.trim()).filter(Boolean))];
+        if (normalized.length > MAX_TAGS || normalized.some(tag => tag.length > MAX_TAG_LENGTH)) {
+            throw new Error(`Invalid tags: at most ${MAX_TAGS} tags of at most ${MAX_TAG_LENGTH} characters`);
+        }
+        return normalized;
+    }
+
+    /**
+     * Rename a document and/or replace its tags
+     * @param {Object} changes - { name, tags }
+     */
+    async updateDocument(sessionId, documentId, changes = {}) {
+        const doc = documentStorage.getDocument(sessionId, documentId);
+        if (changes.name === undefined && changes.tags === undefined) {
+            throw new Error('Invalid update: name or tags is required');
+        }
+
+        // Validate everything before changing anything
+        const name = changes.name !== undefined ? this.normalizeName(changes.name) : null;
+        const tags = changes.tags !== undefined ? this.normalizeTags(changes.tags) : null;
+
+        if (name) doc.metadata.originalname = name;
+        if (tags) doc.metadata.tags = tags;
+        await vectorDB.updateMetadata(documentId);
+
+        if (name) {
+            await documentService.updateRegisteredDocument(sessionId, documentService.createListing(doc));
+        }
+
+        logger.info(`Updated document ${documentId}${name ? ` (renamed to "${name}")` : ''}${tags ? ` (${tags.length} tags)` : ''}`);
+        return this.describe(doc);
+    }
+
+    /**
+     * Target session of a copy or move, which must exist, differ from the
+     * document's own and accept documents from the session: either it
+     * granted the session read access (accessService), or the caller holds
+     * its session token. Documents are added to a library by uploading
+     * them to it, never copied or moved in.
+     * @param {string} targetSessionToken - Token of the target session
+     */
+    checkTargetSession(sessionId, targetSessionId, targetSessionToken) {
+        if (!targetSessionId || typeof targetSessionId !== 'string') {
+            throw new Error('Invalid target session: targetSessionId is required');
+        }
+        if (targetSessionId === sessionId) {
+            throw new Error('Invalid target session: the document is already in this session');
+        }
+        if (libraryService.isLibraryKey(targetSessionId)) {
+            throw new Error('Invalid target session: documents are added to a library by uploading them to it');
+        }
+        if (!configService.getSession(targetSessionId) && !documentService.sessions.has(targetSessionId)) {
+            throw new Error('Target session not found');
+        }
+        if (!accessService.canReadSession(sessionId, targetSessionId)) {
+            configService.requireSessionToken(targetSessionId, targetSessionToken);
+        }
+    }
+
+    /**
+     * Copy a document into another session. The copy starts its own version
+     * history and keeps its own highlights, flashcards and chat history.
+     * @param {string} targetSessionToken - See checkTargetSession
+     * @returns {Object} - The copy, described as in listDocuments
+     */
+    async copyDocument(sessionId, documentId, targetSessionId, targetSessionToken) {
+        const doc = documentStorage.getDocument(sessionId, documentId);
+        this.checkTargetSession(sessionId, targetSessionId, targetSessionToken);
+
+        const copyId = uuidv4();
+        const { version, ...metadata } = doc.metadata;
+        await vectorDB.copyDocument(documentId, copyId, targetSessionId, {
+            ...metadata,
+            tags: [...(metadata.tags || [])],
+            copiedFrom: { documentId, sessionId, copiedAt: new Date().toISOString() }
+        });
+
+        // Documents from before the content cache have their own pages and tables
+        if (!metadata.contentId) {
+            await database.persist(
+                `INSERT INTO document_pages (document_id, page_number, start_offset, end_offset, text, ocr_confidence)
+                 SELECT ?, page_number, start_offset, end_offset, text, ocr_confidence FROM document_pages WHERE document_id = ?`,
+                [copyId, documentId]
+            );
+            await database.persist(
+                `INSERT INTO document_tables (document_id, table_index, page_start, page_end, caption, columns, rows, source, start_offset, end_offset)
+                 SELECT ?, table_index, page_start, page_end, caption, columns, rows, source, start_offset, end_offset FROM document_tables WHERE document_id = ?`,
+                [copyId, documentId]
+            );
+        }
+
+        const copy = vectorDB.documents.get(copyId);
+        await documentService.registerDocuments(targetSessionId, [documentService.createListing(copy)]);
+
+        logger.info(`Copied document ${documentId} from session ${sessionId} to ${targetSessionId} as ${copyId}`);
+        return this.describe(copy);
+    }
+
+    /**
+     * Move a document to another session, with its highlights, annotations
+     * and upload records. Flashcards, quizzes and answers generated in the
+     * old session stay there.
+     * @param {string} targetSessionToken - See checkTargetSession
+     */
+    async moveDocument(sessionId, documentId, targetSessionId, targetSessionToken) {
+        const doc = documentStorage.getDocument(sessionId, documentId);
+        this.checkTargetSession(sessionId, targetSessionId, targetSessionToken);
+
+        await vectorDB.moveDocument(documentId, targetSessionId);
+        await documentService.unregisterDocument(sessionId, documentId);
+        await documentService.registerDocuments(targetSessionId, [documentService.createListing(doc)]);
+
+        advancedFeatures.moveDocument(sessionId, documentId, targetSessionId);
+        chatHistoryService.moveDocument(sessionId, documentId, targetSessionId);
+        examTrackingService.removeDocument(sessionId, documentId);
+
+        logger.info(`Moved document ${documentId} from session ${sessionId} to ${targetSessionId}`);
+        return this.describe(doc);
+    }
+
+    /**
+     * Delete a document and everything derived from it
+     * @returns {Object} - What was removed from each store
+     */
+    async deleteDocument(sessionId, documentId) {
+        const doc = documentStorage.getDocument(sessionId, documentId);
+
+        // Every content the document ever used, by the name of its stored original
+        const versions = await documentVersions.loadVersions(documentId);
+        const contentIds = new Set([
+            doc.metadata?.contentId || (doc.metadata?.storage && contentCache.contentId(doc.metadata.storage)),
+            ...versions.map(version => version.contentId)
+        ].filter(Boolean));
+
+        await vectorDB.deleteDocument(documentId);
+        documentStorage.pages.delete(documentId);
+        tableService.tables.delete(documentId);
+        sectionService.tocs.delete(documentId);
+        contentCache.signatures.delete(documentId);
+        documentVersions.versions.delete(documentId);
+        await documentService.unregisterDocument(sessionId, documentId);
+
+        const removed = {
+            chunks: doc.chunks.length,
+            chatHistory: chatHistoryService.removeDocument(sessionId, documentId),
+            annotations: advancedFeatures.removeDocument(sessionId, documentId),
+            learningContent: learningFeatures.removeDocumentSources(sessionId, documentId),
+            conceptSources: masteryService.removeDocument(sessionId, documentId),
+            exams: examTrackingService.removeDocument(sessionId, documentId),
+            contents: 0
+        };
+
+        for (const contentId of contentIds) {
+            if (await this.releaseContent(contentId)) {
+                removed.contents++;
+            }
+        }
+
+        logger.info(`Deleted document ${documentId} from session ${sessionId}`);
+        return { documentId, removed };
+    }
+
+    /**
+     * Delete a content, its stored original and page images unless another
+     * document or version still uses them
+     * @returns {boolean} - Whether the content was deleted
+     */
+    async releaseContent(contentId) {
+        const inUse = vectorDB.getAllDocuments().some(doc =>
+            doc.metadata?.contentId === contentId ||
+            (doc.metadata?.storage && contentCache.contentId(doc.metadata.storage) === contentId)
+        ) || Array.from(documentVersions.versions.values()).some(versions =>
+            versions.some(version => version.contentId === contentId)
+        ) || (database.isInitialized &&
+            await database.get('SELECT 1 FROM document_versions WHERE content_id = ? LIMIT 1', [contentId]));
+        if (inUse) return false;
+
+        await contentCache.remove(contentId);
+        // Content IDs are the SHA-256 of the original followed by its extension
+        const [, hash, extension] = contentId.match(/^([0-9a-f]{64})(.*)$/) || [];
+        if (hash) {
+            await documentStorage.removeOriginal(hash, extension);
+        }
+        return true;
+    }
+
+    /**
+     * Delete a session's documents, each with everything derived from it,
+     * and the session's document records
+     */
+    async deleteSession(sessionId) {
+        const documentIds = [...(vectorDB.sessionDocuments.get(sessionId) || [])];
+        for (const documentId of documentIds) {
+            await this.deleteDocument(sessionId, documentId);
+        }
+
+        const result = await documentService.deleteSession(sessionId);
+        return { ...result, documentsDeleted: documentIds.length };
+    }
+}
+
+module.exports = new DocumentLifecycleService();
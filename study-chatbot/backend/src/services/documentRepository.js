@@ -0,0 +1,170 @@
+const vectorDB = require('./enhancedVectorDB_simplified');
+const accessService = require('./accessService');
+const logger = require('./logger');
+
+/**
+ * Read access to uploaded documents for every route and service. Documents
+ * uploaded through /api/upload and /api/upload/pdf both land in the vector
+ * database, so chat, search, summaries and learning features all see the
+ * same content. A session reads its own documents and those of the
+ * libraries attached to it (accessService.searchSessions).
+ *
+ * Chunk results keep the shape the PDF routes and learning features were
+ * written against (`content`, `metadata.filename`, `metadata.chunkIndex`,
+ * `relevance`) alongside the search fields (`text`, `similarity`, `scores`).
+ */
+class DocumentRepository {
+    toChunkResult(result) {
+        return {
+            documentId: result.documentId,
+            chunkIndex: result.chunkIndex,
+            text: result.text,
+            content: result.text,
+            metadata: {
+                ...result.metadata,
+                filename: result.metadata?.originalname || result.metadata?.filename || 'Unknown',
+                documentId: result.documentId,
+                chunkIndex: result.chunkIndex
+            },
+            provenance: result.provenance || null,
+            similarity: result.similarity,
+            relevance: result.similarity,
+            score: result.score,
+            retrieval: result.retrieval,
+            scores: result.scores
+        };
+    }
+
+    /**
+     * Best matching chunks across all documents of a session
+     */
+    async similaritySearch(query, sessionId, k = 5) {
+        const results = await vectorDB.semanticSearch(query, accessService.searchSessions(sessionId), k);
+        return results.map(result => this.toChunkResult(result));
+    }
+
+    /**
+     * Best matching chunks within specific documents of a session
+     */
+    async searchInDocuments(query, documentIds, sessionId, k = 5) {
+        const results = await vectorDB.semanticSearch(query, accessService.searchSessions(sessionId), k, documentIds);
+        if (results.length > 0) {
+            return results.map(result => this.toChunkResult(result));
+        }
+        return this.getChunks(sessionId, documentIds, k);
+    }
+
+    /**
+     * Chunks in document order, without ranking. Used when generic queries
+     * such as "key concepts" match nothing but the caller wants the
+     * documents' content anyway.
+     */
+    getChunks(sessionId, documentIds = null, k = 20) {
+        const isSearchable = vectorDB.createChunkFilter(accessService.searchSessions(sessionId), documentIds);
+        const chunks = [];
+
+        for (const chunk of vectorDB.embeddings.values()) {
+            if (chunks.length >= k) break;
+            if (isSearchable(chunk)) {
+                chunks.push(this.toChunkResult({ ...chunk, similarity: 0, score: 0, retrieval: 'sequential' }));
+            }
+        }
+        return chunks;
+    }
+
+    /**
+     * Concatenated context for a query, limited to roughly `maxTokens`
+     */
+    async getRelevantContext(query, sessionId, maxTokens = 4000) {
+        try {
+            let results = await this.similaritySearch(query, sessionId, 20);
+            if (results.length === 0) {
+                results = this.getChunks(sessionId);
+            }
+
+            let contextText = '';
+            let tokenCount = 0;
+            const sources = [];
+
+            // Rough approximation: 1 token ≈ 4 characters
+            const estimateTokens = (text) => Math.ceil(text.length / 4);
+
+            for (const result of results) {
+                const chunkTokens = estimateTokens(result.content);
+                if (tokenCount + chunkTokens > maxTokens) break;
+
+                contextText += `\n[${result.metadata.filename} - Chunk ${result.chunkIndex}]\n${result.content}\n`;
+                tokenCount += chunkTokens;
+
+                sources.push({
+                    documentId: result.documentId,
+                    filename: result.metadata.filename,
+                    chunkIndex: result.chunkIndex,
+                    relevance: Math.round(result.relevance * 100) / 100
+                });
+            }
+
+            return {
+                context: contextText.trim(),
+                sources,
+                tokenCount,
+                query,
+                documentsUsed: new Set(sources.map(source => source.documentId)).size
+            };
+        } catch (error) {
+            logger.error('Error getting relevant context:', error);
+            throw new Error(`Failed to get relevant context: ${error.message}`);
+        }
+    }
+
+    /**
+     * Documents whose content best matches `content`, one entry per document
+     */
+    async findSimilarDocuments(content, sessionId, k = 3) {
+        const results = await this.similaritySearch(content, sessionId, k * 3);
+        const documentMatches = {};
+
+        results.forEach(result => {
+            const match = documentMatches[result.documentId];
+            if (!match || result.relevance > match.relevance) {
+                documentMatches[result.documentId] = {
+                    documentId: result.documentId,
+                    filename: result.metadata.filename,
+                    bestMatch: result.content,
+                    relevance: result.relevance,
+                    chunkIndex: result.chunkIndex
+                };
+            }
+        });
+
+        return Object.values(documentMatches)
+            .sort((a, b) => b.relevance - a.relevance)
+            .slice(0, k);
+    }
+
+    getSessionDocuments(sessionId) {
+        return vectorDB.getAllDocuments()
+            .filter(doc => doc.sessionId === sessionId)
+            .map(doc => ({
+                documentId: doc.id,
+                sessionId: doc.sessionId,
+                filename: doc.metadata?.originalname || doc.metadata?.filename,
+                numChunks: doc.chunks.length,
+                wordCount: doc.metadata?.wordCount,
+                processedAt: doc.addedAt
+            }));
+    }
+
+    getSessionStats(sessionId) {
+        const documents = this.getSessionDocuments(sessionId);
+
+        return {
+            sessionId,
+            ...vectorDB.getSessionStats(sessionId),
+            documentCount: documents.length,
+            documents
+        };
+    }
+}
+
+module.exports = new DocumentRepository();
@@ -1,11 +1,20 @@
+const accessService = require('./accessService');
 const aiService = require('./aiService');
 const enhancedAIService = require('./enhancedAIService');
 const vectorDB = require('./enhancedVectorDB_simplified');
+const rerankerService = require('./rerankerService');
+const configService = require('./configService');
 const documentProcessor = require('./enhancedDocumentProcessor_simplified');
+const contentCache = require('./contentCacheService');
+const documentStorage = require('./documentStorageService');
+const documentVersions = require('./documentVersionService');
+const libraryService = require('./libraryService');
+const sectionService = require('./sectionService');
 const { v4: uuidv4 } = require('uuid');
 const fs = require('fs').promises;
 const path = require('path');
 const logger = require('./logger');
+const database = require('./databaseService');
 
 class DocumentService {
     constructor() {
@@ -19,6 +28,7 @@ class DocumentService {
             // Initialize enhanced components
             await vectorDB.initialize();
             await documentProcessor.initialize();
+            await this.restoreSessions();
             
             // Ensure upload directory exists
             await fs.mkdir(this.uploadDirectory, { recursive: true });
@@ -31,6 +41,45 @@ class DocumentService {
         }
     }
 
+    async restoreSessions() {
+        try {
+            await database.initialize();
+            const rows = await database.all('SELECT * FROM document_sessions');
+
+            rows.forEach(row => {
+                const documents = vectorDB.getAllDocuments()
+                    .filter(doc => doc.sessionId === row.session_id)
+                    .map(doc => this.createListing(doc));
+
+                const session = {
+                    documents,
+                    metadata: database.parseJSON(row.metadata, {})
+                };
+                const usage = database.parseJSON(row.usage);
+                if (usage) session.usage = usage;
+
+                this.sessions.set(row.session_id, session);
+            });
+
+            logger.info(`Restored ${rows.length} document sessions from database`);
+        } catch (error) {
+            logger.warn(`Document session persistence unavailable: ${error.message}`);
+        }
+    }
+
+    saveSession(sessionId) {
+        const session = this.sessions.get(sessionId);
+        if (!session) return Promise.resolve(null);
+
+        return database.persist(
+            `INSERT INTO document_sessions (session_id, metadata, usage, updated_at)
+             VALUES (?, ?, ?, ?)
+             ON CONFLICT(session_id) DO UPDATE SET
+               metadata = excluded.metadata, usage = excluded.usage, updated_at = excluded.updated_at`,
+            [sessionId, database.toJSON(session.metadata), database.toJSON(session.usage), new Date().toISOString()]
+        );
+    }
+
     async processDocuments(files, sessionId, options = {}) {
         try {
             if (!this.isInitialized) {
@@ -71,24 +120,7 @@ class DocumentService {
                 }
             }
 
-            // Update session metadata
-            if (!this.sessions.has(sessionId)) {
-                this.sessions.set(sessionId, {
-                    documents: [],
-                    metadata: {
-                        createdAt: new Date(),
-                        totalDocuments: 0,
-                        totalChunks: 0,
-                        processingOptions: options
-                    }
-                });
-            }
-
-            const session = this.sessions.get(sessionId);
-            session.documents.push(...results);
-            session.metadata.totalDocuments += results.length;
-            session.metadata.totalChunks += results.reduce((sum, r) => sum + r.chunkCount, 0);
-            session.metadata.lastUpdated = new Date();
+            await this.registerDocuments(sessionId, results, options);
 
             return {
                 success: true,
@@ -106,59 +138,231 @@ class DocumentService {
         }
     }
 
+    /**
+     * Add processed documents to the session: session metadata, the app
+     * session's document list and the persisted session row
+     */
+    async registerDocuments(sessionId, results, options = {}) {
+        if (!this.sessions.has(sessionId)) {
+            this.sessions.set(sessionId, {
+                documents: [],
+                metadata: {
+                    createdAt: new Date(),
+                    totalDocuments: 0,
+                    totalChunks: 0,
+                    processingOptions: options
+                }
+            });
+        }
+
+        // Register with the app session so /api/upload and /api/upload/pdf uploads
+        // are listed the same way by the upload, PDF and learning routes
+        results.forEach(result => {
+            configService.addDocumentToSession(sessionId, result.documentId, result.originalname || result.filename);
+        });
+
+        const session = this.sessions.get(sessionId);
+        session.documents.push(...results);
+        session.metadata.totalDocuments += results.length;
+        session.metadata.totalChunks += results.reduce((sum, r) => sum + r.chunkCount, 0);
+        session.metadata.lastUpdated = new Date();
+        await this.saveSession(sessionId);
+    }
+
+    /**
+     * Update the session's listing of a document after a new version or a
+     * rename
+     */
+    async updateRegisteredDocument(sessionId, result) {
+        configService.updateSessionDocument(sessionId, result.documentId, result.originalname || result.filename);
+
+        const session = this.sessions.get(sessionId);
+        if (!session) return;
+
+        const index = session.documents.findIndex(doc => doc.documentId === result.documentId);
+        if (index !== -1) {
+            session.metadata.totalChunks += result.chunkCount - session.documents[index].chunkCount;
+            session.documents[index] = result;
+        }
+        session.metadata.lastUpdated = new Date();
+        await this.saveSession(sessionId);
+    }
+
+    /**
+     * Remove a document from the session's listings
+     */
+    async unregisterDocument(sessionId, documentId) {
+        configService.removeDocumentFromSession(sessionId, documentId);
+
+        const session = this.sessions.get(sessionId);
+        if (!session) return;
+
+        const index = session.documents.findIndex(doc => doc.documentId === documentId);
+        if (index !== -1) {
+            session.metadata.totalDocuments -= 1;
+            session.metadata.totalChunks -= session.documents[index].chunkCount;
+            session.documents.splice(index, 1);
+        }
+        session.metadata.lastUpdated = new Date();
+        await this.saveSession(sessionId);
+    }
+
+    /**
+     * Session listing of a document in the vector database
+     */
+    createListing(doc) {
+        return {
+            documentId: doc.id,
+            filename: doc.metadata?.filename,
+            originalname: doc.metadata?.originalname,
+            success: true,
+            wordCount: doc.metadata?.wordCount,
+            characterCount: doc.metadata?.characterCount,
+            chunkCount: doc.chunks.length,
+            metadata: doc.metadata,
+            processingMethod: 'enhanced'
+        };
+    }
+
     async processSingleDocument(file, sessionId, options = {}) {
-        const { useEnhancedProcessing, chunkingOptions, enableOCR, enableSemanticAnalysis } = options;
+        try {
+            return await this.ingestFile(file, sessionId, options);
+        } finally {
+            // Clean up the uploaded file; the original is kept in document storage
+            try {
+                await fs.unlink(file.path);
+            } catch (cleanupError) {
+                logger.warn(`Failed to cleanup file ${file.path}:`, cleanupError);
+            }
+        }
+    }
+
+    /**
+     * Extract, chunk, embed and index one uploaded file, keeping a copy of
+     * the original and its page texts for the document viewer. A file that
+     * was uploaded before, in any session, reuses the processed content of
+     * that upload. The result lists documents of the session with the same
+     * or nearly the same material, with a warning for each. The uploaded
+     * file is left in place so the caller can retry.
+     * @param {Object} options - Processing options plus `onProgress(stage)`
+     *   and `extract(filePath, filename, { onProgress })`, which defaults to
+     *   the in-process document processor
+     */
+    async ingestFile(file, sessionId, options = {}) {
+        const { useEnhancedProcessing = true, onProgress = () => {} } = options;
         const documentId = uuidv4();
-        const filePath = file.path;
 
         try {
-            let processed;
-
-            // Use enhanced document processor with advanced features
-            processed = await documentProcessor.processDocument(filePath, file.filename);
+            const content = await this.prepareContent(file, options);
+            const duplicates = await contentCache.findDuplicates(sessionId, content.contentId, content.signatures);
 
             // Add document to vector database
-            await vectorDB.addDocument(
-                documentId,
-                processed.chunks,
-                {
-                    filename: file.filename,
-                    originalname: file.originalname,
-                    mimetype: file.mimetype,
-                    size: file.size,
-                    uploadedAt: new Date().toISOString(),
-                    ...processed.metadata
-                },
-                sessionId
-            );
+            await vectorDB.addDocument(documentId, content.processed.chunks, content.metadata, sessionId, { onProgress });
 
-            logger.info(`Successfully processed ${file.filename}: ${processed.chunkCount} chunks`);
+            logger.info(`Successfully processed ${file.filename}: ${content.processed.chunkCount} chunks${content.cached ? ' (cached)' : ''}`);
 
             return {
-                documentId,
-                filename: file.filename,
-                originalname: file.originalname,
-                success: true,
-                wordCount: processed.wordCount,
-                characterCount: processed.characterCount,
-                chunkCount: processed.chunkCount,
-                metadata: processed.metadata,
-                processingMethod: useEnhancedProcessing ? 'enhanced' : 'basic'
+                ...this.createResult(documentId, file, content, useEnhancedProcessing),
+                duplicates,
+                warnings: duplicates.map(duplicate => duplicate.match === 'exact'
+                    ? `This file is already in the session as "${duplicate.filename}"`
+                    : `${Math.round(duplicate.similarity * 100)}% of this file's content is already in the session in "${duplicate.filename}"`)
             };
 
         } catch (error) {
             logger.error(`Failed to process document ${file.filename}:`, error);
             throw error;
-        } finally {
-            // Clean up uploaded file
-            try {
-                await fs.unlink(filePath);
-            } catch (cleanupError) {
-                logger.warn(`Failed to cleanup file ${filePath}:`, cleanupError);
-            }
         }
     }
 
+    /**
+     * Make an uploaded file the next version of an existing document, like
+     * ingestFile but re-embedding only the chunks whose text changed. The
+     * result has the new version with its changes.
+     * @param {string} documentId - Document the file is a new version of
+     */
+    async ingestVersion(file, sessionId, documentId, options = {}) {
+        const { useEnhancedProcessing = true, onProgress = () => {} } = options;
+
+        try {
+            documentStorage.getDocument(sessionId, documentId);
+            const content = await this.prepareContent(file, options);
+            const version = await documentVersions.addVersion(sessionId, documentId, content, { onProgress });
+
+            logger.info(`Successfully processed ${file.filename} as version ${version.version} of document ${documentId}`);
+
+            return {
+                ...this.createResult(documentId, file, content, useEnhancedProcessing),
+                version: version.version,
+                changes: {
+                    chunks: version.changes.chunks,
+                    passages: version.changes.passages,
+                    stale: version.changes.stale
+                }
+            };
+
+        } catch (error) {
+            logger.error(`Failed to process new version of document ${documentId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Processed content of an uploaded file, taken from an earlier upload of
+     * the same file when there is one, with the document metadata for it.
+     * The original is kept in document storage.
+     * @returns {Object} - { contentId, processed, cached, signatures, metadata }
+     */
+    async prepareContent(file, options = {}) {
+        const {
+            onProgress = () => {},
+            extract = (filePath, filename, extractOptions) => documentProcessor.processDocument(filePath, filename, extractOptions)
+        } = options;
+
+        const hash = await documentStorage.hashFile(file.path);
+        const contentId = contentCache.contentId({ hash, extension: path.extname(file.originalname || file.path).toLowerCase() });
+        const cached = await contentCache.get(contentId);
+
+        // Use enhanced document processor with advanced features
+        const processed = cached || await extract(file.path, file.filename, { onProgress });
+        const storage = await documentStorage.storeOriginal(file.path, file.originalname, hash);
+        const signatures = cached
+            ? (await contentCache.loadContent(contentId)).signatures
+            : await contentCache.store(contentId, processed);
+
+        return {
+            contentId,
+            processed,
+            cached: Boolean(cached),
+            signatures,
+            metadata: {
+                ...processed.metadata,
+                filename: file.filename,
+                originalname: file.originalname,
+                mimetype: file.mimetype,
+                size: file.size,
+                uploadedAt: new Date().toISOString(),
+                storage,
+                contentId
+            }
+        };
+    }
+
+    createResult(documentId, file, content, useEnhancedProcessing) {
+        return {
+            documentId,
+            filename: file.filename,
+            originalname: file.originalname,
+            success: true,
+            wordCount: content.processed.wordCount,
+            characterCount: content.processed.characterCount,
+            chunkCount: content.processed.chunkCount,
+            metadata: content.processed.metadata,
+            processingMethod: useEnhancedProcessing ? 'enhanced' : 'basic',
+            cached: content.cached
+        };
+    }
+
     async askQuestion(question, sessionId, options = {}) {
         try {
             if (!this.isInitialized) {
@@ -170,7 +374,13 @@ class DocumentService {
                 maxResults = 10,
                 confidenceThreshold = 0.1,
                 includeAnalysis = true,
-                responseFormat = 'comprehensive'
+                responseFormat = 'comprehensive',
+                documentIds = null,
+                section = null,
+                includeSessions = null,
+                retrievalQuery = null,
+                conversation = null,
+                regenerateUnsupported = null
             } = options;
 
             logger.info(`Processing question for session ${sessionId}: ${question.substring(0, 100)}...`);
@@ -184,16 +394,19 @@ class DocumentService {
                     confidenceThreshold,
                     includeAnalysis,
                     responseFormat,
+                    documentIds,
+                    section,
+                    includeSessions,
+                    retrievalQuery,
+                    conversation,
+                    regenerateUnsupported,
                     enableCrossDocument: true,
                     enableReRanking: true
                 });
             } else {
                 // Fallback to basic AI service
-                const context = await vectorDB.getRelevantContext(question, sessionId);
-                response = await aiService.processQA(question, context.context, {
-                    sessionId,
-                    includeSourceInfo: true
-                });
+                const context = await vectorDB.getRelevantContext(retrievalQuery || question, sessionId);
+                response = await aiService.answerQuestion(question, context.context, 'medium', context.sources);
                 
                 // Add basic analysis
                 response.analysis = {
@@ -211,6 +424,12 @@ class DocumentService {
                 question,
                 answer: response.answer,
                 sources: response.sources || [],
+                citationMarkers: response.citationMarkers || [],
+                warning: response.warning || null,
+                faithfulness: response.faithfulness || null,
+                unsupportedClaims: response.unsupportedClaims || [],
+                regeneration: response.regeneration || null,
+                table: response.table || null,
                 analysis: response.analysis || {},
                 sessionId,
                 timestamp: new Date().toISOString()
@@ -225,25 +444,48 @@ class DocumentService {
     async searchDocuments(query, sessionId, options = {}) {
         try {
             const {
-                searchType = 'semantic', // 'semantic', 'keyword', 'hybrid'
+                searchType = 'semantic', // 'semantic', 'keyword', 'cross-document'
                 maxResults = 20,
-                documentIds = null,
-                includeSnippets = true
+                includeSnippets = true,
+                section = null,
+                includeSessions = null
             } = options;
 
             logger.info(`Searching documents for session ${sessionId}: ${query}`);
 
+            // The session's own documents, and those of the sessions it opted in to and may read
+            const sessions = accessService.searchSessions(sessionId, includeSessions);
+            // Searching a section searches only the documents that have it
+            const scope = section ? await sectionService.resolveScope(sessions, section, options.documentIds) : null;
+            const documentIds = scope ? Array.from(scope.keys()) : options.documentIds || null;
+
             let results;
+            let stages;
+            let reranker = 'none';
 
             switch (searchType) {
-                case 'semantic':
-                    results = await vectorDB.semanticSearch(query, sessionId, maxResults, documentIds);
+                case 'keyword':
+                    results = await vectorDB.keywordSearch(query, sessions, maxResults, documentIds, scope);
+                    stages = ['bm25'];
                     break;
                 case 'cross-document':
-                    results = await vectorDB.crossDocumentSearch(query, sessionId, maxResults);
+                    // Best chunk of each document, in document relevance order
+                    results = (await vectorDB.crossDocumentSearch(query, sessions, maxResults, documentIds, scope)).map(group => ({
+                        ...group.chunks[0],
+                        documentRelevance: group.relevanceScore
+                    }));
+                    stages = ['bm25', 'dense', 'rrf'];
                     break;
-                default:
-                    results = await vectorDB.semanticSearch(query, sessionId, maxResults, documentIds);
+                case 'semantic':
+                default: {
+                    const reranked = await rerankerService.rerank(
+                        query,
+                        await vectorDB.semanticSearch(query, sessions, maxResults, documentIds, scope)
+                    );
+                    results = reranked.results;
+                    reranker = reranked.reranker;
+                    stages = reranker === 'none' ? ['bm25', 'dense', 'rrf'] : ['bm25', 'dense', 'rrf', 'rerank'];
+                }
             }
 
             return {
@@ -251,6 +493,7 @@ class DocumentService {
                 query,
                 results: results.map(result => ({
                     documentId: result.documentId,
+                    library: libraryService.libraryOf(result.documentId),
                     filename: result.metadata?.filename || 'Unknown',
                     source: result.metadata?.filename || 'Unknown Document',
                     content: result.text || 'No content available',
@@ -259,10 +502,19 @@ class DocumentService {
                     similarity: Math.round(result.similarity * 100) / 100,
                     chunkIndex: result.chunkIndex,
                     page: result.chunkIndex ? result.chunkIndex + 1 : null,
+                    retrieval: result.retrieval || 'lexical',
+                    scores: this.roundScores(result.scores),
+                    documentRelevance: result.documentRelevance,
                     metadata: result.metadata
                 })),
                 totalResults: results.length,
                 searchType,
+                section,
+                pipeline: {
+                    stages,
+                    reranker,
+                    rrfK: configService.config.rrfK
+                },
                 sessionId
             };
 
@@ -272,6 +524,22 @@ class DocumentService {
         }
     }
 
+    /**
+     * Per-stage retrieval scores, rounded for display. Ranks are kept as-is
+     * and stages that did not return the chunk stay null.
+     */
+    roundScores(scores) {
+        if (!scores) return null;
+
+        const rounded = {};
+        Object.entries(scores).forEach(([stage, value]) => {
+            rounded[stage] = typeof value === 'number' && !stage.endsWith('Rank')
+                ? Math.round(value * 10000) / 10000
+                : value;
+        });
+        return rounded;
+    }
+
     createSnippet(text, query, maxLength = 200) {
         const queryLower = query.toLowerCase();
         const textLower = text.toLowerCase();
@@ -340,10 +608,12 @@ class DocumentService {
         session.usage.questionsAsked += 1;
         session.usage.lastActivity = new Date();
         session.usage.lastQuestion = question.substring(0, 100);
+        this.saveSession(sessionId);
     }
 
     async getDocumentStructure(documentId, sessionId) {
         try {
+            documentStorage.getReadableDocument(sessionId, documentId);
             return vectorDB.getDocumentStructure(documentId);
         } catch (error) {
             logger.error(`Failed to get document structure for ${documentId}:`, error);
@@ -358,6 +628,7 @@ class DocumentService {
             
             // Remove from local sessions
             this.sessions.delete(sessionId);
+            await database.persist('DELETE FROM document_sessions WHERE session_id = ?', [sessionId]);
             
             logger.info(`Deleted session ${sessionId}`);
             return { success: true, sessionId };
@@ -0,0 +1,291 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const pdf2pic = require('pdf2pic');
+const configService = require('./configService');
+const contentCache = require('./contentCacheService');
+const database = require('./databaseService');
+const libraryService = require('./libraryService');
+const vectorDB = require('./enhancedVectorDB_simplified');
+
+/**
+ * Original uploads and their extracted pages, for the document viewer.
+ * Originals are kept in content-addressed storage: each file is named by
+ * the SHA-256 of its contents, so uploading the same file twice stores it
+ * once. Every read is scoped to the session that owns the document, or to
+ * the sessions its library is attached to; other sessions get the same
+ * "not found" as for a missing document.
+ *
+ * Pages are kept with their span in the extracted text, which is the
+ * coordinate system of chunk provenance and citation quote spans, so any
+ * span can be mapped back onto the pages it covers. They are read from the
+ * document's processed content; documents from before the content cache
+ * have their own stored pages.
+ */
+class DocumentStorageService {
+    constructor() {
+        this.pages = new Map(); // documentId -> pages, filled on first read
+    }
+
+    storageRoot() {
+        return path.resolve(configService.get('documentStoragePath'));
+    }
+
+    storagePath(hash, extension) {
+        return path.join(this.storageRoot(), hash.slice(0, 2), `${hash}${extension}`);
+    }
+
+    hashFile(filePath) {
+        return new Promise((resolve, reject) => {
+            const hash = crypto.createHash('sha256');
+            fs.createReadStream(filePath)
+                .on('data', data => hash.update(data))
+                .on('error', reject)
+                .on('end', () => resolve(hash.digest('hex')));
+        });
+    }
+
+    /**
+     * Copy an uploaded file into storage. The upload itself is left in place.
+     * @param {string} filePath - Uploaded file
+     * @param {string} originalname - Name the file was uploaded with
+     * @param {string} [hash] - SHA-256 of the file, when already computed
+     * @returns {Object} - { hash, extension, size } for the document metadata
+     */
+    async storeOriginal(filePath, originalname, hash = null) {
+        hash = hash || await this.hashFile(filePath);
+        const extension = path.extname(originalname || filePath).toLowerCase();
+        const target = this.storagePath(hash, extension);
+
+        if (!fs.existsSync(target)) {
+            await fs.promises.mkdir(path.dirname(target), { recursive: true });
+            // Copy under a temporary name first so a partial copy is never served
+            const partial = `${target}.${process.pid}.partial`;
+            await fs.promises.copyFile(filePath, partial);
+            await fs.promises.rename(partial, target);
+        }
+
+        const { size } = await fs.promises.stat(target);
+        return { hash, extension, size };
+    }
+
+    /**
+     * Delete a stored original and the page images rendered from it, once
+     * no document refers to it any more
+     */
+    async removeOriginal(hash, extension) {
+        await fs.promises.rm(this.storagePath(hash, extension), { force: true });
+        if (extension === '.pdf') {
+            await fs.promises.rm(path.join(this.storageRoot(), 'pages', hash), { recursive: true, force: true });
+        }
+    }
+
+    /**
+     * Text of each page of a document. Documents without pages (text, Word)
+     * are kept as a single page.
+     * @param {string} text - Extracted document text
+     * @param {Array|null} pages - Page positions ({ page, start, end, ocrConfidence })
+     */
+    pageRows(text, pages) {
+        return (pages || [{ page: 1, start: 0, end: text.length }]).map(page => ({
+            page: page.page,
+            startOffset: page.start,
+            endOffset: page.end,
+            text: text.slice(page.start, page.end),
+            ocrConfidence: page.ocrConfidence ?? null
+        }));
+    }
+
+    /**
+     * Document owned by the session; throws when it does not exist or
+     * belongs to another session
+     */
+    getDocument(sessionId, documentId) {
+        const doc = vectorDB.documents.get(documentId);
+        if (!doc || doc.sessionId !== sessionId) {
+            throw new Error('Document not found');
+        }
+        return doc;
+    }
+
+    /**
+     * Document the session may read: its own, or one of a library attached
+     * to it. Changes go through getDocument, so library documents stay
+     * read-only for the sessions that attach them.
+     */
+    getReadableDocument(sessionId, documentId) {
+        const doc = vectorDB.documents.get(documentId);
+        if (!doc || (doc.sessionId !== sessionId && !libraryService.attachedKeys(sessionId).includes(doc.sessionId))) {
+            throw new Error('Document not found');
+        }
+        return doc;
+    }
+
+    /**
+     * Stored original of a document: { path, filename, mimetype, extension, size }
+     */
+    getOriginal(sessionId, documentId) {
+        const { metadata } = this.getReadableDocument(sessionId, documentId);
+        const storage = metadata.storage;
+        const filePath = storage ? this.storagePath(storage.hash, storage.extension) : null;
+
+        if (!filePath || !fs.existsSync(filePath)) {
+            throw new Error('Original file not found');
+        }
+
+        return {
+            path: filePath,
+            filename: metadata.originalname || metadata.filename,
+            mimetype: metadata.mimetype || 'application/octet-stream',
+            extension: storage.extension,
+            size: storage.size
+        };
+    }
+
+    async loadPages(documentId) {
+        if (this.pages.has(documentId)) {
+            return this.pages.get(documentId);
+        }
+
+        const contentId = vectorDB.documents.get(documentId)?.metadata?.contentId;
+        const processed = contentId ? await contentCache.getProcessed(contentId) : null;
+        if (processed) {
+            this.pages.set(documentId, this.pageRows(processed.text, processed.pages));
+        } else if (database.isInitialized) {
+            const rows = await database.all(
+                'SELECT * FROM document_pages WHERE document_id = ? ORDER BY page_number',
+                [documentId]
+            );
+            if (rows.length > 0) {
+                this.pages.set(documentId, rows.map(row => ({
+                    page: row.page_number,
+                    startOffset: row.start_offset,
+                    endOffset: row.end_offset,
+                    text: row.text,
+                    ocrConfidence: row.ocr_confidence
+                })));
+            }
+        }
+        return this.pages.get(documentId) || [];
+    }
+
+    async getPages(sessionId, documentId) {
+        this.getReadableDocument(sessionId, documentId);
+        return this.loadPages(documentId);
+    }
+
+    async getPage(sessionId, documentId, pageNumber) {
+        const page = (await this.getPages(sessionId, documentId)).find(page => page.page === pageNumber);
+        if (!page) {
+            throw new Error('Page not found');
+        }
+        return page;
+    }
+
+    /**
+     * A span of the extracted text mapped onto the pages it covers, with
+     * offsets relative to each page's text
+     * @param {number} start - Start offset in the document text
+     * @param {number} end - End offset in the document text
+     */
+    async getPassage(sessionId, documentId, start, end) {
+        if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end <= start) {
+            throw new Error('Invalid passage: start and end must be offsets with start < end');
+        }
+
+        const pages = (await this.getPages(sessionId, documentId))
+            .filter(page => page.startOffset < end && page.endOffset > start)
+            .map(page => {
+                const pageStart = Math.max(start, page.startOffset) - page.startOffset;
+                const pageEnd = Math.min(end, page.endOffset) - page.startOffset;
+                return {
+                    page: page.page,
+                    startOffset: pageStart,
+                    endOffset: pageEnd,
+                    text: page.text.slice(pageStart, pageEnd)
+                };
+            });
+
+        if (pages.length === 0) {
+            throw new Error('Passage not found');
+        }
+
+        return {
+            start,
+            end,
+            pageStart: pages[0].page,
+            pageEnd: pages[pages.length - 1].page,
+            text: pages.map(page => page.text).join('\n\n'),
+            pages
+        };
+    }
+
+    /**
+     * Where a chunk sits in its document: its provenance and the passage it
+     * covers on each page. The passage excludes the overlap the chunk
+     * repeats from the previous one.
+     */
+    async getChunkLocation(sessionId, documentId, chunkIndex) {
+        this.getReadableDocument(sessionId, documentId);
+
+        const chunk = vectorDB.embeddings.get(`${documentId}_${chunkIndex}`);
+        if (!chunk) {
+            throw new Error('Chunk not found');
+        }
+
+        const provenance = chunk.provenance;
+        const passage = provenance && Number.isInteger(provenance.startOffset)
+            ? await this.getPassage(sessionId, documentId, provenance.startOffset, provenance.endOffset)
+            : null;
+
+        return {
+            documentId,
+            chunkIndex,
+            text: chunk.text,
+            provenance: provenance || null,
+            passage
+        };
+    }
+
+    /**
+     * PNG of a PDF page, rendered with pdf2pic on first request and cached
+     * next to the original
+     * @returns {string} - Path of the rendered image
+     */
+    async renderPageImage(sessionId, documentId, pageNumber) {
+        const original = this.getOriginal(sessionId, documentId);
+        const { metadata } = this.getReadableDocument(sessionId, documentId);
+
+        if (metadata.storage.extension !== '.pdf') {
+            throw new Error('Invalid page request: only PDF documents have page images');
+        }
+        if (!Number.isInteger(pageNumber) || pageNumber < 1 || pageNumber > (metadata.pageCount || 1)) {
+            throw new Error('Page not found');
+        }
+
+        const density = configService.get('pageImageDensity');
+        const imagePath = path.join(this.storageRoot(), 'pages', metadata.storage.hash, `${pageNumber}-${density}.png`);
+        if (fs.existsSync(imagePath)) {
+            return imagePath;
+        }
+
+        const convert = pdf2pic.fromPath(original.path, {
+            density,
+            format: 'png',
+            preserveAspectRatio: true,
+            // US Letter width at this density; the height follows the page's aspect ratio
+            width: Math.round(8.5 * density)
+        });
+        const image = await convert(pageNumber, { responseType: 'buffer' });
+        // pdf2pic returns an empty image rather than failing when GraphicsMagick/Ghostscript are missing
+        if (!image.buffer || image.buffer.length === 0) {
+            throw new Error('Page rendering failed; GraphicsMagick and Ghostscript are required for page images');
+        }
+
+        await fs.promises.mkdir(path.dirname(imagePath), { recursive: true });
+        await fs.promises.writeFile(imagePath, image.buffer);
+        return imagePath;
+    }
+}
+
+module.exports = new DocumentStorageService();
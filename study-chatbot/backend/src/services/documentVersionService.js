@@ -0,0 +1,255 @@
+const aiService = require('./aiService');
+const contentCache = require('./contentCacheService');
+const database = require('./databaseService');
+const documentStorage = require('./documentStorageService');
+const vectorDB = require('./enhancedVectorDB_simplified');
+const learningFeatures = require('./learningFeatures');
+const sectionService = require('./sectionService');
+const tableService = require('./tableService');
+const logger = require('./logger');
+
+// Added and removed passages kept per version for its change summary
+const MAX_CHANGED_PASSAGES = 200;
+
+const normalize = (text) => text.replace(/\s+/g, ' ').trim();
+
+/**
+ * Versions of a document. A new version keeps the document ID: its chunks
+ * are replaced, embedding only text that changed, and the passages
+ * (sentences and lines) added and removed are recorded so the history can
+ * tell what changed between two versions, summarized by the AI model on
+ * request. Flashcards and quiz questions drawn from a changed passage are
+ * marked stale; the others follow their passage to its new chunk.
+ *
+ * A document that was never revised has a single version 1, which is only
+ * stored once a second version is added. Reads are scoped to the session
+ * that owns the document.
+ */
+class DocumentVersionService {
+    constructor() {
+        this.versions = new Map(); // documentId -> versions, oldest first, filled on first read
+    }
+
+    async loadVersions(documentId) {
+        if (!this.versions.has(documentId)) {
+            const rows = database.isInitialized
+                ? await database.all('SELECT * FROM document_versions WHERE document_id = ? ORDER BY version', [documentId])
+                : [];
+            this.versions.set(documentId, rows.map(row => ({
+                version: row.version,
+                contentId: row.content_id,
+                originalname: row.original_name,
+                ...database.parseJSON(row.metadata, {}),
+                changes: database.parseJSON(row.changes),
+                summary: database.parseJSON(row.summary)
+            })));
+        }
+        return this.versions.get(documentId);
+    }
+
+    createVersion(version, metadata, chunkCount, changes = null) {
+        return {
+            version,
+            contentId: metadata.contentId || null,
+            originalname: metadata.originalname || metadata.filename || null,
+            uploadedAt: metadata.uploadedAt || null,
+            size: metadata.storage?.size ?? metadata.size ?? null,
+            chunkCount,
+            changes,
+            summary: null
+        };
+    }
+
+    saveVersion(documentId, record) {
+        const { version, contentId, originalname, changes, summary, ...metadata } = record;
+        return database.persist(
+            `INSERT OR REPLACE INTO document_versions
+             (document_id, version, content_id, original_name, metadata, changes, summary, created_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [documentId, version, contentId, originalname, database.toJSON(metadata),
+                changes ? database.toJSON(changes) : null, summary ? database.toJSON(summary) : null, new Date().toISOString()]
+        );
+    }
+
+    /**
+     * Version history of a document, oldest first, with the number of
+     * chunks and passages each version changed
+     */
+    async getVersions(sessionId, documentId) {
+        const doc = documentStorage.getReadableDocument(sessionId, documentId);
+        const versions = await this.loadVersions(documentId);
+        const records = versions.length > 0 ? versions : [this.createVersion(1, doc.metadata, doc.chunks.length)];
+
+        return records.map(({ changes, ...record }) => ({
+            ...record,
+            changes: changes && { chunks: changes.chunks, passages: changes.passages, stale: changes.stale }
+        }));
+    }
+
+    async getVersion(sessionId, documentId, version) {
+        documentStorage.getReadableDocument(sessionId, documentId);
+        const record = (await this.loadVersions(documentId)).find(record => record.version === version);
+        if (!record && version !== 1) {
+            throw new Error('Version not found');
+        }
+        return record || null;
+    }
+
+    /**
+     * What changed from the previous version to `version`: the passages
+     * added and removed and a summary for students, generated on the first
+     * request and kept with the version
+     */
+    async getChanges(sessionId, documentId, version) {
+        const record = await this.getVersion(sessionId, documentId, version);
+        if (!record?.changes) {
+            throw new Error('Invalid version: version 1 has no earlier version to compare with');
+        }
+
+        if (!record.summary) {
+            record.summary = await aiService.summarizeChanges(
+                record.originalname || 'the document', version - 1, version, record.changes
+            );
+            await database.persist(
+                'UPDATE document_versions SET summary = ? WHERE document_id = ? AND version = ?',
+                [database.toJSON(record.summary), documentId, version]
+            );
+        }
+
+        return {
+            documentId,
+            version,
+            previousVersion: version - 1,
+            changes: record.changes,
+            summary: record.summary
+        };
+    }
+
+    /**
+     * Make an upload the next version of a document
+     * @param {string} sessionId - Session owning the document
+     * @param {string} documentId - Document identifier
+     * @param {Object} content - { contentId, processed, metadata } of the upload
+     * @param {Object} options - `onProgress(stage)` as for vectorDB.replaceDocument
+     * @returns {Object} - The new version
+     */
+    async addVersion(sessionId, documentId, content, options = {}) {
+        const doc = documentStorage.getDocument(sessionId, documentId);
+        const versions = await this.loadVersions(documentId);
+        if (versions.length === 0) {
+            const first = this.createVersion(1, doc.metadata, doc.chunks.length);
+            versions.push(first);
+            await this.saveVersion(documentId, first);
+        }
+
+        const previous = versions[versions.length - 1];
+        if (previous.contentId && previous.contentId === content.contentId) {
+            throw new Error('Invalid version: the file is identical to the current version');
+        }
+
+        const version = previous.version + 1;
+        const { processed } = content;
+        const previousText = await this.documentText(documentId);
+        const previousChunks = doc.chunks;
+
+        const chunks = await vectorDB.replaceDocument(documentId, processed.chunks, { ...content.metadata, version }, options);
+
+        // Pages, tables and the table of contents are read again from the new content; stored
+        // ones belong to documents from before the content cache
+        documentStorage.pages.delete(documentId);
+        tableService.tables.delete(documentId);
+        sectionService.tocs.delete(documentId);
+        contentCache.signatures.delete(documentId);
+        await database.persist('DELETE FROM document_pages WHERE document_id = ?', [documentId]);
+        await database.persist('DELETE FROM document_tables WHERE document_id = ?', [documentId]);
+
+        const passages = this.diffPassages(previousText, processed.text);
+        const chunkMap = this.mapChunks(previousChunks, vectorDB.documents.get(documentId).chunks, processed.text);
+        const stale = learningFeatures.markStaleSources(sessionId, documentId, chunkMap, version);
+
+        const record = this.createVersion(version, content.metadata, processed.chunkCount, {
+            chunks,
+            passages: { added: passages.added.length, removed: passages.removed.length },
+            stale,
+            added: passages.added.slice(0, MAX_CHANGED_PASSAGES),
+            removed: passages.removed.slice(0, MAX_CHANGED_PASSAGES)
+        });
+        versions.push(record);
+        await this.saveVersion(documentId, record);
+
+        logger.info(`Added version ${version} of document ${documentId}: ${passages.added.length} passages added, ${passages.removed.length} removed`);
+        return record;
+    }
+
+    async documentText(documentId) {
+        const pages = await documentStorage.loadPages(documentId);
+        return pages.length > 0
+            ? pages.map(page => page.text).join('\n\n')
+            : vectorDB.documents.get(documentId).chunks.join('\n\n');
+    }
+
+    /**
+     * Sentences and lines of a text, whitespace normalized
+     */
+    passages(text) {
+        return [...new Set(text.split(/(?<=[.!?])\s+|\n+/).map(normalize).filter(passage => passage.length > 0))];
+    }
+
+    /**
+     * Passages of `newText` that are not in `oldText` and the other way round
+     */
+    diffPassages(oldText, newText) {
+        const oldPassages = this.passages(oldText);
+        const newPassages = this.passages(newText);
+        const missingFrom = (passages, text) => {
+            const known = new Set(this.passages(text));
+            const normalized = normalize(text);
+            return passages.filter(passage => !known.has(passage) && !normalized.includes(passage));
+        };
+
+        return {
+            added: missingFrom(newPassages, oldText),
+            removed: missingFrom(oldPassages, newText)
+        };
+    }
+
+    /**
+     * Where each chunk of the previous version went: the new chunk with the
+     * same text or, when the text was only chunked differently, the new
+     * chunk holding most of its passages; null when any of its passages
+     * changed
+     * @returns {Map} - Old chunk index -> { chunkIndex, text } or null
+     */
+    mapChunks(previousChunks, chunks, text) {
+        const normalized = normalize(text);
+        const indexes = new Map();
+        chunks.forEach((chunk, index) => {
+            if (!indexes.has(chunk)) indexes.set(chunk, index);
+        });
+        const normalizedChunks = chunks.map(normalize);
+
+        return new Map(previousChunks.map((chunk, index) => {
+            if (indexes.has(chunk)) {
+                return [index, { chunkIndex: indexes.get(chunk), text: chunk }];
+            }
+
+            const passages = this.passages(chunk);
+            if (!passages.every(passage => normalized.includes(passage))) {
+                return [index, null];
+            }
+
+            let best = 0;
+            let bestCount = -1;
+            normalizedChunks.forEach((candidate, candidateIndex) => {
+                const count = passages.filter(passage => candidate.includes(passage)).length;
+                if (count > bestCount) {
+                    best = candidateIndex;
+                    bestCount = count;
+                }
+            });
+            return [index, { chunkIndex: best, text: chunks[best] }];
+        }));
+    }
+}
+
+module.exports = new DocumentVersionService();
@@ -1,210 +1,339 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const axios = require('axios');
+const accessService = require('./accessService');
+const configService = require('./configService');
+const faithfulnessService = require('./faithfulnessService');
+const libraryService = require('./libraryService');
+const llm = require('./llm');
 const vectorDB = require('./enhancedVectorDB_simplified');
-const sentiment = require('sentiment');
+const rerankerService = require('./rerankerService');
+const sectionService = require('./sectionService');
+const tableService = require('./tableService');
 const logger = require('./logger');
 
 class EnhancedAIService {
     constructor() {
-        this.gemini = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-        this.geminiModel = this.gemini.getGenerativeModel({ 
-            model: process.env.GEMINI_MODEL || 'gemini-pro' 
-        });
         this.contextWindow = parseInt(process.env.MAX_CONTEXT_LENGTH) || 4000;
-        this.sentimentAnalyzer = new sentiment();
     }
 
     async contextualQA(question, sessionId, options = {}) {
         try {
             logger.info(`Processing contextual Q&A for session ${sessionId}: ${question.substring(0, 100)}...`);
-            
-            // Debug: Check what sessions have documents
-            logger.info(`Available sessions with documents: ${JSON.stringify(Array.from(vectorDB.sessionDocuments.keys()))}`);
-            if (sessionId && vectorDB.sessionDocuments.has(sessionId)) {
-                const sessionDocs = vectorDB.sessionDocuments.get(sessionId);
-                logger.info(`Session ${sessionId} has documents: ${sessionDocs.length} docs`);
-            } else {
-                logger.info(`Session ${sessionId} has no documents or doesn't exist`);
+
+            const { documentIds, scope, sessions } = await this.resolveScope(sessionId, options);
+            // Follow-ups are searched with their standalone rewrite (conversationService)
+            const query = options.retrievalQuery || question;
+
+            // Lookups and aggregations over a document's tables are computed, not generated.
+            // They read the operation off the question as asked: a rewrite may carry
+            // words such as "total" over from an earlier turn.
+            const tableAnswer = await tableService.answerQuestion(question, sessions, { documentIds });
+            if (tableAnswer) {
+                return tableAnswer;
             }
 
             // Step 1: Enhanced semantic search for relevant context
-            let searchResults = await vectorDB.semanticSearch(question, sessionId, 15);
-            logger.info(`Semantic search returned ${searchResults.length} results for session ${sessionId}`);
-            
+            const searchResults = await this.retrieveContext(query, sessions, { documentIds, scope });
             if (searchResults.length === 0) {
-                // Try searching across all sessions if session-specific search failed
-                logger.info(`No results for session ${sessionId}, trying global search across all sessions`);
-                const globalResults = await vectorDB.semanticSearch(question, null, 15);
-                logger.info(`Global search found ${globalResults.length} results`);
-                
-                if (globalResults.length === 0) {
-                    // Check if there are ANY documents at all
-                    const allDocs = vectorDB.getAllDocuments();
-                    logger.info(`Total documents in system: ${allDocs.length}`);
-                    
-                    return {
-                        answer: "I don't have enough information in the uploaded documents to answer this question. Please upload relevant documents first.",
-                        confidence: 0,
-                        sources: [],
-                        suggestions: this.generateSearchSuggestions(question)
-                    };
-                } else {
-                    // Use global results 
-                    logger.info(`Using ${globalResults.length} results from global search`);
-                    searchResults = globalResults;
-                }
+                return this.createNoContextResponse(question);
             }
 
-            // Step 2: Re-rank and select best context using multiple factors
-            const rankedContext = await this.rerankContext(question, searchResults);
+            // Step 2: Re-rank and select the best context
+            const rankedContext = await this.rerankContext(query, searchResults);
             const contextText = this.buildContextWindow(rankedContext, options);
             
             // Step 3: Generate answer with enhanced prompting
             const enhancedPrompt = this.createEnhancedPrompt(question, contextText, options);
-            const response = await this.geminiModel.generateContent(enhancedPrompt);
+            const answer = await llm.forFeature('qa').generate(enhancedPrompt);
             
-            // Step 4: Post-process and add citations
-            const answer = response.response.text();
-            const citations = this.generateCitations(rankedContext, answer);
-            const confidence = this.calculateConfidence(searchResults, answer, question);
-            
-            return {
-                answer,
-                confidence,
-                sources: citations,
-                relatedTopics: await this.extractRelatedTopics(contextText, question),
-                context: rankedContext.slice(0, 3).map(ctx => ({
-                    text: ctx.text.substring(0, 200) + '...',
-                    document: ctx.metadata?.filename || 'Unknown',
-                    similarity: Math.round(ctx.similarity * 100) / 100,
-                    relevance: ctx.rerankScore ? Math.round(ctx.rerankScore * 100) / 100 : null
-                })),
-                searchResults: searchResults.length,
-                processingTime: Date.now()
-            };
+            // Step 4: Post-process, add citations and check each claim against the context
+            const result = await this.buildAnswerResult(question, answer, searchResults, rankedContext, contextText);
+
+            // Step 5: Optionally answer again without the claims the context does not support
+            const regenerate = options.regenerateUnsupported ?? configService.config.regenerateUnsupported;
+            if (regenerate && result.unsupportedClaims.length > 0) {
+                return await this.regenerateAnswer(question, enhancedPrompt, result, searchResults, rankedContext, contextText);
+            }
+            return result;
         } catch (error) {
             logger.error('Contextual QA failed:', error);
             throw new Error(`Failed to process question: ${error.message}`);
         }
     }
 
-    async rerankContext(question, searchResults) {
-        const questionWords = question.toLowerCase().split(/\s+/).filter(word => word.length > 2);
-        const questionSentiment = this.sentimentAnalyzer.analyze(question);
-        
-        return searchResults.map(result => {
-            let score = result.similarity || result.score || 0;
-            
-            // Factor 1: Keyword matching boost
-            const textWords = result.text.toLowerCase();
-            const exactMatches = questionWords.filter(word => textWords.includes(word)).length;
-            const keywordBoost = (exactMatches / questionWords.length) * 0.25;
-            score += keywordBoost;
-            
-            // Factor 2: Text length and quality
-            const lengthFactor = Math.min(result.text.length / 1000, 0.15);
-            score += lengthFactor;
-            
-            // Factor 3: Question type analysis
-            const questionType = this.analyzeQuestionType(question);
-            const contentMatch = this.assessContentMatch(result.text, questionType);
-            score += contentMatch * 0.2;
-            
-            // Factor 4: Sentence completeness
-            const completeness = this.assessSentenceCompleteness(result.text);
-            score += completeness * 0.1;
-            
-            // Factor 5: Recency (if available)
-            if (result.metadata?.addedAt) {
-                const recencyBoost = this.calculateRecencyBoost(result.metadata.addedAt);
-                score += recencyBoost;
-            }
-            
-            return { 
-                ...result, 
-                rerankScore: Math.min(score, 1.0),
-                factors: {
-                    originalSimilarity: result.similarity || result.score,
-                    keywordBoost,
-                    lengthFactor,
-                    contentMatch,
-                    completeness
-                }
-            };
-        }).sort((a, b) => b.rerankScore - a.rerankScore);
+    /**
+     * Streaming variant of contextualQA. Yields `retrieval`, then `token` events as
+     * the model produces text, then a `done` event carrying the same payload that
+     * contextualQA returns. Pass `options.signal` to cancel generation.
+     * Streamed answers are verified but never regenerated, as their text
+     * has already been sent.
+     */
+    async *streamContextualQA(question, sessionId, options = {}) {
+        logger.info(`Streaming contextual Q&A for session ${sessionId}: ${question.substring(0, 100)}...`);
+
+        const { documentIds, scope, sessions } = await this.resolveScope(sessionId, options);
+        const query = options.retrievalQuery || question;
+
+        const tableAnswer = await tableService.answerQuestion(question, sessions, { documentIds });
+        if (tableAnswer) {
+            yield { type: 'retrieval', results: [tableAnswer.table], totalResults: tableAnswer.searchResults };
+            yield { type: 'token', text: tableAnswer.answer };
+            yield { type: 'done', result: tableAnswer };
+            return;
+        }
+
+        const searchResults = await this.retrieveContext(query, sessions, { documentIds, scope });
+        if (searchResults.length === 0) {
+            const response = this.createNoContextResponse(question);
+            yield { type: 'retrieval', results: [], totalResults: 0 };
+            yield { type: 'token', text: response.answer };
+            yield { type: 'done', result: response };
+            return;
+        }
+
+        const rankedContext = await this.rerankContext(query, searchResults);
+        yield {
+            type: 'retrieval',
+            results: this.summarizeContext(rankedContext, 5),
+            totalResults: searchResults.length
+        };
+
+        const contextText = this.buildContextWindow(rankedContext, options);
+        const enhancedPrompt = this.createEnhancedPrompt(question, contextText, options);
+        const stream = llm.forFeature('qa').stream(enhancedPrompt, { signal: options.signal });
+
+        let answer = '';
+        for await (const text of stream) {
+            answer += text;
+            yield { type: 'token', text };
+        }
+
+        yield {
+            type: 'done',
+            result: await this.buildAnswerResult(question, answer, searchResults, rankedContext, contextText)
+        };
     }
 
-    analyzeQuestionType(question) {
-        const lower = question.toLowerCase();
-        
-        if (lower.startsWith('what')) return 'definition';
-        if (lower.startsWith('how')) return 'process';
-        if (lower.startsWith('why')) return 'reasoning';
-        if (lower.startsWith('when')) return 'temporal';
-        if (lower.startsWith('where')) return 'location';
-        if (lower.startsWith('who')) return 'person';
-        if (lower.includes('explain') || lower.includes('describe')) return 'explanation';
-        if (lower.includes('compare') || lower.includes('difference')) return 'comparison';
-        if (lower.includes('example') || lower.includes('instance')) return 'example';
-        if (lower.includes('list') || lower.includes('enumerate')) return 'list';
-        
-        return 'general';
+    /**
+     * Sessions and documents to answer from: the session's own documents,
+     * those of the sessions opted in to with `options.includeSessions` and
+     * those of the libraries attached to them (accessService), and with `options.section` ("Chapter 3 > 3.2") the
+     * section of each that retrieval is limited to
+     */
+    async resolveScope(sessionId, { documentIds = null, section = null, includeSessions = null } = {}) {
+        const sessions = accessService.searchSessions(sessionId, includeSessions);
+        if (!section) {
+            return { documentIds, scope: null, sessions };
+        }
+
+        const scope = await sectionService.resolveScope(sessions, section, documentIds);
+        return { documentIds: Array.from(scope.keys()), scope, sessions };
     }
 
-    assessContentMatch(text, questionType) {
-        const lower = text.toLowerCase();
-        
-        switch (questionType) {
-            case 'definition':
-                return lower.includes('is') || lower.includes('refers to') || lower.includes('means') ? 0.3 : 0;
-            case 'process':
-                return lower.includes('step') || lower.includes('process') || lower.includes('method') ? 0.3 : 0;
-            case 'reasoning':
-                return lower.includes('because') || lower.includes('due to') || lower.includes('reason') ? 0.3 : 0;
-            case 'comparison':
-                return lower.includes('difference') || lower.includes('similar') || lower.includes('compare') ? 0.3 : 0;
-            case 'example':
-                return lower.includes('example') || lower.includes('instance') || lower.includes('such as') ? 0.3 : 0;
-            case 'list':
-                return /\d+\.|\*|-|•/.test(text) ? 0.3 : 0;
-            default:
-                return 0.1;
+    /**
+     * Chunks for a question from the documents of `sessions` only. When they
+     * have nothing relevant the question goes unanswered rather than being
+     * answered from other sessions' documents.
+     */
+    async retrieveContext(question, sessions, { documentIds = null, scope = null } = {}) {
+        const searchResults = await vectorDB.semanticSearch(question, sessions, 15, documentIds, scope);
+        logger.info(`Semantic search returned ${searchResults.length} results for session ${[].concat(sessions).join(', ')}`);
+        return searchResults;
+    }
+
+    createNoContextResponse(question) {
+        return {
+            answer: "I don't have enough information in the uploaded documents to answer this question. Please upload relevant documents first.",
+            confidence: 0,
+            sources: [],
+            suggestions: this.generateSearchSuggestions(question)
+        };
+    }
+
+    async buildAnswerResult(question, generatedAnswer, searchResults, rankedContext, contextText) {
+        // The answer cites the numbered sources of its context window as [n]
+        const { answer, markers, strippedMarkers } = this.resolveCitationMarkers(generatedAnswer, this.selectContext(rankedContext));
+        const citations = markers.length > 0
+            ? this.markerCitations(markers, this.selectContext(rankedContext))
+            : this.generateCitations(rankedContext, answer);
+        const faithfulness = await this.verifyAnswer(answer, rankedContext);
+        const confidence = this.calculateConfidence(searchResults, answer, question, faithfulness);
+        const lowConfidenceOcr = citations.some(citation => citation.lowConfidenceOcr);
+        const unsupportedClaims = faithfulness
+            ? faithfulness.claims.filter(claim => claim.label === 'unsupported').map(claim => claim.text)
+            : [];
+
+        const warnings = [];
+        if (lowConfidenceOcr) {
+            warnings.push('Part of this answer is based on scanned pages that were read with low OCR confidence. Check it against the original document.');
         }
+        if (unsupportedClaims.length > 0) {
+            warnings.push(unsupportedClaims.length === 1
+                ? 'One statement in this answer is not supported by the documents. Check it before relying on it.'
+                : `${unsupportedClaims.length} statements in this answer are not supported by the documents. Check them before relying on them.`);
+        }
+        
+        return {
+            answer,
+            confidence,
+            sources: citations,
+            citationMarkers: markers,
+            strippedMarkers,
+            faithfulness,
+            unsupportedClaims,
+            lowConfidenceOcr,
+            warning: warnings.length > 0 ? warnings.join(' ') : null,
+            relatedTopics: await this.extractRelatedTopics(contextText, question),
+            context: this.summarizeContext(rankedContext, 3),
+            searchResults: searchResults.length,
+            processingTime: Date.now()
+        };
     }
 
-    assessSentenceCompleteness(text) {
-        const sentences = text.split(/[.!?]+/).filter(s => s.trim());
-        const completeSentences = sentences.filter(s => s.trim().length > 10).length;
-        return Math.min(completeSentences / sentences.length, 1.0) * 0.2;
+    /**
+     * Claims of the answer labelled supported, partially supported or
+     * unsupported by the chunks in its context window, each with the span
+     * of the chunk that backs it. Null when ANSWER_VERIFIER is none.
+     */
+    async verifyAnswer(answer, rankedContext) {
+        const contexts = this.selectContext(rankedContext);
+        const faithfulness = await faithfulnessService.verify(answer, contexts);
+        if (!faithfulness) return null;
+
+        return {
+            ...faithfulness,
+            claims: faithfulness.claims.map(claim => {
+                if (!claim.evidence) return claim;
+
+                const ctx = contexts[claim.evidence.contextIndex];
+                const quoteSpan = this.locateQuote(ctx, claim.evidence.text);
+                return {
+                    ...claim,
+                    evidence: {
+                        document: ctx.metadata?.filename || 'Unknown Document',
+                        documentId: ctx.documentId,
+                        library: libraryService.libraryOf(ctx.documentId),
+                        chunkIndex: ctx.chunkIndex,
+                        text: claim.evidence.text,
+                        page: quoteSpan?.page ?? ctx.provenance?.pageStart ?? null,
+                        pageUnit: ctx.metadata?.pageUnit || 'page',
+                        headingPath: quoteSpan?.headingPath || ctx.provenance?.headingPath || [],
+                        quoteSpan
+                    }
+                };
+            })
+        };
     }
 
-    calculateRecencyBoost(addedAt) {
+    /**
+     * Generate the answer once more, told which of its claims the context
+     * does not support. The new answer is kept unless it has more
+     * unsupported claims than the first; `regeneration` records both counts.
+     */
+    async regenerateAnswer(question, prompt, result, searchResults, rankedContext, contextText) {
+        logger.info(`Regenerating answer with ${result.unsupportedClaims.length} unsupported claims`);
+
+        const revisionPrompt = `${prompt} ${result.answer}
+
+The answer above makes these claims that the context does not support:
+${result.unsupportedClaims.map(claim => `- ${claim}`).join('\n')}
+
+Rewrite the answer so that it states only what the context supports. Leave these claims out or correct them from the context.
+
+ANSWER:`;
+
         try {
-            const daysSinceAdded = (Date.now() - new Date(addedAt)) / (1000 * 60 * 60 * 24);
-            return Math.max(0, (30 - daysSinceAdded) / 30) * 0.05; // Boost for newer content
-        } catch {
-            return 0;
+            const answer = await llm.forFeature('qa').generate(revisionPrompt);
+            const revised = await this.buildAnswerResult(question, answer, searchResults, rankedContext, contextText);
+            const kept = revised.unsupportedClaims.length <= result.unsupportedClaims.length ? revised : result;
+
+            return {
+                ...kept,
+                regeneration: {
+                    regenerated: kept === revised,
+                    unsupportedBefore: result.unsupportedClaims.length,
+                    unsupportedAfter: revised.unsupportedClaims.length
+                }
+            };
+        } catch (error) {
+            logger.warn(`Answer regeneration failed, keeping the first answer: ${error.message}`);
+            return {
+                ...result,
+                regeneration: { regenerated: false, unsupportedBefore: result.unsupportedClaims.length, unsupportedAfter: null }
+            };
         }
     }
 
-    buildContextWindow(rankedContext, options) {
-        let contextText = '';
+    summarizeContext(rankedContext, limit) {
+        return rankedContext.slice(0, limit).map(ctx => ({
+            documentId: ctx.documentId,
+            library: libraryService.libraryOf(ctx.documentId),
+            chunkIndex: ctx.chunkIndex,
+            text: ctx.text.substring(0, 200) + '...',
+            document: ctx.metadata?.filename || 'Unknown',
+            similarity: Math.round(ctx.similarity * 100) / 100,
+            relevance: ctx.rerankScore ? Math.round(ctx.rerankScore * 100) / 100 : null,
+            pageStart: ctx.provenance?.pageStart ?? null,
+            pageEnd: ctx.provenance?.pageEnd ?? null,
+            pageUnit: ctx.metadata?.pageUnit || 'page',
+            headingPath: ctx.provenance?.headingPath || [],
+            retrieval: ctx.retrieval,
+            scores: ctx.scores,
+            lowConfidenceOcr: this.isLowConfidenceOcr(ctx)
+        }));
+    }
+
+    /**
+     * Whether a chunk comes from a scanned page whose OCR confidence was low
+     */
+    isLowConfidenceOcr(ctx) {
+        return Boolean(ctx.metadata?.ocr?.lowConfidenceChunks?.includes(ctx.chunkIndex));
+    }
+
+    /**
+     * Final ranking of the fused search results by the configured reranker.
+     * With no reranker (or when it fails) the fused order is kept.
+     */
+    async rerankContext(question, searchResults) {
+        const { results } = await rerankerService.rerank(question, searchResults);
+        return results;
+    }
+
+    /**
+     * The ranked chunks that fit in the context window, best first
+     */
+    selectContext(rankedContext) {
+        const selected = [];
         let tokenCount = 0;
         const maxTokens = Math.floor(this.contextWindow * 0.7); // Reserve space for question and response
-        const includeMetadata = options.includeMetadata !== false;
-        
+
         for (const ctx of rankedContext) {
             const ctxTokens = this.estimateTokens(ctx.text);
             if (tokenCount + ctxTokens > maxTokens) break;
-            
+
+            selected.push(ctx);
+            tokenCount += ctxTokens;
+        }
+
+        return selected;
+    }
+
+    buildContextWindow(rankedContext, options) {
+        let contextText = '';
+        const includeMetadata = options.includeMetadata !== false;
+        
+        // Sources are numbered for the answer's [n] citation markers
+        for (const [index, ctx] of this.selectContext(rankedContext).entries()) {
             if (includeMetadata) {
                 const docName = ctx.metadata?.filename || 'Document';
+                const library = libraryService.libraryOf(ctx.documentId);
+                const libraryNote = library ? ` (course library: ${library.name})` : '';
                 const confidence = ctx.rerankScore ? ` (relevance: ${Math.round(ctx.rerankScore * 100)}%)` : '';
-                contextText += `\n--- Source: ${docName}${confidence} ---\n`;
+                const ocrNote = this.isLowConfidenceOcr(ctx) ? ' (scanned page, OCR text may contain errors)' : '';
+                contextText += `\n--- Source [${index + 1}]: ${docName}${libraryNote}${confidence}${ocrNote} ---\n`;
+            } else {
+                contextText += `\n--- Source [${index + 1}] ---\n`;
             }
             
             contextText += ctx.text + '\n\n';
-            tokenCount += ctxTokens;
         }
         
         return contextText.trim();
@@ -219,21 +348,26 @@ class EnhancedAIService {
         let depthInstructions = this.getDepthInstructions(answerDepth);
         let audienceInstructions = this.getAudienceInstructions(audienceLevel);
         let focusInstructions = focusArea ? `Pay special attention to aspects related to: ${focusArea}.` : '';
+        // Earlier turns of the chat, so follow-up questions can be read in context
+        const conversation = options.conversation
+            ? `CONVERSATION SO FAR:\n${options.conversation}\n\n`
+            : '';
         
         const promptTemplate = `You are an advanced AI study assistant with expertise in analyzing academic and educational documents. Your role is to provide accurate, helpful answers based strictly on the provided context from uploaded documents.
 
 CONTEXT FROM UPLOADED DOCUMENTS:
 ${context}
 
-QUESTION: ${question}
+${conversation}QUESTION: ${question}
 
 INSTRUCTIONS:
 ${depthInstructions}
 ${audienceInstructions}
 ${focusInstructions}
 - Base your answer STRICTLY on the provided context above
+${conversation ? '- Use the conversation only to understand what the question refers to' : ''}
 - If the context doesn't contain enough information, clearly state what's missing
-- Cite specific parts of the documents when making claims
+- After each statement, cite the sources it comes from by their numbers in square brackets, such as [1] or [2][3]. Only cite source numbers shown in the context
 - Use clear, educational language appropriate for learning
 ${includeExamples ? '- Include relevant examples from the documents when applicable' : ''}
 - If you find contradictions between sources, acknowledge them
@@ -274,6 +408,120 @@ ANSWER:`;
         }
     }
 
+    /**
+     * Check the [n] citation markers of an answer against the numbered
+     * sources of its context window. Markers naming no source are removed
+     * from the answer; each remaining one is tied to the sentence of its
+     * source that best matches the statement it follows (see locateMarker).
+     * @returns {Object} - { answer, markers, strippedMarkers } where each
+     *   marker has its `start` and `end` in the returned answer
+     */
+    resolveCitationMarkers(answer, contexts) {
+        const stripped = new Set();
+        const cleaned = answer.replace(/(\s*)\[(\d+(?:\s*,\s*\d+)*)\]/g, (match, space, numbers) => {
+            const valid = numbers.split(',').map(Number).filter(number => {
+                if (number >= 1 && number <= contexts.length) return true;
+                stripped.add(number);
+                return false;
+            });
+            return valid.length > 0 ? space + valid.map(number => `[${number}]`).join('') : '';
+        });
+
+        if (stripped.size > 0) {
+            logger.warn(`Removed citation markers without a source from the answer: ${[...stripped].join(', ')}`);
+        }
+
+        const markers = [];
+        const pattern = /\[(\d+)\]/g;
+        let match;
+        while ((match = pattern.exec(cleaned)) !== null) {
+            const marker = Number(match[1]);
+            markers.push({
+                marker,
+                start: match.index,
+                end: match.index + match[0].length,
+                ...this.locateMarker(contexts[marker - 1], this.markedStatement(cleaned, match.index))
+            });
+        }
+
+        return { answer: cleaned, markers, strippedMarkers: [...stripped].sort((a, b) => a - b) };
+    }
+
+    /**
+     * The statement a marker at `position` of the answer cites: the text
+     * back to the end of the previous sentence, without markers
+     */
+    markedStatement(answer, position) {
+        const before = answer.slice(0, position)
+            .replace(/(\s*\[\d+\])+\s*$/, '') // markers before it in the same group
+            .replace(/[\s.!?]+$/, ''); // a marker placed after the full stop
+        const start = Math.max(before.lastIndexOf('. '), before.lastIndexOf('! '), before.lastIndexOf('? '), before.lastIndexOf('\n')) + 1;
+        return before.slice(start).replace(/\[\d+\]/g, '').trim();
+    }
+
+    /**
+     * Where a cited statement comes from in its source: the sentence of the
+     * chunk that shares most of its terms, with its character offsets in the
+     * document, or the whole chunk when no sentence matches
+     */
+    locateMarker(ctx, statement) {
+        const { evidence } = faithfulnessService.lexicalCheck(statement, faithfulnessService.contextSentences([ctx]));
+        const quoteSpan = evidence ? this.locateQuote(ctx, evidence.text) : null;
+        const provenance = ctx.provenance;
+
+        return {
+            documentId: ctx.documentId,
+            document: ctx.metadata?.filename || 'Unknown Document',
+            library: libraryService.libraryOf(ctx.documentId),
+            chunkIndex: ctx.chunkIndex,
+            span: quoteSpan ? 'sentence' : 'chunk',
+            text: quoteSpan ? evidence.text : ctx.text.slice(provenance?.overlapLength || 0),
+            startOffset: quoteSpan ? quoteSpan.start : provenance?.startOffset ?? null,
+            endOffset: quoteSpan ? quoteSpan.end : provenance?.endOffset ?? null,
+            page: quoteSpan ? quoteSpan.page : provenance?.pageStart ?? null,
+            pageEnd: quoteSpan ? quoteSpan.pageEnd : provenance?.pageEnd ?? null,
+            pageUnit: ctx.metadata?.pageUnit || 'page',
+            headingPath: quoteSpan ? quoteSpan.headingPath : provenance?.headingPath || []
+        };
+    }
+
+    /**
+     * One citation per source the answer's markers cite, in marker order,
+     * quoting the span its first marker was tied to
+     */
+    markerCitations(markers, contexts) {
+        const first = new Map();
+        markers.forEach(marker => {
+            if (!first.has(marker.marker)) first.set(marker.marker, marker);
+        });
+
+        return [...first.values()]
+            .sort((a, b) => a.marker - b.marker)
+            .map(marker => {
+                const ctx = contexts[marker.marker - 1];
+                return {
+                    id: `cite_${marker.marker}`,
+                    marker: marker.marker,
+                    document: marker.document,
+                    documentId: marker.documentId,
+                    library: marker.library,
+                    chunkIndex: marker.chunkIndex,
+                    text: marker.text,
+                    page: marker.page ?? ctx.metadata?.page ?? 'Unknown',
+                    pageStart: marker.page,
+                    pageEnd: marker.pageEnd,
+                    pageUnit: marker.pageUnit,
+                    headingPath: marker.headingPath,
+                    quoteSpan: marker.span === 'sentence'
+                        ? this.locateQuote(ctx, marker.text)
+                        : null,
+                    similarity: ctx.similarity || ctx.score || 0,
+                    relevance: ctx.rerankScore ?? ctx.similarity ?? 0,
+                    lowConfidenceOcr: this.isLowConfidenceOcr(ctx)
+                };
+            });
+    }
+
     generateCitations(contexts, answer) {
         const citations = [];
         const answerLower = answer.toLowerCase();
@@ -288,14 +536,27 @@ ANSWER:`;
                 
                 // If significant overlap found, create citation
                 if (matchingWords.length >= 3 || (matchingWords.length >= 2 && sentence.length < 100)) {
+                    const quote = sentence.trim();
+                    const quoteSpan = this.locateQuote(ctx, quote);
+                    const provenance = ctx.provenance;
+
                     citations.push({
                         id: `cite_${citations.length + 1}`,
                         document: ctx.metadata?.filename || 'Unknown Document',
-                        text: sentence.trim(),
-                        page: ctx.metadata?.page || 'Unknown',
+                        documentId: ctx.documentId,
+                        library: libraryService.libraryOf(ctx.documentId),
+                        chunkIndex: ctx.chunkIndex,
+                        text: quote,
+                        page: quoteSpan?.page ?? provenance?.pageStart ?? ctx.metadata?.page ?? 'Unknown',
+                        pageStart: quoteSpan?.page ?? provenance?.pageStart ?? null,
+                        pageEnd: quoteSpan?.pageEnd ?? provenance?.pageEnd ?? null,
+                        pageUnit: ctx.metadata?.pageUnit || 'page',
+                        headingPath: quoteSpan?.headingPath || provenance?.headingPath || [],
+                        quoteSpan,
                         similarity: ctx.similarity || ctx.score || 0,
-                        relevance: ctx.rerankScore || 0,
-                        matchScore: matchingWords.length / sentenceWords.length
+                        relevance: ctx.rerankScore ?? ctx.similarity ?? 0,
+                        matchScore: matchingWords.length / sentenceWords.length,
+                        lowConfidenceOcr: this.isLowConfidenceOcr(ctx)
                     });
                 }
             });
@@ -309,6 +570,38 @@ ANSWER:`;
         return uniqueCitations;
     }
 
+    /**
+     * Position of a quoted sentence in the source document, from the chunk's
+     * provenance: character offsets in the extracted text, and for paged
+     * documents the page it starts on (with the offset within that page) and
+     * the page it ends on, and the heading path it falls under, which differs
+     * from the chunk's when a heading starts in the chunk before the quote.
+     * Null when the chunk has no provenance or the quote
+     * only occurs in the overlap carried over from the previous chunk.
+     */
+    locateQuote(ctx, quote) {
+        const provenance = ctx.provenance;
+        if (!provenance || provenance.startOffset === null || provenance.startOffset === undefined) return null;
+
+        const position = ctx.text.indexOf(quote, provenance.overlapLength || 0);
+        if (position === -1) return null;
+
+        const start = provenance.startOffset + position - (provenance.overlapLength || 0);
+        const end = start + quote.length;
+        const startPage = provenance.pages?.find(page => start >= page.startOffset && start < page.endOffset);
+        const endPage = provenance.pages?.find(page => end > page.startOffset && end <= page.endOffset);
+        const crossed = (provenance.headings || []).filter(heading => heading.offset <= start);
+
+        return {
+            start,
+            end,
+            page: startPage ? startPage.page : null,
+            pageEnd: endPage ? endPage.page : (startPage ? startPage.page : null),
+            pageOffset: startPage ? start - startPage.startOffset : null,
+            headingPath: crossed.length > 0 ? crossed[crossed.length - 1].path : provenance.headingPath || []
+        };
+    }
+
     async extractRelatedTopics(context, question) {
         try {
             const prompt = `Based on this context and the question asked, identify 5-7 related topics or concepts that a student should explore to deepen their understanding:
@@ -320,8 +613,8 @@ ${context.substring(0, 1500)}
 
 Provide related topics as a simple list, one per line, focusing on concepts that would help someone learn more about this subject area.`;
 
-            const response = await this.geminiModel.generateContent(prompt);
-            const topics = response.response.text()
+            const response = await llm.forFeature('qa').generate(prompt);
+            const topics = response
                 .split('\n')
                 .map(line => line.replace(/^[-*•\d.)\s]+/, '').trim())
                 .filter(line => line && line.length > 3 && line.length < 100)
@@ -352,7 +645,7 @@ Provide related topics as a simple list, one per line, focusing on concepts that
             .map(([word]) => word.charAt(0).toUpperCase() + word.slice(1));
     }
 
-    calculateConfidence(searchResults, answer, question) {
+    calculateConfidence(searchResults, answer, question, faithfulness = null) {
         if (searchResults.length === 0) return 0;
         
         let confidence = 0;
@@ -378,6 +671,11 @@ Provide related topics as a simple list, one per line, focusing on concepts that
         const sourceBonus = Math.min(searchResults.length / 10, 0.1);
         confidence += sourceBonus;
         
+        // Factor 6: Share of the answer's claims its context supports
+        if (faithfulness && faithfulness.score !== null) {
+            confidence *= 0.5 + faithfulness.score / 2;
+        }
+        
         return Math.max(0, Math.min(confidence, 1.0));
     }
 
@@ -395,10 +693,10 @@ Provide related topics as a simple list, one per line, focusing on concepts that
             }
 
             const prompt = this.createCrossDocumentPrompt(query, crossResults, options);
-            const response = await this.geminiModel.generateContent(prompt);
+            const analysis = await llm.forFeature('analysis').generate(prompt);
             
             return {
-                analysis: response.response.text(),
+                analysis,
                 documents: crossResults.slice(0, 5).map(doc => ({
                     id: doc.documentId,
                     relevance: Math.round(doc.relevanceScore * 100) / 100,
@@ -462,45 +760,27 @@ Structure your response clearly with these sections, and cite specific documents
                 throw new Error('No valid documents found for summarization');
             }
 
-            // Use IBM Granite for summarization as specified
-            const summary = await this.callIBMGranite(documents, summaryType, options);
-            return summary;
+            return await this.generateSummary(documents, summaryType, options);
         } catch (error) {
             logger.error('Smart summarization failed:', error);
             throw new Error(`Summarization failed: ${error.message}`);
         }
     }
 
-    async callIBMGranite(documents, summaryType, options) {
+    async generateSummary(documents, summaryType, options) {
+        const provider = llm.forFeature('summarization');
+
         try {
             const combinedContent = this.prepareSummaryContent(documents, summaryType, options);
             const prompt = this.createSummaryPrompt(combinedContent, summaryType, options);
             
-            const requestBody = {
-                input: prompt,
-                parameters: {
-                    max_new_tokens: this.getSummaryLength(options.maxLength || 'medium'),
-                    temperature: 0.3,
-                    top_p: 0.9,
-                    repetition_penalty: 1.1
-                }
-            };
-
-            const response = await axios.post(process.env.IBM_GRANITE_URL, requestBody, {
-                headers: {
-                    'Authorization': `Bearer ${process.env.IBM_GRANITE_API_KEY}`,
-                    'Content-Type': 'application/json',
-                    'Accept': 'application/json'
-                },
-                timeout: 30000
+            const generatedText = await provider.generate(prompt, {
+                maxTokens: this.getSummaryLength(options.maxLength || 'medium'),
+                temperature: 0.3
             });
 
-            const generatedText = response.data.generated_text || 
-                                response.data.results?.[0]?.generated_text ||
-                                response.data.choices?.[0]?.text;
-
             if (!generatedText) {
-                throw new Error('No generated text received from IBM Granite API');
+                throw new Error(`No generated text received from ${provider.name}`);
             }
 
             return {
@@ -512,16 +792,20 @@ Structure your response clearly with these sections, and cite specific documents
                     totalTokens: this.estimateTokens(combinedContent),
                     summaryTokens: this.estimateTokens(generatedText),
                     compressionRatio: Math.round((this.estimateTokens(generatedText) / this.estimateTokens(combinedContent)) * 100) / 100,
-                    generatedBy: 'IBM Granite',
+                    generatedBy: provider.name,
+                    model: provider.model,
                     generatedAt: new Date().toISOString()
                 }
             };
         } catch (error) {
-            logger.error('IBM Granite API call failed:', error);
-            
-            // Fallback to Gemini if IBM Granite fails
-            logger.info('Falling back to Gemini for summarization');
-            return await this.geminiSummarizationFallback(documents, summaryType, options);
+            logger.error(`Summarization with ${provider.name} failed:`, error);
+
+            const fallback = llm.forFeature('qa');
+            if (fallback === provider) throw error;
+
+            // Fall back to the Q&A provider if the summarization provider fails
+            logger.info(`Falling back to ${fallback.name} for summarization`);
+            return await this.fallbackSummarization(fallback, provider, documents, summaryType, options);
         }
     }
 
@@ -599,26 +883,27 @@ SUMMARY:`;
         }
     }
 
-    async geminiSummarizationFallback(documents, summaryType, options) {
+    async fallbackSummarization(fallback, failedProvider, documents, summaryType, options) {
         try {
             const content = this.prepareSummaryContent(documents, summaryType, options);
             const prompt = this.createSummaryPrompt(content, summaryType, options);
             
-            const response = await this.geminiModel.generateContent(prompt);
+            const summary = await fallback.generate(prompt);
             
             return {
-                summary: response.response.text(),
+                summary,
                 type: summaryType,
                 documentIds: documents.map(doc => doc.id),
                 metadata: {
                     documentsCount: documents.length,
-                    generatedBy: 'Google Gemini (Fallback)',
+                    generatedBy: `${fallback.name} (Fallback)`,
+                    model: fallback.model,
                     generatedAt: new Date().toISOString(),
-                    note: 'Generated using Gemini due to IBM Granite unavailability'
+                    note: `Generated using ${fallback.name} due to ${failedProvider.name} unavailability`
                 }
             };
         } catch (error) {
-            throw new Error(`Both IBM Granite and Gemini summarization failed: ${error.message}`);
+            throw new Error(`Both ${failedProvider.name} and ${fallback.name} summarization failed: ${error.message}`);
         }
     }
 
@@ -670,10 +955,10 @@ Please break down the explanation into clear, numbered steps that build upon eac
 
 STEP-BY-STEP EXPLANATION:`;
 
-            const response = await this.geminiModel.generateContent(prompt);
+            const explanation = await llm.forFeature('qa').generate(prompt);
             
             return {
-                explanation: response.response.text(),
+                explanation,
                 sources: contextData.sources,
                 question: question,
                 type: 'step-by-step'
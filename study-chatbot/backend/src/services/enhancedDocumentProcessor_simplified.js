@@ -1,19 +1,39 @@
 const fs = require('fs').promises;
+const { createReadStream } = require('fs');
+const path = require('path');
 const pdf = require('pdf-parse');
 const mammoth = require('mammoth');
+const JSZip = require('jszip');
+const cheerio = require('cheerio');
+const csvParser = require('csv-parser');
+const { DOMParser } = require('xmldom');
 const tesseract = require('tesseract.js');
 const sharp = require('sharp');
+const pdf2pic = require('pdf2pic');
 const { PDFDocument } = require('pdf-lib');
 const natural = require('natural');
 const compromise = require('compromise');
 const sentiment = require('sentiment');
 const keyword = require('keyword-extractor');
 const { removeStopwords, eng } = require('stopword');
+const configService = require('./configService');
 const logger = require('./logger');
 
+// Pages with less extracted text than this are treated as scanned and OCR'd
+const MIN_PAGE_TEXT = 100;
+// Spreadsheet rows per paragraph of table text, so chunks hold whole groups of rows
+const TABLE_ROWS_PER_BLOCK = 10;
+// Page chrome removed from HTML before extraction
+const BOILERPLATE_SELECTOR = 'script, style, noscript, template, iframe, svg, canvas, form, button, nav, aside, '
+    + '[role="navigation"], [role="banner"], [role="contentinfo"], [role="complementary"], [aria-hidden="true"], [hidden]';
+const BOILERPLATE_PATTERN = /(^|[\s_-])(nav|navbar|menu|sidebar|footer|breadcrumbs?|cookies?|banner|advert|ads|social|share|comments?|related)([\s_-]|$)/i;
+// Table captions: "Table 2: ...", "Tab. 3.1 ..."
+const CAPTION_PATTERN = /^(table|tab\.)\s*\d+(\.\d+)*\b/i;
+const INLINE_TAGS = new Set(['a', 'abbr', 'b', 'br', 'cite', 'code', 'em', 'i', 'kbd', 'mark', 'q', 's', 'small', 'span', 'strong', 'sub', 'sup', 'time', 'u', 'var']);
+
 class EnhancedDocumentProcessor {
     constructor() {
-        this.supportedTypes = ['.pdf', '.docx', '.txt', '.md'];
+        this.supportedTypes = ['.pdf', '.docx', '.pptx', '.epub', '.html', '.htm', '.csv', '.xlsx', '.txt', '.md'];
         this.sentiment = sentiment;
         this.stemmer = natural.PorterStemmer;
         this.isInitialized = true;
@@ -25,12 +45,28 @@ class EnhancedDocumentProcessor {
         logger.info('Enhanced Document Processor (simplified) initialized successfully');
     }
 
-    async processDocument(filePath, filename) {
+    /**
+     * Extract, analyze and chunk a document. `options.onProgress(stage)` is
+     * called as each stage (extracting, ocr, chunking) starts. The result's
+     * `pages` give the span in the text of each PDF page, slide, EPUB
+     * chapter or spreadsheet sheet (`metadata.pageUnit` says which); it is
+     * null for formats without pages. `tables` are the tables found in the
+     * document as rows and columns, with their caption, page and span in
+     * the text. `toc` is the document's table of contents as a tree of
+     * sections (buildToc).
+     */
+    async processDocument(filePath, filename, options = {}) {
+        const { onProgress = () => {} } = options;
+
         try {
             const fileExtension = this.getFileExtension(filename);
             logger.info(`Processing document: ${filename} (${fileExtension})`);
+            await onProgress('extracting');
 
             let rawText = '';
+            let pages = null;
+            let tables = [];
+            let headings = null;
             let metadata = {
                 filename,
                 fileExtension,
@@ -41,18 +77,57 @@ class EnhancedDocumentProcessor {
             // Extract text based on file type
             switch (fileExtension) {
                 case '.pdf':
-                    const pdfResult = await this.processPDF(filePath);
+                    const pdfResult = await this.processPDF(filePath, { onProgress });
                     rawText = pdfResult.text;
+                    tables = pdfResult.tables;
+                    pages = pdfResult.pages;
+                    headings = pdfResult.headings;
                     metadata = { ...metadata, ...pdfResult.metadata };
                     break;
                 case '.docx':
                     const docxResult = await this.processDocx(filePath);
                     rawText = docxResult.text;
+                    tables = docxResult.tables;
                     metadata = { ...metadata, ...docxResult.metadata };
                     break;
+                case '.pptx':
+                    const pptxResult = await this.processPptx(filePath);
+                    rawText = pptxResult.text;
+                    pages = pptxResult.pages;
+                    metadata = { ...metadata, ...pptxResult.metadata };
+                    break;
+                case '.epub':
+                    const epubResult = await this.processEpub(filePath);
+                    rawText = epubResult.text;
+                    tables = epubResult.tables;
+                    pages = epubResult.pages;
+                    metadata = { ...metadata, ...epubResult.metadata };
+                    break;
+                case '.xlsx':
+                    const xlsxResult = await this.processXlsx(filePath);
+                    rawText = xlsxResult.text;
+                    tables = xlsxResult.tables;
+                    pages = xlsxResult.pages;
+                    metadata = { ...metadata, ...xlsxResult.metadata };
+                    break;
+                case '.csv':
+                    const csvResult = await this.processCsv(filePath);
+                    rawText = csvResult.text;
+                    tables = csvResult.tables;
+                    pages = csvResult.pages;
+                    metadata = { ...metadata, ...csvResult.metadata };
+                    break;
+                case '.html':
+                case '.htm':
+                    const htmlResult = await this.processHtml(filePath);
+                    rawText = htmlResult.text;
+                    tables = htmlResult.tables;
+                    metadata = { ...metadata, ...htmlResult.metadata };
+                    break;
                 case '.txt':
                 case '.md':
                     rawText = await fs.readFile(filePath, 'utf8');
+                    tables = this.findTextTables(rawText);
                     metadata.processingMethod = 'direct_text';
                     break;
                 default:
@@ -63,12 +138,30 @@ class EnhancedDocumentProcessor {
                 throw new Error('No text content extracted from document');
             }
 
+            await onProgress('chunking');
+
+            tables = this.locateTables(rawText, pages, tables);
+            metadata.tables = tables.map(table => ({
+                index: table.index,
+                page: table.page,
+                caption: table.caption,
+                columns: table.columns,
+                rowCount: table.rows.length,
+                source: table.source
+            }));
+
             // Enhanced document analysis
             const analysis = await this.analyzeDocument(rawText);
             metadata = { ...metadata, ...analysis };
 
+            // A PDF outline is complete; headings found from fonts are topped up from the text
+            if (metadata.headingSource !== 'outline') {
+                headings = this.mergeHeadings(headings || [], this.findHeadings(rawText));
+            }
+
             // Intelligent chunking
             const chunks = await this.intelligentChunking(rawText, metadata);
+            this.assignProvenance(chunks, rawText, pages, metadata, tables, headings);
 
             // Extract document structure
             const structure = this.extractDocumentStructure(rawText);
@@ -77,6 +170,9 @@ class EnhancedDocumentProcessor {
             return {
                 text: rawText,
                 chunks,
+                pages,
+                tables,
+                toc: this.buildToc(rawText, pages, headings),
                 metadata,
                 wordCount: rawText.split(/\s+/).length,
                 characterCount: rawText.length,
@@ -89,32 +185,77 @@ class EnhancedDocumentProcessor {
         }
     }
 
-    async processPDF(filePath) {
+    /**
+     * Extract PDF text page by page. Pages with little or no text layer
+     * (scanned pages) are OCR'd when OCR is enabled; the returned `pages`
+     * give each page's position in the text and its OCR confidence.
+     */
+    async processPDF(filePath, options = {}) {
+        const { onProgress = () => {} } = options;
+
         try {
             const buffer = await fs.readFile(filePath);
-            const data = await pdf(buffer);
-            
-            let extractedText = data.text;
+            const pageTexts = [];
+            const pageItems = [];
+            const pageLines = [];
+            const data = await pdf(buffer, {
+                pagerender: pageData => this.renderPageText(pageData).then(({ text, items, lines }) => {
+                    pageTexts[pageData.pageIndex] = text;
+                    pageItems[pageData.pageIndex] = items;
+                    pageLines[pageData.pageIndex] = lines;
+                    return text;
+                })
+            });
+
             const metadata = {
                 pageCount: data.numpages,
+                pageUnit: 'page',
                 pdfInfo: data.info || {},
                 processingMethod: 'pdf_parse'
             };
 
-            // Enhanced PDF processing: OCR disabled for stability
-            const textDensity = extractedText.length / (data.numpages || 1);
-            
-            if (textDensity < 100) { // Likely scanned PDF
-                logger.info('Low text density detected, but OCR is disabled for stability');
-                metadata.processingMethod = 'text_extraction_low_density';
+            const pages = Array.from({ length: data.numpages }, (_, index) => ({
+                page: index + 1,
+                text: (pageTexts[index] || '').trim()
+            }));
+            const scannedPages = pages.filter(page => page.text.length < MIN_PAGE_TEXT);
+
+            if (scannedPages.length > 0) {
+                if (configService.get('ocrEnabled')) {
+                    await onProgress('ocr');
+                    metadata.ocr = await this.ocrPages(buffer, scannedPages);
+                    if (metadata.ocr.performed) {
+                        metadata.processingMethod = 'pdf_parse_ocr';
+                    }
+                } else {
+                    logger.info(`${scannedPages.length} low text density pages detected, but OCR is disabled`);
+                    metadata.processingMethod = 'text_extraction_low_density';
+                }
             }
 
+            const { text: extractedText, pages: pagePositions } = this.joinPages(pages);
+
+            // Tables come from the text layer's layout, which OCR'd pages no longer match
+            const tables = pages
+                .filter(page => page.ocrConfidence === undefined)
+                .flatMap(page => this.findLayoutTables(pageItems[page.page - 1] || [], page));
+
+            // The outline is the author's table of contents; without one, font sizes show the headings
+            const outline = await this.readOutline(buffer);
+            const headings = outline.length > 0
+                ? this.locateOutline(outline, extractedText, pagePositions)
+                : this.findFontHeadings(pageLines, pages, pagePositions);
+            metadata.headingSource = outline.length > 0 ? 'outline' : 'font';
+
             // Table detection (simplified)
             metadata.tablesDetected = this.detectTables(extractedText);
             metadata.hasImages = this.detectImages(extractedText);
 
             return {
                 text: extractedText,
+                pages: pagePositions,
+                tables,
+                headings,
                 metadata
             };
 
@@ -124,11 +265,554 @@ class EnhancedDocumentProcessor {
         }
     }
 
+    /**
+     * Join page (or slide, chapter, sheet) texts, remembering where each
+     * one starts and ends
+     * @param {Array} pages - { page, text, ocrConfidence? }
+     * @returns {Object} - { text, pages: [{ page, start, end, ocrConfidence }] }
+     */
+    joinPages(pages) {
+        let text = '';
+        const positions = pages.map(page => {
+            if (text) text += '\n\n';
+            const start = text.length;
+            text += page.text;
+            return {
+                page: page.page,
+                start,
+                end: text.length,
+                ocrConfidence: page.ocrConfidence ?? null
+            };
+        });
+        return { text, pages: positions };
+    }
+
+    /**
+     * Text of one PDF page, laid out like pdf-parse's default renderer, the
+     * positioned text items it was built from and its lines with their
+     * offset in the text and largest font size
+     */
+    async renderPageText(pageData) {
+        const textContent = await pageData.getTextContent({
+            normalizeWhitespace: false,
+            disableCombineTextItems: false
+        });
+
+        let lastY;
+        let text = '';
+        const lines = [];
+        for (const item of textContent.items) {
+            const size = Math.abs(item.transform[3]) || item.height || 0;
+            if (lastY === item.transform[5] || !lastY) {
+                if (lines.length === 0) lines.push({ offset: 0, size, text: '' });
+            } else {
+                text += '\n';
+                lines.push({ offset: text.length, size, text: '' });
+            }
+            text += item.str;
+
+            const line = lines[lines.length - 1];
+            line.text += item.str;
+            if (item.str.trim()) line.size = Math.max(line.size, size);
+            lastY = item.transform[5];
+        }
+        return { text, items: textContent.items, lines };
+    }
+
+    /**
+     * The PDF's outline (bookmarks), flattened in reading order, with the
+     * page each entry points at. Empty when the PDF has none or it cannot
+     * be read.
+     * @returns {Array} - [{ title, level, page }]
+     */
+    async readOutline(buffer) {
+        let doc = null;
+        try {
+            // The pdf.js build pdf-parse renders with
+            const PDFJS = require('pdf-parse/lib/pdf.js/v1.10.100/build/pdf.js');
+            PDFJS.disableWorker = true;
+            doc = await PDFJS.getDocument(new Uint8Array(buffer));
+
+            const entries = [];
+            const visit = async (items, level) => {
+                for (const item of items || []) {
+                    let page = null;
+                    try {
+                        const dest = typeof item.dest === 'string' ? await doc.getDestination(item.dest) : item.dest;
+                        if (Array.isArray(dest) && dest[0]) {
+                            page = typeof dest[0] === 'number' ? dest[0] + 1 : await doc.getPageIndex(dest[0]) + 1;
+                        }
+                    } catch (error) {
+                        // Entries with broken destinations keep their place in the outline
+                    }
+
+                    const title = (item.title || '').replace(/\s+/g, ' ').trim();
+                    if (title) entries.push({ title, level, page });
+                    await visit(item.items, level + 1);
+                }
+            };
+            await visit(await doc.getOutline(), 1);
+            return entries;
+        } catch (error) {
+            logger.warn(`Could not read PDF outline: ${error.message}`);
+            return [];
+        } finally {
+            if (doc) doc.destroy();
+        }
+    }
+
+    /**
+     * Headings from the PDF outline, placed where each title appears on the
+     * page it points at (or the start of that page when the title is not
+     * in the text)
+     * @param {Array} outline - readOutline entries
+     * @param {string} text - Joined page text
+     * @param {Array} pages - Page positions from joinPages
+     */
+    locateOutline(outline, text, pages) {
+        const textLower = text.toLowerCase();
+        let searchFrom = 0;
+
+        return outline.map(entry => {
+            const page = pages.find(position => position.page === entry.page);
+            const from = page ? Math.max(page.start, searchFrom <= page.end ? searchFrom : page.start) : searchFrom;
+            const to = page ? page.end : text.length;
+
+            const pattern = new RegExp(entry.title.toLowerCase()
+                .split(' ')
+                .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+                .join('\\s+'));
+            const match = pattern.exec(textLower.slice(from, to));
+            const offset = match ? from + match.index : (page ? page.start : searchFrom);
+
+            searchFrom = match ? offset + match[0].length : offset;
+            return { text: entry.title, level: entry.level, offset, source: 'outline' };
+        }).sort((a, b) => a.offset - b.offset);
+    }
+
+    /**
+     * Headings set in a larger font than the body text. The body size is the
+     * one most text is set in; headings are lines at least 15% larger, and
+     * larger sizes are higher levels.
+     * @param {Array} pageLines - Lines of each page (renderPageText), by page index
+     * @param {Array} pages - { page, text, ocrConfidence? } before joining
+     * @param {Array} positions - Page positions from joinPages
+     */
+    findFontHeadings(pageLines, pages, positions) {
+        const lines = [];
+        pages.forEach((page, index) => {
+            // OCR'd pages no longer match their text layer
+            if (page.ocrConfidence !== undefined) return;
+
+            const raw = (pageLines[index] || []).map(line => line.text).join('\n');
+            const shift = raw.length - raw.trimStart().length;
+            (pageLines[index] || []).forEach(line => {
+                const trimmed = line.text.trim();
+                if (!trimmed || !line.size) return;
+                lines.push({
+                    text: trimmed,
+                    size: Math.round(line.size * 10) / 10,
+                    offset: positions[index].start + line.offset - shift + line.text.indexOf(trimmed)
+                });
+            });
+        });
+
+        const textBySize = new Map();
+        lines.forEach(line => textBySize.set(line.size, (textBySize.get(line.size) || 0) + line.text.length));
+        const bodySize = [...textBySize.entries()].sort((a, b) => b[1] - a[1])[0]?.[0];
+        if (!bodySize) return [];
+
+        const headingLines = lines.filter(line =>
+            line.size >= bodySize * 1.15 && line.text.length <= 100 && /[a-z]/i.test(line.text)
+        );
+        const sizes = [...new Set(headingLines.map(line => line.size))].sort((a, b) => b - a);
+
+        return headingLines.map(line => ({
+            text: line.text,
+            level: Math.min(sizes.indexOf(line.size) + 1, 6),
+            offset: line.offset,
+            source: 'font'
+        }));
+    }
+
+    /**
+     * Tables on a PDF page, found from where its text sits. Lines split into
+     * cells at gaps wider than the font size; a table is a run of three or
+     * more such lines whose cells fall under the columns of the first
+     * (header) line. Runs of long cells are multi-column prose, not tables.
+     * @param {Array} items - Text items of the page (pdf.js getTextContent)
+     * @param {Object} page - { page }
+     */
+    findLayoutTables(items, page) {
+        const lines = [];
+        items.filter(item => item.str.trim()).forEach(item => {
+            const y = item.transform[5];
+            const size = item.height || Math.abs(item.transform[3]) || 10;
+            let line = lines.find(candidate => Math.abs(candidate.y - y) < size / 2);
+            if (!line) {
+                line = { y, items: [] };
+                lines.push(line);
+            }
+            line.items.push({ x: item.transform[4], end: item.transform[4] + item.width, size, str: item.str });
+        });
+        lines.sort((a, b) => b.y - a.y);
+
+        const rows = lines.map(line => {
+            const cells = [];
+            line.items.sort((a, b) => a.x - b.x).forEach(item => {
+                const last = cells[cells.length - 1];
+                if (last && item.x - last.end < item.size) {
+                    last.text += item.str;
+                    last.end = Math.max(last.end, item.end);
+                } else {
+                    cells.push({ x: item.x, end: item.end, text: item.str });
+                }
+            });
+            return cells.map(cell => ({ ...cell, text: cell.text.trim() }));
+        });
+
+        // Column of each cell under the header: the header cell it overlaps most, else the nearest one
+        const alignRow = (header, cells) => {
+            const columns = cells.map(cell => {
+                const overlaps = header.map(column => Math.min(cell.end, column.end) - Math.max(cell.x, column.x));
+                const best = overlaps.indexOf(Math.max(...overlaps));
+                if (overlaps[best] > 0) return best;
+                const distances = header.map(column => Math.abs((column.x + column.end) / 2 - (cell.x + cell.end) / 2));
+                return distances.indexOf(Math.min(...distances));
+            });
+            return new Set(columns).size === columns.length ? columns : null;
+        };
+
+        const tables = [];
+        let index = 0;
+        while (index < rows.length) {
+            const header = rows[index];
+            const body = [];
+            if (header.length >= 2) {
+                for (let next = index + 1; next < rows.length && rows[next].length >= 2; next++) {
+                    const columns = alignRow(header, rows[next]);
+                    if (!columns) break;
+                    const cells = header.map(() => '');
+                    columns.forEach((column, cellIndex) => { cells[column] = rows[next][cellIndex].text; });
+                    body.push(cells);
+                }
+            }
+
+            const allCells = [header, ...body.map(cells => cells.map(text => ({ text })))].flat();
+            const averageLength = allCells.reduce((sum, cell) => sum + cell.text.length, 0) / allCells.length;
+
+            if (body.length >= 2 && averageLength <= 40) {
+                tables.push(this.createTable({
+                    page: page.page,
+                    header: header.map(cell => cell.text),
+                    rows: body,
+                    source: 'pdf_layout'
+                }));
+                index += body.length + 1;
+            } else {
+                index++;
+            }
+        }
+
+        return tables;
+    }
+
+    /**
+     * OCR the given pages in place: each page's text is replaced by the OCR
+     * text when OCR finds more than the text layer had, and gets its
+     * confidence. Failures are logged and recorded rather than thrown, so the
+     * document still gets whatever text the PDF had.
+     * @param {Buffer} buffer - PDF file contents
+     * @param {Array} pages - Pages to OCR ({ page, text })
+     * @returns {Object} - OCR summary for the document metadata
+     */
+    async ocrPages(buffer, pages) {
+        const language = configService.get('ocrLanguage');
+        const lowConfidence = configService.get('ocrLowConfidence');
+        const ocrTargets = pages.slice(0, configService.get('maxPdfPages'));
+        const summary = {
+            performed: false,
+            engine: 'tesseract.js',
+            language,
+            pages: [],
+            averageConfidence: null,
+            lowConfidencePages: []
+        };
+
+        let worker;
+        try {
+            const convert = pdf2pic.fromBuffer(buffer, {
+                density: configService.get('ocrDensity'),
+                format: 'png',
+                preserveAspectRatio: true,
+                width: 2480
+            });
+            for (const page of ocrTargets) {
+                const image = await convert(page.page, { responseType: 'buffer' });
+                // pdf2pic returns an empty image rather than failing when GraphicsMagick/Ghostscript are missing
+                if (!image.buffer || image.buffer.length === 0) {
+                    throw new Error(`Could not rasterize page ${page.page}; GraphicsMagick and Ghostscript are required for OCR`);
+                }
+
+                // Language data is only loaded once there is a page image to read
+                worker = worker || await this.createOCRWorker(language);
+                const result = await this.performOCR(worker, image.buffer);
+                if (!result) continue;
+
+                if (result.text.length > page.text.length) {
+                    page.text = result.text;
+                }
+                page.ocrConfidence = result.confidence;
+                summary.pages.push({
+                    page: page.page,
+                    confidence: result.confidence,
+                    words: result.words,
+                    lowConfidence: result.confidence < lowConfidence
+                });
+            }
+
+            summary.performed = summary.pages.length > 0;
+            logger.info(`OCR processed ${summary.pages.length} of ${pages.length} scanned pages`);
+        } catch (error) {
+            logger.warn('OCR failed, continuing with the PDF text layer:', error.message);
+            summary.error = error.message;
+        } finally {
+            if (worker) {
+                await worker.terminate().catch(() => {});
+            }
+        }
+
+        if (summary.pages.length > 0) {
+            summary.averageConfidence = Math.round(
+                summary.pages.reduce((sum, page) => sum + page.confidence, 0) / summary.pages.length
+            );
+            summary.lowConfidencePages = summary.pages.filter(page => page.lowConfidence).map(page => page.page);
+        }
+        return summary;
+    }
+
+    /**
+     * Start a tesseract.js worker with the language data from OCR_LANG_PATH,
+     * or downloaded once into the model cache
+     */
+    createOCRWorker(language) {
+        return new Promise((resolve, reject) => {
+            tesseract.createWorker(language, 1, {
+                cachePath: configService.get('modelCacheDir'),
+                ...(configService.get('ocrLangPath') && { langPath: configService.get('ocrLangPath') }),
+                // Language data failures never settle createWorker; they only reach this handler
+                errorHandler: error => reject(new Error(`OCR worker failed: ${error}`))
+            }).then(resolve, reject);
+        });
+    }
+
+    /**
+     * Pre-process a page image (grayscale, contrast stretch, sharpen) and
+     * recognize it. Pre-processing is skipped if sharp cannot handle the
+     * image.
+     * @returns {Object|null} - { text, confidence, words } or null on failure
+     */
+    async performOCR(worker, imageBuffer) {
+        let image = imageBuffer;
+        try {
+            image = await sharp(imageBuffer).grayscale().normalize().sharpen().png().toBuffer();
+        } catch (error) {
+            logger.warn('OCR image pre-processing failed, using the raw page image:', error.message);
+        }
+
+        try {
+            const { data } = await worker.recognize(image);
+            const text = (data.text || '').trim();
+            return {
+                text,
+                confidence: Math.round(data.confidence || 0),
+                words: text ? text.split(/\s+/).length : 0
+            };
+        } catch (error) {
+            logger.error('OCR processing failed:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Attach provenance to each chunk: its character span in the extracted
+     * text (after the overlap carried over from the previous chunk), the
+     * pages it spans, the heading path it falls under (and of each heading
+     * that starts inside it) and the tables it overlaps. Chunks drawn from low-confidence OCR pages are listed in
+     * `metadata.ocr.lowConfidenceChunks` so answers that cite them can be flagged.
+     * @param {Array} chunks - Chunks from intelligentChunking
+     * @param {string} text - Extracted document text
+     * @param {Array|null} pages - Page positions ({ page, start, end, ocrConfidence }), null for unpaged formats
+     * @param {Object} metadata - Document metadata
+     * @param {Array} tables - Located tables (locateTables)
+     * @param {Array} headings - Headings with offsets, found in the text when not given
+     */
+    assignProvenance(chunks, text, pages, metadata, tables = [], headings = this.findHeadings(text)) {
+        const lowConfidence = configService.get('ocrLowConfidence');
+
+        chunks.forEach(chunk => {
+            if (chunk.startPosition === null || chunk.startPosition === undefined || chunk.startPosition < 0) {
+                chunk.provenance = null;
+                return;
+            }
+
+            const startOffset = chunk.startPosition;
+            const endOffset = chunk.endPosition;
+            const provenance = {
+                startOffset,
+                endOffset,
+                overlapLength: chunk.overlapLength || 0,
+                pageStart: null,
+                pageEnd: null,
+                pages: [],
+                headingPath: this.headingPathAt(headings, startOffset),
+                headings: headings
+                    .filter(heading => heading.offset > startOffset && heading.offset < endOffset)
+                    .map(heading => ({ offset: heading.offset, path: this.headingPathAt(headings, heading.offset) })),
+                tables: tables
+                    .filter(table => table.startOffset !== null && table.startOffset < endOffset && table.endOffset > startOffset)
+                    .map(table => table.index)
+            };
+
+            if (pages) {
+                const spanned = pages.filter(page => page.start < endOffset && page.end > startOffset);
+                provenance.pages = spanned.map(page => ({
+                    page: page.page,
+                    startOffset: page.start,
+                    endOffset: page.end
+                }));
+                provenance.pageStart = spanned.length > 0 ? spanned[0].page : null;
+                provenance.pageEnd = spanned.length > 0 ? spanned[spanned.length - 1].page : null;
+
+                const confidences = spanned.map(page => page.ocrConfidence).filter(confidence => confidence !== null);
+                if (confidences.length > 0) {
+                    provenance.ocrConfidence = Math.min(...confidences);
+                }
+            }
+
+            chunk.provenance = provenance;
+        });
+
+        if (metadata.ocr) {
+            metadata.ocr.lowConfidenceChunks = chunks
+                .filter(chunk => chunk.provenance?.ocrConfidence !== undefined && chunk.provenance.ocrConfidence < lowConfidence)
+                .map(chunk => chunk.index);
+        }
+    }
+
+    /**
+     * Headings with their character offsets: markdown headings, ALL CAPS
+     * lines, numbered sections (2.1 Title) and chapter/lecture/slide titles
+     */
+    findHeadings(text) {
+        const headings = [];
+        let offset = 0;
+
+        text.split('\n').forEach(line => {
+            const trimmed = line.trim();
+            const lineOffset = offset + line.indexOf(trimmed);
+            offset += line.length + 1;
+
+            if (!trimmed || trimmed.length > 100) return;
+
+            const numbered = trimmed.match(/^(\d+(?:\.\d+)+)\.?\s+[A-Z][^.!?]*$/);
+            if (/^#{1,6}\s+/.test(trimmed) || /^[A-Z][A-Z\s]+$/.test(trimmed)) {
+                headings.push({
+                    text: trimmed.replace(/^#{1,6}\s+/, ''),
+                    level: this.getHeadingLevel(trimmed),
+                    offset: lineOffset
+                });
+            } else if (numbered) {
+                headings.push({ text: trimmed, level: numbered[1].split('.').length, offset: lineOffset });
+            } else if (/^(chapter|part|unit|lecture|module|slide)\s+\d+\b/i.test(trimmed)) {
+                headings.push({ text: trimmed, level: 1, offset: lineOffset });
+            }
+        });
+
+        return headings;
+    }
+
+    /**
+     * Headings from two sources in text order. Where both found a heading on
+     * the same line, the first source's is kept.
+     */
+    mergeHeadings(primary, secondary) {
+        const taken = new Set(primary.map(heading => heading.offset));
+        return [...primary, ...secondary.filter(heading => !taken.has(heading.offset))]
+            .sort((a, b) => a.offset - b.offset);
+    }
+
+    /**
+     * Table of contents: the headings as a tree of sections. A section runs
+     * from its heading to the next heading at the same or a higher level,
+     * so it contains its subsections.
+     * @param {string} text - Extracted document text
+     * @param {Array|null} pages - Page positions, null for unpaged formats
+     * @param {Array} headings - Headings with offsets, in text order
+     * @returns {Array} - Top-level sections: [{ title, level, path, start, end, pageStart, pageEnd, source, children }]
+     */
+    buildToc(text, pages, headings) {
+        const pageAt = offset => pages?.filter(page => page.start <= offset).pop()?.page ?? null;
+        const toc = [];
+        const open = [];
+
+        headings.forEach((heading, index) => {
+            const next = headings.slice(index + 1).find(other => other.level <= heading.level);
+            let end = next ? next.offset : text.length;
+            while (end > heading.offset && /\s/.test(text[end - 1])) end--;
+
+            while (open.length > 0 && open[open.length - 1].level >= heading.level) {
+                open.pop();
+            }
+            const parent = open[open.length - 1];
+            const section = {
+                title: heading.text,
+                level: heading.level,
+                path: parent ? [...parent.path, heading.text] : [heading.text],
+                start: heading.offset,
+                end,
+                pageStart: pageAt(heading.offset),
+                pageEnd: pageAt(Math.max(heading.offset, end - 1)),
+                source: heading.source || 'text',
+                children: []
+            };
+
+            (parent ? parent.children : toc).push(section);
+            open.push(section);
+        });
+
+        return toc;
+    }
+
+    /**
+     * Titles of the enclosing headings at `offset`, outermost first
+     */
+    headingPathAt(headings, offset) {
+        const path = [];
+        for (const heading of headings) {
+            if (heading.offset > offset) break;
+            while (path.length > 0 && path[path.length - 1].level >= heading.level) {
+                path.pop();
+            }
+            path.push(heading);
+        }
+        return path.map(heading => heading.text);
+    }
+
     async processDocx(filePath) {
         try {
             const buffer = await fs.readFile(filePath);
             const result = await mammoth.extractRawText({ buffer });
-            
+
+            // The raw text flattens tables into one paragraph per cell; the HTML conversion keeps them
+            const html = await mammoth.convertToHtml({ buffer });
+            const $ = cheerio.load(html.value);
+            const tables = $('table').toArray()
+                .filter(table => $(table).parents('table').length === 0)
+                .map(table => this.parseHtmlTable($, table))
+                .filter(table => table)
+                .map(table => ({ ...table, source: 'docx' }));
+
             const metadata = {
                 processingMethod: 'mammoth_docx',
                 hasFormatting: result.messages && result.messages.length > 0,
@@ -137,6 +821,7 @@ class EnhancedDocumentProcessor {
 
             return {
                 text: result.value,
+                tables,
                 metadata
             };
 
@@ -146,19 +831,673 @@ class EnhancedDocumentProcessor {
         }
     }
 
-    async performOCR(buffer, options = {}) {
+    /**
+     * PowerPoint deck: one page per slide, in presentation order, with the
+     * slide title as a "Slide N: Title" heading and the speaker notes after
+     * the slide text
+     */
+    async processPptx(filePath) {
         try {
-            // Skip OCR for PDFs as they need special handling
-            // This is a simplified version that focuses on text extraction
-            logger.info('OCR processing skipped for PDF - using text extraction instead');
-            return null;
+            const zip = await JSZip.loadAsync(await fs.readFile(filePath));
+            const slidePaths = await this.getPptxSlidePaths(zip);
+            const slides = [];
+            const tables = [];
+
+            for (const [index, slidePath] of slidePaths.entries()) {
+                const slideXml = await this.readZipXml(zip, slidePath);
+                const slide = this.readPptxShapes(slideXml);
+                const relationships = await this.readZipRelationships(zip, slidePath);
+                const notesPath = [...relationships.values()].find(rel => rel.type.endsWith('/notesSlide'))?.target;
+                const notes = notesPath && zip.file(notesPath)
+                    ? this.readPptxShapes(await this.readZipXml(zip, notesPath)).body
+                    : [];
+
+                const number = index + 1;
+                tables.push(...this.readPptxTables(slideXml).map(table => ({ ...table, page: number })));
+                const lines = [slide.title ? `Slide ${number}: ${slide.title}` : `Slide ${number}`, ...slide.body];
+                if (notes.length > 0) {
+                    lines.push('', 'Speaker notes:', ...notes);
+                }
+
+                slides.push({
+                    page: number,
+                    title: slide.title,
+                    hasNotes: notes.length > 0,
+                    text: lines.join('\n')
+                });
+            }
+
+            const { text, pages } = this.joinPages(slides);
+            const core = zip.file('docProps/core.xml') ? await this.readZipXml(zip, 'docProps/core.xml') : null;
+
+            return {
+                text,
+                pages,
+                tables,
+                metadata: {
+                    processingMethod: 'pptx_xml',
+                    title: this.xmlText(core, 'dc:title') || null,
+                    pageCount: slides.length,
+                    pageUnit: 'slide',
+                    slides: slides.map(slide => ({ slide: slide.page, title: slide.title, hasNotes: slide.hasNotes })),
+                    slidesWithNotes: slides.filter(slide => slide.hasNotes).length
+                }
+            };
 
         } catch (error) {
-            logger.error('OCR processing failed:', error);
-            return null;
+            logger.error('PPTX processing failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Slide parts in presentation order; decks without a slide list fall
+     * back to the numbering of the slide files
+     */
+    async getPptxSlidePaths(zip) {
+        const presentationPath = 'ppt/presentation.xml';
+        if (zip.file(presentationPath)) {
+            const presentation = await this.readZipXml(zip, presentationPath);
+            const relationships = await this.readZipRelationships(zip, presentationPath);
+            const slidePaths = Array.from(presentation.getElementsByTagName('p:sldId'))
+                .map(slideId => relationships.get(slideId.getAttribute('r:id'))?.target)
+                .filter(slidePath => slidePath && zip.file(slidePath));
+            if (slidePaths.length > 0) return slidePaths;
+        }
+
+        return Object.keys(zip.files)
+            .filter(name => /^ppt\/slides\/slide\d+\.xml$/.test(name))
+            .sort((a, b) => parseInt(a.match(/\d+/)[0]) - parseInt(b.match(/\d+/)[0]));
+    }
+
+    /**
+     * Title and body paragraphs of a slide or notes page. Slide number,
+     * date, header/footer placeholders and the notes page's slide
+     * thumbnail are left out.
+     */
+    readPptxShapes(xml) {
+        const skipped = ['sldNum', 'dt', 'hdr', 'ftr', 'sldImg'];
+        const result = { title: null, body: [] };
+
+        Array.from(xml.getElementsByTagName('a:p')).forEach(paragraph => {
+            const text = Array.from(paragraph.getElementsByTagName('a:t'))
+                .map(run => run.textContent)
+                .join('')
+                .replace(/\s+/g, ' ')
+                .trim();
+            if (!text) return;
+
+            let shape = paragraph.parentNode;
+            while (shape && shape.nodeName !== 'p:sp') shape = shape.parentNode;
+            const placeholder = shape ? shape.getElementsByTagName('p:ph')[0] : null;
+            const type = placeholder ? placeholder.getAttribute('type') : '';
+
+            if (skipped.includes(type)) return;
+            if ((type === 'title' || type === 'ctrTitle') && !result.title) {
+                result.title = text;
+            } else if (type === 'title' || type === 'ctrTitle') {
+                result.title += ` ${text}`;
+            } else {
+                result.body.push(text);
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Tables drawn on a slide, the first row being the header
+     */
+    readPptxTables(xml) {
+        return Array.from(xml.getElementsByTagName('a:tbl'))
+            .map(table => Array.from(table.getElementsByTagName('a:tr')).map(row =>
+                Array.from(row.getElementsByTagName('a:tc')).map(cell =>
+                    Array.from(cell.getElementsByTagName('a:t')).map(run => run.textContent).join(' ').replace(/\s+/g, ' ').trim())))
+            .filter(rows => rows.length >= 2)
+            .map(rows => this.createTable({ header: rows[0], rows: rows.slice(1), source: 'pptx' }));
+    }
+
+    /**
+     * EPUB book: one page per chapter (spine document with text), in
+     * reading order, each starting with its title as a markdown heading
+     */
+    async processEpub(filePath) {
+        try {
+            const zip = await JSZip.loadAsync(await fs.readFile(filePath));
+            const container = await this.readZipXml(zip, 'META-INF/container.xml');
+            const rootfile = container.getElementsByTagNameNS('*', 'rootfile')[0];
+            const opfPath = rootfile ? rootfile.getAttribute('full-path') : null;
+            if (!opfPath || !zip.file(opfPath)) {
+                throw new Error('Invalid EPUB: package document not found');
+            }
+
+            const opf = await this.readZipXml(zip, opfPath);
+            const manifest = new Map(Array.from(opf.getElementsByTagNameNS('*', 'item')).map(item => [
+                item.getAttribute('id'),
+                {
+                    path: this.resolveZipPath(opfPath, item.getAttribute('href')),
+                    mediaType: item.getAttribute('media-type'),
+                    properties: item.getAttribute('properties') || ''
+                }
+            ]));
+
+            const chapters = [];
+            const tables = [];
+            for (const itemref of Array.from(opf.getElementsByTagNameNS('*', 'itemref'))) {
+                const item = manifest.get(itemref.getAttribute('idref'));
+                if (!item || !/html/.test(item.mediaType) || item.properties.includes('nav') || !zip.file(item.path)) {
+                    continue;
+                }
+
+                const $ = cheerio.load(await zip.file(item.path).async('string'));
+                $('script, style').remove();
+                const chapterTables = [];
+                const blocks = this.htmlBlocks($, $('body').length ? $('body') : $.root(), chapterTables);
+                if (blocks.length === 0) continue;
+
+                const number = chapters.length + 1;
+                tables.push(...chapterTables.map(table => ({ ...table, page: number })));
+                const heading = $('h1, h2, h3').first().text().replace(/\s+/g, ' ').trim();
+                const title = heading || $('title').text().replace(/\s+/g, ' ').trim() || `Chapter ${number}`;
+                if (!/^#{1,6}\s/.test(blocks[0])) {
+                    blocks.unshift(`# ${title}`);
+                }
+
+                chapters.push({ page: number, title, text: blocks.join('\n\n') });
+            }
+
+            const { text, pages } = this.joinPages(chapters);
+
+            return {
+                text,
+                pages,
+                tables,
+                metadata: {
+                    processingMethod: 'epub_spine',
+                    title: this.xmlText(opf, 'dc:title') || null,
+                    author: this.xmlText(opf, 'dc:creator') || null,
+                    pageCount: chapters.length,
+                    pageUnit: 'chapter',
+                    chapters: chapters.map(chapter => ({ chapter: chapter.page, title: chapter.title }))
+                }
+            };
+
+        } catch (error) {
+            logger.error('EPUB processing failed:', error);
+            throw error;
         }
     }
 
+    /**
+     * Web page or exported HTML notes. Navigation, headers, footers,
+     * sidebars, scripts and similar boilerplate are removed; headings are
+     * kept as markdown headings so they show up in chunk heading paths.
+     */
+    async processHtml(filePath) {
+        try {
+            const $ = cheerio.load(await fs.readFile(filePath, 'utf8'));
+            const title = $('title').first().text().replace(/\s+/g, ' ').trim();
+            const removed = this.removeHtmlBoilerplate($);
+
+            const main = $('main, [role="main"], article').first();
+            const root = main.length ? main : ($('body').length ? $('body') : $.root());
+            const tables = [];
+
+            return {
+                text: this.htmlBlocks($, root, tables).join('\n\n'),
+                tables,
+                metadata: {
+                    processingMethod: 'cheerio_html',
+                    title: title || $('h1').first().text().replace(/\s+/g, ' ').trim() || null,
+                    boilerplateRemoved: removed
+                }
+            };
+
+        } catch (error) {
+            logger.error('HTML processing failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Remove page chrome that is not course content
+     * @returns {number} - Number of elements removed
+     */
+    removeHtmlBoilerplate($) {
+        const boilerplate = $(BOILERPLATE_SELECTOR).toArray();
+
+        // Headers and footers inside an article or main belong to the content
+        $('header, footer').each((_, element) => {
+            if ($(element).parents('article, main').length === 0) boilerplate.push(element);
+        });
+        $('[class], [id]').each((_, element) => {
+            if (['html', 'body', 'main', 'article'].includes(element.name)) return;
+            if (BOILERPLATE_PATTERN.test(`${$(element).attr('class') || ''} ${$(element).attr('id') || ''}`)) {
+                boilerplate.push(element);
+            }
+        });
+
+        const unique = [...new Set(boilerplate)];
+        unique.forEach(element => $(element).remove());
+        return unique.length;
+    }
+
+    /**
+     * Text blocks (paragraphs, headings, list items, tables) of an HTML
+     * element, in document order. Headings become markdown headings and
+     * table rows are joined cell by cell with " | "; the tables themselves
+     * are added to `tables`.
+     */
+    htmlBlocks($, root, tables = []) {
+        const blocks = [];
+        const clean = text => text.replace(/\s+/g, ' ').trim();
+
+        const walk = element => {
+            let inline = '';
+            const flush = () => {
+                const text = clean(inline);
+                if (text) blocks.push(text);
+                inline = '';
+            };
+
+            $(element).contents().each((_, node) => {
+                if (node.type === 'text') {
+                    inline += node.data;
+                    return;
+                }
+                if (node.type !== 'tag') return;
+
+                const tag = node.name.toLowerCase();
+                if (INLINE_TAGS.has(tag)) {
+                    inline += tag === 'br' ? ' ' : ` ${$(node).text()} `;
+                    return;
+                }
+
+                flush();
+                const text = clean($(node).text());
+                const heading = tag.match(/^h([1-6])$/);
+
+                if (heading) {
+                    if (text) blocks.push(`${'#'.repeat(parseInt(heading[1]))} ${text}`);
+                } else if (tag === 'table') {
+                    const table = this.parseHtmlTable($, node);
+                    if (table) tables.push(table);
+                    const rows = $(node).find('tr').toArray()
+                        .map(row => $(row).children('th, td').toArray().map(cell => clean($(cell).text())).join(' | '))
+                        .filter(row => row.replace(/[|\s]/g, ''));
+                    if (rows.length > 0) blocks.push(rows.join('\n'));
+                } else if (tag === 'pre') {
+                    const preformatted = $(node).text().trim();
+                    if (preformatted) blocks.push(preformatted);
+                } else if ($(node).children().toArray().some(child => !INLINE_TAGS.has(child.name))) {
+                    walk(node);
+                } else if (text) {
+                    blocks.push(tag === 'li' ? `- ${text}` : text);
+                }
+            });
+
+            flush();
+        };
+
+        walk(root);
+        return blocks;
+    }
+
+    /**
+     * CSV file, indexed as a single table named like the one sheet Excel
+     * shows for it
+     */
+    async processCsv(filePath) {
+        try {
+            const rows = await new Promise((resolve, reject) => {
+                const result = [];
+                createReadStream(filePath)
+                    .pipe(csvParser({ headers: false }))
+                    .on('data', row => result.push(Object.values(row)))
+                    .on('error', reject)
+                    .on('end', () => resolve(result));
+            });
+
+            const table = this.formatTable('Sheet1', 1, rows);
+            const { text, pages } = this.joinPages(table ? [table] : []);
+
+            return {
+                text,
+                pages,
+                tables: table ? [table.table] : [],
+                metadata: {
+                    processingMethod: 'csv_parser',
+                    pageCount: pages.length,
+                    pageUnit: 'sheet'
+                }
+            };
+
+        } catch (error) {
+            logger.error('CSV processing failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Excel workbook: one page per non-empty sheet, each indexed as a table.
+     * Cells are read as stored, so dates appear as Excel serial numbers.
+     */
+    async processXlsx(filePath) {
+        try {
+            const zip = await JSZip.loadAsync(await fs.readFile(filePath));
+            const workbookPath = 'xl/workbook.xml';
+            const workbook = await this.readZipXml(zip, workbookPath);
+            const relationships = await this.readZipRelationships(zip, workbookPath);
+
+            const sharedStrings = zip.file('xl/sharedStrings.xml')
+                ? Array.from((await this.readZipXml(zip, 'xl/sharedStrings.xml')).getElementsByTagName('si'))
+                    .map(item => Array.from(item.getElementsByTagName('t')).map(t => t.textContent).join(''))
+                : [];
+
+            const sheets = [];
+            for (const sheet of Array.from(workbook.getElementsByTagName('sheet'))) {
+                const sheetPath = relationships.get(sheet.getAttribute('r:id'))?.target;
+                if (!sheetPath || !zip.file(sheetPath)) continue;
+
+                const rows = this.readXlsxRows(await this.readZipXml(zip, sheetPath), sharedStrings);
+                const table = this.formatTable(sheet.getAttribute('name'), sheets.length + 1, rows);
+                if (table) sheets.push(table);
+            }
+
+            const { text, pages } = this.joinPages(sheets);
+
+            return {
+                text,
+                pages,
+                tables: sheets.map(sheet => sheet.table),
+                metadata: {
+                    processingMethod: 'xlsx_xml',
+                    pageCount: sheets.length,
+                    pageUnit: 'sheet'
+                }
+            };
+
+        } catch (error) {
+            logger.error('XLSX processing failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Cell values of a worksheet as rows of strings, keyed by spreadsheet
+     * row number so empty rows keep the numbering
+     */
+    readXlsxRows(xml, sharedStrings) {
+        const rows = [];
+
+        Array.from(xml.getElementsByTagName('row')).forEach((row, rowIndex) => {
+            const cells = [];
+            Array.from(row.getElementsByTagName('c')).forEach((cell, cellIndex) => {
+                const reference = cell.getAttribute('r') || '';
+                const letters = reference.replace(/\d+/g, '');
+                const column = letters
+                    ? letters.split('').reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1
+                    : cellIndex;
+
+                const type = cell.getAttribute('t');
+                const value = this.xmlText(cell, 'v');
+                if (type === 's') {
+                    cells[column] = sharedStrings[parseInt(value)] ?? '';
+                } else if (type === 'inlineStr') {
+                    cells[column] = Array.from(cell.getElementsByTagName('t')).map(t => t.textContent).join('');
+                } else if (type === 'b') {
+                    cells[column] = value === '1' ? 'TRUE' : 'FALSE';
+                } else {
+                    cells[column] = value;
+                }
+            });
+
+            const rowNumber = parseInt(row.getAttribute('r')) || rowIndex + 1;
+            rows[rowNumber - 1] = Array.from(cells, cell => cell ?? '');
+        });
+
+        return Array.from(rows, row => row || []);
+    }
+
+    /**
+     * Table text for indexing: a "# Table: name" heading, the columns, then
+     * one "Row N: column: value | ..." line per row (N is the spreadsheet
+     * row, the header being row 1), in groups of TABLE_ROWS_PER_BLOCK so
+     * chunks break between groups. The first non-empty row is the header.
+     * @returns {Object|null} - { page, text, table }, null for an empty table
+     */
+    formatTable(name, page, rows) {
+        const isEmpty = row => row.every(cell => !String(cell).trim());
+        const headerIndex = rows.findIndex(row => !isEmpty(row));
+        if (headerIndex === -1) return null;
+
+        const bodyRows = [];
+        const rowNumbers = [];
+        rows.slice(headerIndex + 1).forEach((row, index) => {
+            if (isEmpty(row)) return;
+            bodyRows.push(row);
+            rowNumbers.push(headerIndex + index + 2);
+        });
+
+        const table = this.createTable({
+            page,
+            caption: name,
+            header: rows[headerIndex],
+            rows: bodyRows,
+            rowNumbers,
+            source: 'spreadsheet'
+        });
+        const { columns } = table;
+
+        const lines = table.rows.map(({ row, cells }) => {
+            const values = columns
+                .map((column, columnIndex) => [column, cells[columnIndex]])
+                .filter(([, value]) => value)
+                .map(([column, value]) => `${column}: ${value}`);
+            return `Row ${row}: ${values.join(' | ')}`;
+        });
+
+        const groups = [];
+        for (let i = 0; i < lines.length; i += TABLE_ROWS_PER_BLOCK) {
+            groups.push(lines.slice(i, i + TABLE_ROWS_PER_BLOCK).join('\n'));
+        }
+
+        return {
+            page,
+            text: [`# Table: ${name}`, `Columns: ${columns.join(' | ')}`, ...groups].join('\n\n'),
+            table
+        };
+    }
+
+    async readZipXml(zip, entryPath) {
+        const entry = zip.file(entryPath);
+        if (!entry) {
+            throw new Error(`Invalid document: ${entryPath} not found`);
+        }
+        return new DOMParser().parseFromString(await entry.async('string'), 'text/xml');
+    }
+
+    /**
+     * Relationships of an Office/EPUB zip part: id -> { type, target } with
+     * the target resolved to a path in the zip
+     */
+    async readZipRelationships(zip, partPath) {
+        const relsPath = path.posix.join(path.posix.dirname(partPath), '_rels', `${path.posix.basename(partPath)}.rels`);
+        const relationships = new Map();
+        if (!zip.file(relsPath)) return relationships;
+
+        const xml = await this.readZipXml(zip, relsPath);
+        Array.from(xml.getElementsByTagName('Relationship')).forEach(relationship => {
+            if (relationship.getAttribute('TargetMode') === 'External') return;
+            relationships.set(relationship.getAttribute('Id'), {
+                type: relationship.getAttribute('Type') || '',
+                target: this.resolveZipPath(partPath, relationship.getAttribute('Target'))
+            });
+        });
+        return relationships;
+    }
+
+    resolveZipPath(fromPath, target) {
+        const decoded = decodeURIComponent(target.split('#')[0]);
+        return decoded.startsWith('/')
+            ? decoded.slice(1)
+            : path.posix.normalize(path.posix.join(path.posix.dirname(fromPath), decoded));
+    }
+
+    xmlText(xml, tagName) {
+        const element = xml ? xml.getElementsByTagName(tagName)[0] : null;
+        return element ? element.textContent.trim() : '';
+    }
+
+    /**
+     * A table as the pipeline keeps it. Rows are numbered from 1 below the
+     * header unless `rowNumbers` says otherwise (spreadsheet rows); blank
+     * header cells become "Column N".
+     * @returns {Object} - { page, caption, columns, rows: [{ row, cells }], source }
+     */
+    createTable({ page = null, caption = null, header, rows, rowNumbers = null, source }) {
+        const width = Math.max(header.length, ...rows.map(row => row.length));
+        return {
+            page,
+            caption: caption || null,
+            columns: Array.from({ length: width }, (_, index) =>
+                String(header[index] ?? '').trim() || `Column ${index + 1}`),
+            rows: rows.map((cells, index) => ({
+                row: rowNumbers ? rowNumbers[index] : index + 1,
+                cells: Array.from({ length: width }, (_, cellIndex) => String(cells[cellIndex] ?? '').trim())
+            })),
+            source
+        };
+    }
+
+    /**
+     * Markdown pipe tables and tab-separated tables in plain text
+     */
+    findTextTables(text) {
+        const tables = [];
+        let run = [];
+
+        const flush = () => {
+            if (run.length >= 3 || (run.length === 2 && run[0].delimiter === '\t')) {
+                const [header, ...rows] = run.map(line => line.cells);
+                tables.push(this.createTable({
+                    header,
+                    rows,
+                    source: run[0].delimiter === '|' ? 'markdown' : 'delimited'
+                }));
+            }
+            run = [];
+        };
+
+        text.split('\n').forEach(line => {
+            const trimmed = line.trim();
+            let delimiter = null;
+            let cells = null;
+            if (/^\|.*\|$/.test(trimmed) && trimmed.length > 2) {
+                delimiter = '|';
+                cells = trimmed.slice(1, -1).split('|').map(cell => cell.trim());
+            } else if (line.includes('\t')) {
+                delimiter = '\t';
+                cells = line.split('\t').map(cell => cell.trim());
+            }
+
+            if (!cells || cells.length < 2 || (run.length > 0 && run[0].delimiter !== delimiter)) {
+                flush();
+                if (!cells || cells.length < 2) return;
+            }
+            // Markdown's header separator row (|---|:---:|)
+            if (delimiter === '|' && cells.every(cell => /^:?-+:?$/.test(cell))) return;
+            run.push({ delimiter, cells });
+        });
+        flush();
+
+        return tables;
+    }
+
+    /**
+     * Rows of an HTML table (nested tables excluded) as a pipeline table,
+     * the first row being the header; null for tables of fewer than two rows
+     */
+    parseHtmlTable($, table) {
+        const rows = $(table).find('tr').toArray()
+            .filter(row => $(row).closest('table')[0] === table)
+            .map(row => $(row).children('th, td').toArray().map(cell => $(cell).text().replace(/\s+/g, ' ').trim()))
+            .filter(cells => cells.some(cell => cell));
+        if (rows.length < 2) return null;
+
+        const previous = $(table).prev().text().replace(/\s+/g, ' ').trim();
+        const caption = $(table).children('caption').first().text().replace(/\s+/g, ' ').trim()
+            || $(table).closest('figure').children('figcaption').first().text().replace(/\s+/g, ' ').trim()
+            || (CAPTION_PATTERN.test(previous) ? previous : null);
+
+        return this.createTable({ caption, header: rows[0], rows: rows.slice(1), source: 'html' });
+    }
+
+    /**
+     * Give tables their span in the document text by finding their cells
+     * in order, then their page from that span and, when the format had no
+     * caption, a "Table N: ..." line right before or after them. Tables
+     * whose cells cannot be found keep null offsets.
+     * @param {string} text - Document text
+     * @param {Array|null} pages - Page positions
+     * @param {Array} tables - Tables from createTable, in document order
+     * @returns {Array} - The tables, numbered, with startOffset/endOffset/page/pageEnd
+     */
+    locateTables(text, pages, tables) {
+        let cursor = 0;
+
+        return tables.map((table, index) => {
+            const page = pages && table.page ? pages.find(candidate => candidate.page === table.page) : null;
+            const limit = page ? page.end : text.length;
+            let position = Math.max(cursor, page ? page.start : 0);
+            let startOffset = null;
+            let endOffset = null;
+
+            const cells = [
+                ...table.columns.filter((column, columnIndex) => column !== `Column ${columnIndex + 1}`),
+                ...table.rows.flatMap(row => row.cells)
+            ].filter(cell => cell);
+
+            for (const cell of cells) {
+                const found = text.indexOf(cell, position);
+                // A cell far ahead of the previous one was matched elsewhere in the text
+                if (found === -1 || found + cell.length > limit || (startOffset !== null && found - position > 500)) continue;
+                if (startOffset === null) startOffset = found;
+                endOffset = found + cell.length;
+                position = endOffset;
+            }
+
+            if (endOffset !== null) cursor = endOffset;
+
+            const spanned = pages && startOffset !== null
+                ? pages.filter(candidate => candidate.start <= endOffset && candidate.end >= startOffset)
+                : [];
+
+            return {
+                index,
+                ...table,
+                page: table.page ?? (spanned.length > 0 ? spanned[0].page : null),
+                pageEnd: spanned.length > 0 ? spanned[spanned.length - 1].page : table.page,
+                caption: table.caption || (startOffset !== null ? this.findCaption(text, startOffset, endOffset) : null),
+                startOffset,
+                endOffset
+            };
+        });
+    }
+
+    /**
+     * Caption line ("Table 3: ...") among the two lines before a table or
+     * the line after it
+     */
+    findCaption(text, startOffset, endOffset) {
+        const before = text.slice(Math.max(0, startOffset - 300), startOffset).split('\n').slice(0, -1)
+            .map(line => line.trim()).filter(line => line).slice(-2).reverse();
+        const after = text.slice(endOffset, endOffset + 300).split('\n').slice(1)
+            .map(line => line.trim()).filter(line => line).slice(0, 1);
+
+        return [...before, ...after].find(line => CAPTION_PATTERN.test(line) && line.length <= 200) || null;
+    }
+
     calculateOCRConfidence(text) {
         // Simple confidence calculation based on text quality
         const words = text.split(/\s+/);
@@ -514,8 +1853,8 @@ class EnhancedDocumentProcessor {
 
             if (respectParagraphs) {
                 // First try paragraph-based chunking
-                const paragraphs = text.split(/\n\s*\n/).filter(p => p.trim());
-                chunks = this.chunkByParagraphs(paragraphs, maxChunkSize, minChunkSize, overlapSize);
+                const paragraphs = this.splitParagraphs(text);
+                chunks = this.chunkByParagraphs(text, paragraphs, maxChunkSize, minChunkSize, overlapSize);
             } else if (respectSentences) {
                 // Sentence-based chunking
                 const sentences = this.splitIntoSentences(text);
@@ -525,15 +1864,21 @@ class EnhancedDocumentProcessor {
                 chunks = this.chunkByWords(text, maxChunkSize, overlapSize);
             }
 
-            // Enhance chunks with metadata
-            return chunks.map((chunk, index) => ({
-                text: chunk.trim(),
-                index,
-                wordCount: chunk.split(/\s+/).length,
-                characterCount: chunk.length,
-                startPosition: text.indexOf(chunk),
-                confidence: this.calculateChunkQuality(chunk, metadata)
-            }));
+            // Enhance chunks with metadata. Paragraph chunks know their exact
+            // span; the other strategies rewrite text, so they have none.
+            return chunks.map((chunk, index) => {
+                const chunkText = typeof chunk === 'string' ? chunk.trim() : chunk.text;
+                return {
+                    text: chunkText,
+                    index,
+                    wordCount: chunkText.split(/\s+/).length,
+                    characterCount: chunkText.length,
+                    startPosition: typeof chunk === 'string' ? null : chunk.start,
+                    endPosition: typeof chunk === 'string' ? null : chunk.end,
+                    overlapLength: typeof chunk === 'string' ? 0 : chunk.overlapLength,
+                    confidence: this.calculateChunkQuality(chunkText, metadata)
+                };
+            });
 
         } catch (error) {
             logger.error('Intelligent chunking failed, falling back to simple chunking:', error);
@@ -541,27 +1886,66 @@ class EnhancedDocumentProcessor {
         }
     }
 
-    chunkByParagraphs(paragraphs, maxChunkSize, minChunkSize, overlapSize) {
+    /**
+     * Paragraphs (separated by blank lines) with their trimmed spans in `text`
+     */
+    splitParagraphs(text) {
+        const paragraphs = [];
+        const separator = /\n\s*\n/g;
+        const addParagraph = (start, end) => {
+            const raw = text.slice(start, end);
+            const trimmed = raw.trim();
+            if (!trimmed) return;
+            const paragraphStart = start + raw.indexOf(trimmed);
+            paragraphs.push({ start: paragraphStart, end: paragraphStart + trimmed.length });
+        };
+
+        let start = 0;
+        let match;
+        while ((match = separator.exec(text)) !== null) {
+            addParagraph(start, match.index);
+            start = match.index + match[0].length;
+        }
+        addParagraph(start, text.length);
+
+        return paragraphs;
+    }
+
+    /**
+     * Group paragraphs into chunks. Each chunk is `{ text, start, end,
+     * overlapLength }`: the text is the overlap carried over from the
+     * previous chunk followed by the exact source text from start to end.
+     */
+    chunkByParagraphs(text, paragraphs, maxChunkSize, minChunkSize, overlapSize) {
         const chunks = [];
-        let currentChunk = '';
+        let current = null;
         let overlap = '';
 
+        const pushChunk = () => {
+            const body = text.slice(current.start, current.end);
+            const chunkText = (overlap + body).trim();
+            chunks.push({
+                text: chunkText,
+                start: current.start,
+                end: current.end,
+                overlapLength: Math.max(0, chunkText.length - body.length)
+            });
+            overlap = this.createOverlap(body, overlapSize);
+        };
+
         for (const paragraph of paragraphs) {
-            const paragraphLength = paragraph.length;
-            
-            if (currentChunk.length + paragraphLength <= maxChunkSize) {
-                currentChunk += (currentChunk ? '\n\n' : '') + paragraph;
+            if (current && paragraph.end - current.start <= maxChunkSize) {
+                current.end = paragraph.end;
             } else {
-                if (currentChunk.length >= minChunkSize) {
-                    chunks.push(overlap + currentChunk);
-                    overlap = this.createOverlap(currentChunk, overlapSize);
+                if (current && current.end - current.start >= minChunkSize) {
+                    pushChunk();
                 }
-                currentChunk = paragraph;
+                current = { ...paragraph };
             }
         }
 
-        if (currentChunk.trim()) {
-            chunks.push(overlap + currentChunk);
+        if (current) {
+            pushChunk();
         }
 
         return chunks;
@@ -673,7 +2057,9 @@ class EnhancedDocumentProcessor {
                 index: chunks.length,
                 wordCount: chunkWords.length,
                 characterCount: chunk.length,
-                startPosition: i,
+                // Words are re-joined, so the chunk has no exact span in the source
+                startPosition: null,
+                endPosition: null,
                 confidence: 0.5
             });
         }
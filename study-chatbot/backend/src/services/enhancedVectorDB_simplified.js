@@ -3,34 +3,187 @@ const natural = require('natural');
 const fs = require('fs').promises;
 const path = require('path');
 const logger = require('./logger');
+const database = require('./databaseService');
+const configService = require('./configService');
+const llm = require('./llm');
+const AnnIndex = require('./annIndex');
+const BM25Index = require('./bm25Index');
 const { removeStopwords, eng } = require('stopword');
 const keyword = require('keyword-extractor');
 
+const DENSE_MIN_SIMILARITY = 0.2;
+const DENSE_RETRY_DELAY = 60000;
+const EMBEDDING_BATCH_SIZE = 64;
+
 class EnhancedVectorDatabase {
     constructor() {
         this.documents = new Map();
         this.embeddings = new Map();
         this.sessionDocuments = new Map(); // sessionId -> documentIds[]
-        this.tfidf = new natural.TfIdf();
+        this.bm25 = new BM25Index(text => this.tokenize(text));
         this.wordVectors = new Map(); // Simple word frequency vectors
-        this.isInitialized = true; // No async initialization needed
+        this.isInitialized = true; // Usable immediately; persisted documents are restored in initialize()
+        this.isLoaded = false;
         this.stemmer = natural.PorterStemmer;
+        this.annIndex = new AnnIndex(configService.config.vectorIndexPath);
+        this.denseRetryAt = 0; // Backoff after the embedding provider fails
+        this.indexingPromise = null;
     }
 
     async initialize() {
-        // No initialization needed for this simplified version
+        if (!this.isLoaded) {
+            try {
+                await this.loadFromDatabase();
+            } catch (error) {
+                logger.warn(`Vector store persistence unavailable, using in-memory index: ${error.message}`);
+            }
+            this.isLoaded = true;
+            // Embedding a large backlog can take a while on CPU; search falls back to lexical meanwhile
+            this.scheduleDenseSync();
+        }
         this.isInitialized = true;
         logger.info('Enhanced Vector Database (simplified) initialized successfully');
     }
 
-    async addDocument(documentId, chunks, metadata, sessionId) {
+    async loadFromDatabase() {
+        await database.initialize();
+
+        const documents = await database.all('SELECT * FROM documents ORDER BY added_at');
+        const chunks = await database.all('SELECT * FROM chunks ORDER BY document_id, chunk_index');
+        const contentChunks = await database.all('SELECT * FROM content_chunks ORDER BY content_id, chunk_index');
+
+        const chunksByDocument = new Map();
+        chunks.forEach(row => {
+            if (!chunksByDocument.has(row.document_id)) {
+                chunksByDocument.set(row.document_id, []);
+            }
+            chunksByDocument.get(row.document_id).push(row);
+        });
+        const chunksByContent = new Map();
+        contentChunks.forEach(row => {
+            if (!chunksByContent.has(row.content_id)) {
+                chunksByContent.set(row.content_id, []);
+            }
+            chunksByContent.get(row.content_id).push(row);
+        });
+
+        documents.forEach(row => {
+            // Documents with shared content have their chunks stored once per content
+            const chunkRows = row.content_id
+                ? (chunksByContent.get(row.content_id) || []).map(chunk => ({ ...chunk, id: `${row.id}_${chunk.chunk_index}` }))
+                : chunksByDocument.get(row.id) || [];
+            const metadata = database.parseJSON(row.metadata, {});
+            const chunkTexts = chunkRows.map(chunk => chunk.text);
+            const embeddings = chunkRows.map(chunk =>
+                database.parseJSON(chunk.embedding) || this.createTextEmbedding(chunk.text)
+            );
+
+            this.documents.set(row.id, {
+                id: row.id,
+                chunks: chunkTexts,
+                metadata,
+                embeddings,
+                addedAt: row.added_at,
+                sessionId: row.session_id,
+                keywords: database.parseJSON(row.keywords, []),
+                statistics: database.parseJSON(row.statistics) || this.calculateDocumentStatistics(chunkTexts)
+            });
+
+            if (!this.sessionDocuments.has(row.session_id)) {
+                this.sessionDocuments.set(row.session_id, []);
+            }
+            this.sessionDocuments.get(row.session_id).push(row.id);
+
+            chunkRows.forEach((chunk, position) => {
+                this.bm25.add(chunk.id, chunk.text);
+                this.embeddings.set(chunk.id, {
+                    documentId: row.id,
+                    chunkIndex: chunk.chunk_index,
+                    text: chunk.text,
+                    embedding: embeddings[position],
+                    metadata,
+                    keywords: database.parseJSON(chunk.keywords, []),
+                    vectors: this.createWordVectors(chunk.text),
+                    vector: database.parseVectorBlob(chunk.vector),
+                    vectorModel: chunk.vector_model,
+                    provenance: database.parseJSON(chunk.provenance)
+                });
+            });
+        });
+
+        logger.info(`Restored ${documents.length} documents and ${chunks.length + contentChunks.length} chunks from database`);
+    }
+
+    async persistDocument(docData) {
+        if (!database.isInitialized) return;
+
         try {
-            const chunkTexts = chunks.map(chunk => 
-                typeof chunk === 'string' ? chunk : chunk.text
+            await database.transaction(async () => {
+                await database.run(
+                    `INSERT INTO documents (id, session_id, filename, original_name, metadata, keywords, statistics, added_at, content_id)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [
+                        docData.id,
+                        docData.sessionId,
+                        docData.metadata?.filename || null,
+                        docData.metadata?.originalname || null,
+                        database.toJSON(docData.metadata || {}),
+                        database.toJSON(docData.keywords),
+                        database.toJSON(docData.statistics),
+                        new Date(docData.addedAt).toISOString(),
+                        docData.metadata?.contentId || null
+                    ]
+                );
+                await this.persistChunks(docData);
+            });
+        } catch (error) {
+            logger.warn(`Failed to persist document ${docData.id}: ${error.message}`);
+        }
+    }
+
+    async persistChunks(docData) {
+        const contentId = docData.metadata?.contentId || null;
+
+        for (let index = 0; index < docData.chunks.length; index++) {
+            const chunkId = `${docData.id}_${index}`;
+            const entry = this.embeddings.get(chunkId);
+            // Chunks of shared content are stored by the first document with that content
+            await database.run(
+                contentId
+                    ? `INSERT OR IGNORE INTO content_chunks (content_id, chunk_index, text, embedding, keywords, vector, vector_model, provenance)
+                       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+                    : `INSERT INTO chunks (id, document_id, chunk_index, text, embedding, keywords, vector, vector_model, provenance)
+                       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    ...(contentId ? [contentId] : [chunkId, docData.id]),
+                    index,
+                    docData.chunks[index],
+                    database.toJSON(docData.embeddings[index]),
+                    database.toJSON(entry?.keywords || []),
+                    database.toVectorBlob(entry?.vector),
+                    entry?.vectorModel || null,
+                    entry?.provenance ? database.toJSON(entry.provenance) : null
+                ]
             );
-            
-            // Create enhanced embeddings using multiple techniques
-            const embeddings = await this.createEnhancedEmbeddings(chunkTexts);
+        }
+    }
+
+    /**
+     * Embed and index a document's chunks. Chunks are strings or processor
+     * chunks, whose `provenance` (span, pages, heading path) is kept with the
+     * chunk. `options.onProgress(stage)` is called as the embedding and
+     * indexing stages start; it may throw to abandon the document before
+     * anything is indexed. Chunks carrying the `embedding`, `keywords` and
+     * `vector` of an earlier upload of the same content are not embedded
+     * again; dense vectors are reused only if they come from the current
+     * embedding model.
+     */
+    async addDocument(documentId, chunks, metadata, sessionId, options = {}) {
+        const { onProgress = () => {} } = options;
+
+        try {
+            const { chunkTexts, embeddings, dense } = await this.embedChunks(chunks, onProgress);
+            await onProgress('indexing');
             
             const docData = {
                 id: documentId,
@@ -51,21 +204,8 @@ class EnhancedVectorDatabase {
             }
             this.sessionDocuments.get(sessionId).push(documentId);
 
-            // Add to TF-IDF for enhanced searching
-            chunkTexts.forEach((chunk, index) => {
-                this.tfidf.addDocument(chunk);
-                
-                const chunkId = `${documentId}_${index}`;
-                this.embeddings.set(chunkId, {
-                    documentId,
-                    chunkIndex: index,
-                    text: chunk,
-                    embedding: embeddings[index],
-                    metadata,
-                    keywords: this.extractChunkKeywords(chunk),
-                    vectors: this.createWordVectors(chunk)
-                });
-            });
+            this.indexChunks(docData, chunks, dense);
+            await this.persistDocument(docData);
 
             logger.info(`Added document ${documentId} with ${chunkTexts.length} chunks to enhanced vector database`);
             return true;
@@ -75,6 +215,366 @@ class EnhancedVectorDatabase {
         }
     }
 
+    /**
+     * Replace the chunks of a document with those of a new version. Chunks
+     * whose text is unchanged keep their embeddings and vectors, so only new
+     * text is embedded; the old chunks are retired from every index.
+     * `options.onProgress` works as for addDocument.
+     * @returns {Object} - Chunk counts: { reused, embedded, retired }
+     */
+    async replaceDocument(documentId, chunks, metadata, options = {}) {
+        const { onProgress = () => {} } = options;
+        const previous = this.documents.get(documentId);
+        if (!previous) {
+            throw new Error('Document not found');
+        }
+
+        try {
+            const previousChunks = new Map();
+            previous.chunks.forEach((text, index) => {
+                const entry = this.embeddings.get(`${documentId}_${index}`);
+                if (entry && !previousChunks.has(text)) {
+                    previousChunks.set(text, entry);
+                }
+            });
+
+            let reused = 0;
+            const carried = chunks.map(chunk => {
+                const text = typeof chunk === 'string' ? chunk : chunk.text;
+                const entry = previousChunks.get(text);
+                if (chunk?.embedding || !entry) return chunk;
+
+                reused++;
+                return {
+                    text,
+                    provenance: chunk?.provenance || null,
+                    embedding: entry.embedding,
+                    keywords: entry.keywords,
+                    vector: entry.vector,
+                    vectorModel: entry.vectorModel
+                };
+            });
+
+            const { chunkTexts, embeddings, dense } = await this.embedChunks(carried, onProgress);
+            await onProgress('indexing');
+
+            this.removeChunks(documentId, previous.chunks.length);
+            const docData = {
+                ...previous,
+                chunks: chunkTexts,
+                metadata,
+                embeddings,
+                keywords: this.extractDocumentKeywords(chunkTexts.join(' ')),
+                statistics: this.calculateDocumentStatistics(chunkTexts)
+            };
+            this.documents.set(documentId, docData);
+            this.indexChunks(docData, carried, dense);
+
+            if (database.isInitialized) {
+                try {
+                    await database.transaction(async () => {
+                        await database.run('DELETE FROM chunks WHERE document_id = ?', [documentId]);
+                        await database.run(
+                            `UPDATE documents SET filename = ?, original_name = ?, metadata = ?, keywords = ?, statistics = ?, content_id = ?
+                             WHERE id = ?`,
+                            [
+                                metadata?.filename || null,
+                                metadata?.originalname || null,
+                                database.toJSON(metadata || {}),
+                                database.toJSON(docData.keywords),
+                                database.toJSON(docData.statistics),
+                                metadata?.contentId || null,
+                                documentId
+                            ]
+                        );
+                        await this.persistChunks(docData);
+                    });
+                } catch (error) {
+                    logger.warn(`Failed to persist new version of document ${documentId}: ${error.message}`);
+                }
+            }
+
+            const counts = { reused, embedded: chunkTexts.length - reused, retired: previous.chunks.length };
+            logger.info(`Replaced document ${documentId}: ${counts.reused} chunks reused, ${counts.embedded} embedded, ${counts.retired} retired`);
+            return counts;
+        } catch (error) {
+            logger.error(`Failed to replace document ${documentId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Texts, embeddings and dense vectors of chunks, computing only what the
+     * chunks do not carry already
+     */
+    async embedChunks(chunks, onProgress) {
+        const chunkTexts = chunks.map(chunk => 
+            typeof chunk === 'string' ? chunk : chunk.text
+        );
+        
+        await onProgress('embedding');
+        // Create enhanced embeddings using multiple techniques
+        const missing = chunkTexts.map((_, index) => index).filter(index => !chunks[index]?.embedding);
+        const created = await this.createEnhancedEmbeddings(missing.map(index => chunkTexts[index]));
+        const embeddings = chunks.map(chunk => chunk?.embedding || null);
+        missing.forEach((index, position) => { embeddings[index] = created[position]; });
+
+        const dense = await this.denseVectors(chunks, chunkTexts);
+        return { chunkTexts, embeddings, dense };
+    }
+
+    /**
+     * Dense vectors of chunks in the shape of embedTexts. Vectors the chunks
+     * carry from the current embedding model are reused and the rest are
+     * embedded; chunks left without one are picked up by syncDenseIndex.
+     */
+    async denseVectors(chunks, chunkTexts) {
+        if (!chunks.some(chunk => chunk?.vector)) {
+            return this.embedTexts(chunkTexts);
+        }
+
+        const { model } = this.getEmbeddingModel();
+        const vectors = chunks.map(chunk => (chunk.vector && chunk.vectorModel === model ? chunk.vector : null));
+        const missing = vectors.map((vector, index) => (vector ? null : index)).filter(index => index !== null);
+
+        const dense = await this.embedTexts(missing.map(index => chunkTexts[index]));
+        if (dense) {
+            missing.forEach((index, position) => { vectors[index] = dense.vectors[position]; });
+        }
+        return { model, vectors };
+    }
+
+    /**
+     * Add a document's chunks to the BM25 and ANN indexes and the chunk map
+     */
+    indexChunks(docData, chunks, dense) {
+        const chunkEntries = docData.chunks.map((chunk, index) => {
+            const chunkId = `${docData.id}_${index}`;
+            this.bm25.add(chunkId, chunk);
+
+            const vector = dense ? dense.vectors[index] : null;
+            const entry = {
+                documentId: docData.id,
+                chunkIndex: index,
+                text: chunk,
+                embedding: docData.embeddings[index],
+                metadata: docData.metadata,
+                keywords: chunks[index]?.keywords || this.extractChunkKeywords(chunk),
+                vectors: this.createWordVectors(chunk),
+                vector,
+                vectorModel: vector ? dense.model : null,
+                provenance: chunks[index]?.provenance || null
+            };
+            this.embeddings.set(chunkId, entry);
+            return [chunkId, entry];
+        });
+
+        if (dense) {
+            this.indexChunkVectors(dense.model, chunkEntries);
+            this.annIndex.save();
+        }
+    }
+
+    removeChunks(documentId, chunkCount) {
+        for (let index = 0; index < chunkCount; index++) {
+            const chunkId = `${documentId}_${index}`;
+            this.embeddings.delete(chunkId);
+            this.annIndex.remove(chunkId);
+            this.bm25.remove(chunkId);
+        }
+    }
+
+    /**
+     * Add a copy of a document to a session under a new ID. The copy's
+     * chunks carry the original's embeddings and vectors, so nothing is
+     * embedded again, and chunks of shared content are not stored twice.
+     */
+    async copyDocument(documentId, copyId, sessionId, metadata) {
+        const doc = this.documents.get(documentId);
+        if (!doc) {
+            throw new Error('Document not found');
+        }
+
+        const chunks = doc.chunks.map((text, index) => {
+            const entry = this.embeddings.get(`${documentId}_${index}`);
+            return {
+                text,
+                provenance: entry?.provenance || null,
+                embedding: entry?.embedding || doc.embeddings[index],
+                keywords: entry?.keywords,
+                vector: entry?.vector,
+                vectorModel: entry?.vectorModel
+            };
+        });
+        return this.addDocument(copyId, chunks, metadata, sessionId);
+    }
+
+    /**
+     * Move a document to another session
+     */
+    async moveDocument(documentId, sessionId) {
+        const doc = this.documents.get(documentId);
+        if (!doc) {
+            throw new Error('Document not found');
+        }
+
+        const sessionDocs = this.sessionDocuments.get(doc.sessionId) || [];
+        this.sessionDocuments.set(doc.sessionId, sessionDocs.filter(id => id !== documentId));
+        if (!this.sessionDocuments.has(sessionId)) {
+            this.sessionDocuments.set(sessionId, []);
+        }
+        this.sessionDocuments.get(sessionId).push(documentId);
+        doc.sessionId = sessionId;
+
+        await database.persist('UPDATE documents SET session_id = ? WHERE id = ?', [sessionId, documentId]);
+    }
+
+    /**
+     * Save a document's metadata after it was changed in place; chunk
+     * entries share the metadata object, so search results follow
+     */
+    async updateMetadata(documentId) {
+        const doc = this.documents.get(documentId);
+        if (!doc) {
+            throw new Error('Document not found');
+        }
+
+        await database.persist(
+            'UPDATE documents SET original_name = ?, metadata = ? WHERE id = ?',
+            [doc.metadata?.originalname || null, database.toJSON(doc.metadata || {}), documentId]
+        );
+    }
+
+    /**
+     * Remove a document from the dense, lexical and chunk indexes. Its
+     * chunk, page, table and version rows are deleted along with it; its
+     * content is left to the caller, as other documents may share it.
+     * @returns {boolean} - Whether the document existed
+     */
+    async deleteDocument(documentId) {
+        const doc = this.documents.get(documentId);
+        if (!doc) return false;
+
+        this.removeChunks(documentId, doc.chunks.length);
+        this.annIndex.save();
+        this.documents.delete(documentId);
+
+        const sessionDocs = (this.sessionDocuments.get(doc.sessionId) || []).filter(id => id !== documentId);
+        if (sessionDocs.length > 0) {
+            this.sessionDocuments.set(doc.sessionId, sessionDocs);
+        } else {
+            this.sessionDocuments.delete(doc.sessionId);
+        }
+
+        await database.persist('DELETE FROM documents WHERE id = ?', [documentId]);
+        logger.info(`Deleted document ${documentId} with ${doc.chunks.length} chunks`);
+        return true;
+    }
+
+    /**
+     * Embedding provider used for dense vectors, with an identifier for the
+     * model so vectors from different models are never mixed in one index
+     */
+    getEmbeddingModel() {
+        const provider = llm.forFeature('embedding');
+        return { provider, model: `${provider.name}:${provider.model}` };
+    }
+
+    /**
+     * Dense vectors for `texts`, or null when the embedding provider is
+     * unavailable, in which case search falls back to lexical scoring.
+     */
+    async embedTexts(texts) {
+        if (texts.length === 0 || Date.now() < this.denseRetryAt) return null;
+
+        try {
+            const { provider, model } = this.getEmbeddingModel();
+            const vectors = [];
+            for (let i = 0; i < texts.length; i += EMBEDDING_BATCH_SIZE) {
+                vectors.push(...await provider.embed(texts.slice(i, i + EMBEDDING_BATCH_SIZE)));
+            }
+            return { model, vectors };
+        } catch (error) {
+            this.denseRetryAt = Date.now() + DENSE_RETRY_DELAY;
+            logger.warn(`Dense embeddings unavailable, using lexical search: ${error.message}`);
+            return null;
+        }
+    }
+
+    indexChunkVectors(model, chunkEntries) {
+        chunkEntries.forEach(([chunkId, entry]) => {
+            if (!entry.vector) return;
+            this.annIndex.ensure(model, entry.vector.length);
+            this.annIndex.add(chunkId, entry.vector);
+        });
+    }
+
+    scheduleDenseSync() {
+        if (!this.indexingPromise) {
+            this.indexingPromise = this.syncDenseIndex()
+                .catch(error => logger.warn(`Vector index sync failed: ${error.message}`))
+                .finally(() => { this.indexingPromise = null; });
+        }
+        return this.indexingPromise;
+    }
+
+    /**
+     * Bring the ANN index in line with the stored chunks: load it from disk,
+     * embed chunks that have no vector for the current model and drop
+     * vectors of chunks that no longer exist.
+     */
+    async syncDenseIndex() {
+        const { model } = this.getEmbeddingModel();
+        if (!this.annIndex.isReadyFor(model)) {
+            this.annIndex.load(model);
+        }
+
+        let changed = false;
+        const missing = [];
+        for (const [chunkId, entry] of this.embeddings) {
+            if (entry.vector && entry.vectorModel === model) {
+                if (!this.annIndex.has(chunkId)) {
+                    this.indexChunkVectors(model, [[chunkId, entry]]);
+                    changed = true;
+                }
+            } else {
+                missing.push([chunkId, entry]);
+            }
+        }
+
+        for (const chunkId of this.annIndex.ids()) {
+            if (!this.embeddings.has(chunkId)) {
+                this.annIndex.remove(chunkId);
+                changed = true;
+            }
+        }
+
+        for (let i = 0; i < missing.length; i += EMBEDDING_BATCH_SIZE) {
+            const batch = missing.slice(i, i + EMBEDDING_BATCH_SIZE);
+            const dense = await this.embedTexts(batch.map(([, entry]) => entry.text));
+            if (!dense) break;
+
+            batch.forEach(([chunkId, entry], position) => {
+                entry.vector = dense.vectors[position];
+                entry.vectorModel = dense.model;
+                const contentId = entry.metadata?.contentId;
+                database.persist(
+                    contentId
+                        ? 'UPDATE content_chunks SET vector = ?, vector_model = ? WHERE content_id = ? AND chunk_index = ?'
+                        : 'UPDATE chunks SET vector = ?, vector_model = ? WHERE id = ?',
+                    [database.toVectorBlob(entry.vector), dense.model, ...(contentId ? [contentId, entry.chunkIndex] : [chunkId])]
+                );
+            });
+            this.indexChunkVectors(dense.model, batch);
+            changed = true;
+        }
+
+        if (changed) {
+            this.annIndex.save();
+        }
+        logger.info(`Vector index ready: ${this.annIndex.size} of ${this.embeddings.size} chunks embedded with ${model}`);
+    }
+
     async createEnhancedEmbeddings(texts) {
         // Create multi-dimensional embeddings using various techniques
         return texts.map(text => this.createTextEmbedding(text));
@@ -103,6 +603,16 @@ class EnhancedVectorDatabase {
             .trim();
     }
 
+    /**
+     * Stemmed, stopword-free terms used by the BM25 index
+     */
+    tokenize(text) {
+        const words = removeStopwords(this.preprocessText(text || '').split(/\s+/), eng);
+        return words
+            .filter(word => word.length > 1)
+            .map(word => this.stemmer.stem(word));
+    }
+
     createTfidfVector(text) {
         const words = this.preprocessText(text).split(/\s+/);
         const stemmed = words.map(word => this.stemmer.stem(word));
@@ -237,154 +747,153 @@ class EnhancedVectorDatabase {
         };
     }
 
-    async semanticSearch(query, sessionId = null, limit = 10, documentIds = null) {
+    /**
+     * @param {string|Array} sessionId - Session, or sessions, whose documents
+     *        are searched (accessService.searchSessions). Without one nothing
+     *        is found.
+     * @param {Map|null} scope - documentId -> { start, end, path } of the
+     *        section each document is searched in (sectionService.resolveScope)
+     */
+    async semanticSearch(query, sessionId = null, limit = 10, documentIds = null, scope = null) {
         try {
-            const queryEmbedding = this.createTextEmbedding(query);
-            const results = [];
-            
-            // Get documents to search
-            let embeddingsToSearch = Array.from(this.embeddings.values());
-            
-            if (sessionId && this.sessionDocuments.has(sessionId)) {
-                const sessionDocs = this.sessionDocuments.get(sessionId);
-                embeddingsToSearch = embeddingsToSearch.filter(emb => 
-                    sessionDocs.includes(emb.documentId)
-                );
-            }
-
-            if (documentIds) {
-                embeddingsToSearch = embeddingsToSearch.filter(emb => 
-                    documentIds.includes(emb.documentId)
-                );
-            }
-
-            // Calculate enhanced similarity scores
-            embeddingsToSearch.forEach(embedding => {
-                const similarity = this.calculateEnhancedSimilarity(queryEmbedding, embedding.embedding);
-                
-                if (similarity > 0.1) { // Threshold for relevance
-                    results.push({
-                        ...embedding,
-                        similarity: similarity,
-                        score: similarity
-                    });
-                }
-            });
-
-            return results
-                .sort((a, b) => b.similarity - a.similarity)
-                .slice(0, limit);
-
+            return await this.hybridSearch(query, limit, this.createChunkFilter(sessionId, documentIds, scope));
         } catch (error) {
             logger.error('Enhanced semantic search failed:', error);
-            return this.fallbackTextSearch(query, sessionId, limit, documentIds);
+            return this.fallbackTextSearch(query, sessionId, limit, documentIds, scope);
         }
     }
 
-    calculateEnhancedSimilarity(queryEmb, docEmb) {
-        let totalSimilarity = 0;
-        let weights = 0;
-        
-        // 1. TF-IDF similarity
-        const tfidfSim = this.calculateTfidfSimilarity(queryEmb.tfidf, docEmb.tfidf);
-        totalSimilarity += tfidfSim * 0.4;
-        weights += 0.4;
-        
-        // 2. Word frequency similarity
-        const wordFreqSim = this.calculateVectorSimilarity(queryEmb.wordFreq, docEmb.wordFreq);
-        totalSimilarity += wordFreqSim * 0.3;
-        weights += 0.3;
-        
-        // 3. Keyword overlap
-        const keywordSim = this.calculateKeywordSimilarity(queryEmb.keywords, docEmb.keywords);
-        totalSimilarity += keywordSim * 0.2;
-        weights += 0.2;
-        
-        // 4. Semantic features
-        const semanticSim = this.calculateSemanticSimilarity(queryEmb.semantic, docEmb.semantic);
-        totalSimilarity += semanticSim * 0.1;
-        weights += 0.1;
-        
-        return weights > 0 ? totalSimilarity / weights : 0;
+    /**
+     * BM25-only retrieval, with the same result shape as semanticSearch
+     */
+    async keywordSearch(query, sessionId = null, limit = 10, documentIds = null, scope = null) {
+        return this.hybridSearch(query, limit, this.createChunkFilter(sessionId, documentIds, scope), { dense: false });
     }
 
-    calculateTfidfSimilarity(vec1, vec2) {
-        const keys1 = Object.keys(vec1);
-        const keys2 = Object.keys(vec2);
-        const intersection = keys1.filter(key => keys2.includes(key));
-        
-        if (intersection.length === 0) return 0;
-        
-        let dotProduct = 0;
-        let norm1 = 0;
-        let norm2 = 0;
-        
-        const allKeys = [...new Set([...keys1, ...keys2])];
-        
-        allKeys.forEach(key => {
-            const val1 = vec1[key] || 0;
-            const val2 = vec2[key] || 0;
-            
-            dotProduct += val1 * val2;
-            norm1 += val1 * val1;
-            norm2 += val2 * val2;
+    /**
+     * Run BM25 and dense retrieval over the searchable chunks and fuse the two
+     * rankings with reciprocal-rank fusion. Every result carries the scores
+     * and ranks of each stage in `scores` so callers can explain the ranking.
+     */
+    async hybridSearch(query, limit, isSearchable, { dense = true } = {}) {
+        if (!query || !query.trim()) return [];
+
+        const { retrievalCandidates, rrfK } = configService.config;
+        const poolSize = Math.max(limit, retrievalCandidates);
+
+        const bm25Hits = this.bm25.search(query, poolSize, chunkId => {
+            const chunk = this.embeddings.get(chunkId);
+            return Boolean(chunk) && isSearchable(chunk);
         });
-        
-        if (norm1 === 0 || norm2 === 0) return 0;
-        
-        return dotProduct / (Math.sqrt(norm1) * Math.sqrt(norm2));
+        const denseHits = dense ? (await this.denseSearch(query, poolSize, isSearchable)) || [] : [];
+
+        const fused = new Map();
+        const addRanking = (hits, stage) => {
+            hits.forEach((hit, position) => {
+                if (!fused.has(hit.chunkId)) {
+                    fused.set(hit.chunkId, { bm25: null, bm25Rank: null, dense: null, denseRank: null, rrf: 0 });
+                }
+                const scores = fused.get(hit.chunkId);
+                scores[stage] = hit.score;
+                scores[`${stage}Rank`] = position + 1;
+                scores.rrf += 1 / (rrfK + position + 1);
+            });
+        };
+        addRanking(bm25Hits, 'bm25');
+        addRanking(denseHits, 'dense');
+
+        const topBm25 = bm25Hits[0]?.score || 1;
+
+        return Array.from(fused.entries())
+            .sort(([, a], [, b]) => b.rrf - a.rrf)
+            .slice(0, limit)
+            .map(([chunkId, scores]) => {
+                const { vector, ...chunk } = this.embeddings.get(chunkId);
+                // Cosine similarity when the chunk was retrieved densely, otherwise BM25 relative to the best lexical hit
+                const similarity = scores.dense !== null ? scores.dense : scores.bm25 / topBm25;
+
+                return {
+                    ...chunk,
+                    similarity,
+                    score: similarity,
+                    retrieval: scores.dense !== null && scores.bm25 !== null ? 'hybrid' : (scores.dense !== null ? 'dense' : 'bm25'),
+                    scores
+                };
+            });
     }
 
-    calculateVectorSimilarity(vec1, vec2) {
-        return this.calculateTfidfSimilarity(vec1, vec2); // Same calculation
+    /**
+     * Chunks of the documents of the given session(s), optionally only
+     * selected documents and a section of each. No session, or a session
+     * without documents, matches nothing rather than everything.
+     */
+    createChunkFilter(sessionId, documentIds, scope = null) {
+        const sessionDocs = this.getSessionDocumentIds(sessionId);
+        const selectedDocs = documentIds ? new Set(documentIds) : null;
+
+        return chunk => sessionDocs.has(chunk.documentId) &&
+                        (!selectedDocs || selectedDocs.has(chunk.documentId)) &&
+                        (!scope || this.isInSection(chunk, scope));
     }
 
-    calculateKeywordSimilarity(keywords1, keywords2) {
-        if (!keywords1.length || !keywords2.length) return 0;
-        
-        const set1 = new Set(keywords1.map(k => k.toLowerCase()));
-        const set2 = new Set(keywords2.map(k => k.toLowerCase()));
-        
-        const intersection = [...set1].filter(k => set2.has(k));
-        const union = new Set([...set1, ...set2]);
-        
-        return intersection.length / union.size; // Jaccard similarity
+    /**
+     * IDs of the documents of a session, or of several sessions
+     */
+    getSessionDocumentIds(sessionId) {
+        return new Set([].concat(sessionId || []).flatMap(id => this.sessionDocuments.get(id) || []));
     }
 
-    calculateSemanticSimilarity(sem1, sem2) {
-        let matches = 0;
-        let total = 0;
-        
-        Object.keys(sem1).forEach(feature => {
-            if (typeof sem1[feature] === 'boolean' && typeof sem2[feature] === 'boolean') {
-                total += 1;
-                if (sem1[feature] === sem2[feature]) matches += 1;
-            }
-        });
-        
-        // Add sentiment similarity
-        if (typeof sem1.sentiment === 'number' && typeof sem2.sentiment === 'number') {
-            const sentimentSim = 1 - Math.abs(sem1.sentiment - sem2.sentiment) / 10;
-            return total > 0 ? ((matches / total) + sentimentSim) / 2 : sentimentSim;
+    /**
+     * Whether a chunk lies in the section its document is scoped to: most of
+     * its span is in the section (or most of the section in the chunk, for
+     * sections shorter than a chunk), or by its heading path for chunks
+     * without a span
+     */
+    isInSection(chunk, scope) {
+        const section = scope.get(chunk.documentId);
+        if (!section) return false;
+
+        const provenance = chunk.provenance;
+        if (provenance && provenance.startOffset !== null && provenance.startOffset !== undefined) {
+            const overlap = Math.min(provenance.endOffset, section.end) - Math.max(provenance.startOffset, section.start);
+            const shorter = Math.min(provenance.endOffset - provenance.startOffset, section.end - section.start);
+            return overlap > 0 && overlap * 2 >= shorter;
         }
-        
-        return total > 0 ? matches / total : 0;
+        const headingPath = provenance?.headingPath || [];
+        return section.path.every((title, index) => headingPath[index] === title);
+    }
+
+    /**
+     * Nearest chunks by dense embedding through the ANN index, as
+     * `{ chunkId, score }`. Returns null when dense retrieval is unavailable.
+     */
+    async denseSearch(query, limit, isSearchable) {
+        const dense = await this.embedTexts([query]);
+        if (!dense) return null;
+
+        if (!this.annIndex.isReadyFor(dense.model)) {
+            this.scheduleDenseSync();
+            return null;
+        }
+
+        return this.annIndex
+            .search(dense.vectors[0], limit, chunkId => {
+                const chunk = this.embeddings.get(chunkId);
+                return Boolean(chunk) && isSearchable(chunk);
+            })
+            .filter(hit => hit.similarity >= DENSE_MIN_SIMILARITY)
+            .map(hit => ({ chunkId: hit.chunkId, score: hit.similarity }));
     }
 
-    fallbackTextSearch(query, sessionId = null, limit = 10, documentIds = null) {
+    fallbackTextSearch(query, sessionId = null, limit = 10, documentIds = null, scope = null) {
         const queryLower = query.toLowerCase();
         const queryWords = queryLower.split(/\s+/).filter(word => word.length > 2);
         let results = [];
 
-        // Get documents to search
-        let documentsToSearch = Array.from(this.documents.values());
-        
-        if (sessionId && this.sessionDocuments.has(sessionId)) {
-            const sessionDocs = this.sessionDocuments.get(sessionId);
-            documentsToSearch = documentsToSearch.filter(doc => 
-                sessionDocs.includes(doc.id)
-            );
-        }
+        // Only the session's documents, as in createChunkFilter
+        const sessionDocs = this.getSessionDocumentIds(sessionId);
+        let documentsToSearch = Array.from(this.documents.values())
+            .filter(doc => sessionDocs.has(doc.id));
 
         if (documentIds) {
             documentsToSearch = documentsToSearch.filter(doc => 
@@ -394,6 +903,9 @@ class EnhancedVectorDatabase {
 
         documentsToSearch.forEach(doc => {
             doc.chunks.forEach((chunk, index) => {
+                const provenance = this.embeddings.get(`${doc.id}_${index}`)?.provenance || null;
+                if (scope && !this.isInSection({ documentId: doc.id, provenance }, scope)) return;
+
                 const chunkLower = chunk.toLowerCase();
                 let score = 0;
 
@@ -421,6 +933,7 @@ class EnhancedVectorDatabase {
                         chunkIndex: index,
                         text: chunk,
                         metadata: doc.metadata,
+                        provenance,
                         similarity: Math.min(score, 1.0),
                         score: Math.min(score, 1.0)
                     });
@@ -433,8 +946,8 @@ class EnhancedVectorDatabase {
             .slice(0, limit);
     }
 
-    async crossDocumentSearch(query, sessionId, limit = 20) {
-        const results = await this.semanticSearch(query, sessionId, limit * 2);
+    async crossDocumentSearch(query, sessionId, limit = 20, documentIds = null, scope = null) {
+        const results = await this.semanticSearch(query, sessionId, limit * 2, documentIds, scope);
         
         // Group by document and rank cross-document relevance
         const documentGroups = {};
@@ -619,12 +1132,18 @@ class EnhancedVectorDatabase {
             Array.from(this.embeddings.keys()).forEach(key => {
                 if (key.startsWith(docId + '_')) {
                     this.embeddings.delete(key);
+                    this.annIndex.remove(key);
+                    this.bm25.remove(key);
                 }
             });
         });
 
         // Remove session tracking
         this.sessionDocuments.delete(sessionId);
+        if (sessionDocs.length > 0) {
+            this.annIndex.save();
+        }
+        await database.persist('DELETE FROM documents WHERE session_id = ?', [sessionId]);
         
         logger.info(`Deleted session ${sessionId} with ${sessionDocs.length} documents`);
     }
@@ -683,12 +1202,10 @@ class EnhancedVectorDatabase {
             this.embeddings = new Map(data.embeddings);
             this.sessionDocuments = new Map(data.sessionDocuments);
             
-            // Rebuild TF-IDF
-            this.tfidf = new natural.TfIdf();
-            this.documents.forEach(doc => {
-                doc.chunks.forEach(chunk => {
-                    this.tfidf.addDocument(chunk);
-                });
+            // Rebuild the BM25 index
+            this.bm25 = new BM25Index(text => this.tokenize(text));
+            this.embeddings.forEach((entry, chunkId) => {
+                this.bm25.add(chunkId, entry.text);
             });
             
             logger.info(`Enhanced vector index loaded from ${filePath}`);
@@ -0,0 +1,301 @@
+const natural = require('natural');
+const { removeStopwords, eng } = require('stopword');
+const { v4: uuidv4 } = require('uuid');
+const database = require('./databaseService');
+const documentStorage = require('./documentStorageService');
+const learningFeatures = require('./learningFeatures');
+const logger = require('./logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Topic score at which a topic counts as ready for the exam
+const READY_THRESHOLD = 0.8;
+// Rough score gain from a day of focused study on one topic
+const DAILY_GAIN = 0.2;
+// Only the latest answers on a topic count towards its score
+const RECENT_ANSWERS = 10;
+
+/**
+ * Tracks upcoming exams for a session. An exam has a date, syllabus topics
+ * and optionally the documents it covers. Readiness is derived from quiz
+ * answers: every graded question whose concept or wording matches a topic
+ * (and, when documents are linked, whose source is one of them) counts
+ * towards that topic's score. The days left are planned out topic by topic,
+ * quickest to get ready first; topics whose study time no longer fits
+ * before the exam are flagged at risk.
+ */
+class ExamTrackingService {
+    constructor() {
+        this.exams = new Map(); // examId -> exam
+        this.stemmer = natural.PorterStemmer;
+        this.isInitialized = false;
+    }
+
+    async initialize() {
+        if (this.isInitialized) return;
+
+        try {
+            await database.initialize();
+            const rows = await database.all('SELECT * FROM exams ORDER BY exam_date, rowid');
+            rows.forEach(row => {
+                const exam = database.parseJSON(row.data);
+                if (exam) this.exams.set(row.id, exam);
+            });
+            logger.info(`Restored ${rows.length} exams from database`);
+        } catch (error) {
+            logger.warn(`Exam persistence unavailable, using in-memory storage: ${error.message}`);
+        }
+
+        this.isInitialized = true;
+    }
+
+    saveExam(exam) {
+        return database.persist(
+            `INSERT INTO exams (id, session_id, exam_date, data, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)
+             ON CONFLICT(id) DO UPDATE SET exam_date = excluded.exam_date, data = excluded.data, updated_at = excluded.updated_at`,
+            [exam.id, exam.sessionId, exam.examDate, database.toJSON(exam), exam.createdAt, exam.updatedAt]
+        );
+    }
+
+    /**
+     * Register an exam
+     * @param {string} sessionId - Session identifier
+     * @param {Object} details - { title, examDate, topics, documentIds, notes }
+     */
+    createExam(sessionId, details) {
+        const now = new Date().toISOString();
+        const exam = {
+            id: uuidv4(),
+            sessionId,
+            ...this.normalizeDetails(sessionId, details),
+            createdAt: now,
+            updatedAt: now
+        };
+
+        this.exams.set(exam.id, exam);
+        this.saveExam(exam);
+        logger.info(`Registered exam "${exam.title}" for session: ${sessionId}`);
+        return exam;
+    }
+
+    updateExam(sessionId, examId, changes) {
+        const exam = this.getExam(sessionId, examId);
+        const details = this.normalizeDetails(sessionId, { ...exam, ...changes });
+
+        Object.assign(exam, details, { updatedAt: new Date().toISOString() });
+        this.saveExam(exam);
+        return exam;
+    }
+
+    deleteExam(sessionId, examId) {
+        this.getExam(sessionId, examId);
+        this.exams.delete(examId);
+        database.persist('DELETE FROM exams WHERE id = ?', [examId]);
+    }
+
+    /**
+     * Validate and clean exam details; throws on invalid input. Topics are
+     * non-empty strings and linked documents ones the session can read.
+     */
+    normalizeDetails(sessionId, details) {
+        const title = String(details.title || '').trim();
+        if (!title) {
+            throw new Error('Invalid exam: title is required');
+        }
+
+        const examDate = new Date(details.examDate);
+        if (!details.examDate || isNaN(examDate.getTime())) {
+            throw new Error('Invalid exam: examDate must be a valid date');
+        }
+
+        const topics = Array.isArray(details.topics) ? details.topics : [];
+        if (topics.some(topic => typeof topic !== 'string' || !topic.trim())) {
+            throw new Error('Invalid exam: topics must be non-empty strings');
+        }
+        if (topics.length === 0) {
+            throw new Error('Invalid exam: at least one syllabus topic is required');
+        }
+
+        const documentIds = details.documentIds ?? [];
+        if (!Array.isArray(documentIds)) {
+            throw new Error('Invalid exam: documentIds must be an array of document IDs');
+        }
+        documentIds.forEach(documentId => {
+            if (typeof documentId !== 'string') {
+                throw new Error('Invalid exam: documentIds must be an array of document IDs');
+            }
+            try {
+                documentStorage.getReadableDocument(sessionId, documentId);
+            } catch (error) {
+                throw new Error(`Invalid exam: document ${documentId} is not one the session can read`);
+            }
+        });
+
+        return {
+            title,
+            examDate: examDate.toISOString(),
+            topics: [...new Set(topics.map(topic => topic.trim()))],
+            documentIds: [...new Set(documentIds)],
+            notes: details.notes || ''
+        };
+    }
+
+    getExam(sessionId, examId) {
+        const exam = this.exams.get(examId);
+        if (!exam || exam.sessionId !== sessionId) {
+            throw new Error('Exam not found');
+        }
+        return exam;
+    }
+
+    getSessionExams(sessionId) {
+        return Array.from(this.exams.values())
+            .filter(exam => exam.sessionId === sessionId)
+            .sort((a, b) => new Date(a.examDate) - new Date(b.examDate));
+    }
+
+    /**
+     * Time left until the exam
+     */
+    getCountdown(exam, now = new Date()) {
+        const remainingMs = new Date(exam.examDate) - now;
+        const daysRemaining = Math.max(0, Math.ceil(remainingMs / DAY_MS));
+
+        let status = 'upcoming';
+        if (remainingMs <= 0) {
+            status = 'past';
+        } else if (remainingMs < DAY_MS) {
+            status = 'today';
+        }
+
+        return {
+            examDate: exam.examDate,
+            daysRemaining,
+            hoursRemaining: Math.max(0, Math.floor(remainingMs / (60 * 60 * 1000))),
+            status
+        };
+    }
+
+    /**
+     * Readiness for an exam: a score per syllabus topic from matching quiz
+     * answers, the overall readiness and the topics at risk
+     * @param {Object} exam - Exam
+     * @param {Date} now - Reference time
+     */
+    getReadiness(exam, now = new Date()) {
+        const countdown = this.getCountdown(exam, now);
+        const answers = this.getQuizAnswers(exam);
+
+        const topics = exam.topics.map(topic => {
+            const topicTerms = this.keyTerms(topic);
+            const matches = answers
+                .filter(answer => this.matchesTopic(topicTerms, answer.terms))
+                .slice(-RECENT_ANSWERS);
+            const score = matches.length > 0
+                ? matches.reduce((sum, answer) => sum + answer.credit, 0) / matches.length
+                : 0;
+
+            let status = 'not_started';
+            if (matches.length > 0) {
+                status = score >= READY_THRESHOLD ? 'ready' : 'in_progress';
+            }
+
+            return {
+                topic,
+                score: Math.round(score * 100),
+                questionsAnswered: matches.length,
+                lastPracticed: matches.length > 0 ? matches[matches.length - 1].submittedAt : null,
+                status,
+                studyDaysNeeded: status === 'ready' ? 0 : Math.ceil(Math.round((READY_THRESHOLD - score) / DAILY_GAIN * 100) / 100),
+                atRisk: false
+            };
+        });
+
+        let plannedDays = 0;
+        [...topics]
+            .filter(topic => topic.status !== 'ready')
+            .sort((a, b) => a.studyDaysNeeded - b.studyDaysNeeded || b.score - a.score)
+            .forEach(topic => {
+                plannedDays += topic.studyDaysNeeded;
+                topic.atRisk = countdown.status !== 'past' && plannedDays > countdown.daysRemaining;
+            });
+
+        const readinessScore = Math.round(topics.reduce((sum, topic) => sum + topic.score, 0) / topics.length);
+
+        return {
+            readinessScore,
+            coverage: Math.round(topics.filter(topic => topic.questionsAnswered > 0).length / topics.length * 100),
+            topicsReady: topics.filter(topic => topic.status === 'ready').length,
+            studyDaysNeeded: topics.reduce((sum, topic) => sum + topic.studyDaysNeeded, 0),
+            atRiskTopics: topics.filter(topic => topic.atRisk).map(topic => topic.topic),
+            topics
+        };
+    }
+
+    /**
+     * Graded quiz answers of the exam's session, oldest first, limited to
+     * the exam's documents when it links any
+     */
+    getQuizAnswers(exam) {
+        const linkedDocuments = new Set(exam.documentIds);
+        const quizzes = learningFeatures.getSessionLearningContent(exam.sessionId).quizzes;
+
+        return quizzes
+            .flatMap(quiz => quiz.attempts.flatMap(attempt => attempt.gradedQuestions.map(question => ({
+                credit: question.credit ?? (question.isCorrect ? 1 : 0),
+                documentId: question.source?.documentId,
+                terms: new Set(this.keyTerms(`${question.concept || ''} ${question.question || ''}`)),
+                submittedAt: attempt.submittedAt
+            }))))
+            .filter(answer => linkedDocuments.size === 0 || !answer.documentId || linkedDocuments.has(answer.documentId))
+            .sort((a, b) => new Date(a.submittedAt) - new Date(b.submittedAt));
+    }
+
+    /**
+     * A question covers a topic when it mentions at least half of the
+     * topic's key terms
+     */
+    matchesTopic(topicTerms, questionTerms) {
+        if (topicTerms.length === 0) return false;
+        const matched = topicTerms.filter(term => questionTerms.has(term)).length;
+        return matched >= Math.ceil(topicTerms.length / 2);
+    }
+
+    keyTerms(text) {
+        const words = String(text || '').toLowerCase().replace(/[^\w\s]/g, ' ').split(/\s+/);
+        return [...new Set(removeStopwords(words, eng)
+            .filter(word => word.length > 2)
+            .map(word => this.stemmer.stem(word)))];
+    }
+
+    /**
+     * Exam with its countdown and readiness
+     */
+    getExamReport(sessionId, examId, now = new Date()) {
+        const exam = this.getExam(sessionId, examId);
+        return {
+            ...exam,
+            countdown: this.getCountdown(exam, now),
+            readiness: this.getReadiness(exam, now)
+        };
+    }
+
+    /**
+     * Unlink a deleted document from the session's exams
+     */
+    removeDocument(sessionId, documentId) {
+        const exams = this.getSessionExams(sessionId).filter(exam => exam.documentIds.includes(documentId));
+        exams.forEach(exam => {
+            exam.documentIds = exam.documentIds.filter(id => id !== documentId);
+            exam.updatedAt = new Date().toISOString();
+            this.saveExam(exam);
+        });
+        return exams.length;
+    }
+
+    cleanupSession(sessionId) {
+        this.getSessionExams(sessionId).forEach(exam => this.exams.delete(exam.id));
+        database.persist('DELETE FROM exams WHERE session_id = ?', [sessionId]);
+    }
+}
+
+module.exports = new ExamTrackingService();
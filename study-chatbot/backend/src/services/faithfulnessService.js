@@ -0,0 +1,256 @@
+const configService = require('./configService');
+const llm = require('./llm');
+const vectorDB = require('./enhancedVectorDB_simplified');
+const logger = require('./logger');
+
+// Share of a claim's terms found in its evidence for each label
+const SUPPORTED_COVERAGE = 0.75;
+const PARTIAL_COVERAGE = 0.4;
+// Claims with fewer terms say too little to check ("This is important.")
+const MIN_CLAIM_TERMS = 3;
+// Sentences about the answer itself rather than the subject
+const META_PATTERN = /^(i don't|i do not|i cannot|i can't|sorry|unfortunately|the (provided )?(context|documents?) (does not|doesn't|do not|don't)|there is (not enough|no) information|additional information|more information)/i;
+const NUMBER_PATTERN = /\d+(?:[.,]\d+)*%?/g;
+const LABELS = ['supported', 'partially_supported', 'unsupported'];
+
+/**
+ * Checks that an answer says only what its context says. The answer is
+ * split into claims (its sentences, without headings, questions and remarks
+ * about the answer itself) and each claim is labelled supported, partially
+ * supported or unsupported against the chunks the answer was generated
+ * from, with the sentence of the chunk that backs it as evidence.
+ *
+ * The verifier is chosen with ANSWER_VERIFIER: lexical compares the terms
+ * and figures of a claim with each context sentence, llm asks the analysis
+ * model to judge every claim. A failing LLM verifier falls back to lexical.
+ */
+class FaithfulnessService {
+    getStrategy() {
+        return configService.config.answerVerifier;
+    }
+
+    /**
+     * Verify `answer` against `contexts`, the chunks it was generated from.
+     * Resolves to `{ verifier, claims, supported, partiallySupported,
+     * unsupported, score }`; each claim is `{ text, label, coverage,
+     * evidence }` where `evidence` is `{ contextIndex, text, start, end }`
+     * (the sentence's position in the chunk text) or null. `score` is the
+     * share of claims supported, counting partial support as half.
+     */
+    async verify(answer, contexts, options = {}) {
+        const strategy = options.strategy || this.getStrategy();
+        if (!strategy || strategy === 'none') {
+            return null;
+        }
+
+        const claims = this.splitClaims(answer);
+        const sentences = this.contextSentences(contexts);
+        let verifier = strategy;
+        let checked;
+
+        try {
+            switch (strategy) {
+                case 'lexical':
+                    checked = claims.map(claim => this.lexicalCheck(claim, sentences));
+                    break;
+                case 'llm':
+                    checked = claims.length > 0 ? await this.llmCheck(claims, contexts, sentences) : [];
+                    break;
+                default:
+                    throw new Error(`Unknown answer verifier "${strategy}"`);
+            }
+        } catch (error) {
+            logger.warn(`Answer verification with ${strategy} failed, using lexical: ${error.message}`);
+            verifier = 'lexical';
+            checked = claims.map(claim => this.lexicalCheck(claim, sentences));
+        }
+
+        return this.summarize(verifier, checked);
+    }
+
+    summarize(verifier, claims) {
+        const count = label => claims.filter(claim => claim.label === label).length;
+        const supported = count('supported');
+        const partiallySupported = count('partially_supported');
+
+        return {
+            verifier,
+            claims,
+            supported,
+            partiallySupported,
+            unsupported: count('unsupported'),
+            score: claims.length > 0
+                ? Math.round(((supported + partiallySupported / 2) / claims.length) * 100) / 100
+                : null
+        };
+    }
+
+    /**
+     * Factual sentences of an answer, with list markers, emphasis and [n]
+     * citation markers removed
+     */
+    splitClaims(answer) {
+        return (answer || '')
+            .split('\n')
+            .map(line => line
+                .replace(/^\s*(#+|[-*•]|\d+[.)])\s+/, '')
+                .replace(/\*\*|__|`/g, '')
+                .replace(/\s*\[\d+\]/g, '')
+                .trim())
+            .filter(line => line && !/:\s*$/.test(line))
+            .flatMap(line => line.split(/(?<=[.!?])\s+/))
+            .map(sentence => sentence.trim())
+            .filter(sentence =>
+                !sentence.endsWith('?') &&
+                !META_PATTERN.test(sentence) &&
+                new Set(vectorDB.tokenize(sentence)).size >= MIN_CLAIM_TERMS
+            );
+    }
+
+    /**
+     * Sentences of each context chunk with their terms, figures and position
+     */
+    contextSentences(contexts) {
+        return contexts.flatMap((ctx, contextIndex) => {
+            const sentences = [];
+            const pattern = /[^\n]+?(?:[.!?]+(?=\s)|[.!?]*$)/gm;
+            let match;
+            while ((match = pattern.exec(ctx.text)) !== null) {
+                const text = match[0].trim();
+                if (!text) continue;
+
+                const start = match.index + match[0].indexOf(text);
+                const numbers = text.match(NUMBER_PATTERN) || [];
+                sentences.push({
+                    contextIndex,
+                    chunkText: ctx.text,
+                    text,
+                    start,
+                    end: start + text.length,
+                    terms: new Set([...vectorDB.tokenize(text), ...numbers]),
+                    numbers: new Set(numbers)
+                });
+            }
+            return sentences;
+        });
+    }
+
+    /**
+     * Label a claim by the context sentence, or pair of neighbouring
+     * sentences, that covers most of its terms. A figure the evidence does
+     * not contain makes the claim at most partially supported.
+     */
+    lexicalCheck(claim, sentences) {
+        const numbers = claim.match(NUMBER_PATTERN) || [];
+        // Figures count as terms, so "Point 2" is found in the sentence about point 2
+        const terms = [...new Set([...vectorDB.tokenize(claim), ...numbers])];
+
+        let best = null;
+        sentences.forEach((sentence, index) => {
+            const next = sentences[index + 1];
+            const candidates = [[sentence]];
+            if (next && next.contextIndex === sentence.contextIndex) {
+                candidates.push([sentence, next]);
+            }
+
+            candidates.forEach(span => {
+                const covered = terms.filter(term => span.some(part => part.terms.has(term))).length;
+                const coverage = terms.length > 0 ? covered / terms.length : 0;
+                // A single sentence wins a tie with a pair
+                if (!best || coverage > best.coverage || (coverage === best.coverage && span.length < best.span.length)) {
+                    best = { coverage, span };
+                }
+            });
+        });
+
+        if (!best || best.coverage === 0) {
+            return { text: claim, label: 'unsupported', coverage: 0, evidence: null };
+        }
+
+        const numbersFound = numbers.every(number => best.span.some(part => part.numbers.has(number)));
+        let label = best.coverage >= SUPPORTED_COVERAGE
+            ? 'supported'
+            : best.coverage >= PARTIAL_COVERAGE ? 'partially_supported' : 'unsupported';
+        if (label === 'supported' && !numbersFound) {
+            label = 'partially_supported';
+        }
+
+        return {
+            text: claim,
+            label,
+            coverage: Math.round(best.coverage * 100) / 100,
+            evidence: label === 'unsupported' ? null : this.spanEvidence(best.span)
+        };
+    }
+
+    spanEvidence(span) {
+        const first = span[0];
+        const last = span[span.length - 1];
+        return {
+            contextIndex: first.contextIndex,
+            text: first.chunkText.slice(first.start, last.end),
+            start: first.start,
+            end: last.end
+        };
+    }
+
+    /**
+     * Ask the analysis LLM to label every claim and quote its evidence.
+     * A quote that is not in the passage it names is replaced by the
+     * passage sentence that covers most of the claim.
+     */
+    async llmCheck(claims, contexts, sentences) {
+        const passages = contexts
+            .map((ctx, index) => `[${index + 1}] ${ctx.text}`)
+            .join('\n\n');
+        const numberedClaims = claims
+            .map((claim, index) => `${index + 1}. ${claim}`)
+            .join('\n');
+
+        const prompt = `Check each claim from an answer against the passages it was written from. A claim is "supported" when the passages state it, "partially_supported" when they state only part of it or something close to it, and "unsupported" when they do not state it or contradict it. Judge only by the passages, not by what you know.
+
+PASSAGES:
+${passages}
+
+CLAIMS:
+${numberedClaims}
+
+Return a JSON array with one entry per claim, quoting the passage text that supports it exactly (empty for unsupported claims):
+[{"claim": 1, "label": "supported", "passage": 2, "evidence": "exact quote from the passage"}]`;
+
+        const { data } = await llm.forFeature('analysis').generateJSON(prompt, { temperature: 0 });
+        if (!Array.isArray(data)) {
+            throw new Error('LLM verifier returned no labels');
+        }
+
+        return claims.map((claim, index) => {
+            const item = data.find(entry => Number(entry.claim) === index + 1);
+            if (!item || !LABELS.includes(item.label)) {
+                return this.lexicalCheck(claim, sentences);
+            }
+
+            const lexical = this.lexicalCheck(claim, sentences);
+            if (item.label === 'unsupported') {
+                return { text: claim, label: 'unsupported', coverage: lexical.coverage, evidence: null };
+            }
+
+            const contextIndex = Number(item.passage) - 1;
+            const quote = typeof item.evidence === 'string' ? item.evidence.trim() : '';
+            const position = contexts[contextIndex] && quote ? contexts[contextIndex].text.indexOf(quote) : -1;
+            const passageSentences = sentences.filter(sentence => sentence.contextIndex === contextIndex);
+
+            return {
+                text: claim,
+                label: item.label,
+                coverage: lexical.coverage,
+                evidence: position !== -1
+                    ? { contextIndex, text: quote, start: position, end: position + quote.length }
+                    : passageSentences.length > 0
+                        ? this.lexicalCheck(claim, passageSentences).evidence || this.spanEvidence([passageSentences[0]])
+                        : lexical.evidence
+            };
+        });
+    }
+}
+
+module.exports = new FaithfulnessService();
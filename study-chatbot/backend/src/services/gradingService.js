@@ -0,0 +1,270 @@
+const natural = require('natural');
+const { removeStopwords, eng } = require('stopword');
+const llm = require('./llm');
+const logger = require('./logger');
+
+const FREE_TEXT_TYPES = ['short_answer', 'essay'];
+// Share of the points needed for a free-text answer to count as correct
+const PASS_THRESHOLD = 0.6;
+// Share of a criterion's key terms an answer must cover for full marks
+const FULL_COVERAGE = 0.75;
+const ESSAY_MIN_WORDS = 80;
+// Rubric phrasing that says nothing about the content itself
+const RUBRIC_FILLER = new Set([
+    'mention', 'mentions', 'explain', 'explains', 'identify', 'identifies', 'describe', 'describes',
+    'state', 'states', 'answer', 'correctly', 'correct', 'clearly', 'student', 'response', 'note', 'notes'
+]);
+
+/**
+ * Grades quiz answers. Multiple-choice and true/false answers are matched
+ * exactly (after normalizing letters, case and punctuation). Short answers
+ * and essays are scored per rubric criterion with partial credit, by the
+ * learning LLM when one is configured and by a deterministic key-term
+ * coverage grader otherwise (or when the model's grading is unusable).
+ *
+ * Result: { isCorrect, points, maxPoints, credit, criteria, feedback, grader, source }
+ */
+class GradingService {
+    constructor() {
+        this.stemmer = natural.PorterStemmer;
+    }
+
+    isFreeText(question) {
+        return FREE_TEXT_TYPES.includes(question.type);
+    }
+
+    async gradeAnswer(question, userAnswer, options = {}) {
+        if (this.isFreeText(question)) {
+            return this.gradeFreeText(question, userAnswer, options);
+        }
+        return this.gradeObjective(question, userAnswer);
+    }
+
+    gradeObjective(question, userAnswer) {
+        const maxPoints = question.points || 1;
+        const isCorrect = question.type === 'true_false'
+            ? this.normalizeBoolean(userAnswer) !== null &&
+              this.normalizeBoolean(userAnswer) === this.normalizeBoolean(question.correct_answer)
+            : this.normalizeChoice(question, userAnswer) !== null &&
+              this.normalizeChoice(question, userAnswer) === this.normalizeChoice(question, question.correct_answer);
+
+        return {
+            isCorrect,
+            points: isCorrect ? maxPoints : 0,
+            maxPoints,
+            credit: isCorrect ? 1 : 0,
+            criteria: [],
+            feedback: isCorrect ? 'Correct!' : `Incorrect. ${question.explanation || ''}`.trim(),
+            grader: 'exact',
+            source: question.source || null
+        };
+    }
+
+    /**
+     * Option text for a multiple-choice answer given as a letter ("B"), a
+     * labelled option ("B) Paris") or the option text itself
+     */
+    normalizeChoice(question, answer) {
+        if (answer === undefined || answer === null || String(answer).trim() === '') return null;
+
+        const options = question.options || [];
+        const clean = value => String(value).toLowerCase().replace(/^\s*[a-z][).:]\s+/, '').replace(/[^\w\s]/g, '').replace(/\s+/g, ' ').trim();
+        const raw = String(answer).trim();
+
+        if (/^[a-z]$/i.test(raw) && options.length > 0) {
+            const index = raw.toLowerCase().charCodeAt(0) - 97;
+            if (index < options.length) return clean(options[index]);
+        }
+        return clean(raw);
+    }
+
+    normalizeBoolean(answer) {
+        const value = String(answer ?? '').trim().toLowerCase();
+        if (['true', 't', 'yes', 'y', '1'].includes(value)) return true;
+        if (['false', 'f', 'no', 'n', '0'].includes(value)) return false;
+        return null;
+    }
+
+    async gradeFreeText(question, userAnswer, options = {}) {
+        const rubric = this.getRubric(question);
+        const answer = String(userAnswer ?? '').trim();
+
+        if (!answer) {
+            return this.buildResult(question, rubric, rubric.map(() => ({
+                points: 0,
+                feedback: 'No answer given.'
+            })), 'No answer given.', 'rule');
+        }
+
+        const useModel = options.useModel ?? llm.isConfigured('learning');
+        if (useModel) {
+            try {
+                const graded = await this.llmGrade(question, answer, rubric);
+                if (graded) return graded;
+                logger.warn('LLM grading returned no usable scores, using rule-based grader');
+            } catch (error) {
+                logger.warn(`LLM grading failed, using rule-based grader: ${error.message}`);
+            }
+        }
+
+        return this.ruleGrade(question, answer, rubric);
+    }
+
+    /**
+     * The question's rubric, or one derived from the expected answer: a
+     * criterion per sentence of the answer, plus development for essays
+     */
+    getRubric(question) {
+        if (Array.isArray(question.rubric) && question.rubric.length > 0) {
+            return question.rubric.map(item => ({
+                criterion: item.criterion || item.description || String(item),
+                points: Number(item.points) > 0 ? Number(item.points) : 1
+            }));
+        }
+
+        const sentences = String(question.correct_answer || '')
+            .split(/(?<=[.;!?])\s+/)
+            .map(sentence => sentence.trim())
+            .filter(sentence => this.keyTerms(sentence).length > 0);
+        const rubric = (sentences.length > 0 ? sentences : [question.correct_answer || question.question])
+            .slice(0, 5)
+            .map(sentence => ({ criterion: `Covers: ${sentence}`, points: question.type === 'essay' ? 2 : 1 }));
+
+        if (question.type === 'essay') {
+            rubric.push({ criterion: 'Develops the answer with explanation and supporting detail', points: 2 });
+        }
+        return rubric;
+    }
+
+    /**
+     * Partial credit from how many of each criterion's key terms (stemmed,
+     * stopwords removed) appear in the answer
+     */
+    ruleGrade(question, answer, rubric) {
+        const answerTerms = new Set(this.keyTerms(answer));
+        const expectedTerms = this.keyTerms(question.correct_answer || '');
+        const wordCount = answer.split(/\s+/).filter(Boolean).length;
+
+        const scores = rubric.map(item => {
+            if (/^develops\b/i.test(item.criterion)) {
+                const ratio = Math.min(wordCount / ESSAY_MIN_WORDS, 1);
+                return {
+                    points: this.roundToHalf(item.points * ratio),
+                    feedback: ratio >= 1
+                        ? 'The answer is developed in enough detail.'
+                        : `The answer is brief (${wordCount} words); expand on the key points.`
+                };
+            }
+
+            let terms = this.keyTerms(item.criterion.replace(/^Covers:\s*/, ''));
+            if (terms.length === 0) terms = expectedTerms;
+            const matched = terms.filter(term => answerTerms.has(term));
+            const coverage = terms.length > 0 ? matched.length / terms.length : 0;
+            const points = this.roundToHalf(item.points * Math.min(coverage / FULL_COVERAGE, 1));
+
+            let feedback;
+            if (points >= item.points) {
+                feedback = 'Covered.';
+            } else if (points > 0) {
+                feedback = `Partly covered; missing: ${this.describeMissing(item.criterion, matched)}.`;
+            } else {
+                feedback = 'Not addressed.';
+            }
+            return { points, feedback };
+        });
+
+        const credit = this.creditOf(rubric, scores);
+        const feedback = credit >= 1
+            ? 'Correct!'
+            : `${credit >= PASS_THRESHOLD ? 'Mostly correct.' : 'Incomplete.'} Expected: ${question.correct_answer}`;
+
+        return this.buildResult(question, rubric, scores, feedback, 'rule');
+    }
+
+    async llmGrade(question, answer, rubric) {
+        const sourceText = question.source?.text ? `\nSOURCE MATERIAL:\n${question.source.text}\n` : '';
+        const prompt = `You are grading a student's ${question.type === 'essay' ? 'essay' : 'short answer'}. Award points per rubric criterion; give partial credit where the answer is partly right and accept paraphrases of the expected answer.
+
+QUESTION: ${question.question}
+EXPECTED ANSWER: ${question.correct_answer}
+${sourceText}
+RUBRIC:
+${rubric.map((item, index) => `${index + 1}. ${item.criterion} (${item.points} points)`).join('\n')}
+
+STUDENT ANSWER:
+${answer}
+
+Return JSON with one entry per rubric criterion, in order:
+{"criteria": [{"criterion": 1, "points": 1, "feedback": "..."}], "feedback": "Overall feedback"}`;
+
+        const { data } = await llm.forFeature('learning').generateJSON(prompt, { temperature: 0 });
+        if (!data || !Array.isArray(data.criteria) || data.criteria.length === 0) {
+            return null;
+        }
+
+        const scores = rubric.map((item, index) => {
+            const graded = data.criteria.find(entry => Number(entry.criterion) === index + 1) || data.criteria[index];
+            const points = Number(graded?.points);
+            return {
+                points: Number.isFinite(points) ? Math.max(0, Math.min(points, item.points)) : 0,
+                feedback: graded?.feedback || ''
+            };
+        });
+
+        return this.buildResult(question, rubric, scores, data.feedback || '', 'llm');
+    }
+
+    buildResult(question, rubric, scores, feedback, grader) {
+        const maxPoints = rubric.reduce((sum, item) => sum + item.points, 0);
+        const points = scores.reduce((sum, score) => sum + score.points, 0);
+        const credit = this.creditOf(rubric, scores);
+
+        return {
+            isCorrect: credit >= PASS_THRESHOLD,
+            points,
+            maxPoints,
+            credit,
+            criteria: rubric.map((item, index) => ({
+                criterion: item.criterion,
+                maxPoints: item.points,
+                points: scores[index].points,
+                feedback: scores[index].feedback
+            })),
+            feedback,
+            grader,
+            source: question.source || null
+        };
+    }
+
+    creditOf(rubric, scores) {
+        const maxPoints = rubric.reduce((sum, item) => sum + item.points, 0);
+        const points = scores.reduce((sum, score) => sum + score.points, 0);
+        return maxPoints > 0 ? Math.round(points / maxPoints * 100) / 100 : 0;
+    }
+
+    keyTerms(text) {
+        const words = String(text || '').toLowerCase().replace(/[^\w\s]/g, ' ').split(/\s+/);
+        return [...new Set(removeStopwords(words, eng)
+            .filter(word => word.length > 2 && !RUBRIC_FILLER.has(word))
+            .map(word => this.stemmer.stem(word)))];
+    }
+
+    describeMissing(criterion, matchedTerms) {
+        const matched = new Set(matchedTerms);
+        const missing = String(criterion).replace(/^Covers:\s*/, '')
+            .replace(/[^\w\s]/g, ' ')
+            .split(/\s+/)
+            .filter(word => word.length > 2 && !RUBRIC_FILLER.has(word.toLowerCase()))
+            .filter(word => {
+                const stem = this.stemmer.stem(word.toLowerCase());
+                return this.keyTerms(word).length > 0 && !matched.has(stem);
+            });
+        return [...new Set(missing)].slice(0, 6).join(', ') || 'key details';
+    }
+
+    roundToHalf(value) {
+        return Math.round(value * 2) / 2;
+    }
+}
+
+module.exports = new GradingService();
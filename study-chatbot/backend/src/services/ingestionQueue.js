@@ -0,0 +1,448 @@
+const { Worker } = require('worker_threads');
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const documentService = require('./documentService');
+const chatHistoryService = require('./chatHistoryService');
+const configService = require('./configService');
+const database = require('./databaseService');
+const logger = require('./logger');
+
+// Stages a file goes through, in order; files without scanned pages skip OCR
+const STAGES = ['extracting', 'ocr', 'chunking', 'embedding', 'indexing'];
+const FINISHED_STATUSES = ['completed', 'partial', 'failed', 'cancelled'];
+const WORKER_PATH = path.join(__dirname, '../workers/ingestionWorker.js');
+const RETRY_DELAY_MS = 1000;
+// Failures a retry cannot fix
+const PERMANENT_ERRORS = /Unsupported file type|No text content|Document not found|Invalid version/;
+
+/**
+ * Background ingestion of uploaded files. Uploads become jobs that run
+ * outside the HTTP request; extraction and chunking run on worker threads
+ * (INGESTION_WORKER_THREADS) while embedding and indexing, which touch the
+ * shared indexes, run on the main thread. Every change to a job is
+ * persisted and emitted as an `update` event for push clients.
+ *
+ * Files are retried up to INGESTION_MAX_RETRIES times. Cancelling a job
+ * stops its running file before it is indexed and skips the rest; files
+ * that already finished stay indexed.
+ */
+class IngestionQueue extends EventEmitter {
+    constructor() {
+        super();
+        this.setMaxListeners(0);
+        this.jobs = new Map(); // jobId -> job
+        this.pending = []; // job ids waiting to run
+        this.running = new Set();
+        this.workers = new Map(); // jobId -> active worker thread
+        this.isInitialized = false;
+    }
+
+    /**
+     * Restore jobs and pick up the ones a restart interrupted
+     */
+    async initialize() {
+        if (this.isInitialized) return;
+
+        try {
+            await database.initialize();
+            const rows = await database.all('SELECT data FROM ingestion_jobs ORDER BY created_at, rowid');
+            rows.forEach(row => {
+                const job = database.parseJSON(row.data);
+                if (!job) return;
+
+                this.jobs.set(job.id, job);
+                if (!FINISHED_STATUSES.includes(job.status)) {
+                    this.resume(job);
+                }
+            });
+            logger.info(`Restored ${rows.length} ingestion jobs from database`);
+        } catch (error) {
+            logger.warn(`Ingestion job persistence unavailable, using in-memory storage: ${error.message}`);
+        }
+
+        this.isInitialized = true;
+        this.drain();
+    }
+
+    resume(job) {
+        job.files
+            .filter(file => !FINISHED_STATUSES.includes(file.status))
+            .forEach(file => {
+                if (!job.cancelRequested && fs.existsSync(file.path)) {
+                    file.status = 'queued';
+                    file.stage = null;
+                } else {
+                    file.status = job.cancelRequested ? 'cancelled' : 'failed';
+                    file.errors.push({
+                        attempt: file.attempts,
+                        stage: file.stage,
+                        message: 'Interrupted by a server restart',
+                        at: new Date().toISOString()
+                    });
+                }
+            });
+
+        if (job.files.some(file => file.status === 'queued')) {
+            job.status = 'queued';
+            this.pending.push(job.id);
+            this.update(job);
+        } else {
+            this.finish(job);
+        }
+    }
+
+    /**
+     * Queue uploaded files for ingestion into a session
+     * @param {string} sessionId - Session identifier
+     * @param {Array} files - Uploaded files ({ path, filename, originalname, mimetype, size })
+     * @param {Object} options - Document processing options; `documentId`
+     *   makes the file a new version of that document
+     * @returns {Object} - The queued job
+     */
+    enqueue(sessionId, files, options = {}) {
+        const job = {
+            id: uuidv4(),
+            sessionId,
+            status: 'queued',
+            options,
+            cancelRequested: false,
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            files: files.map(file => ({
+                id: uuidv4(),
+                filename: file.filename,
+                originalname: file.originalname,
+                mimetype: file.mimetype,
+                size: file.size,
+                path: file.path,
+                status: 'queued',
+                stage: null,
+                stages: [],
+                attempts: 0,
+                errors: [],
+                result: null
+            }))
+        };
+
+        this.jobs.set(job.id, job);
+        this.pending.push(job.id);
+        this.update(job);
+        logger.info(`Queued ingestion job ${job.id} with ${files.length} files for session ${sessionId}`);
+
+        this.drain();
+        return this.toPublic(job);
+    }
+
+    drain() {
+        const concurrency = configService.get('ingestionConcurrency');
+
+        while (this.running.size < concurrency && this.pending.length > 0) {
+            const job = this.jobs.get(this.pending.shift());
+            if (!job || job.status !== 'queued') continue;
+
+            this.running.add(job.id);
+            this.runJob(job)
+                .catch(error => logger.error(`Ingestion job ${job.id} failed:`, error))
+                .finally(() => {
+                    this.running.delete(job.id);
+                    this.drain();
+                });
+        }
+    }
+
+    async runJob(job) {
+        job.status = 'running';
+        job.startedAt = new Date().toISOString();
+        this.update(job);
+
+        for (const file of job.files) {
+            if (file.status === 'queued') {
+                await this.processFile(job, file);
+            }
+        }
+
+        this.finish(job);
+    }
+
+    async processFile(job, file) {
+        const maxRetries = configService.get('ingestionMaxRetries');
+        const extract = configService.get('ingestionWorkerThreads')
+            ? (filePath, filename, options) => this.extractInWorker(job, filePath, filename, options)
+            : undefined;
+
+        while (true) {
+            file.status = 'running';
+            file.attempts++;
+            file.stages = [];
+
+            try {
+                const ingestOptions = {
+                    ...job.options,
+                    extract,
+                    onProgress: stage => this.setStage(job, file, stage)
+                };
+                // Jobs with a documentId upload a new version of that document
+                const { documentId } = job.options;
+                const result = documentId
+                    ? await documentService.ingestVersion(file, job.sessionId, documentId, ingestOptions)
+                    : await documentService.ingestFile(file, job.sessionId, ingestOptions);
+                if (documentId) {
+                    await documentService.updateRegisteredDocument(job.sessionId, result);
+                } else {
+                    await documentService.registerDocuments(job.sessionId, [result], job.options);
+                }
+                this.recordHistory(job.sessionId, file, result);
+
+                this.completeStage(file);
+                file.status = 'completed';
+                file.stage = null;
+                file.result = {
+                    documentId: result.documentId,
+                    chunkCount: result.chunkCount,
+                    wordCount: result.wordCount,
+                    cached: result.cached,
+                    duplicates: result.duplicates,
+                    warnings: result.warnings,
+                    version: result.version,
+                    changes: result.changes
+                };
+                break;
+            } catch (error) {
+                if (job.cancelRequested) {
+                    file.status = 'cancelled';
+                    break;
+                }
+
+                file.errors.push({
+                    attempt: file.attempts,
+                    stage: file.stage,
+                    message: error.message,
+                    at: new Date().toISOString()
+                });
+
+                if (file.attempts > maxRetries || PERMANENT_ERRORS.test(error.message)) {
+                    file.status = 'failed';
+                    break;
+                }
+
+                logger.warn(`Retrying ${file.originalname} after failed attempt ${file.attempts}: ${error.message}`);
+                file.status = 'retrying';
+                this.update(job);
+                await new Promise(resolve => setTimeout(resolve, RETRY_DELAY_MS * file.attempts));
+
+                if (job.cancelRequested) {
+                    file.status = 'cancelled';
+                    break;
+                }
+            }
+        }
+
+        this.removeUpload(file);
+        this.update(job);
+    }
+
+    /**
+     * Record that a file entered `stage`. Throws once the job is cancelled,
+     * which stops the file before its next stage.
+     */
+    setStage(job, file, stage) {
+        if (job.cancelRequested) {
+            throw new Error('Ingestion cancelled');
+        }
+
+        this.completeStage(file);
+        file.stage = stage;
+        file.stages.push({ stage, startedAt: new Date().toISOString(), finishedAt: null });
+        this.update(job);
+    }
+
+    completeStage(file) {
+        const current = file.stages[file.stages.length - 1];
+        if (current && !current.finishedAt) {
+            current.finishedAt = new Date().toISOString();
+        }
+    }
+
+    /**
+     * Run the document processor for one file on a worker thread
+     */
+    extractInWorker(job, filePath, filename, { onProgress }) {
+        return new Promise((resolve, reject) => {
+            const worker = new Worker(WORKER_PATH, { workerData: { filePath, filename } });
+            this.workers.set(job.id, worker);
+
+            let settled = false;
+            const settle = (callback, value) => {
+                if (settled) return;
+                settled = true;
+                this.workers.delete(job.id);
+                worker.terminate();
+                callback(value);
+            };
+
+            worker.on('message', message => {
+                if (message.type === 'progress') {
+                    try {
+                        onProgress(message.stage);
+                    } catch (error) {
+                        settle(reject, error);
+                    }
+                } else if (message.type === 'result') {
+                    settle(resolve, message.processed);
+                } else if (message.type === 'error') {
+                    settle(reject, new Error(message.message));
+                }
+            });
+            worker.on('error', error => settle(reject, error));
+            worker.on('exit', code => settle(reject, new Error(job.cancelRequested
+                ? 'Ingestion cancelled'
+                : `Ingestion worker stopped with exit code ${code}`)));
+        });
+    }
+
+    /**
+     * Cancel a job of a session: queued files are skipped and the running
+     * file stops before it is indexed
+     */
+    cancelJob(jobId, sessionId) {
+        const job = this.findJob(jobId, sessionId);
+        if (FINISHED_STATUSES.includes(job.status)) {
+            return this.toPublic(job);
+        }
+
+        job.cancelRequested = true;
+        job.files
+            .filter(file => file.status === 'queued')
+            .forEach(file => {
+                file.status = 'cancelled';
+                this.removeUpload(file);
+            });
+        this.workers.get(jobId)?.terminate();
+
+        if (job.status === 'queued') {
+            this.pending = this.pending.filter(id => id !== jobId);
+            this.finish(job);
+        } else {
+            this.update(job);
+        }
+
+        logger.info(`Cancelled ingestion job ${jobId}`);
+        return this.toPublic(job);
+    }
+
+    finish(job) {
+        const count = status => job.files.filter(file => file.status === status).length;
+        const completed = count('completed');
+
+        if (completed === job.files.length) {
+            job.status = 'completed';
+        } else if (job.cancelRequested) {
+            job.status = 'cancelled';
+        } else if (completed === 0) {
+            job.status = 'failed';
+        } else {
+            job.status = 'partial';
+        }
+        job.finishedAt = new Date().toISOString();
+        this.update(job);
+
+        logger.info(`Ingestion job ${job.id} ${job.status}: ${completed}/${job.files.length} files processed`);
+    }
+
+    /**
+     * Overall progress: finished files count fully, a running file counts
+     * for the stages it has passed
+     */
+    getProgress(job) {
+        const fileProgress = job.files.map(file => {
+            if (FINISHED_STATUSES.includes(file.status)) return 1;
+            if (!file.stage) return 0;
+            return STAGES.indexOf(file.stage) / STAGES.length;
+        });
+        const count = status => job.files.filter(file => file.status === status).length;
+
+        return {
+            percent: Math.round(fileProgress.reduce((sum, value) => sum + value, 0) / job.files.length * 100),
+            totalFiles: job.files.length,
+            completedFiles: count('completed'),
+            failedFiles: count('failed'),
+            cancelledFiles: count('cancelled')
+        };
+    }
+
+    update(job) {
+        job.updatedAt = new Date().toISOString();
+        job.progress = this.getProgress(job);
+
+        database.persist(
+            `INSERT INTO ingestion_jobs (id, session_id, status, data, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)
+             ON CONFLICT(id) DO UPDATE SET status = excluded.status, data = excluded.data, updated_at = excluded.updated_at`,
+            [job.id, job.sessionId, job.status, database.toJSON(job), job.createdAt, job.updatedAt]
+        );
+        this.emit('update', this.toPublic(job));
+    }
+
+    recordHistory(sessionId, file, result) {
+        chatHistoryService.initialize()
+            .then(() => chatHistoryService.addFileToHistory(sessionId, {
+                filename: file.filename,
+                originalname: file.originalname,
+                mimetype: file.mimetype,
+                size: file.size,
+                path: file.path,
+                processingResult: result,
+                status: 'processed'
+            }))
+            .catch(error => logger.warn('Failed to save file history:', error));
+    }
+
+    removeUpload(file) {
+        fs.promises.unlink(file.path).catch(error => {
+            if (error.code !== 'ENOENT') {
+                logger.warn(`Failed to cleanup file ${file.path}:`, error);
+            }
+        });
+    }
+
+    isFinished(job) {
+        return FINISHED_STATUSES.includes(job.status);
+    }
+
+    /**
+     * Job without server-side file paths
+     */
+    toPublic(job) {
+        return {
+            ...job,
+            files: job.files.map(({ path: filePath, ...file }) => file)
+        };
+    }
+
+    /**
+     * Job queued by a session; jobs of other sessions are reported as not
+     * found, like unknown ones
+     */
+    findJob(jobId, sessionId) {
+        const job = this.jobs.get(jobId);
+        if (!job || job.sessionId !== sessionId) {
+            throw new Error('Job not found');
+        }
+        return job;
+    }
+
+    getJob(jobId, sessionId) {
+        return this.toPublic(this.findJob(jobId, sessionId));
+    }
+
+    getSessionJobs(sessionId) {
+        return Array.from(this.jobs.values())
+            .filter(job => job.sessionId === sessionId)
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+            .map(job => this.toPublic(job));
+    }
+}
+
+module.exports = new IngestionQueue();
@@ -1,6 +1,11 @@
 const aiService = require('./aiService');
-const pdfProcessor = require('./simplePdfProcessor');
+const llm = require('./llm');
+const documentRepository = require('./documentRepository');
 const logger = require('./logger');
+const database = require('./databaseService');
+const spacedRepetition = require('./spacedRepetitionService');
+const gradingService = require('./gradingService');
+const masteryService = require('./masteryService');
 const { v4: uuidv4 } = require('uuid');
 
 class LearningFeaturesService {
@@ -10,6 +15,110 @@ class LearningFeaturesService {
     this.conceptMaps = new Map(); // sessionId -> concept maps
     this.studyPlans = new Map(); // sessionId -> study plans
     this.learningProgress = new Map(); // sessionId -> progress tracking
+    this.flashcardReviews = new Map(); // sessionId -> review log, oldest first
+    this.isInitialized = false;
+  }
+
+  /**
+   * Restore persisted learning content and progress from the database
+   */
+  async initialize() {
+    if (this.isInitialized) return;
+
+    try {
+      await database.initialize();
+      const contentMaps = this.getContentMaps();
+
+      const rows = await database.all('SELECT * FROM learning_content ORDER BY created_at, rowid');
+      rows.forEach(row => {
+        const contentMap = contentMaps[row.content_type];
+        const item = database.parseJSON(row.data);
+        if (!contentMap || !item) return;
+
+        if (!contentMap.has(row.session_id)) {
+          contentMap.set(row.session_id, []);
+        }
+        contentMap.get(row.session_id).push(item);
+      });
+
+      // Sets generated before spaced repetition get card ids and schedules
+      this.flashcards.forEach(sets => sets.forEach(set => {
+        if (this.prepareFlashcardSet(set)) {
+          this.saveContent('flashcards', set);
+        }
+      }));
+
+      const progressRows = await database.all('SELECT * FROM learning_progress');
+      progressRows.forEach(row => {
+        this.learningProgress.set(row.session_id, database.parseJSON(row.data, {}));
+      });
+
+      const reviewRows = await database.all('SELECT * FROM flashcard_reviews ORDER BY reviewed_at, rowid');
+      reviewRows.forEach(row => {
+        this.addReviewLog({
+          id: row.id,
+          sessionId: row.session_id,
+          setId: row.set_id,
+          cardId: row.card_id,
+          grade: row.grade,
+          scheduler: row.scheduler,
+          elapsedDays: row.elapsed_days,
+          previousSchedule: database.parseJSON(row.previous_schedule),
+          schedule: database.parseJSON(row.schedule, {}),
+          reviewedAt: row.reviewed_at
+        });
+      });
+
+      logger.info(`Restored ${rows.length} learning items from database`);
+    } catch (error) {
+      logger.warn(`Learning content persistence unavailable, using in-memory storage: ${error.message}`);
+    }
+
+    await masteryService.initialize();
+    this.isInitialized = true;
+  }
+
+  /**
+   * Map content type names to their session-keyed stores
+   * @returns {Object} - Content type -> Map
+   */
+  getContentMaps() {
+    return {
+      flashcards: this.flashcards,
+      quizzes: this.quizzes,
+      conceptMaps: this.conceptMaps,
+      studyPlans: this.studyPlans
+    };
+  }
+
+  /**
+   * Persist a learning content item (flashcard set, quiz, concept map or study plan)
+   * @param {string} contentType - Content type key
+   * @param {Object} item - Content item with id and sessionId
+   */
+  saveContent(contentType, item) {
+    const now = new Date().toISOString();
+    return database.persist(
+      `INSERT INTO learning_content (id, session_id, content_type, data, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?)
+       ON CONFLICT(id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at`,
+      [item.id, item.sessionId, contentType, database.toJSON(item), item.createdAt || now, now]
+    );
+  }
+
+  /**
+   * Persist learning progress for a session
+   * @param {string} sessionId - Session identifier
+   */
+  saveProgress(sessionId) {
+    const progress = this.learningProgress.get(sessionId);
+    if (!progress) return Promise.resolve(null);
+
+    return database.persist(
+      `INSERT INTO learning_progress (session_id, data, updated_at) VALUES (?, ?, ?)
+       ON CONFLICT(session_id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at`,
+      [sessionId, database.toJSON(progress), new Date().toISOString()]
+    );
   }
 
   /**
@@ -33,12 +142,12 @@ class LearningFeaturesService {
 
       if (topic) {
         // Generate flashcards based on topic
-        const contextData = await pdfProcessor.getRelevantContext(topic, sessionId, 3000);
+        const contextData = await documentRepository.getRelevantContext(topic, sessionId, 3000);
         content = contextData.context;
         sources = contextData.sources;
       } else if (documentIds) {
         // Generate from specific documents
-        const searchResults = await pdfProcessor.searchInDocuments(
+        const searchResults = await documentRepository.searchInDocuments(
           'key concepts important information definitions', 
           documentIds, 
           sessionId, 
@@ -48,7 +157,7 @@ class LearningFeaturesService {
         sources = searchResults.map(r => r.metadata);
       } else {
         // Generate from all session documents
-        const contextData = await pdfProcessor.getRelevantContext(
+        const contextData = await documentRepository.getRelevantContext(
           'important concepts key definitions main ideas', 
           sessionId, 
           3000
@@ -77,12 +186,15 @@ class LearningFeaturesService {
           lastStudied: null
         }
       };
+      this.prepareFlashcardSet(flashcardSet);
+      await this.attachFlashcardSources(sessionId, flashcardSet, documentIds);
 
       // Store flashcards
       if (!this.flashcards.has(sessionId)) {
         this.flashcards.set(sessionId, []);
       }
       this.flashcards.get(sessionId).push(flashcardSet);
+      this.saveContent('flashcards', flashcardSet);
 
       logger.info(`Generated ${flashcardSet.count} flashcards for session: ${sessionId}`);
       return flashcardSet;
@@ -94,9 +206,363 @@ class LearningFeaturesService {
   }
 
   /**
-   * Generate quiz from document content
+   * Give every card in a set an id and a spaced-repetition schedule
+   * @param {Object} flashcardSet - Flashcard set
+   * @returns {boolean} - Whether any card was changed
+   */
+  prepareFlashcardSet(flashcardSet) {
+    let changed = false;
+    (flashcardSet.flashcards || []).forEach(card => {
+      if (!card.id) {
+        card.id = uuidv4();
+        changed = true;
+      }
+      if (!card.schedule) {
+        card.schedule = spacedRepetition.newSchedule(new Date(flashcardSet.createdAt || Date.now()));
+        changed = true;
+      }
+    });
+    return changed;
+  }
+
+  /**
+   * Tag each card with the concept it tests and the document chunk it was
+   * drawn from, so reviews count towards concept mastery per document
    * @param {string} sessionId - Session identifier
-   * @param {Object} options - Quiz options
+   * @param {Object} flashcardSet - Flashcard set
+   * @param {Array} documentIds - Documents the set was generated from (optional)
+   */
+  async attachFlashcardSources(sessionId, flashcardSet, documentIds = null) {
+    for (const card of flashcardSet.flashcards || []) {
+      card.concept = masteryService.conceptOf(card);
+
+      const chunk = await this.findSupportingChunk(sessionId, `${card.question} ${card.answer || ''}`, documentIds);
+      if (chunk) {
+        card.sourceChunk = {
+          documentId: chunk.documentId,
+          filename: chunk.filename,
+          chunkIndex: chunk.chunkIndex
+        };
+      }
+    }
+  }
+
+  /**
+   * The chunk that best supports a generated question and its answer
+   * @param {string} sessionId - Session identifier
+   * @param {string} query - Question and answer text
+   * @param {Array} documentIds - Documents to search (optional)
+   * @returns {Object|null} - { documentId, filename, chunkIndex, text }
+   */
+  async findSupportingChunk(sessionId, query, documentIds = null) {
+    try {
+      const [match] = documentIds
+        ? await documentRepository.searchInDocuments(query, documentIds, sessionId, 1)
+        : await documentRepository.similaritySearch(query, sessionId, 1);
+
+      return match ? {
+        documentId: match.documentId,
+        filename: match.metadata.filename,
+        chunkIndex: match.chunkIndex,
+        text: match.content
+      } : null;
+    } catch (error) {
+      logger.warn(`Could not find a supporting source for generated question: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * After a new version of a document, point flashcards and quiz questions
+   * drawn from it at the chunk their source passage is now in, or mark them
+   * stale when that passage was changed or removed
+   * @param {string} sessionId - Session owning the document
+   * @param {string} documentId - Document identifier
+   * @param {Map} chunkMap - Old chunk index -> { chunkIndex, text } in the new version, or null if its passage changed
+   * @param {number} version - New version number
+   * @returns {Object} - Number of flashcards and questions marked stale
+   */
+  markStaleSources(sessionId, documentId, chunkMap, version) {
+    const stale = { flashcards: 0, questions: 0 };
+    const marker = {
+      version,
+      reason: `Source passage changed or removed in version ${version}`,
+      markedAt: new Date().toISOString()
+    };
+
+    // Returns whether the source passage is gone
+    const follow = (source) => {
+      const target = chunkMap.get(source.chunkIndex);
+      if (!target) return true;
+
+      source.chunkIndex = target.chunkIndex;
+      if (source.text !== undefined) source.text = target.text;
+      return false;
+    };
+
+    (this.flashcards.get(sessionId) || []).forEach(set => {
+      const cards = (set.flashcards || []).filter(card => card.sourceChunk?.documentId === documentId && !card.stale);
+      cards.forEach(card => {
+        if (follow(card.sourceChunk)) {
+          card.stale = marker;
+          stale.flashcards++;
+        }
+      });
+      if (cards.length > 0) this.saveContent('flashcards', set);
+    });
+
+    (this.quizzes.get(sessionId) || []).forEach(quiz => {
+      const questions = (quiz.questions || []).filter(question => question.source?.documentId === documentId && !question.stale);
+      questions.forEach(question => {
+        if (follow(question.source)) {
+          question.stale = marker;
+          stale.questions++;
+        }
+      });
+      if (questions.length > 0) {
+        quiz.staleQuestions = quiz.questions.filter(question => question.stale).length;
+        this.saveContent('quizzes', quiz);
+      }
+    });
+
+    if (stale.flashcards + stale.questions > 0) {
+      logger.info(`Marked ${stale.flashcards} flashcards and ${stale.questions} quiz questions stale after version ${version} of document ${documentId}`);
+    }
+    return stale;
+  }
+
+  /**
+   * Remove flashcards and quiz questions drawn from a deleted document.
+   * Flashcard sets and quizzes left empty are deleted.
+   * @param {string} sessionId - Session that owned the document
+   * @param {string} documentId - Document identifier
+   * @returns {Object} - Number of flashcards, questions, flashcard sets and quizzes removed
+   */
+  removeDocumentSources(sessionId, documentId) {
+    const removed = { flashcards: 0, questions: 0, flashcardSets: 0, quizzes: 0 };
+
+    (this.flashcards.get(sessionId) || []).slice().forEach(set => {
+      const cards = (set.flashcards || []).filter(card => card.sourceChunk?.documentId !== documentId);
+      const count = (set.flashcards || []).length - cards.length;
+      if (count === 0) return;
+
+      removed.flashcards += count;
+      if (cards.length === 0) {
+        this.deleteLearningContent(sessionId, 'flashcards', set.id);
+        removed.flashcardSets++;
+      } else {
+        set.flashcards = cards;
+        set.count = cards.length;
+        this.saveContent('flashcards', set);
+      }
+    });
+
+    (this.quizzes.get(sessionId) || []).slice().forEach(quiz => {
+      const questions = (quiz.questions || []).filter(question => question.source?.documentId !== documentId);
+      const count = (quiz.questions || []).length - questions.length;
+      if (count === 0) return;
+
+      removed.questions += count;
+      if (questions.length === 0) {
+        this.deleteLearningContent(sessionId, 'quizzes', quiz.id);
+        removed.quizzes++;
+      } else {
+        quiz.questions = questions;
+        if (quiz.count !== undefined) quiz.count = questions.length;
+        if (quiz.staleQuestions !== undefined) quiz.staleQuestions = questions.filter(question => question.stale).length;
+        this.saveContent('quizzes', quiz);
+      }
+    });
+
+    if (removed.flashcards + removed.questions > 0) {
+      logger.info(`Removed ${removed.flashcards} flashcards and ${removed.questions} quiz questions drawn from deleted document ${documentId}`);
+    }
+    return removed;
+  }
+
+  /**
+   * Cards whose review is due, most overdue first
+   * @param {string} sessionId - Session identifier
+   * @param {Object} options - { limit, setId, now }
+   * @returns {Object} - Due cards and queue counts
+   */
+  getDueFlashcards(sessionId, options = {}) {
+    const { limit = 20, setId = null, now = new Date() } = options;
+    const sets = (this.flashcards.get(sessionId) || [])
+      .filter(set => !setId || set.id === setId);
+
+    const cards = sets.flatMap(set => (set.flashcards || []).map(card => ({
+      ...card,
+      setId: set.id,
+      source: card.source || set.source
+    })));
+    const due = cards
+      .filter(card => spacedRepetition.isDue(card.schedule, now))
+      .sort((a, b) => new Date(a.schedule.due) - new Date(b.schedule.due));
+    const upcoming = cards
+      .filter(card => !spacedRepetition.isDue(card.schedule, now))
+      .map(card => card.schedule.due)
+      .sort();
+
+    return {
+      cards: due.slice(0, limit),
+      counts: {
+        due: due.length,
+        new: due.filter(card => card.schedule.state === 'new').length,
+        review: due.filter(card => card.schedule.state !== 'new').length,
+        total: cards.length
+      },
+      nextDue: upcoming[0] || null,
+      scheduler: spacedRepetition.getScheduler()
+    };
+  }
+
+  /**
+   * Record a review and reschedule the card
+   * @param {string} sessionId - Session identifier
+   * @param {string} setId - Flashcard set identifier
+   * @param {string} cardId - Card identifier
+   * @param {string|number} grade - again, hard, good, easy (or 1-4)
+   * @param {Object} options - { now }
+   * @returns {Object} - Updated card and review log entry
+   */
+  reviewFlashcard(sessionId, setId, cardId, grade, options = {}) {
+    const now = options.now || new Date();
+    const gradeName = spacedRepetition.normalizeGrade(grade);
+    if (!gradeName) {
+      throw new Error(`Invalid grade: ${grade}. Use one of ${spacedRepetition.grades.join(', ')}`);
+    }
+
+    const flashcardSet = (this.flashcards.get(sessionId) || []).find(set => set.id === setId);
+    if (!flashcardSet) {
+      throw new Error('Flashcard set not found');
+    }
+    const card = (flashcardSet.flashcards || []).find(c => c.id === cardId);
+    if (!card) {
+      throw new Error('Flashcard not found');
+    }
+
+    const previousSchedule = card.schedule;
+    const { schedule, elapsedDays } = spacedRepetition.review(previousSchedule, gradeName, now);
+    card.schedule = schedule;
+
+    flashcardSet.studyStats.timesStudied++;
+    if (gradeName === 'again') {
+      flashcardSet.studyStats.incorrectAnswers++;
+    } else {
+      flashcardSet.studyStats.correctAnswers++;
+    }
+    flashcardSet.studyStats.lastStudied = now.toISOString();
+    this.saveContent('flashcards', flashcardSet);
+
+    const review = {
+      id: uuidv4(),
+      sessionId,
+      setId,
+      cardId,
+      grade: gradeName,
+      scheduler: schedule.scheduler,
+      elapsedDays,
+      previousSchedule,
+      schedule,
+      reviewedAt: now.toISOString()
+    };
+    this.addReviewLog(review);
+    database.persist(
+      `INSERT INTO flashcard_reviews
+         (id, session_id, set_id, card_id, grade, scheduler, elapsed_days, previous_schedule, schedule, reviewed_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [review.id, sessionId, setId, cardId, gradeName, review.scheduler, elapsedDays,
+        database.toJSON(previousSchedule), database.toJSON(schedule), review.reviewedAt]
+    );
+
+    this.updateLearningProgress(sessionId, 'flashcard_review', { grade: gradeName, now });
+
+    const mastery = masteryService.recordEvidence(sessionId, {
+      concept: card.concept || masteryService.conceptOf(card),
+      credit: masteryService.flashcardCredit(gradeName),
+      activity: 'flashcard',
+      documentId: card.sourceChunk?.documentId,
+      filename: card.sourceChunk?.filename,
+      at: now
+    });
+
+    return {
+      card: { ...card, setId },
+      review,
+      mastery: mastery && { concept: mastery.concept, mastery: mastery.mastery, status: masteryService.statusOf(mastery) }
+    };
+  }
+
+  addReviewLog(review) {
+    if (!this.flashcardReviews.has(review.sessionId)) {
+      this.flashcardReviews.set(review.sessionId, []);
+    }
+    this.flashcardReviews.get(review.sessionId).push(review);
+  }
+
+  /**
+   * Review statistics from the review log
+   * @param {string} sessionId - Session identifier
+   * @param {Date} now - Reference time
+   * @returns {Object} - Review counts, retention and streak
+   */
+  getReviewStats(sessionId, now = new Date()) {
+    const reviews = this.flashcardReviews.get(sessionId) || [];
+    const today = this.toDayKey(now);
+    const monthAgo = now.getTime() - 30 * 24 * 60 * 60 * 1000;
+    // Retention only counts cards that had already been learned
+    const recentRecalls = reviews.filter(review =>
+      new Date(review.reviewedAt).getTime() >= monthAgo &&
+      review.previousSchedule && review.previousSchedule.state !== 'new'
+    );
+    const gradeCounts = spacedRepetition.grades.reduce((counts, grade) => ({ ...counts, [grade]: 0 }), {});
+    reviews.forEach(review => {
+      gradeCounts[review.grade] = (gradeCounts[review.grade] || 0) + 1;
+    });
+
+    return {
+      totalReviews: reviews.length,
+      reviewedToday: reviews.filter(review => this.toDayKey(new Date(review.reviewedAt)) === today).length,
+      dueNow: this.getDueFlashcards(sessionId, { now, limit: 0 }).counts.due,
+      retentionRate: recentRecalls.length > 0
+        ? Math.round(recentRecalls.filter(review => review.grade !== 'again').length / recentRecalls.length * 100)
+        : null,
+      gradeCounts,
+      streakDays: this.calculateStreak(reviews, now),
+      lastReviewedAt: reviews.length > 0 ? reviews[reviews.length - 1].reviewedAt : null
+    };
+  }
+
+  /**
+   * Consecutive days with at least one review, ending today (or yesterday
+   * when nothing has been reviewed yet today)
+   */
+  calculateStreak(reviews, now = new Date()) {
+    const reviewDays = new Set(reviews.map(review => this.toDayKey(new Date(review.reviewedAt))));
+    const day = new Date(now);
+    if (!reviewDays.has(this.toDayKey(day))) {
+      day.setDate(day.getDate() - 1);
+    }
+
+    let streak = 0;
+    while (reviewDays.has(this.toDayKey(day))) {
+      streak++;
+      day.setDate(day.getDate() - 1);
+    }
+    return streak;
+  }
+
+  toDayKey(date) {
+    return `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+  }
+
+  /**
+   * Generate quiz from document content. In adaptive mode questions are
+   * weighted toward the learner's weakest concepts and the difficulty
+   * follows their recent quiz scores.
+   * @param {string} sessionId - Session identifier
+   * @param {Object} options - Quiz options (mode: standard|adaptive)
    * @returns {Object} - Generated quiz
    */
   async generateQuiz(sessionId, options = {}) {
@@ -107,18 +573,29 @@ class LearningFeaturesService {
         questionCount = 10,
         difficulty = 'mixed',
         questionTypes = ['multiple_choice', 'true_false', 'short_answer'],
-        timeLimit = null
+        timeLimit = null,
+        mode = 'standard'
       } = options;
 
       let content = '';
       let sources = [];
+      const adaptive = mode === 'adaptive' ? this.getAdaptivePlan(sessionId, documentIds) : null;
 
-      if (topic) {
-        const contextData = await pdfProcessor.getRelevantContext(topic, sessionId, 4000);
+      if (adaptive && adaptive.focusConcepts.length > 0 && !topic) {
+        const searchResults = await this.getConceptChunks(
+          sessionId,
+          adaptive.focusConcepts,
+          documentIds,
+          Math.max(2, Math.ceil(questionCount / adaptive.focusConcepts.length))
+        );
+        content = searchResults.map(r => r.content).join('\n\n');
+        sources = searchResults.map(r => r.metadata);
+      } else if (topic) {
+        const contextData = await documentRepository.getRelevantContext(topic, sessionId, 4000);
         content = contextData.context;
         sources = contextData.sources;
       } else if (documentIds) {
-        const searchResults = await pdfProcessor.searchInDocuments(
+        const searchResults = await documentRepository.searchInDocuments(
           'main concepts important facts key information', 
           documentIds, 
           sessionId, 
@@ -127,7 +604,7 @@ class LearningFeaturesService {
         content = searchResults.map(r => r.content).join('\n\n');
         sources = searchResults.map(r => r.metadata);
       } else {
-        const contextData = await pdfProcessor.getRelevantContext(
+        const contextData = await documentRepository.getRelevantContext(
           'key concepts main ideas important facts', 
           sessionId, 
           4000
@@ -141,12 +618,18 @@ class LearningFeaturesService {
       }
 
       // Generate quiz using AI
-      const quizResult = await aiService.generateQuiz(content, questionCount, sources[0]?.filename || 'Multiple Documents');
+      const quizResult = await aiService.generateQuiz(content, questionCount, sources[0]?.filename || 'Multiple Documents', {
+        difficulty: adaptive ? adaptive.difficulty : difficulty,
+        focusConcepts: adaptive ? adaptive.focusConcepts : []
+      });
+      await this.prepareQuestions(sessionId, quizResult.questions, documentIds);
       
       const quiz = {
         id: uuidv4(),
         sessionId,
         ...quizResult,
+        mode,
+        adaptive,
         options,
         createdAt: new Date().toISOString(),
         attempts: [],
@@ -163,6 +646,7 @@ class LearningFeaturesService {
         this.quizzes.set(sessionId, []);
       }
       this.quizzes.get(sessionId).push(quiz);
+      this.saveContent('quizzes', quiz);
 
       logger.info(`Generated quiz with ${questionCount} questions for session: ${sessionId}`);
       return quiz;
@@ -173,6 +657,104 @@ class LearningFeaturesService {
     }
   }
 
+  /**
+   * Difficulty and focus concepts for the next adaptive quiz
+   * @param {string} sessionId - Session identifier
+   * @param {Array} documentIds - Limit focus concepts to these documents (optional)
+   * @returns {Object} - { difficulty, focusConcepts, weakConcepts, recentScores }
+   */
+  getAdaptivePlan(sessionId, documentIds = null) {
+    const recentScores = this.getRecentQuizScores(sessionId);
+    const weakConcepts = masteryService.getWeakConcepts(sessionId, documentIds ? Infinity : 5)
+      .filter(concept => !documentIds || concept.documents.some(doc => documentIds.includes(doc.documentId)))
+      .slice(0, 5);
+
+    return {
+      difficulty: masteryService.getTargetDifficulty(sessionId, recentScores),
+      focusConcepts: weakConcepts.map(concept => concept.concept),
+      weakConcepts: weakConcepts.map(concept => ({
+        concept: concept.concept,
+        mastery: concept.mastery,
+        status: concept.status
+      })),
+      recentScores
+    };
+  }
+
+  /**
+   * Chunks behind each concept, without duplicates
+   * @param {string} sessionId - Session identifier
+   * @param {Array} concepts - Concept names
+   * @param {Array} documentIds - Documents to search (optional)
+   * @param {number} perConcept - Chunks per concept
+   */
+  async getConceptChunks(sessionId, concepts, documentIds = null, perConcept = 2) {
+    const chunks = new Map();
+    for (const concept of concepts) {
+      const results = documentIds
+        ? await documentRepository.searchInDocuments(concept, documentIds, sessionId, perConcept)
+        : await documentRepository.similaritySearch(concept, sessionId, perConcept);
+
+      results.forEach(result => {
+        const key = `${result.documentId}:${result.chunkIndex}`;
+        if (!chunks.has(key)) chunks.set(key, result);
+      });
+    }
+
+    if (chunks.size === 0) {
+      return documentRepository.getChunks(sessionId, documentIds);
+    }
+    return Array.from(chunks.values());
+  }
+
+  /**
+   * Concept mastery report: which concepts in which documents are not yet mastered
+   * @param {string} sessionId - Session identifier
+   * @returns {Object} - Summary, per-document concepts and all concepts weakest first
+   */
+  getMasteryReport(sessionId) {
+    return masteryService.getReport(sessionId, this.getRecentQuizScores(sessionId));
+  }
+
+  /**
+   * Scores of the latest quiz attempts, oldest first
+   * @param {string} sessionId - Session identifier
+   * @param {number} limit - Number of attempts
+   */
+  getRecentQuizScores(sessionId, limit = 5) {
+    return (this.quizzes.get(sessionId) || [])
+      .flatMap(quiz => quiz.attempts)
+      .sort((a, b) => new Date(a.submittedAt) - new Date(b.submittedAt))
+      .slice(-limit)
+      .map(attempt => attempt.score);
+  }
+
+  /**
+   * Give every question the concept it tests and the chunk that supports
+   * the expected answer; short-answer and essay questions also get a
+   * rubric. Used later for grading, feedback and concept mastery.
+   * @param {string} sessionId - Session identifier
+   * @param {Array} questions - Generated quiz questions
+   * @param {Array} documentIds - Documents the quiz was generated from (optional)
+   */
+  async prepareQuestions(sessionId, questions = [], documentIds = null) {
+    for (const question of questions) {
+      if (gradingService.isFreeText(question)) {
+        question.rubric = gradingService.getRubric(question);
+      }
+      question.concept = masteryService.conceptOf(question);
+
+      const source = await this.findSupportingChunk(
+        sessionId,
+        `${question.question} ${question.correct_answer || ''}`,
+        documentIds
+      );
+      if (source) {
+        question.source = source;
+      }
+    }
+  }
+
   /**
    * Submit quiz attempt
    * @param {string} sessionId - Session identifier
@@ -189,25 +771,53 @@ class LearningFeaturesService {
         throw new Error('Quiz not found');
       }
 
-      // Grade the quiz
+      // Grade the quiz; free-text answers earn partial credit
       let correctAnswers = 0;
-      const gradedQuestions = quiz.questions.map((question, index) => {
+      let earnedPoints = 0;
+      let maxPoints = 0;
+      const gradedQuestions = [];
+      const conceptUpdates = new Map();
+
+      for (const [index, question] of quiz.questions.entries()) {
         const userAnswer = answers[index];
-        const isCorrect = this.isAnswerCorrect(question, userAnswer);
-        
-        if (isCorrect) {
+        const grade = await gradingService.gradeAnswer(question, userAnswer);
+
+        if (grade.isCorrect) {
           correctAnswers++;
         }
+        earnedPoints += grade.points;
+        maxPoints += grade.maxPoints;
 
-        return {
+        gradedQuestions.push({
           ...question,
           userAnswer,
-          isCorrect,
-          feedback: isCorrect ? 'Correct!' : `Incorrect. ${question.explanation}`
-        };
-      });
+          isCorrect: grade.isCorrect,
+          points: grade.points,
+          maxPoints: grade.maxPoints,
+          credit: grade.credit,
+          criteria: grade.criteria,
+          feedback: grade.feedback,
+          grader: grade.grader,
+          source: grade.source
+        });
+
+        const mastery = masteryService.recordEvidence(sessionId, {
+          concept: question.concept || masteryService.conceptOf(question),
+          credit: grade.credit,
+          activity: 'quiz',
+          documentId: grade.source?.documentId,
+          filename: grade.source?.filename
+        });
+        if (mastery) {
+          conceptUpdates.set(mastery.concept, {
+            concept: mastery.concept,
+            mastery: mastery.mastery,
+            status: masteryService.statusOf(mastery)
+          });
+        }
+      }
 
-      const score = Math.round((correctAnswers / quiz.questions.length) * 100);
+      const score = maxPoints > 0 ? Math.round((earnedPoints / maxPoints) * 100) : 0;
       
       const attempt = {
         id: uuidv4(),
@@ -215,8 +825,11 @@ class LearningFeaturesService {
         answers,
         gradedQuestions,
         score,
+        points: earnedPoints,
+        maxPoints,
         correctAnswers,
         totalQuestions: quiz.questions.length,
+        conceptMastery: Array.from(conceptUpdates.values()),
         timeSpent: null, // Could be tracked by frontend
         submittedAt: new Date().toISOString()
       };
@@ -229,6 +842,7 @@ class LearningFeaturesService {
       );
       quiz.stats.bestScore = Math.max(quiz.stats.bestScore, score);
       quiz.stats.lastAttempt = new Date().toISOString();
+      this.saveContent('quizzes', quiz);
 
       logger.info(`Quiz attempt submitted: ${quizId}, Score: ${score}%`);
       return attempt;
@@ -239,34 +853,6 @@ class LearningFeaturesService {
     }
   }
 
-  /**
-   * Check if an answer is correct
-   * @param {Object} question - Quiz question
-   * @param {string} userAnswer - User's answer
-   * @returns {boolean} - Whether answer is correct
-   */
-  isAnswerCorrect(question, userAnswer) {
-    if (!userAnswer) return false;
-    
-    switch (question.type) {
-      case 'multiple_choice':
-        return userAnswer.toLowerCase() === question.correct_answer.toLowerCase();
-      case 'true_false':
-        return userAnswer.toLowerCase() === question.correct_answer.toLowerCase();
-      case 'short_answer':
-        // For short answers, we'll use a more flexible comparison
-        const correctLower = question.correct_answer.toLowerCase().trim();
-        const userLower = userAnswer.toLowerCase().trim();
-        
-        // Exact match or contains key terms
-        return correctLower === userLower || 
-               correctLower.includes(userLower) || 
-               userLower.includes(correctLower);
-      default:
-        return false;
-    }
-  }
-
   /**
    * Generate concept map from document content
    * @param {string} sessionId - Session identifier
@@ -286,11 +872,11 @@ class LearningFeaturesService {
       let sources = [];
 
       if (topic) {
-        const contextData = await pdfProcessor.getRelevantContext(topic, sessionId, 4000);
+        const contextData = await documentRepository.getRelevantContext(topic, sessionId, 4000);
         content = contextData.context;
         sources = contextData.sources;
       } else if (documentIds) {
-        const searchResults = await pdfProcessor.searchInDocuments(
+        const searchResults = await documentRepository.searchInDocuments(
           'concepts relationships main ideas key terms', 
           documentIds, 
           sessionId, 
@@ -299,7 +885,7 @@ class LearningFeaturesService {
         content = searchResults.map(r => r.content).join('\n\n');
         sources = searchResults.map(r => r.metadata);
       } else {
-        const contextData = await pdfProcessor.getRelevantContext(
+        const contextData = await documentRepository.getRelevantContext(
           'key concepts relationships main ideas', 
           sessionId, 
           4000
@@ -330,6 +916,7 @@ class LearningFeaturesService {
         this.conceptMaps.set(sessionId, []);
       }
       this.conceptMaps.get(sessionId).push(conceptMap);
+      this.saveContent('conceptMaps', conceptMap);
 
       logger.info(`Generated concept map with ${conceptMap.concepts?.length || 0} concepts for session: ${sessionId}`);
       return conceptMap;
@@ -352,7 +939,7 @@ class LearningFeaturesService {
       const { depth = 'detailed', includeExamples = true } = options;
 
       // Get relevant context
-      const contextData = await pdfProcessor.getRelevantContext(topic, sessionId, 3000);
+      const contextData = await documentRepository.getRelevantContext(topic, sessionId, 3000);
       
       if (!contextData.context.trim()) {
         throw new Error('No relevant content found for this topic');
@@ -398,11 +985,11 @@ class LearningFeaturesService {
       } = preferences;
 
       // Get session documents and progress
-      const sessionStats = pdfProcessor.getSessionStats(sessionId);
+      const sessionStats = documentRepository.getSessionStats(sessionId);
       const learningProgress = this.getLearningProgress(sessionId);
       
       // Analyze content to create study plan
-      const contextData = await pdfProcessor.getRelevantContext(
+      const contextData = await documentRepository.getRelevantContext(
         focusAreas.length > 0 ? focusAreas.join(' ') : 'main concepts key topics',
         sessionId,
         2000
@@ -461,20 +1048,16 @@ class LearningFeaturesService {
         }
       `;
 
-      const planResult = await aiService.geminiModel.invoke([
-        { role: 'user', content: studyPlanPrompt }
-      ]);
+      const planResult = await llm.forFeature('learning').generateJSON(studyPlanPrompt);
 
-      let studyPlan;
-      try {
-        studyPlan = JSON.parse(planResult.content);
-      } catch (parseError) {
+      let studyPlan = planResult.data;
+      if (!studyPlan || typeof studyPlan !== 'object' || Array.isArray(studyPlan)) {
         // Fallback structure if JSON parsing fails
         studyPlan = {
           title: 'Personalized Study Plan',
           duration: `${studyDuration} minutes per session`,
           frequency: studyFrequency,
-          content: planResult.content,
+          content: planResult.text,
           created_with_ai: true
         };
       }
@@ -497,6 +1080,7 @@ class LearningFeaturesService {
         this.studyPlans.set(sessionId, []);
       }
       this.studyPlans.get(sessionId).push(finalPlan);
+      this.saveContent('studyPlans', finalPlan);
 
       logger.info(`Created study plan for session: ${sessionId}`);
       return finalPlan;
@@ -531,8 +1115,9 @@ class LearningFeaturesService {
     const progress = this.learningProgress.get(sessionId);
     
     switch (activityType) {
-      case 'flashcard_study':
+      case 'flashcard_review':
         progress.flashcardsStudied++;
+        progress.streakDays = this.calculateStreak(this.flashcardReviews.get(sessionId) || [], activityData.now);
         break;
       case 'quiz_completed':
         progress.quizzesTaken++;
@@ -551,6 +1136,7 @@ class LearningFeaturesService {
     
     // Check for achievements
     this.checkAchievements(sessionId, progress);
+    this.saveProgress(sessionId);
     
     logger.info(`Updated learning progress for session: ${sessionId}, activity: ${activityType}`);
   }
@@ -591,6 +1177,12 @@ class LearningFeaturesService {
         name: 'Flashcard Enthusiast',
         description: 'Studied 50 flashcards',
         condition: () => progress.flashcardsStudied >= 50
+      },
+      {
+        id: 'review_streak',
+        name: 'On a Roll',
+        description: 'Reviewed flashcards 7 days in a row',
+        condition: () => progress.streakDays >= 7
       }
     ];
 
@@ -615,7 +1207,7 @@ class LearningFeaturesService {
    * @returns {Object} - Learning progress data
    */
   getLearningProgress(sessionId) {
-    return this.learningProgress.get(sessionId) || {
+    const progress = this.learningProgress.get(sessionId) || {
       flashcardsStudied: 0,
       quizzesTaken: 0,
       averageQuizScore: 0,
@@ -623,6 +1215,12 @@ class LearningFeaturesService {
       studyTime: 0,
       achievements: []
     };
+
+    // The streak lapses on days without reviews, so it is derived from the log
+    return {
+      ...progress,
+      streakDays: this.calculateStreak(this.flashcardReviews.get(sessionId) || [])
+    };
   }
 
   /**
@@ -647,13 +1245,7 @@ class LearningFeaturesService {
    * @param {string} contentId - ID of specific content (optional)
    */
   deleteLearningContent(sessionId, contentType, contentId = null) {
-    const contentMaps = {
-      flashcards: this.flashcards,
-      quizzes: this.quizzes,
-      conceptMaps: this.conceptMaps,
-      studyPlans: this.studyPlans
-    };
-
+    const contentMaps = this.getContentMaps();
     const contentMap = contentMaps[contentType];
     if (!contentMap) {
       throw new Error(`Invalid content type: ${contentType}`);
@@ -664,9 +1256,17 @@ class LearningFeaturesService {
       const sessionContent = contentMap.get(sessionId) || [];
       const filteredContent = sessionContent.filter(item => item.id !== contentId);
       contentMap.set(sessionId, filteredContent);
+      database.persist(
+        'DELETE FROM learning_content WHERE id = ? AND session_id = ? AND content_type = ?',
+        [contentId, sessionId, contentType]
+      );
     } else {
       // Delete all content of this type for session
       contentMap.delete(sessionId);
+      database.persist(
+        'DELETE FROM learning_content WHERE session_id = ? AND content_type = ?',
+        [sessionId, contentType]
+      );
     }
 
     logger.info(`Deleted ${contentType} for session: ${sessionId}`);
@@ -682,6 +1282,11 @@ class LearningFeaturesService {
     this.conceptMaps.delete(sessionId);
     this.studyPlans.delete(sessionId);
     this.learningProgress.delete(sessionId);
+    this.flashcardReviews.delete(sessionId);
+    masteryService.cleanupSession(sessionId);
+    database.persist('DELETE FROM learning_content WHERE session_id = ?', [sessionId]);
+    database.persist('DELETE FROM learning_progress WHERE session_id = ?', [sessionId]);
+    database.persist('DELETE FROM flashcard_reviews WHERE session_id = ?', [sessionId]);
     
     logger.info(`Cleaned up learning features data for session: ${sessionId}`);
   }
@@ -0,0 +1,237 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const database = require('./databaseService');
+const vectorDB = require('./enhancedVectorDB_simplified');
+const logger = require('./logger');
+
+// Library documents are indexed under this key instead of a session ID
+const KEY_PREFIX = 'library:';
+const MAX_NAME_LENGTH = 255;
+
+/**
+ * Libraries of course documents (syllabus, slides, textbook) that an
+ * instructor uploads once for every student. A library's documents are
+ * indexed once, under the key `library:<libraryId>` in place of a session,
+ * and any session can attach the library to search them alongside its own
+ * documents. Only the library's owner adds or removes documents; attached
+ * sessions read them and cannot change them. The owner is whoever holds
+ * the owner token issued when the library was created, which is kept only
+ * as a hash and never returned again.
+ */
+class LibraryService {
+    constructor() {
+        this.libraries = new Map(); // libraryId -> library
+        this.attachments = new Map(); // sessionId -> libraryIds[]
+        this.isInitialized = false;
+    }
+
+    async initialize() {
+        if (this.isInitialized) return;
+
+        try {
+            await database.initialize();
+            const libraries = await database.all('SELECT * FROM libraries ORDER BY created_at, rowid');
+            libraries.forEach(row => this.libraries.set(row.id, {
+                id: row.id,
+                name: row.name,
+                description: row.description,
+                ownerTokenHash: row.owner_token_hash,
+                createdAt: row.created_at,
+                updatedAt: row.updated_at
+            }));
+
+            const attachments = await database.all('SELECT * FROM library_attachments ORDER BY attached_at, rowid');
+            attachments
+                .filter(row => this.libraries.has(row.library_id))
+                .forEach(row => this.getAttachedIds(row.session_id).push(row.library_id));
+            logger.info(`Restored ${libraries.length} libraries and ${attachments.length} attachments from database`);
+        } catch (error) {
+            logger.warn(`Library persistence unavailable, using in-memory storage: ${error.message}`);
+        }
+
+        this.isInitialized = true;
+    }
+
+    /**
+     * Key the documents of a library are indexed under
+     */
+    libraryKey(libraryId) {
+        return `${KEY_PREFIX}${libraryId}`;
+    }
+
+    /**
+     * Whether a session ID is a library key, which requests may not use as
+     * their session
+     */
+    isLibraryKey(sessionId) {
+        return typeof sessionId === 'string' && sessionId.startsWith(KEY_PREFIX);
+    }
+
+    getAttachedIds(sessionId) {
+        if (!this.attachments.has(sessionId)) {
+            this.attachments.set(sessionId, []);
+        }
+        return this.attachments.get(sessionId);
+    }
+
+    /**
+     * Library with the number of its documents and of the sessions it is
+     * attached to
+     */
+    describe(library) {
+        let sessionCount = 0;
+        this.attachments.forEach(libraryIds => {
+            if (libraryIds.includes(library.id)) sessionCount++;
+        });
+
+        const { ownerTokenHash, ...fields } = library;
+        return {
+            ...fields,
+            documentCount: (vectorDB.sessionDocuments.get(this.libraryKey(library.id)) || []).length,
+            sessionCount
+        };
+    }
+
+    hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    /**
+     * Create a library for the instructor who populates it
+     * @returns {Object} - `{ library, ownerToken }`; the token is needed to
+     *   change the library's documents and is not shown again
+     */
+    createLibrary({ name, description = null }) {
+        if (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_NAME_LENGTH) {
+            throw new Error(`Invalid name: must be a non-empty string of at most ${MAX_NAME_LENGTH} characters`);
+        }
+
+        const ownerToken = crypto.randomBytes(32).toString('hex');
+        const now = new Date().toISOString();
+        const library = {
+            id: uuidv4(),
+            name: name.trim(),
+            description: typeof description === 'string' && description.trim() ? description.trim() : null,
+            ownerTokenHash: this.hashToken(ownerToken),
+            createdAt: now,
+            updatedAt: now
+        };
+
+        this.libraries.set(library.id, library);
+        database.persist(
+            'INSERT INTO libraries (id, name, description, owner_token_hash, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)',
+            [library.id, library.name, library.description, library.ownerTokenHash, library.createdAt, library.updatedAt]
+        );
+
+        logger.info(`Created library ${library.id} (${library.name})`);
+        return { library: this.describe(library), ownerToken };
+    }
+
+    getLibrary(libraryId) {
+        const library = this.libraries.get(libraryId);
+        if (!library) {
+            throw new Error('Library not found');
+        }
+        return this.describe(library);
+    }
+
+    listLibraries() {
+        return Array.from(this.libraries.values()).map(library => this.describe(library));
+    }
+
+    /**
+     * The library, when `ownerToken` is its owner token
+     * @throws {Error} - "Access denied" for a missing or wrong token
+     */
+    requireOwner(libraryId, ownerToken) {
+        const library = this.getLibrary(libraryId);
+        const expected = Buffer.from(this.libraries.get(libraryId).ownerTokenHash, 'hex');
+        const given = typeof ownerToken === 'string' && ownerToken ? Buffer.from(this.hashToken(ownerToken), 'hex') : null;
+
+        if (!given || !crypto.timingSafeEqual(expected, given)) {
+            throw new Error(`Access denied: only the owner of library ${libraryId} may change its documents`);
+        }
+        return library;
+    }
+
+    /**
+     * Record that the library's documents changed
+     */
+    touch(libraryId) {
+        const library = this.libraries.get(libraryId);
+        library.updatedAt = new Date().toISOString();
+        database.persist('UPDATE libraries SET updated_at = ? WHERE id = ?', [library.updatedAt, libraryId]);
+    }
+
+    /**
+     * Attach a library to a session, so the session's questions and
+     * searches also cover the library's documents
+     */
+    attach(sessionId, libraryId) {
+        if (!sessionId || this.isLibraryKey(sessionId)) {
+            throw new Error('Invalid session: sessionId is required');
+        }
+        this.getLibrary(libraryId);
+
+        const libraryIds = this.getAttachedIds(sessionId);
+        if (!libraryIds.includes(libraryId)) {
+            libraryIds.push(libraryId);
+            database.persist(
+                'INSERT OR IGNORE INTO library_attachments (session_id, library_id, attached_at) VALUES (?, ?, ?)',
+                [sessionId, libraryId, new Date().toISOString()]
+            );
+            logger.info(`Attached library ${libraryId} to session ${sessionId}`);
+        }
+        return this.getLibrary(libraryId);
+    }
+
+    /**
+     * @returns {boolean} - Whether the library was attached to the session
+     */
+    detach(sessionId, libraryId) {
+        const libraryIds = this.attachments.get(sessionId) || [];
+        if (!libraryIds.includes(libraryId)) {
+            return false;
+        }
+
+        this.attachments.set(sessionId, libraryIds.filter(id => id !== libraryId));
+        database.persist('DELETE FROM library_attachments WHERE session_id = ? AND library_id = ?', [sessionId, libraryId]);
+        logger.info(`Detached library ${libraryId} from session ${sessionId}`);
+        return true;
+    }
+
+    /**
+     * Libraries attached to a session, in the order they were attached
+     */
+    attachedLibraries(sessionId) {
+        return (this.attachments.get(sessionId) || [])
+            .filter(libraryId => this.libraries.has(libraryId))
+            .map(libraryId => this.describe(this.libraries.get(libraryId)));
+    }
+
+    /**
+     * Keys of the libraries attached to a session, to search with its own
+     * documents
+     */
+    attachedKeys(sessionId) {
+        return (this.attachments.get(sessionId) || [])
+            .filter(libraryId => this.libraries.has(libraryId))
+            .map(libraryId => this.libraryKey(libraryId));
+    }
+
+    /**
+     * Library a document belongs to, `{ id, name }`, or null for a
+     * session's own document
+     */
+    libraryOf(documentId) {
+        const sessionId = vectorDB.documents.get(documentId)?.sessionId;
+        if (!this.isLibraryKey(sessionId)) {
+            return null;
+        }
+
+        const libraryId = sessionId.slice(KEY_PREFIX.length);
+        return { id: libraryId, name: this.libraries.get(libraryId)?.name || null };
+    }
+}
+
+module.exports = new LibraryService();
@@ -0,0 +1,82 @@
+/**
+ * Interface shared by every LLM backend. Adapters implement `generate` and,
+ * where the backend supports them, `stream` and `embed`. JSON mode and the
+ * single-chunk stream fallback are built on top of `generate`.
+ *
+ * Common options: { temperature, maxTokens, signal, json }
+ */
+class LLMProvider {
+    constructor(name, model) {
+        this.name = name;
+        this.model = model;
+    }
+
+    /**
+     * @returns {Promise<string>} generated text
+     */
+    async generate(prompt, options = {}) {
+        throw new Error(`LLM provider "${this.name}" does not implement generate()`);
+    }
+
+    /**
+     * Yields text fragments as they are produced. Backends without native
+     * streaming return the whole completion as a single fragment.
+     */
+    async *stream(prompt, options = {}) {
+        yield await this.generate(prompt, options);
+    }
+
+    /**
+     * Generate a JSON response. Resolves to `{ data, text }` where `data` is
+     * null when the model output could not be parsed, so callers can fall
+     * back to the raw text.
+     */
+    async generateJSON(prompt, options = {}) {
+        const text = await this.generate(`${prompt}\n\nRespond with valid JSON only.`, { ...options, json: true });
+        return { data: parseJSONResponse(text), text };
+    }
+
+    /**
+     * @returns {Promise<number[][]>} one embedding per input text
+     */
+    async embed(texts, options = {}) {
+        throw new Error(`LLM provider "${this.name}" does not support embeddings`);
+    }
+
+    /**
+     * Whether the backend has the credentials/endpoint it needs. Callers with
+     * a non-LLM fallback check this before calling out.
+     */
+    isConfigured() {
+        return true;
+    }
+
+    describe() {
+        return { provider: this.name, model: this.model };
+    }
+}
+
+/**
+ * Parse model output as JSON, tolerating markdown fences and prose around
+ * the payload.
+ */
+function parseJSONResponse(text) {
+    if (!text) return null;
+
+    const cleaned = text.replace(/```(?:json)?/gi, '').trim();
+    try {
+        return JSON.parse(cleaned);
+    } catch (error) {
+        const start = cleaned.search(/[[{]/);
+        const end = Math.max(cleaned.lastIndexOf('}'), cleaned.lastIndexOf(']'));
+        if (start === -1 || end <= start) return null;
+
+        try {
+            return JSON.parse(cleaned.slice(start, end + 1));
+        } catch (innerError) {
+            return null;
+        }
+    }
+}
+
+module.exports = { LLMProvider, parseJSONResponse };
@@ -0,0 +1,206 @@
+const { LLMProvider } = require('./baseProvider');
+
+/**
+ * Deterministic offline provider for development and tests. Output depends
+ * only on the prompt: text answers are extracted from the prompt's own
+ * context, JSON answers reuse the example schema embedded in the prompt, and
+ * embeddings are hashed bags of words. Responses can be scripted with
+ * `respondWith()`.
+ */
+class FakeProvider extends LLMProvider {
+    constructor({ model = 'fake-llm', dimension = 256 } = {}) {
+        super('fake', model);
+        this.dimension = dimension;
+        this.handlers = [];
+        this.calls = [];
+    }
+
+    /**
+     * Script a response. `matcher` is a substring, RegExp or predicate on the
+     * prompt; `response` is a string, an object (serialized as JSON) or a
+     * function of the prompt. Later registrations take precedence.
+     */
+    respondWith(matcher, response) {
+        this.handlers.unshift({ matcher, response });
+        return this;
+    }
+
+    reset() {
+        this.handlers = [];
+        this.calls = [];
+    }
+
+    async generate(prompt, options = {}) {
+        throwIfAborted(options.signal);
+        this.recordCall('generate', prompt);
+
+        const scripted = this.findScriptedResponse(prompt);
+        if (scripted !== undefined) {
+            return typeof scripted === 'string' ? scripted : JSON.stringify(scripted);
+        }
+
+        if (options.json) {
+            return JSON.stringify(extractExampleJSON(prompt) ?? {});
+        }
+        return extractiveAnswer(prompt);
+    }
+
+    async *stream(prompt, options = {}) {
+        const text = await this.generate(prompt, options);
+
+        for (const token of text.match(/\S+\s*/g) || []) {
+            throwIfAborted(options.signal);
+            yield token;
+        }
+    }
+
+    async embed(texts, options = {}) {
+        throwIfAborted(options.signal);
+        this.recordCall('embed', texts);
+        return texts.map(text => this.hashEmbedding(text));
+    }
+
+    hashEmbedding(text) {
+        const vector = new Array(this.dimension).fill(0);
+        const tokens = (text || '').toLowerCase().match(/[a-z0-9]+/g) || [];
+
+        tokens.forEach(token => {
+            const hash = fnv1a(token);
+            vector[hash % this.dimension] += (hash & 0x80000000) ? -1 : 1;
+        });
+
+        const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+        return norm > 0 ? vector.map(value => value / norm) : vector;
+    }
+
+    findScriptedResponse(prompt) {
+        const handler = this.handlers.find(({ matcher }) => {
+            if (typeof matcher === 'string') return prompt.includes(matcher);
+            if (matcher instanceof RegExp) return matcher.test(prompt);
+            return matcher(prompt);
+        });
+
+        if (!handler) return undefined;
+        return typeof handler.response === 'function' ? handler.response(prompt) : handler.response;
+    }
+
+    recordCall(method, input) {
+        this.calls.push({ method, input, timestamp: new Date().toISOString() });
+        // Keep only recent calls so long-running dev servers don't grow unbounded
+        if (this.calls.length > 100) this.calls.shift();
+    }
+}
+
+function throwIfAborted(signal) {
+    if (signal?.aborted) {
+        const error = new Error('The operation was aborted');
+        error.name = 'AbortError';
+        throw error;
+    }
+}
+
+function fnv1a(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash;
+}
+
+/**
+ * Answer with the prompt sentences that best overlap the question, falling
+ * back to the opening of the longest non-instruction paragraph.
+ */
+function extractiveAnswer(prompt) {
+    const questionMatch = prompt.match(/(?:question|topic\/problem|topic)\s*:\s*(.+)/i);
+    const questionTerms = new Set(termStems(questionMatch ? questionMatch[1] : ''));
+    const isInstruction = line => /^\s*(question|instructions?|answer|context|[-*\d]+[.)]?\s)/i.test(line) || /:\s*$/.test(line);
+
+    const sentences = prompt
+        .split(/\n+/)
+        .filter(line => !isInstruction(line))
+        .join(' ')
+        .split(/(?<=[.!?])\s+/)
+        .map(sentence => sentence.trim())
+        .filter(sentence => sentence.length >= 20 && sentence.length <= 400);
+
+    const scored = sentences
+        .map((sentence, index) => ({
+            sentence,
+            index,
+            score: termStems(sentence).filter(term => questionTerms.has(term)).length
+        }))
+        .filter(item => item.score > 0)
+        .sort((a, b) => b.score - a.score || a.index - b.index)
+        .slice(0, 3)
+        .sort((a, b) => a.index - b.index);
+
+    if (scored.length > 0) {
+        return scored.map(item => item.sentence).join(' ');
+    }
+
+    const longestParagraph = prompt.split(/\n\s*\n/)
+        .map(paragraph => paragraph.split('\n').filter(line => !isInstruction(line)).join('\n'))
+        .reduce((longest, paragraph) => (paragraph.length > longest.length ? paragraph : longest), '');
+    return longestParagraph.trim().substring(0, 500) || 'No content available.';
+}
+
+/**
+ * Crude stems (first five letters) of the meaningful words in a text
+ */
+function termStems(text) {
+    return ((text || '').toLowerCase().match(/[a-z0-9]{4,}/g) || [])
+        .filter(word => !QUESTION_WORDS.has(word))
+        .map(word => word.substring(0, 5));
+}
+
+const QUESTION_WORDS = new Set(['what', 'which', 'when', 'where', 'does', 'explain', 'describe', 'about', 'with', 'from', 'that', 'this', 'there']);
+
+/**
+ * Return the JSON example that prompts embed after "JSON" (e.g. "Format as
+ * JSON: {...}"), with comments and `a|b` placeholders normalized.
+ */
+function extractExampleJSON(prompt) {
+    const marker = prompt.search(/json/i);
+    if (marker === -1) return null;
+
+    const start = prompt.slice(marker).search(/[[{]/);
+    if (start === -1) return null;
+
+    const block = balancedBlock(prompt, marker + start);
+    if (!block) return null;
+
+    try {
+        return JSON.parse(block
+            .replace(/\/\/[^\n]*/g, '')
+            .replace(/\btrue\/false\b/g, 'true')
+            .replace(/"([^"|]*)\|[^"]*"/g, '"$1"')
+            .replace(/,(\s*[}\]])/g, '$1'));
+    } catch (error) {
+        return null;
+    }
+}
+
+function balancedBlock(text, start) {
+    let depth = 0;
+    let inString = false;
+
+    for (let i = start; i < text.length; i++) {
+        const char = text[i];
+        if (inString) {
+            if (char === '\\') i++;
+            else if (char === '"') inString = false;
+        } else if (char === '"') {
+            inString = true;
+        } else if (char === '{' || char === '[') {
+            depth++;
+        } else if (char === '}' || char === ']') {
+            depth--;
+            if (depth === 0) return text.slice(start, i + 1);
+        }
+    }
+    return null;
+}
+
+module.exports = FakeProvider;
@@ -0,0 +1,53 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { LLMProvider } = require('./baseProvider');
+
+class GeminiProvider extends LLMProvider {
+    constructor({ apiKey, model, embeddingModel, maxTokens, temperature = 0.7 }) {
+        super('gemini', model);
+        this.apiKey = apiKey;
+        this.client = new GoogleGenerativeAI(apiKey);
+        this.embeddingModel = embeddingModel;
+        this.maxTokens = maxTokens;
+        this.temperature = temperature;
+    }
+
+    isConfigured() {
+        return Boolean(this.apiKey) && this.apiKey !== 'your_api_key_here';
+    }
+
+    getModel(options = {}) {
+        return this.client.getGenerativeModel({
+            model: this.model,
+            generationConfig: {
+                temperature: options.temperature ?? this.temperature,
+                maxOutputTokens: options.maxTokens || this.maxTokens,
+                ...(options.json ? { responseMimeType: 'application/json' } : {})
+            }
+        });
+    }
+
+    async generate(prompt, options = {}) {
+        const result = await this.getModel(options).generateContent(prompt, { signal: options.signal });
+        return result.response.text();
+    }
+
+    async *stream(prompt, options = {}) {
+        const result = await this.getModel(options).generateContentStream(prompt, { signal: options.signal });
+
+        for await (const chunk of result.stream) {
+            const text = chunk.text();
+            if (text) yield text;
+        }
+    }
+
+    async embed(texts, options = {}) {
+        const model = this.client.getGenerativeModel({ model: this.embeddingModel });
+        const result = await model.batchEmbedContents({
+            requests: texts.map(text => ({ content: { role: 'user', parts: [{ text }] } }))
+        }, { signal: options.signal });
+
+        return result.embeddings.map(embedding => embedding.values);
+    }
+}
+
+module.exports = GeminiProvider;
@@ -0,0 +1,75 @@
+const axios = require('axios');
+const { LLMProvider } = require('./baseProvider');
+
+/**
+ * IBM Granite through the watsonx.ai text generation API.
+ */
+class GraniteProvider extends LLMProvider {
+    constructor({ url, apiKey, model, embeddingUrl, embeddingModel, timeout = 30000 }) {
+        super('granite', model);
+        this.url = url;
+        this.apiKey = apiKey;
+        this.embeddingUrl = embeddingUrl;
+        this.embeddingModel = embeddingModel;
+        this.timeout = timeout;
+    }
+
+    isConfigured() {
+        return Boolean(this.url && this.apiKey) && this.apiKey !== 'your_api_key_here';
+    }
+
+    getRequestConfig(options = {}) {
+        return {
+            headers: {
+                'Authorization': `Bearer ${this.apiKey}`,
+                'Content-Type': 'application/json',
+                'Accept': 'application/json'
+            },
+            timeout: this.timeout,
+            signal: options.signal
+        };
+    }
+
+    async generate(prompt, options = {}) {
+        if (!this.url) {
+            throw new Error('IBM Granite is not configured (set IBM_GRANITE_URL)');
+        }
+
+        const requestBody = {
+            model_id: this.model,
+            input: prompt,
+            parameters: {
+                max_new_tokens: options.maxTokens || 2048,
+                temperature: options.temperature ?? 0.3,
+                top_p: 0.9,
+                repetition_penalty: 1.1
+            }
+        };
+
+        const response = await axios.post(this.url, requestBody, this.getRequestConfig(options));
+        const generatedText = response.data?.results?.[0]?.generated_text ||
+                              response.data?.generated_text ||
+                              response.data?.choices?.[0]?.text;
+
+        if (!generatedText) {
+            throw new Error('Invalid response format from IBM Granite API');
+        }
+
+        return generatedText.trim();
+    }
+
+    async embed(texts, options = {}) {
+        if (!this.embeddingUrl) {
+            throw new Error('IBM Granite embeddings are not configured (set IBM_GRANITE_EMBEDDING_URL)');
+        }
+
+        const response = await axios.post(this.embeddingUrl, {
+            model_id: this.embeddingModel,
+            inputs: texts
+        }, this.getRequestConfig(options));
+
+        return response.data.results.map(result => result.embedding);
+    }
+}
+
+module.exports = GraniteProvider;
@@ -0,0 +1,130 @@
+const configService = require('../configService');
+const logger = require('../logger');
+const GeminiProvider = require('./geminiProvider');
+const GraniteProvider = require('./graniteProvider');
+const OpenAICompatibleProvider = require('./openAICompatibleProvider');
+const FakeProvider = require('./fakeProvider');
+const LocalEmbeddingProvider = require('./localEmbeddingProvider');
+
+/**
+ * Resolves the LLM provider used by each feature. Providers are configured
+ * with specs of the form `provider` or `provider:model` (e.g. `gemini`,
+ * `granite`, `openai:llama3.1:8b`, `fake`, `local` for embeddings) through
+ * LLM_PROVIDER and the per-feature LLM_PROVIDER_<FEATURE> overrides.
+ */
+class LLMService {
+    constructor() {
+        this.features = ['qa', 'summarization', 'learning', 'analysis', 'rerank', 'embedding'];
+        this.providers = new Map(); // spec -> provider instance
+        this.factories = new Map([
+            ['gemini', (model, config) => new GeminiProvider({
+                apiKey: config.geminiApiKey,
+                model: model || config.geminiModel,
+                embeddingModel: config.geminiEmbeddingModel,
+                maxTokens: config.geminiMaxTokens
+            })],
+            ['granite', (model, config) => new GraniteProvider({
+                url: config.ibmGraniteUrl,
+                apiKey: config.ibmGraniteApiKey,
+                model: model || config.ibmGraniteModel,
+                embeddingUrl: config.ibmGraniteEmbeddingUrl,
+                embeddingModel: config.ibmGraniteEmbeddingModel
+            })],
+            ['openai', (model, config) => new OpenAICompatibleProvider({
+                baseURL: config.openaiBaseUrl,
+                apiKey: config.openaiApiKey,
+                model: model || config.openaiModel,
+                embeddingModel: config.openaiEmbeddingModel,
+                maxTokens: config.geminiMaxTokens
+            })],
+            ['fake', (model, config) => new FakeProvider({
+                model: model || undefined,
+                dimension: config.embeddingDimension
+            })],
+            ['local', (model, config) => new LocalEmbeddingProvider({
+                model: model || config.localEmbeddingModel,
+                cacheDir: config.modelCacheDir,
+                localModelPath: config.localModelPath
+            })]
+        ]);
+    }
+
+    /**
+     * Register an additional backend. `factory(model, config)` must return an
+     * object implementing the LLMProvider interface.
+     */
+    registerProvider(name, factory) {
+        this.factories.set(name, factory);
+        for (const spec of this.providers.keys()) {
+            if (spec.split(':')[0] === name) this.providers.delete(spec);
+        }
+    }
+
+    /**
+     * Provider spec configured for a feature, falling back to LLM_PROVIDER
+     */
+    getSpec(feature) {
+        const { llmProvider, llmFeatureProviders } = configService.config;
+        return llmFeatureProviders[feature] || llmProvider;
+    }
+
+    /**
+     * Switch a feature to another provider at runtime
+     */
+    setFeatureProvider(feature, spec) {
+        if (!this.features.includes(feature)) {
+            throw new Error(`Unknown LLM feature "${feature}". Expected one of: ${this.features.join(', ')}`);
+        }
+        configService.config.llmFeatureProviders[feature] = spec;
+    }
+
+    forFeature(feature) {
+        return this.getProvider(this.getSpec(feature));
+    }
+
+    /**
+     * Whether the provider configured for a feature can be called
+     */
+    isConfigured(feature) {
+        try {
+            return this.forFeature(feature).isConfigured();
+        } catch (error) {
+            return false;
+        }
+    }
+
+    getProvider(spec) {
+        if (!this.providers.has(spec)) {
+            // Split on the first colon only: model names such as "llama3.1:8b" contain colons
+            const separator = spec.indexOf(':');
+            const name = separator === -1 ? spec : spec.substring(0, separator);
+            const model = separator === -1 ? null : spec.substring(separator + 1);
+
+            const factory = this.factories.get(name);
+            if (!factory) {
+                throw new Error(`Unknown LLM provider "${name}". Available providers: ${Array.from(this.factories.keys()).join(', ')}`);
+            }
+
+            this.providers.set(spec, factory(model, configService.config));
+            logger.info(`Initialized LLM provider: ${spec}`);
+        }
+        return this.providers.get(spec);
+    }
+
+    /**
+     * Provider and model in use for every feature
+     */
+    describe() {
+        return this.features.reduce((acc, feature) => {
+            const spec = this.getSpec(feature);
+            try {
+                acc[feature] = { spec, ...this.getProvider(spec).describe() };
+            } catch (error) {
+                acc[feature] = { spec, error: error.message };
+            }
+            return acc;
+        }, {});
+    }
+}
+
+module.exports = new LLMService();
@@ -0,0 +1,50 @@
+const { LLMProvider } = require('./baseProvider');
+const { loadTransformers } = require('./transformersRuntime');
+
+/**
+ * Sentence embeddings computed on CPU with transformers.js (ONNX runtime).
+ * Models are downloaded once into the cache directory; set LOCAL_MODEL_PATH
+ * to a directory of pre-downloaded models to run fully offline.
+ * Embedding-only: text generation goes through the other providers.
+ */
+class LocalEmbeddingProvider extends LLMProvider {
+    constructor({ model, cacheDir, localModelPath, batchSize = 16 }) {
+        super('local', model);
+        this.cacheDir = cacheDir;
+        this.localModelPath = localModelPath;
+        this.batchSize = batchSize;
+        this.extractorPromise = null;
+    }
+
+    getExtractor() {
+        if (!this.extractorPromise) {
+            this.extractorPromise = loadTransformers({ cacheDir: this.cacheDir, localModelPath: this.localModelPath })
+                .then(({ pipeline }) => pipeline('feature-extraction', this.model))
+                .catch(error => {
+                    this.extractorPromise = null;
+                    throw new Error(`Failed to load local embedding model ${this.model}: ${error.message}`);
+                });
+        }
+        return this.extractorPromise;
+    }
+
+    async embed(texts, options = {}) {
+        const extractor = await this.getExtractor();
+        const vectors = [];
+
+        for (let i = 0; i < texts.length; i += this.batchSize) {
+            if (options.signal?.aborted) {
+                const error = new Error('The operation was aborted');
+                error.name = 'AbortError';
+                throw error;
+            }
+
+            const output = await extractor(texts.slice(i, i + this.batchSize), { pooling: 'mean', normalize: true });
+            vectors.push(...output.tolist());
+        }
+
+        return vectors;
+    }
+}
+
+module.exports = LocalEmbeddingProvider;
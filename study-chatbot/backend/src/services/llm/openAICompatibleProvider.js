@@ -0,0 +1,56 @@
+const OpenAI = require('openai');
+const { LLMProvider } = require('./baseProvider');
+
+/**
+ * Any server speaking the OpenAI chat completions API: OpenAI itself, or a
+ * local Ollama, llama.cpp or vLLM instance via OPENAI_BASE_URL.
+ */
+class OpenAICompatibleProvider extends LLMProvider {
+    constructor({ baseURL, apiKey, model, embeddingModel, maxTokens, temperature = 0.7 }) {
+        super('openai', model);
+        // Local servers ignore the key, but the client refuses to start without one
+        this.client = new OpenAI({ baseURL, apiKey: apiKey || 'not-needed' });
+        this.embeddingModel = embeddingModel;
+        this.maxTokens = maxTokens;
+        this.temperature = temperature;
+    }
+
+    buildRequest(prompt, options = {}) {
+        return {
+            model: this.model,
+            messages: [{ role: 'user', content: prompt }],
+            temperature: options.temperature ?? this.temperature,
+            max_tokens: options.maxTokens || this.maxTokens
+        };
+    }
+
+    async generate(prompt, options = {}) {
+        const completion = await this.client.chat.completions.create(
+            this.buildRequest(prompt, options),
+            { signal: options.signal }
+        );
+        return completion.choices[0]?.message?.content || '';
+    }
+
+    async *stream(prompt, options = {}) {
+        const stream = await this.client.chat.completions.create(
+            { ...this.buildRequest(prompt, options), stream: true },
+            { signal: options.signal }
+        );
+
+        for await (const part of stream) {
+            const text = part.choices[0]?.delta?.content;
+            if (text) yield text;
+        }
+    }
+
+    async embed(texts, options = {}) {
+        const response = await this.client.embeddings.create(
+            { model: this.embeddingModel, input: texts },
+            { signal: options.signal }
+        );
+        return response.data.map(item => item.embedding);
+    }
+}
+
+module.exports = OpenAICompatibleProvider;
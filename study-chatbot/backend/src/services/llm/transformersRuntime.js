@@ -0,0 +1,18 @@
+/**
+ * Import transformers.js (ESM-only, so loaded lazily) and point it at the
+ * model cache. With a local model path set, remote downloads are disabled
+ * so models run fully offline.
+ */
+async function loadTransformers({ cacheDir, localModelPath }) {
+    const transformers = await import('@huggingface/transformers');
+
+    transformers.env.cacheDir = cacheDir;
+    if (localModelPath) {
+        transformers.env.localModelPath = localModelPath;
+        transformers.env.allowRemoteModels = false;
+    }
+
+    return transformers;
+}
+
+module.exports = { loadTransformers };
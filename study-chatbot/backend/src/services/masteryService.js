@@ -0,0 +1,240 @@
+const { removeStopwords, eng } = require('stopword');
+const database = require('./databaseService');
+const logger = require('./logger');
+
+// Weight of the newest evidence in the running mastery estimate
+const LEARNING_RATE = 0.35;
+const MASTERED_THRESHOLD = 0.8;
+const MASTERED_MIN_EVIDENCE = 3;
+const STRUGGLING_THRESHOLD = 0.5;
+// Credit for each flashcard grade: a hesitant recall still shows some mastery
+const FLASHCARD_CREDIT = { again: 0, hard: 0.6, good: 0.9, easy: 1 };
+
+/**
+ * Tracks how well a learner knows each concept. Every graded quiz answer and
+ * flashcard review is evidence with a credit between 0 and 1; a concept's
+ * mastery is an exponential moving average of that evidence, so recent
+ * performance counts most. Concepts remember which documents they came
+ * from so the report can be broken down per document.
+ */
+class MasteryService {
+    constructor() {
+        this.concepts = new Map(); // sessionId -> Map(conceptKey -> concept)
+        this.isInitialized = false;
+    }
+
+    async initialize() {
+        if (this.isInitialized) return;
+
+        try {
+            await database.initialize();
+            const rows = await database.all('SELECT * FROM concept_mastery');
+            rows.forEach(row => {
+                const concept = database.parseJSON(row.data);
+                if (concept) {
+                    this.getSessionConcepts(row.session_id).set(row.concept_key, concept);
+                }
+            });
+            logger.info(`Restored mastery for ${rows.length} concepts from database`);
+        } catch (error) {
+            logger.warn(`Concept mastery persistence unavailable, using in-memory storage: ${error.message}`);
+        }
+
+        this.isInitialized = true;
+    }
+
+    getSessionConcepts(sessionId) {
+        if (!this.concepts.has(sessionId)) {
+            this.concepts.set(sessionId, new Map());
+        }
+        return this.concepts.get(sessionId);
+    }
+
+    conceptKey(name) {
+        return String(name || '').toLowerCase().replace(/[^\w\s-]/g, ' ').replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Concept of a quiz question or flashcard: the generated `concept`, else
+     * the first tag, else the main terms of the question
+     */
+    conceptOf(item) {
+        if (item.concept) return String(item.concept).trim();
+        if (Array.isArray(item.tags) && item.tags.length > 0 && !/^tag\d*$/i.test(item.tags[0])) {
+            return String(item.tags[0]).trim();
+        }
+
+        const words = String(item.question || '').toLowerCase().replace(/[^\w\s]/g, ' ').split(/\s+/);
+        const terms = removeStopwords(words, eng).filter(word => word.length > 2);
+        return terms.slice(0, 3).join(' ') || null;
+    }
+
+    flashcardCredit(grade) {
+        return FLASHCARD_CREDIT[grade] ?? 0;
+    }
+
+    /**
+     * Record evidence for a concept
+     * @param {string} sessionId - Session identifier
+     * @param {Object} evidence - { concept, credit (0-1), activity, documentId, filename, at }
+     */
+    recordEvidence(sessionId, evidence) {
+        const key = this.conceptKey(evidence.concept);
+        if (!key) return null;
+
+        const concepts = this.getSessionConcepts(sessionId);
+        const credit = Math.max(0, Math.min(Number(evidence.credit) || 0, 1));
+        const at = (evidence.at || new Date()).toISOString();
+
+        const concept = concepts.get(key) || {
+            concept: evidence.concept,
+            mastery: credit,
+            evidenceCount: 0,
+            quizAnswers: 0,
+            flashcardReviews: 0,
+            documents: [],
+            firstSeen: at,
+            lastSeen: at
+        };
+
+        if (concept.evidenceCount > 0) {
+            concept.mastery += LEARNING_RATE * (credit - concept.mastery);
+        }
+        concept.mastery = Math.round(concept.mastery * 1000) / 1000;
+        concept.evidenceCount++;
+        if (evidence.activity === 'quiz') concept.quizAnswers++;
+        if (evidence.activity === 'flashcard') concept.flashcardReviews++;
+        concept.lastSeen = at;
+
+        if (evidence.documentId && !concept.documents.some(doc => doc.documentId === evidence.documentId)) {
+            concept.documents.push({ documentId: evidence.documentId, filename: evidence.filename || null });
+        }
+
+        concepts.set(key, concept);
+        this.saveConcept(sessionId, key, concept, at);
+        return concept;
+    }
+
+    saveConcept(sessionId, key, concept, updatedAt = new Date().toISOString()) {
+        return database.persist(
+            `INSERT INTO concept_mastery (session_id, concept_key, data, updated_at) VALUES (?, ?, ?, ?)
+             ON CONFLICT(session_id, concept_key) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at`,
+            [sessionId, key, database.toJSON(concept), updatedAt]
+        );
+    }
+
+    /**
+     * Forget a deleted document as a source of concepts; the mastery
+     * earned on them is kept
+     */
+    removeDocument(sessionId, documentId) {
+        let updated = 0;
+        this.getSessionConcepts(sessionId).forEach((concept, key) => {
+            if (!concept.documents.some(doc => doc.documentId === documentId)) return;
+
+            concept.documents = concept.documents.filter(doc => doc.documentId !== documentId);
+            this.saveConcept(sessionId, key, concept);
+            updated++;
+        });
+        return updated;
+    }
+
+    statusOf(concept) {
+        if (concept.mastery >= MASTERED_THRESHOLD && concept.evidenceCount >= MASTERED_MIN_EVIDENCE) {
+            return 'mastered';
+        }
+        return concept.mastery >= STRUGGLING_THRESHOLD ? 'learning' : 'struggling';
+    }
+
+    getConcepts(sessionId) {
+        return Array.from(this.getSessionConcepts(sessionId).values())
+            .map(concept => ({ ...concept, status: this.statusOf(concept) }))
+            .sort((a, b) => a.mastery - b.mastery);
+    }
+
+    /**
+     * Concepts not yet mastered, weakest first
+     */
+    getWeakConcepts(sessionId, limit = 5) {
+        return this.getConcepts(sessionId)
+            .filter(concept => concept.status !== 'mastered')
+            .slice(0, limit);
+    }
+
+    /**
+     * Difficulty for the next adaptive quiz. It rises with the learner's
+     * recent quiz scores, or with average mastery before any quiz is taken.
+     */
+    getTargetDifficulty(sessionId, recentScores = []) {
+        let level;
+        if (recentScores.length > 0) {
+            level = recentScores.reduce((sum, score) => sum + score, 0) / recentScores.length / 100;
+        } else {
+            const concepts = this.getConcepts(sessionId);
+            if (concepts.length === 0) return 'easy';
+            level = concepts.reduce((sum, concept) => sum + concept.mastery, 0) / concepts.length;
+        }
+
+        if (level >= 0.85) return 'hard';
+        if (level >= 0.6) return 'medium';
+        return 'easy';
+    }
+
+    /**
+     * Mastery per concept, grouped by the documents the concepts come from
+     */
+    getReport(sessionId, recentScores = []) {
+        const concepts = this.getConcepts(sessionId);
+        const documents = new Map();
+
+        concepts.forEach(concept => {
+            const conceptDocuments = concept.documents.length > 0
+                ? concept.documents
+                : [{ documentId: null, filename: null }];
+
+            conceptDocuments.forEach(doc => {
+                const key = doc.documentId || 'unattributed';
+                if (!documents.has(key)) {
+                    documents.set(key, {
+                        documentId: doc.documentId,
+                        filename: doc.filename,
+                        concepts: []
+                    });
+                }
+                documents.get(key).concepts.push({
+                    concept: concept.concept,
+                    mastery: concept.mastery,
+                    status: concept.status
+                });
+            });
+        });
+
+        const countStatus = status => concepts.filter(concept => concept.status === status).length;
+
+        return {
+            summary: {
+                concepts: concepts.length,
+                mastered: countStatus('mastered'),
+                learning: countStatus('learning'),
+                struggling: countStatus('struggling'),
+                averageMastery: concepts.length > 0
+                    ? Math.round(concepts.reduce((sum, concept) => sum + concept.mastery, 0) / concepts.length * 100) / 100
+                    : null,
+                targetDifficulty: this.getTargetDifficulty(sessionId, recentScores)
+            },
+            documents: Array.from(documents.values()).map(doc => ({
+                ...doc,
+                notMastered: doc.concepts.filter(concept => concept.status !== 'mastered').map(concept => concept.concept),
+                averageMastery: Math.round(doc.concepts.reduce((sum, concept) => sum + concept.mastery, 0) / doc.concepts.length * 100) / 100
+            })),
+            concepts
+        };
+    }
+
+    cleanupSession(sessionId) {
+        this.concepts.delete(sessionId);
+        database.persist('DELETE FROM concept_mastery WHERE session_id = ?', [sessionId]);
+    }
+}
+
+module.exports = new MasteryService();
@@ -0,0 +1,138 @@
+const configService = require('./configService');
+const llm = require('./llm');
+const { loadTransformers } = require('./llm/transformersRuntime');
+const logger = require('./logger');
+
+const CROSS_ENCODER_BATCH_SIZE = 8;
+
+/**
+ * Final stage of the retrieval pipeline. Reorders the top fused candidates
+ * with a cross-encoder (local transformers.js model) or an LLM relevance
+ * judgement. The reranker is chosen with RERANKER (none, cross-encoder, llm);
+ * any failure keeps the fused order.
+ */
+class RerankerService {
+    constructor() {
+        this.crossEncoderPromise = null;
+    }
+
+    getStrategy() {
+        return configService.config.reranker;
+    }
+
+    /**
+     * Rerank `results` for `query`. Only the top `topK` candidates are scored;
+     * they are sorted by `rerankScore` (also recorded in `scores.rerank`) and
+     * the rest keep their fused order after them.
+     * Resolves to `{ results, reranker }` where `reranker` is the stage that ran.
+     */
+    async rerank(query, results, options = {}) {
+        const strategy = options.strategy || this.getStrategy();
+        if (!strategy || strategy === 'none' || results.length === 0) {
+            return { results, reranker: 'none' };
+        }
+
+        const topK = options.topK || configService.config.rerankTopK;
+        const candidates = results.slice(0, topK);
+
+        try {
+            let scores;
+            switch (strategy) {
+                case 'cross-encoder':
+                    scores = await this.crossEncoderScores(query, candidates);
+                    break;
+                case 'llm':
+                    scores = await this.llmScores(query, candidates);
+                    break;
+                default:
+                    throw new Error(`Unknown reranker "${strategy}"`);
+            }
+
+            const reranked = candidates
+                .map((result, index) => ({
+                    ...result,
+                    rerankScore: scores[index],
+                    scores: { ...result.scores, rerank: scores[index] }
+                }))
+                .sort((a, b) => b.rerankScore - a.rerankScore);
+
+            return { results: [...reranked, ...results.slice(topK)], reranker: strategy };
+        } catch (error) {
+            logger.warn(`Reranking with ${strategy} failed, keeping fused order: ${error.message}`);
+            return { results, reranker: 'none', error: error.message };
+        }
+    }
+
+    getCrossEncoder() {
+        if (!this.crossEncoderPromise) {
+            const { crossEncoderModel, modelCacheDir, localModelPath } = configService.config;
+
+            this.crossEncoderPromise = loadTransformers({ cacheDir: modelCacheDir, localModelPath })
+                .then(async ({ AutoTokenizer, AutoModelForSequenceClassification }) => ({
+                    tokenizer: await AutoTokenizer.from_pretrained(crossEncoderModel),
+                    model: await AutoModelForSequenceClassification.from_pretrained(crossEncoderModel)
+                }))
+                .catch(error => {
+                    this.crossEncoderPromise = null;
+                    throw new Error(`Failed to load cross-encoder ${crossEncoderModel}: ${error.message}`);
+                });
+        }
+        return this.crossEncoderPromise;
+    }
+
+    /**
+     * Relevance of each (query, passage) pair as a probability
+     */
+    async crossEncoderScores(query, results) {
+        const { tokenizer, model } = await this.getCrossEncoder();
+        const scores = [];
+
+        for (let i = 0; i < results.length; i += CROSS_ENCODER_BATCH_SIZE) {
+            const batch = results.slice(i, i + CROSS_ENCODER_BATCH_SIZE);
+            const inputs = tokenizer(batch.map(() => query), {
+                text_pair: batch.map(result => result.text),
+                padding: true,
+                truncation: true
+            });
+            const { logits } = await model(inputs);
+            scores.push(...logits.tolist().map(([logit]) => 1 / (1 + Math.exp(-logit))));
+        }
+
+        return scores;
+    }
+
+    /**
+     * Ask the rerank LLM to grade each passage from 0 to 10, scaled to 0-1
+     */
+    async llmScores(query, results) {
+        const passages = results
+            .map((result, index) => `[${index + 1}] ${result.text.substring(0, 800)}`)
+            .join('\n\n');
+
+        const prompt = `Rate how well each passage helps answer the question, from 0 (irrelevant) to 10 (directly answers it).
+
+QUESTION: ${query}
+
+PASSAGES:
+${passages}
+
+Return a JSON array with one entry per passage:
+[{"passage": 1, "score": 7}]`;
+
+        const { data } = await llm.forFeature('rerank').generateJSON(prompt, { temperature: 0 });
+        if (!Array.isArray(data)) {
+            throw new Error('LLM reranker returned no scores');
+        }
+
+        const scores = results.map(() => 0);
+        data.forEach(item => {
+            const index = Number(item.passage) - 1;
+            if (index >= 0 && index < scores.length) {
+                scores[index] = Math.max(0, Math.min(Number(item.score) || 0, 10)) / 10;
+            }
+        });
+        return scores;
+    }
+}
+
+module.exports = new RerankerService();
@@ -0,0 +1,204 @@
+const contentCache = require('./contentCacheService');
+const documentProcessor = require('./enhancedDocumentProcessor_simplified');
+const documentStorage = require('./documentStorageService');
+const vectorDB = require('./enhancedVectorDB_simplified');
+
+/**
+ * Tables of contents of documents and their sections. The table of contents
+ * comes from the PDF outline, headings set in a larger font or heading
+ * patterns in the text (see the document processor's buildToc); a section
+ * spans from its heading to the next heading at the same or a higher level.
+ *
+ * Sections are named by a path of titles such as "Chapter 3 > 3.2". Each
+ * part matches a title exactly, as its leading words ("3.2" matches "3.2
+ * Membranes" but not "3.21" or "3.2.1") or as a phrase in it. The first
+ * part may match at any depth and each later part matches a section
+ * below the one before.
+ *
+ * Reads are scoped to the session that owns the document, like the
+ * document viewer.
+ */
+class SectionService {
+    constructor() {
+        this.tocs = new Map(); // documentId -> table of contents, filled on first read
+    }
+
+    /**
+     * Text of a document as extracted, rebuilt from its stored pages for
+     * documents from before the content cache
+     */
+    async loadText(documentId) {
+        const contentId = vectorDB.documents.get(documentId)?.metadata?.contentId;
+        const processed = contentId ? await contentCache.getProcessed(contentId) : null;
+        if (processed) return processed.text;
+
+        const pages = await documentStorage.loadPages(documentId);
+        if (pages.length === 0) return null;
+
+        let text = '';
+        pages.forEach(page => {
+            text = text.padEnd(page.startOffset, '\n') + page.text;
+        });
+        return text;
+    }
+
+    async loadToc(documentId) {
+        if (this.tocs.has(documentId)) {
+            return this.tocs.get(documentId);
+        }
+
+        const contentId = vectorDB.documents.get(documentId)?.metadata?.contentId;
+        const processed = contentId ? await contentCache.getProcessed(contentId) : null;
+        if (processed?.toc) {
+            this.tocs.set(documentId, processed.toc);
+        } else {
+            // Documents processed before tables of contents get one from their heading patterns
+            const text = await this.loadText(documentId);
+            if (text) {
+                const pages = processed
+                    ? processed.pages
+                    : (await documentStorage.loadPages(documentId))
+                        .map(page => ({ page: page.page, start: page.startOffset, end: page.endOffset }));
+                this.tocs.set(documentId, documentProcessor.buildToc(text, pages, documentProcessor.findHeadings(text)));
+            }
+        }
+        return this.tocs.get(documentId) || [];
+    }
+
+    /**
+     * Table of contents of a document, without section text
+     */
+    async getToc(sessionId, documentId) {
+        documentStorage.getReadableDocument(sessionId, documentId);
+        return this.loadToc(documentId);
+    }
+
+    /**
+     * A section of a document with its text exactly as extracted and the
+     * titles of its subsections
+     */
+    async getSection(sessionId, documentId, path) {
+        const doc = documentStorage.getReadableDocument(sessionId, documentId);
+        const section = this.resolve(await this.loadToc(documentId), path);
+        if (!section) {
+            throw new Error(`Section not found: "${this.formatPath(path)}"`);
+        }
+
+        const text = await this.loadText(documentId);
+        return {
+            documentId,
+            document: doc.metadata?.originalname || doc.metadata?.filename || 'Unknown Document',
+            title: section.title,
+            level: section.level,
+            path: section.path,
+            pageStart: section.pageStart,
+            pageEnd: section.pageEnd,
+            startOffset: section.start,
+            endOffset: section.end,
+            text: text ? text.slice(section.start, section.end) : '',
+            children: section.children.map(child => ({
+                title: child.title,
+                path: child.path,
+                pageStart: child.pageStart
+            }))
+        };
+    }
+
+    /**
+     * The section each of the session's documents has at `path`, as the
+     * search scope taken by the vector store. Documents without the section
+     * are left out.
+     * @param {string|Array} sessionId - Session, or sessions searched together
+     * @param {Array|null} documentIds - Only look in these documents
+     * @returns {Map} - documentId -> { start, end, path }
+     */
+    async resolveScope(sessionId, path, documentIds = null) {
+        const scope = new Map();
+        for (const documentId of vectorDB.getSessionDocumentIds(sessionId)) {
+            if (documentIds && !documentIds.includes(documentId)) continue;
+
+            const section = this.resolve(await this.loadToc(documentId), path);
+            if (section) {
+                scope.set(documentId, { start: section.start, end: section.end, path: section.path });
+            }
+        }
+
+        if (scope.size === 0) {
+            throw new Error(`Section not found: "${this.formatPath(path)}"`);
+        }
+        return scope;
+    }
+
+    /**
+     * The section at `path` of each of the session's documents that has one
+     * @param {Array|null} documentIds - Only look in these documents
+     */
+    async findSections(sessionId, path, documentIds = null) {
+        const sections = [];
+        for (const documentId of (await this.resolveScope(sessionId, path, documentIds)).keys()) {
+            sections.push(await this.getSection(sessionId, documentId, path));
+        }
+        return sections;
+    }
+
+    /**
+     * Best matching section of a table of contents for a path, or null
+     * @param {string|Array} path - "Chapter 3 > 3.2" or ['Chapter 3', '3.2']
+     */
+    resolve(toc, path) {
+        const parts = this.parsePath(path);
+        if (parts.length === 0) return null;
+        return this.match(toc, parts)?.section || null;
+    }
+
+    match(sections, parts) {
+        let best = null;
+        for (const section of this.flatten(sections)) {
+            const score = this.matchScore(section.title, parts[0]);
+            if (score === 0) continue;
+
+            const rest = parts.length > 1 ? this.match(section.children, parts.slice(1)) : { section, score: 0 };
+            if (rest && (!best || score + rest.score > best.score)) {
+                best = { section: rest.section, score: score + rest.score };
+            }
+        }
+        return best;
+    }
+
+    /**
+     * 3 for the same title, 2 when the part is the title's leading words,
+     * 1 when the title contains it as a phrase, 0 otherwise
+     */
+    matchScore(title, part) {
+        const normalizedTitle = this.normalize(title);
+        if (normalizedTitle === part) return 3;
+
+        // Whole words only, and "3.2" is not the start of "3.2.1"
+        const escaped = part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        if (new RegExp(`^${escaped}(?![a-z0-9]|\\.\\d)`).test(normalizedTitle)) return 2;
+        if (new RegExp(`(^|[^a-z0-9.])${escaped}(?![a-z0-9]|\\.\\d)`).test(normalizedTitle)) return 1;
+        return 0;
+    }
+
+    parsePath(path) {
+        const parts = Array.isArray(path) ? path : String(path || '').split('>');
+        return parts.map(part => this.normalize(String(part))).filter(Boolean);
+    }
+
+    formatPath(path) {
+        return Array.isArray(path) ? path.join(' > ') : String(path || '');
+    }
+
+    normalize(title) {
+        return title.toLowerCase().replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Sections of a tree in document order
+     */
+    flatten(sections) {
+        return sections.flatMap(section => [section, ...this.flatten(section.children)]);
+    }
+}
+
+module.exports = new SectionService();
@@ -0,0 +1,178 @@
+const configService = require('./configService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_INTERVAL_DAYS = 36500;
+const GRADES = ['again', 'hard', 'good', 'easy'];
+
+// SM-2 response quality (0-5) for each grade; below 3 is a lapse
+const SM2_QUALITY = { again: 1, hard: 3, good: 4, easy: 5 };
+const SM2_INITIAL_EASE = 2.5;
+const SM2_MIN_EASE = 1.3;
+
+// FSRS-4.5 default parameters
+const FSRS_WEIGHTS = [
+    0.4872, 1.4003, 3.7145, 13.8206, 5.1618, 1.2298, 0.8975, 0.031, 1.6474,
+    0.1367, 1.0461, 2.1072, 0.0793, 0.3246, 1.587, 0.2272, 2.8755
+];
+const FSRS_DECAY = -0.5;
+const FSRS_FACTOR = 19 / 81;
+
+/**
+ * Flashcard scheduling with SM-2 or FSRS. A card's schedule is a plain
+ * object stored with the card:
+ *   { state, due, interval, ease, repetitions, lapses, stability, difficulty, lastReviewedAt }
+ * SM-2 maintains `ease`; FSRS maintains `stability` and `difficulty`. Cards
+ * can move between schedulers, FSRS seeds its memory state from the SM-2
+ * interval when a card has none yet.
+ */
+class SpacedRepetitionService {
+    get grades() {
+        return GRADES;
+    }
+
+    getScheduler() {
+        return configService.config.flashcardScheduler === 'fsrs' ? 'fsrs' : 'sm2';
+    }
+
+    /**
+     * Grade name for `again`/`hard`/`good`/`easy` or 1-4, null when invalid
+     */
+    normalizeGrade(grade) {
+        if (typeof grade === 'number' || /^[1-4]$/.test(grade)) {
+            return GRADES[Number(grade) - 1] || null;
+        }
+        const name = String(grade || '').toLowerCase();
+        return GRADES.includes(name) ? name : null;
+    }
+
+    newSchedule(now = new Date()) {
+        return {
+            state: 'new',
+            due: now.toISOString(),
+            interval: 0,
+            ease: SM2_INITIAL_EASE,
+            repetitions: 0,
+            lapses: 0,
+            stability: null,
+            difficulty: null,
+            lastReviewedAt: null
+        };
+    }
+
+    isDue(schedule, now = new Date()) {
+        return new Date(schedule.due) <= now;
+    }
+
+    /**
+     * Apply a review to a schedule. Returns the new schedule and the days
+     * elapsed since the previous review.
+     */
+    review(schedule, grade, now = new Date(), scheduler = this.getScheduler()) {
+        const current = { ...this.newSchedule(now), ...schedule };
+        const elapsedDays = current.lastReviewedAt
+            ? Math.max(0, (now - new Date(current.lastReviewedAt)) / DAY_MS)
+            : 0;
+        const lapsed = grade === 'again';
+
+        const next = scheduler === 'fsrs'
+            ? this.fsrs(current, grade, elapsedDays)
+            : this.sm2(current, grade);
+        const interval = Math.min(MAX_INTERVAL_DAYS, Math.max(1, next.interval));
+
+        return {
+            elapsedDays: Math.round(elapsedDays * 100) / 100,
+            schedule: {
+                ...current,
+                ...next,
+                interval,
+                state: lapsed ? 'relearning' : 'review',
+                repetitions: lapsed ? 0 : current.repetitions + 1,
+                lapses: current.lapses + (lapsed && current.state !== 'new' ? 1 : 0),
+                due: new Date(now.getTime() + interval * DAY_MS).toISOString(),
+                lastReviewedAt: now.toISOString(),
+                scheduler
+            }
+        };
+    }
+
+    /**
+     * Classic SM-2: 1 day, 6 days, then the previous interval times the ease.
+     * A lapse restarts the repetitions and interval but leaves the ease as it was.
+     */
+    sm2(card, grade) {
+        const quality = SM2_QUALITY[grade];
+        if (quality < 3) {
+            return { interval: 1, ease: card.ease };
+        }
+
+        const ease = Math.max(
+            SM2_MIN_EASE,
+            card.ease + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)
+        );
+
+        let interval;
+        if (card.repetitions === 0) {
+            interval = 1;
+        } else if (card.repetitions === 1) {
+            interval = 6;
+        } else {
+            interval = Math.round(card.interval * ease);
+        }
+
+        return { interval, ease: Math.round(ease * 100) / 100 };
+    }
+
+    /**
+     * FSRS-4.5: stability is the interval (days) at which recall probability
+     * drops to 90%, difficulty ranges from 1 to 10. The next interval targets
+     * the configured desired retention.
+     */
+    fsrs(card, grade, elapsedDays) {
+        const w = FSRS_WEIGHTS;
+        const rating = GRADES.indexOf(grade) + 1;
+        const clampDifficulty = value => Math.min(10, Math.max(1, value));
+
+        let stability;
+        let difficulty;
+
+        if (card.state === 'new') {
+            stability = w[rating - 1];
+            difficulty = clampDifficulty(w[4] - (rating - 3) * w[5]);
+        } else {
+            const lastStability = card.stability ?? Math.max(card.interval, 0.1);
+            const lastDifficulty = card.difficulty ?? w[4];
+            const retrievability = Math.pow(1 + FSRS_FACTOR * elapsedDays / lastStability, FSRS_DECAY);
+
+            if (rating === 1) {
+                stability = Math.min(
+                    lastStability,
+                    w[11] * Math.pow(lastDifficulty, -w[12]) *
+                        (Math.pow(lastStability + 1, w[13]) - 1) *
+                        Math.exp(w[14] * (1 - retrievability))
+                );
+            } else {
+                const hardPenalty = rating === 2 ? w[15] : 1;
+                const easyBonus = rating === 4 ? w[16] : 1;
+                stability = lastStability * (1 + Math.exp(w[8]) *
+                    (11 - lastDifficulty) *
+                    Math.pow(lastStability, -w[9]) *
+                    (Math.exp(w[10] * (1 - retrievability)) - 1) *
+                    hardPenalty * easyBonus);
+            }
+
+            // Difficulty moves with the grade and reverts towards the initial "good" difficulty
+            difficulty = clampDifficulty(w[7] * w[4] + (1 - w[7]) * (lastDifficulty - w[6] * (rating - 3)));
+        }
+
+        const retention = configService.config.fsrsDesiredRetention;
+        const interval = Math.round(stability / FSRS_FACTOR * (Math.pow(retention, 1 / FSRS_DECAY) - 1));
+
+        return {
+            interval,
+            stability: Math.round(stability * 10000) / 10000,
+            difficulty: Math.round(difficulty * 10000) / 10000
+        };
+    }
+}
+
+module.exports = new SpacedRepetitionService();
@@ -0,0 +1,430 @@
+const natural = require('natural');
+const contentCache = require('./contentCacheService');
+const database = require('./databaseService');
+const documentStorage = require('./documentStorageService');
+const vectorDB = require('./enhancedVectorDB_simplified');
+const libraryService = require('./libraryService');
+const logger = require('./logger');
+
+// Operations a table question can ask for, checked in this order
+const OPERATIONS = [
+    { type: 'count', pattern: /\b(how many|number of|count)\b/, label: 'number of rows' },
+    { type: 'avg', pattern: /\b(average|mean|avg)\b/, label: 'average' },
+    { type: 'sum', pattern: /\b(sum|total)\b/, label: 'total' },
+    { type: 'max', pattern: /\b(max|maximum|highest|largest|greatest|biggest|most|top)\b/, label: 'highest' },
+    { type: 'min', pattern: /\b(min|minimum|lowest|smallest|least|fewest)\b/, label: 'lowest' }
+];
+const COMPARATORS = [
+    { op: '>=', pattern: 'at least|no less than|>=' },
+    { op: '<=', pattern: 'at most|no more than|<=' },
+    { op: '>', pattern: 'greater than|more than|higher than|above|over|exceeds?|>' },
+    { op: '<', pattern: 'less than|lower than|fewer than|below|under|<' },
+    { op: '=', pattern: 'equal to|equals|=' }
+];
+// Questions asking for an explanation, which a table cannot give
+const EXPLANATION_PATTERN = /^\s*(why|explain|describe|how(?!\s+(many|much)\b))\b/;
+// Words naming the rows themselves ("how many rows", "the entry for Alice")
+const ROW_WORDS = /^(rows?|entries|entry|records?|items?)$/;
+// Terms an operation word may be from the column it applies to ("highest rate", "rate is highest")
+const OPERATION_REACH = 2;
+const STOPWORDS = new Set(['the', 'a', 'an', 'of', 'in', 'for', 'and', 'or', 'to', 'is', 'was', 'what', 'which', 'who', 'with', 'by', 'on', 'at', 'are', 'were', 'does', 'did', 'how', 'table', 'row', 'column']);
+// Cells cited per answer; aggregations over more rows cite the first ones
+const MAX_CITED_CELLS = 20;
+
+/**
+ * Tables extracted from documents, kept as rows and columns next to the
+ * chunks, and a question answering path over them: lookups ("what was the
+ * score of Alice"), filters ("which rows have rate above 0.3") and simple
+ * aggregations (count, average, total, highest, lowest) are computed from
+ * the cells rather than generated, and cite the cells they used.
+ *
+ * Reads are scoped to the session that owns the document, like the
+ * document viewer.
+ */
+class TableService {
+    constructor() {
+        this.tables = new Map(); // documentId -> tables, filled on first read
+    }
+
+    async loadTables(documentId) {
+        if (this.tables.has(documentId)) {
+            return this.tables.get(documentId);
+        }
+
+        const contentId = vectorDB.documents.get(documentId)?.metadata?.contentId;
+        const processed = contentId ? await contentCache.getProcessed(contentId) : null;
+        if (processed) {
+            this.tables.set(documentId, (processed.tables || []).map(table => ({
+                index: table.index,
+                page: table.page ?? null,
+                pageEnd: table.pageEnd ?? null,
+                caption: table.caption || null,
+                columns: table.columns,
+                rows: table.rows,
+                source: table.source || null,
+                startOffset: table.startOffset ?? null,
+                endOffset: table.endOffset ?? null
+            })));
+        } else if (database.isInitialized) {
+            // Documents from before the content cache have their own stored tables
+            const rows = await database.all(
+                'SELECT * FROM document_tables WHERE document_id = ? ORDER BY table_index',
+                [documentId]
+            );
+            if (rows.length > 0) {
+                this.tables.set(documentId, rows.map(row => ({
+                    index: row.table_index,
+                    page: row.page_start,
+                    pageEnd: row.page_end,
+                    caption: row.caption,
+                    columns: database.parseJSON(row.columns, []),
+                    rows: database.parseJSON(row.rows, []),
+                    source: row.source,
+                    startOffset: row.start_offset,
+                    endOffset: row.end_offset
+                })));
+            }
+        }
+        return this.tables.get(documentId) || [];
+    }
+
+    async getTables(sessionId, documentId) {
+        documentStorage.getReadableDocument(sessionId, documentId);
+        return this.loadTables(documentId);
+    }
+
+    async getTable(sessionId, documentId, tableIndex) {
+        const table = (await this.getTables(sessionId, documentId)).find(table => table.index === tableIndex);
+        if (!table) {
+            throw new Error('Table not found');
+        }
+        return table;
+    }
+
+    /**
+     * Tables of the session's documents (or of several sessions' and
+     * libraries'), most relevant to `query` first. Matches on the caption
+     * and column names count twice as much as matches on cell values.
+     * @returns {Array} - [{ documentId, document, library, pageUnit, score, table }]
+     */
+    async searchTables(sessionId, query, { documentIds = null, limit = 5 } = {}) {
+        const terms = new Set(this.terms(query));
+        if (terms.size === 0) return [];
+
+        const sessionDocs = vectorDB.getSessionDocumentIds(sessionId);
+        const candidates = [];
+        for (const [documentId, doc] of vectorDB.documents) {
+            if (!sessionDocs.has(documentId) || (documentIds && !documentIds.includes(documentId))) continue;
+
+            for (const table of await this.loadTables(documentId)) {
+                const headerTerms = new Set(this.terms(`${table.caption || ''} ${table.columns.join(' ')}`));
+                const cellTerms = new Set(this.terms(table.rows.map(row => row.cells.join(' ')).join(' ')));
+                const score = [...terms].reduce((sum, term) =>
+                    sum + (headerTerms.has(term) ? 2 : 0) + (cellTerms.has(term) ? 1 : 0), 0) / terms.size;
+
+                if (score > 0) {
+                    candidates.push({
+                        documentId,
+                        document: doc.metadata?.originalname || doc.metadata?.filename || 'Unknown Document',
+                        library: libraryService.libraryOf(documentId),
+                        pageUnit: doc.metadata?.pageUnit || 'page',
+                        score: Math.round(score * 100) / 100,
+                        table
+                    });
+                }
+            }
+        }
+
+        return candidates.sort((a, b) => b.score - a.score).slice(0, limit);
+    }
+
+    /**
+     * Answer a question from the tables of the session, or sessions and
+     * libraries, when it is a lookup, filter or aggregation over one of them
+     * @returns {Object|null} - Answer with cell citations, or null when no table answers the question
+     */
+    async answerQuestion(question, sessionId, { documentIds = null } = {}) {
+        const candidates = await this.searchTables(sessionId, question, { documentIds });
+
+        for (const candidate of candidates) {
+            const query = this.parseQuestion(question, candidate.table);
+            if (!query) continue;
+
+            const result = this.executeQuery(candidate.table, query);
+            logger.info(`Answered from table ${candidate.table.index} of document ${candidate.documentId} (${query.operation})`);
+            return this.buildAnswer(candidate, query, result, candidates.length);
+        }
+
+        return null;
+    }
+
+    /**
+     * What a question asks of a table: the operation, the column it is
+     * about and the filters on rows. Null when the question does not name
+     * enough of the table to be answered from it: a lookup must name the
+     * column (or row) to read, an aggregation must apply to a column named
+     * next to it and a count must count the table's rows. Questions that
+     * ask why or how are never answered from a table.
+     */
+    parseQuestion(question, table) {
+        const text = question.toLowerCase();
+        if (EXPLANATION_PATTERN.test(text)) {
+            return null;
+        }
+
+        const operation = OPERATIONS.find(candidate => candidate.pattern.test(text));
+        const numeric = table.columns.map((_, index) => {
+            const values = table.rows.map(row => row.cells[index]).filter(value => value);
+            return values.length > 0 && values.every(value => this.toNumber(value) !== null);
+        });
+
+        // Columns named in the question, in the order they appear
+        const questionTerms = this.terms(question);
+        const mentioned = table.columns
+            .map((column, index) => {
+                const columnTerms = this.terms(column);
+                const positions = columnTerms.map(term => questionTerms.indexOf(term));
+                return columnTerms.length > 0 && positions.every(position => position !== -1)
+                    ? { index, position: Math.min(...positions) }
+                    : null;
+            })
+            .filter(column => column)
+            .sort((a, b) => a.position - b.position)
+            .map(column => column.index);
+
+        const filters = [];
+
+        // Cell values named in the question ("... of Alice") select the rows holding them;
+        // one-character values ("grade A") only right after their column's name
+        table.columns.forEach((column, index) => {
+            if (numeric[index]) return;
+            const prefix = `${this.escapeRegExp(column.toLowerCase())}s?\\s+(?:is\\s+|of\\s+|=\\s*)?`;
+            const values = [...new Set(table.rows.map(row => row.cells[index]).filter(value => value))]
+                .filter(value => !table.columns.some(name => name.toLowerCase() === value.toLowerCase()))
+                .filter(value => new RegExp(`(^|\\W)${value.length < 2 ? prefix : ''}${this.escapeRegExp(value.toLowerCase())}(\\W|$)`).test(text))
+                .sort((a, b) => b.length - a.length);
+            if (values.length > 0) {
+                filters.push({ column: index, op: '=', value: values[0] });
+            }
+        });
+
+        // Comparisons ("score above 80") filter on the numeric column named closest before them
+        COMPARATORS.forEach(({ op, pattern }) => {
+            const regex = new RegExp(`(?:^|\\s)(?:is\\s+|was\\s+|of\\s+)?(?:${pattern})\\s*(-?\\d+(?:\\.\\d+)?)`, 'g');
+            let match;
+            while ((match = regex.exec(text)) !== null) {
+                const before = this.terms(text.slice(0, match.index));
+                const column = mentioned
+                    .filter(index => numeric[index])
+                    .map(index => ({ index, position: Math.max(...this.terms(table.columns[index]).map(term => before.lastIndexOf(term))) }))
+                    .filter(candidate => candidate.position !== -1)
+                    .sort((a, b) => b.position - a.position)[0];
+                if (column && !filters.some(filter => filter.column === column.index && filter.op === op)) {
+                    filters.push({ column: column.index, op, value: parseFloat(match[1]) });
+                }
+            }
+        });
+
+        const rowReference = text.match(/\brow\s+(\d+)\b/);
+        if (rowReference) {
+            filters.push({ row: parseInt(rowReference[1]) });
+        }
+
+        const filteredColumns = filters.filter(filter => filter.op === '=').map(filter => filter.column);
+        const targets = mentioned.filter(index => !filteredColumns.includes(index));
+
+        if (operation?.type === 'count') {
+            // What is counted has to be the rows: "how many enzymes", not "how many steps"
+            const counted = text.match(/\b(?:how many|number of|count(?:\s+of)?)\s+(?:the\s+)?([a-z0-9]+)/);
+            const rowTerms = new Set(this.terms(`${table.caption || ''} ${table.columns.join(' ')}`));
+            const countsRows = counted && (ROW_WORDS.test(counted[1]) || this.terms(counted[1]).some(term => rowTerms.has(term)));
+            return countsRows
+                ? { operation: 'count', label: operation.label, column: null, filters }
+                : null;
+        }
+
+        if (operation) {
+            // The operation has to apply to the column: "highest rate", not "most ... rate"
+            const operationPosition = this.terms(text.slice(0, text.search(operation.pattern))).length;
+            const near = index => this.terms(table.columns[index])
+                .some(term => questionTerms.includes(term) && Math.abs(questionTerms.indexOf(term) - operationPosition) <= OPERATION_REACH);
+            const column = targets.find(index => numeric[index] && near(index)) ?? mentioned.find(index => numeric[index] && near(index));
+            if (column !== undefined) {
+                return { operation: operation.type, label: operation.label, column, filters };
+            }
+        }
+
+        // Lookups need rows to look at and a column, or the whole row, to read from them
+        const asksForRow = text.split(/\W+/).some(word => ROW_WORDS.test(word));
+        if (filters.length > 0 && (targets.length > 0 || rowReference || asksForRow)) {
+            return { operation: 'lookup', label: 'lookup', column: targets.length > 0 ? targets[0] : null, filters };
+        }
+
+        return null;
+    }
+
+    /**
+     * Apply the filters and the operation
+     * @returns {Object} - { value, rows: [{ row, cells }], resultRow }
+     */
+    executeQuery(table, query) {
+        const rows = table.rows.filter(row => query.filters.every(filter => {
+            if (filter.row !== undefined) return row.row === filter.row;
+
+            const cell = row.cells[filter.column];
+            if (filter.op === '=' && typeof filter.value === 'string') {
+                return cell.toLowerCase() === filter.value.toLowerCase();
+            }
+
+            const number = this.toNumber(cell);
+            if (number === null) return false;
+            switch (filter.op) {
+                case '>': return number > filter.value;
+                case '>=': return number >= filter.value;
+                case '<': return number < filter.value;
+                case '<=': return number <= filter.value;
+                default: return number === filter.value;
+            }
+        }));
+
+        if (query.operation === 'count') {
+            return { value: rows.length, rows };
+        }
+        if (query.operation === 'lookup') {
+            return { value: query.column !== null ? rows.map(row => row.cells[query.column]) : null, rows };
+        }
+
+        const numbered = rows
+            .map(row => ({ row, number: this.toNumber(row.cells[query.column]) }))
+            .filter(entry => entry.number !== null);
+        if (numbered.length === 0) {
+            return { value: null, rows: [] };
+        }
+
+        switch (query.operation) {
+            case 'avg':
+                return { value: this.round(numbered.reduce((sum, entry) => sum + entry.number, 0) / numbered.length), rows: numbered.map(entry => entry.row) };
+            case 'sum':
+                return { value: this.round(numbered.reduce((sum, entry) => sum + entry.number, 0)), rows: numbered.map(entry => entry.row) };
+            default: {
+                const best = numbered.reduce((best, entry) =>
+                    (query.operation === 'max' ? entry.number > best.number : entry.number < best.number) ? entry : best);
+                return { value: best.number, rows: [best.row], resultRow: best.row };
+            }
+        }
+    }
+
+    /**
+     * Answer in the shape contextualQA returns, with one citation per cell used
+     */
+    buildAnswer(candidate, query, result, candidateCount) {
+        const { table } = candidate;
+        const columnName = query.column !== null ? table.columns[query.column] : null;
+        const name = table.caption || `Table ${table.index + 1}`;
+        const location = `${candidate.document}${table.page ? `, ${candidate.pageUnit} ${table.page}` : ''}`;
+        const conditions = query.filters
+            .filter(filter => filter.row === undefined)
+            .map(filter => `${table.columns[filter.column]} ${filter.op === '=' ? 'is' : filter.op} ${filter.value}`);
+        const rowFilter = query.filters.find(filter => filter.row !== undefined);
+        const where = (rowFilter ? ` in row ${rowFilter.row}` : '')
+            + (conditions.length > 0 ? ` where ${conditions.join(' and ')}` : '');
+        const rowLabel = row => `row ${row.row}: ${row.cells.filter(cell => cell).slice(0, 2).join(', ')}`;
+
+        let answer;
+        if (result.rows.length === 0) {
+            answer = `No rows of "${name}" (${location}) match${where}.`;
+        } else if (query.operation === 'count') {
+            answer = `${result.value} ${result.value === 1 ? 'row' : 'rows'} of "${name}" (${location}) ${result.value === 1 ? 'matches' : 'match'}${where}.`;
+        } else if (query.operation === 'lookup' && columnName) {
+            answer = result.rows.length === 1
+                ? `The ${columnName}${where} is ${result.value[0]} ("${name}", ${location}, row ${result.rows[0].row}).`
+                : `The ${columnName}${where} in "${name}" (${location}): ${result.rows.map(row => `${row.cells[query.column]} (${rowLabel(row)})`).join('; ')}.`;
+        } else if (query.operation === 'lookup') {
+            answer = `Rows of "${name}" (${location})${where}:\n`
+                + result.rows.map(row => `- Row ${row.row}: ${table.columns.map((column, index) => `${column}: ${row.cells[index]}`).join(', ')}`).join('\n');
+        } else if (result.resultRow) {
+            answer = `The ${query.label} ${columnName}${where} is ${result.value} ("${name}", ${location}, ${rowLabel(result.resultRow)}).`;
+        } else {
+            answer = `The ${query.label} ${columnName}${where} is ${result.value}, over ${result.rows.length} ${result.rows.length === 1 ? 'row' : 'rows'} of "${name}" (${location}).`;
+        }
+
+        // Counts cite the cells their filters matched on
+        const filterColumns = [...new Set(query.filters.filter(filter => filter.column !== undefined).map(filter => filter.column))];
+        const citedColumns = query.column !== null
+            ? [query.column]
+            : (query.operation === 'lookup' ? table.columns.map((_, index) => index) : filterColumns);
+        const cells = result.rows.flatMap(row => {
+            const columns = result.resultRow ? [...new Set([0, ...citedColumns])] : citedColumns;
+            return columns.map(column => ({ row, column }));
+        }).slice(0, MAX_CITED_CELLS);
+
+        const sources = cells.map(({ row, column }, index) => ({
+            id: `cite_${index + 1}`,
+            type: 'table_cell',
+            document: candidate.document,
+            documentId: candidate.documentId,
+            library: candidate.library,
+            tableIndex: table.index,
+            caption: table.caption,
+            page: table.page ?? 'Unknown',
+            pageStart: table.page,
+            pageEnd: table.pageEnd,
+            pageUnit: candidate.pageUnit,
+            row: row.row,
+            column: table.columns[column],
+            value: row.cells[column],
+            text: `${table.columns[column]}: ${row.cells[column]}`,
+            relevance: candidate.score
+        }));
+
+        return {
+            answer,
+            confidence: result.rows.length > 0 ? 0.9 : 0.5,
+            sources,
+            warning: null,
+            answerType: 'table',
+            table: {
+                documentId: candidate.documentId,
+                document: candidate.document,
+                tableIndex: table.index,
+                caption: table.caption,
+                page: table.page,
+                pageEnd: table.pageEnd,
+                columns: table.columns,
+                operation: query.operation,
+                column: columnName,
+                filters: query.filters.map(filter => filter.row !== undefined
+                    ? { row: filter.row }
+                    : { column: table.columns[filter.column], op: filter.op, value: filter.value }),
+                value: result.value,
+                matchedRows: result.rows.map(row => row.row)
+            },
+            relatedTopics: [],
+            context: [],
+            searchResults: candidateCount,
+            processingTime: Date.now()
+        };
+    }
+
+    terms(text) {
+        return (text.toLowerCase().match(/[a-z0-9]+/g) || [])
+            .filter(term => !STOPWORDS.has(term))
+            .map(term => natural.PorterStemmer.stem(term));
+    }
+
+    toNumber(value) {
+        const cleaned = String(value).replace(/[,\s$€£%]/g, '');
+        if (!/^-?\d+(\.\d+)?$/.test(cleaned)) return null;
+        return parseFloat(cleaned);
+    }
+
+    round(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+}
+
+module.exports = new TableService();
@@ -0,0 +1,17 @@
+/**
+ * HTTP status for an error thrown by a service, from how services word
+ * their messages: "Access denied: …" is a 403, "Invalid …" a 400 and
+ * "… not found" a 404; anything else is a 500. A message wrapped by a
+ * caller ("Failed to process question: Access denied: …") keeps the
+ * status of the error it wraps.
+ */
+const statusFor = (error) => {
+  const message = error?.message || '';
+
+  if (/(^|: )Access denied\b/.test(message)) return 403;
+  if (/(^|: )Invalid\b/.test(message)) return 400;
+  if (message.includes('not found')) return 404;
+  return 500;
+};
+
+module.exports = { statusFor };
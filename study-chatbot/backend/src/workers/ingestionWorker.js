@@ -0,0 +1,13 @@
+const { parentPort, workerData } = require('worker_threads');
+const documentProcessor = require('../services/enhancedDocumentProcessor_simplified');
+
+/**
+ * Worker thread entry point for the ingestion queue. Extracts and chunks
+ * one file off the main event loop and reports each stage as it starts:
+ *   { type: 'progress', stage } ... then { type: 'result', processed } or { type: 'error', message }
+ */
+documentProcessor.processDocument(workerData.filePath, workerData.filename, {
+    onProgress: stage => parentPort.postMessage({ type: 'progress', stage })
+})
+    .then(processed => parentPort.postMessage({ type: 'result', processed }))
+    .catch(error => parentPort.postMessage({ type: 'error', message: error.message }));
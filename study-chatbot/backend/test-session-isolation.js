@@ -0,0 +1,172 @@
+// Session isolation test: documents uploaded to one session must never be
+// found, searched or used to answer questions from another session
+const fetch = require('node-fetch');
+const FormData = require('form-data');
+const fs = require('fs');
+
+const BASE_URL = process.env.API_URL || 'http://localhost:5000/api';
+const SECRET = `zephyrine${Date.now()}`;
+
+let failures = 0;
+const sessionTokens = {};
+
+function check(condition, description) {
+    if (condition) {
+        console.log(`✅ ${description}`);
+    } else {
+        failures++;
+        console.log(`❌ ${description}`);
+    }
+}
+
+async function postJSON(path, body, headers = {}) {
+    const response = await fetch(`${BASE_URL}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body)
+    });
+    return { status: response.status, data: await response.json() };
+}
+
+async function getJSON(path) {
+    const response = await fetch(`${BASE_URL}${path}`);
+    return { status: response.status, data: await response.json() };
+}
+
+async function createSession(userId) {
+    const { data } = await postJSON('/chat/session', { userId });
+    sessionTokens[data.session.sessionId] = data.sessionToken;
+    return data.session.sessionId;
+}
+
+async function uploadDocument(sessionId) {
+    const testFile = 'isolation-test.txt';
+    fs.writeFileSync(testFile, `Private lecture notes. The ${SECRET} protocol encrypts every exam answer twice before it is submitted. Only the owner of this session should ever see the ${SECRET} protocol.`);
+
+    const form = new FormData();
+    form.append('document', fs.createReadStream(testFile));
+    form.append('sessionId', sessionId);
+
+    const response = await fetch(`${BASE_URL}/upload`, {
+        method: 'POST',
+        body: form,
+        headers: form.getHeaders()
+    });
+    const { jobId } = await response.json();
+    fs.unlinkSync(testFile);
+
+    // Wait for the background job to finish
+    let job;
+    do {
+        await new Promise(resolve => setTimeout(resolve, 500));
+        job = (await (await fetch(`${BASE_URL}/upload/jobs/${jobId}?sessionId=${sessionId}`)).json()).job;
+    } while (!['completed', 'partial', 'failed', 'cancelled'].includes(job.status));
+
+    return job.files?.[0]?.result?.documentId;
+}
+
+function mentionsSecret(data) {
+    return (JSON.stringify(data) || '').includes(SECRET);
+}
+
+async function testSessionIsolation() {
+    try {
+        console.log('🔒 Testing session isolation...\n');
+
+        console.log('1️⃣ Creating sessions for two students...');
+        const owner = await createSession('student-a');
+        const otherStudent = await createSession('student-b');
+        const ownerSecondSession = await createSession('student-a');
+        const anonymous = await createSession(null);
+
+        console.log('2️⃣ Uploading a private document to the first session...');
+        const documentId = await uploadDocument(owner);
+        check(Boolean(documentId), 'Document processed');
+
+        const own = await postJSON('/search', { query: SECRET, sessionId: owner });
+        check(own.status === 200 && mentionsSecret(own.data.results), 'Owner session finds its own document');
+        await postJSON('/chat/ask', { question: `What is the ${SECRET} protocol?`, sessionId: owner });
+
+        const ownFiles = await getJSON(`/history/files?sessionId=${owner}`);
+        check(ownFiles.data.files.some(file => file.processingResult?.documentId === documentId), 'Owner session lists its own upload');
+        check(ownFiles.data.files.every(file => !('path' in file)), 'File listings do not reveal server paths');
+        const ownStructure = await getJSON(`/analytics/document/${documentId}/structure?sessionId=${owner}`);
+        check(ownStructure.status === 200, 'Owner session reads its document\'s structure');
+
+        console.log('\n3️⃣ Asking and searching from other sessions...');
+        for (const [name, sessionId] of [['Another student', otherStudent], ['An anonymous session', anonymous], ['The same student\'s other session', ownerSecondSession]]) {
+            const ask = await postJSON('/chat/ask', { question: `What is the ${SECRET} protocol?`, sessionId });
+            check(!mentionsSecret(ask.data.sources) && !mentionsSecret(ask.data.answer), `${name} gets no answer from the document`);
+
+            const search = await postJSON('/search', { query: SECRET, sessionId });
+            check(!mentionsSecret(search.data.results), `${name} finds nothing in /api/search`);
+
+            for (const searchType of ['semantic', 'keyword', 'cross-document']) {
+                const chatSearch = await postJSON('/chat/search', { query: SECRET, sessionId, searchType });
+                check(!mentionsSecret(chatSearch.data.results), `${name} finds nothing in /api/chat/search (${searchType})`);
+            }
+
+            const history = await getJSON(`/history/search?q=${SECRET}&sessionId=${sessionId}`);
+            check(history.data.results.every(message => message.sessionId === sessionId), `${name} finds only its own messages in /api/history/search`);
+            const sessions = await getJSON(`/history/sessions?sessionId=${sessionId}`);
+            check(sessions.data.sessions.every(session => session.id === sessionId), `${name} lists only its own session in /api/history/sessions`);
+            const files = await getJSON(`/history/files?sessionId=${sessionId}`);
+            check(files.data.files.length === 0, `${name} lists no files in /api/history/files`);
+            const structure = await getJSON(`/analytics/document/${documentId}/structure?sessionId=${sessionId}`);
+            check(structure.status === 404 && !mentionsSecret(structure.data), `${name} cannot read the document's structure`);
+        }
+
+        console.log('\n4️⃣ Requests without a session...');
+        const noSession = await postJSON('/search', { query: SECRET });
+        check(noSession.status === 400 && !mentionsSecret(noSession.data), '/api/search without a session is rejected');
+        const noSessionAsk = await postJSON('/chat/ask', { question: `What is the ${SECRET} protocol?` });
+        check(noSessionAsk.status === 400, '/api/chat/ask without a session is rejected');
+        for (const path of [`/history/search?q=${SECRET}`, '/history/sessions', '/history/files']) {
+            const noSessionHistory = await getJSON(path);
+            check(noSessionHistory.status === 400 && !mentionsSecret(noSessionHistory.data), `/api${path.split('?')[0]} without a session is rejected`);
+        }
+
+        console.log('\n5️⃣ Opting in to another session\'s documents...');
+        const denied = await postJSON('/chat/search', { query: SECRET, sessionId: otherStudent, includeSessions: [owner], searchType: 'keyword' });
+        check(denied.status === 403 && !mentionsSecret(denied.data.results), 'Another student may not include the session');
+        const deniedAsk = await postJSON('/chat/ask', { question: `What is the ${SECRET} protocol?`, sessionId: anonymous, includeSessions: [owner] });
+        check(deniedAsk.status === 403 && !mentionsSecret(deniedAsk.data), 'An anonymous session may not include the session');
+        const sameUser = await postJSON('/chat/search', { query: SECRET, sessionId: ownerSecondSession, includeSessions: [owner], searchType: 'keyword' });
+        check(sameUser.status === 403 && !mentionsSecret(sameUser.data.results), 'A session claiming the same user ID may not include the session');
+
+        console.log('\n6️⃣ Granting read access...');
+        const tokenOf = sessionId => ({ 'X-Session-Token': sessionTokens[sessionId] });
+        const forged = await postJSON(`/chat/session/${owner}/grants`, { granteeSessionId: otherStudent });
+        check(forged.status === 403, 'Knowing a session\'s ID is not enough to grant access to it');
+        const wrongToken = await postJSON(`/chat/session/${owner}/grants`, { granteeSessionId: otherStudent }, tokenOf(otherStudent));
+        check(wrongToken.status === 403, 'Another session\'s token does not grant access to the session');
+        const ownGrant = await postJSON(`/chat/session/${otherStudent}/grants`, { granteeSessionId: owner }, tokenOf(otherStudent));
+        check(ownGrant.status === 201, 'A session can grant access to its own documents');
+        const stillDenied = await postJSON('/chat/search', { query: SECRET, sessionId: otherStudent, includeSessions: [owner], searchType: 'keyword' });
+        check(stillDenied.status === 403, 'Granting access to its own documents does not open the other session');
+
+        const granted = await postJSON(`/chat/session/${owner}/grants`, { granteeSessionId: ownerSecondSession }, tokenOf(owner));
+        check(granted.status === 201, 'The owner grants their other session read access');
+        const allowed = await postJSON('/chat/search', { query: SECRET, sessionId: ownerSecondSession, includeSessions: [owner], searchType: 'keyword' });
+        check(allowed.status === 200 && mentionsSecret(allowed.data.results), 'The granted session may include the session');
+        const grantedHistory = await getJSON(`/history/search?q=${SECRET}&sessionId=${ownerSecondSession}`);
+        check(grantedHistory.data.results.some(message => message.sessionId === owner), 'The granted session finds the session\'s messages in /api/history/search');
+        const notGranted = await postJSON('/chat/search', { query: SECRET, sessionId: otherStudent, includeSessions: [owner], searchType: 'keyword' });
+        check(notGranted.status === 403 && !mentionsSecret(notGranted.data.results), 'Sessions without a grant are still denied');
+
+        const unauthorizedRevoke = await fetch(`${BASE_URL}/chat/session/${owner}/grants/${ownerSecondSession}`, { method: 'DELETE' });
+        check(unauthorizedRevoke.status === 403, 'A grant cannot be revoked without the session\'s token');
+        await fetch(`${BASE_URL}/chat/session/${owner}/grants/${ownerSecondSession}`, { method: 'DELETE', headers: tokenOf(owner) });
+        const revoked = await postJSON('/chat/search', { query: SECRET, sessionId: ownerSecondSession, includeSessions: [owner], searchType: 'keyword' });
+        check(revoked.status === 403 && !mentionsSecret(revoked.data.results), 'A revoked grant no longer includes the session');
+
+        console.log(failures === 0 ? '\n✅ No leakage between sessions' : `\n❌ ${failures} isolation checks failed`);
+        process.exitCode = failures === 0 ? 0 : 1;
+
+    } catch (error) {
+        console.error('❌ Session isolation test failed:', error.message);
+        process.exitCode = 1;
+    }
+}
+
+testSessionIsolation();
@@ -66,7 +66,7 @@ async function testSidebarFeatures() {
 
             // Test 5: Get all sessions
             console.log('5️⃣ Retrieving all sessions...');
-            const sessionsResponse = await fetch('http://localhost:5000/api/history/sessions');
+            const sessionsResponse = await fetch(`http://localhost:5000/api/history/sessions?sessionId=${sessionId}`);
             
             if (sessionsResponse.ok) {
                 const sessionsData = await sessionsResponse.json();
@@ -92,7 +92,7 @@ async function testSidebarFeatures() {
 
             // Test 7: Get file history
             console.log('7️⃣ Retrieving file history...');
-            const filesResponse = await fetch('http://localhost:5000/api/history/files');
+            const filesResponse = await fetch(`http://localhost:5000/api/history/files?sessionId=${sessionId}`);
             
             if (filesResponse.ok) {
                 const filesData = await filesResponse.json();
@@ -105,7 +105,7 @@ async function testSidebarFeatures() {
 
             // Test 8: Search chat history
             console.log('8️⃣ Testing chat search...');
-            const searchResponse = await fetch('http://localhost:5000/api/history/search?q=DevOps');
+            const searchResponse = await fetch(`http://localhost:5000/api/history/search?q=DevOps&sessionId=${sessionId}`);
             
             if (searchResponse.ok) {
                 const searchData = await searchResponse.json();
@@ -0,0 +1,111 @@
+const configService = require('../src/services/configService');
+const accessService = require('../src/services/accessService');
+const libraryService = require('../src/services/libraryService');
+
+describe('accessService.searchSessions', () => {
+    let alice;
+    let aliceToken;
+    let bob;
+    let carol;
+
+    beforeEach(() => {
+        ({ session: { sessionId: alice }, sessionToken: aliceToken } = configService.createSession('student'));
+        bob = configService.createSession('student').session.sessionId;
+        carol = configService.createSession().session.sessionId;
+    });
+
+    test('searches only the session itself by default', () => {
+        expect(accessService.searchSessions(alice)).toEqual([alice]);
+    });
+
+    test('requires a session', () => {
+        expect(() => accessService.searchSessions(null)).toThrow('Session ID is required');
+        expect(() => accessService.searchSessions('')).toThrow('Session ID is required');
+    });
+
+    test('rejects a library key as the session', () => {
+        const { library } = libraryService.createLibrary({ name: 'Biology 101' });
+
+        expect(() => accessService.searchSessions(libraryService.libraryKey(library.id))).toThrow(/^Invalid session ID/);
+    });
+
+    test('denies other sessions without a grant, even for the same user ID', () => {
+        expect(() => accessService.searchSessions(bob, [alice])).toThrow(/^Access denied/);
+        expect(() => accessService.searchSessions(carol, [alice])).toThrow(/^Access denied/);
+    });
+
+    test('rejects includeSessions that is not an array', () => {
+        expect(() => accessService.searchSessions(alice, bob)).toThrow(/^Invalid includeSessions/);
+    });
+
+    test('includes a session once it granted read access, until the grant is revoked', () => {
+        accessService.grant(alice, bob, aliceToken);
+
+        expect(accessService.searchSessions(bob, [alice])).toEqual([bob, alice]);
+        expect(() => accessService.searchSessions(carol, [alice])).toThrow(/^Access denied/);
+        // A grant is one-way
+        expect(() => accessService.searchSessions(alice, [bob])).toThrow(/^Access denied/);
+
+        expect(accessService.revoke(alice, bob, aliceToken)).toBe(true);
+        expect(() => accessService.searchSessions(bob, [alice])).toThrow(/^Access denied/);
+    });
+
+    test('cannot include a library by opting in to its key', () => {
+        const { library } = libraryService.createLibrary({ name: 'Biology 101' });
+
+        expect(() => accessService.searchSessions(alice, [libraryService.libraryKey(library.id)])).toThrow(/^Access denied/);
+    });
+
+    test('adds the libraries attached to the searched sessions', () => {
+        const { library } = libraryService.createLibrary({ name: 'Biology 101' });
+        libraryService.attach(alice, library.id);
+
+        const key = libraryService.libraryKey(library.id);
+        expect(accessService.searchSessions(alice)).toEqual([alice, key]);
+        expect(accessService.searchSessions(bob)).toEqual([bob]);
+
+        libraryService.detach(alice, library.id);
+        expect(accessService.searchSessions(alice)).toEqual([alice]);
+    });
+});
+
+describe('accessService.grant', () => {
+    test('only grants between existing sessions', () => {
+        const { session: { sessionId: alice }, sessionToken } = configService.createSession();
+
+        expect(() => accessService.grant('unknown', alice, sessionToken)).toThrow('Session not found');
+        expect(() => accessService.grant(alice, 'unknown', sessionToken)).toThrow('Grantee session not found');
+        expect(() => accessService.grant(alice, alice, sessionToken)).toThrow(/^Invalid grantee/);
+        expect(() => accessService.grant(alice, 'library:abc', sessionToken)).toThrow(/^Invalid grantee/);
+        expect(accessService.grantsOf(alice)).toEqual([]);
+    });
+
+    test('requires the token issued to the granting session', () => {
+        const { session: { sessionId: alice }, sessionToken: aliceToken } = configService.createSession();
+        const { session: { sessionId: mallory }, sessionToken: malloryToken } = configService.createSession();
+
+        expect(() => accessService.grant(alice, mallory)).toThrow(/^Access denied/);
+        expect(() => accessService.grant(alice, mallory, malloryToken)).toThrow(/^Access denied/);
+        expect(() => accessService.grant(alice, mallory, 'x'.repeat(64))).toThrow(/^Access denied/);
+        expect(accessService.grantsOf(alice)).toEqual([]);
+
+        accessService.grant(alice, mallory, aliceToken);
+        expect(() => accessService.revoke(alice, mallory, malloryToken)).toThrow(/^Access denied/);
+        expect(accessService.grantsOf(alice)).toEqual([mallory]);
+    });
+});
+
+describe('accessService.readableSessions', () => {
+    test('lists the session itself and the sessions that granted it access', () => {
+        const { session: { sessionId: alice }, sessionToken: aliceToken } = configService.createSession();
+        const { session: { sessionId: bob }, sessionToken: bobToken } = configService.createSession();
+        const carol = configService.createSession().session.sessionId;
+
+        accessService.grant(alice, carol, aliceToken);
+        accessService.grant(bob, alice, bobToken);
+
+        expect(accessService.readableSessions(carol)).toEqual([carol, alice]);
+        expect(accessService.readableSessions(alice)).toEqual([alice, bob]);
+        expect(accessService.readableSessions(bob)).toEqual([bob]);
+    });
+});
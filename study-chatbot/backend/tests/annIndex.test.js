@@ -0,0 +1,67 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AnnIndex = require('../src/services/annIndex');
+
+const unit = (...values) => {
+    const norm = Math.sqrt(values.reduce((sum, value) => sum + value * value, 0));
+    return values.map(value => value / norm);
+};
+
+describe('AnnIndex', () => {
+    let directory;
+    let index;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ann-index-'));
+        index = new AnnIndex(directory);
+        index.ensure('model-a', 3);
+        index.add('enzymes_0', unit(1, 0, 0));
+        index.add('enzymes_1', unit(1, 1, 0));
+        index.add('history_0', unit(0, 0, 1));
+    });
+
+    afterEach(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+    test('returns the nearest chunks by cosine similarity', () => {
+        const results = index.search(unit(1, 0.1, 0), 2);
+
+        expect(results.map(result => result.chunkId)).toEqual(['enzymes_0', 'enzymes_1']);
+        expect(results[0].similarity).toBeCloseTo(0.995, 3);
+    });
+
+    test('searches only the chunks a filter lets through', () => {
+        const results = index.search(unit(1, 0, 0), 3, chunkId => chunkId.startsWith('history'));
+
+        expect(results.map(result => result.chunkId)).toEqual(['history_0']);
+    });
+
+    test('replaces a chunk added again and forgets removed chunks', () => {
+        index.add('enzymes_0', unit(0, 0, 1));
+        index.remove('history_0');
+
+        expect(index.size).toBe(2);
+        expect(index.search(unit(0, 0, 1), 1)[0].chunkId).toBe('enzymes_0');
+    });
+
+    test('rejects vectors of another dimension', () => {
+        expect(() => index.add('bad', [1, 0])).toThrow(/does not match index dimension/);
+    });
+
+    test('reloads a saved index only for the model that built it', () => {
+        index.save();
+
+        const reloaded = new AnnIndex(directory);
+        expect(reloaded.load('model-b')).toBe(false);
+        expect(reloaded.load('model-a')).toBe(true);
+        expect(reloaded.isReadyFor('model-a')).toBe(true);
+        expect(reloaded.search(unit(0, 0, 1), 1)[0].chunkId).toBe('history_0');
+    });
+
+    test('starts over when the embedding model changes', () => {
+        index.ensure('model-b', 3);
+
+        expect(index.size).toBe(0);
+        expect(index.isReadyFor('model-a')).toBe(false);
+    });
+});
@@ -0,0 +1,79 @@
+// Document processing pulls in native image libraries; the stream is
+// tested against stand-ins for the services around the answer
+jest.mock('../src/services/documentService', () => ({ updateSessionUsage: jest.fn() }));
+jest.mock('../src/services/advancedFeatures', () => ({ generateCitations: jest.fn(() => ({ citations: [] })) }));
+jest.mock('../src/services/sectionService', () => ({}));
+
+const answerStream = require('../src/services/answerStreamService');
+const chatHistoryService = require('../src/services/chatHistoryService');
+const conversationService = require('../src/services/conversationService');
+const enhancedAIService = require('../src/services/enhancedAIService');
+
+const streamOf = (...events) => async function* () {
+    for (const event of events) {
+        yield event;
+    }
+};
+
+describe('answerStreamService', () => {
+    let events;
+    const send = (event, data) => events.push({ event, data });
+
+    beforeEach(() => {
+        events = [];
+        jest.spyOn(conversationService, 'prepare').mockResolvedValue({ retrievalQuery: 'What do enzymes do?', rewritten: false, conversation: '' });
+        jest.spyOn(chatHistoryService, 'initialize').mockResolvedValue();
+        jest.spyOn(chatHistoryService, 'addMessage').mockImplementation(() => {});
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    test('sends retrieval, each token and the final answer, then saves the exchange', async () => {
+        jest.spyOn(enhancedAIService, 'streamContextualQA').mockImplementation(streamOf(
+            { type: 'retrieval', results: [{ documentId: 'biology' }], totalResults: 1 },
+            { type: 'token', text: 'Enzymes speed ' },
+            { type: 'token', text: 'up reactions [1][4].' },
+            { type: 'done', result: { answer: 'Enzymes speed up reactions [1].', sources: [{ documentId: 'biology' }], confidence: 0.9 } }
+        ));
+
+        const result = await answerStream.streamAnswer({ sessionId: 'alice', question: 'What do enzymes do?' }, { send });
+
+        expect(result).toEqual({ status: 'completed', answer: 'Enzymes speed up reactions [1][4].' });
+        expect(events.map(({ event }) => event)).toEqual(['retrieval', 'token', 'token', 'final']);
+        expect(events[3].data).toMatchObject({ answer: 'Enzymes speed up reactions [1].', retrievalQuery: 'What do enzymes do?', confidence: 0.9 });
+        expect(chatHistoryService.addMessage).toHaveBeenCalledTimes(2);
+        expect(chatHistoryService.addMessage.mock.calls[1][1]).toMatchObject({
+            type: 'assistant',
+            content: 'Enzymes speed up reactions [1].',
+            streamed: true,
+            cancelled: false
+        });
+    });
+
+    test('stops at cancellation and saves the partial answer', async () => {
+        const controller = new AbortController();
+        jest.spyOn(enhancedAIService, 'streamContextualQA').mockImplementation(async function* () {
+            yield { type: 'token', text: 'Enzymes' };
+            controller.abort();
+            yield { type: 'token', text: ' speed up reactions.' };
+        });
+
+        const result = await answerStream.streamAnswer({ sessionId: 'alice', question: 'What do enzymes do?' }, { send, signal: controller.signal });
+
+        expect(result).toEqual({ status: 'cancelled', answer: 'Enzymes' });
+        expect(events.map(({ event }) => event)).toEqual(['token', 'cancelled']);
+        expect(chatHistoryService.addMessage.mock.calls[1][1]).toMatchObject({ content: 'Enzymes', cancelled: true });
+    });
+
+    test('sends an error and saves nothing when no answer was generated', async () => {
+        jest.spyOn(enhancedAIService, 'streamContextualQA').mockImplementation(async function* () {
+            throw new Error('Model unavailable');
+        });
+
+        const result = await answerStream.streamAnswer({ sessionId: 'alice', question: 'What do enzymes do?' }, { send });
+
+        expect(result).toEqual({ status: 'error', answer: '' });
+        expect(events).toEqual([{ event: 'error', data: { message: 'Failed to process question', error: 'Model unavailable' } }]);
+        expect(chatHistoryService.addMessage).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,54 @@
+const BM25Index = require('../src/services/bm25Index');
+
+const tokenize = text => text.toLowerCase().match(/[a-z]+/g) || [];
+
+describe('BM25Index', () => {
+    let index;
+
+    beforeEach(() => {
+        index = new BM25Index(tokenize);
+        index.add('enzymes', 'Enzymes lower the activation energy of reactions');
+        index.add('pepsin', 'Pepsin is an enzyme that digests proteins in the stomach; pepsin needs acid');
+        index.add('lipids', 'Lipids store energy');
+    });
+
+    test('ranks chunks by how well they match the query', () => {
+        const results = index.search('pepsin stomach', 10);
+
+        expect(results.map(result => result.chunkId)).toEqual(['pepsin']);
+        expect(results[0].score).toBeGreaterThan(0);
+    });
+
+    test('weights rare terms above common ones', () => {
+        const [top] = index.search('energy activation', 10);
+
+        expect(top.chunkId).toBe('enzymes');
+    });
+
+    test('scores shorter chunks higher for the same term frequency', () => {
+        const [first, second] = index.search('energy', 10);
+
+        expect(first.chunkId).toBe('lipids');
+        expect(second.chunkId).toBe('enzymes');
+    });
+
+    test('applies the filter and the limit', () => {
+        expect(index.search('energy', 10, chunkId => chunkId !== 'lipids').map(result => result.chunkId)).toEqual(['enzymes']);
+        expect(index.search('energy', 1)).toHaveLength(1);
+    });
+
+    test('removed chunks stop matching immediately', () => {
+        index.remove('pepsin');
+
+        expect(index.search('pepsin', 10)).toEqual([]);
+        expect(index.size).toBe(2);
+        expect(index.totalLength).toBe(tokenize('Enzymes lower the activation energy of reactions Lipids store energy').length);
+    });
+
+    test('re-adding a chunk replaces its text', () => {
+        index.add('lipids', 'Lipids form membranes');
+
+        expect(index.search('store', 10)).toEqual([]);
+        expect(index.search('membranes', 10).map(result => result.chunkId)).toEqual(['lipids']);
+    });
+});
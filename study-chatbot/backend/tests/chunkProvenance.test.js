@@ -0,0 +1,47 @@
+const vectorDB = require('../src/services/enhancedVectorDB_simplified');
+const documentRepository = require('../src/services/documentRepository');
+
+const provenance = {
+    startOffset: 1200,
+    endOffset: 1650,
+    pageStart: 4,
+    pageEnd: 5,
+    headingPath: ['Cell biology', 'Membranes']
+};
+
+describe('chunk provenance', () => {
+    beforeAll(() => {
+        const docData = {
+            id: 'membranes',
+            sessionId: 'provenance-session',
+            chunks: ['Osmosis moves water across a selectively permeable membrane, from low to high solute concentration.'],
+            embeddings: [null],
+            metadata: { filename: 'membranes.pdf' }
+        };
+        vectorDB.documents.set(docData.id, docData);
+        vectorDB.sessionDocuments.set(docData.sessionId, [docData.id]);
+        vectorDB.indexChunks(docData, [{ provenance }], null);
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    test('search results carry the pages, span and heading path of their chunk', async () => {
+        const [result] = await vectorDB.keywordSearch('osmosis membrane', 'provenance-session');
+
+        expect(result.provenance).toEqual(provenance);
+    });
+
+    test('the text search fallback keeps provenance too', () => {
+        const [result] = vectorDB.fallbackTextSearch('osmosis membrane', 'provenance-session');
+
+        expect(result.provenance).toEqual(provenance);
+    });
+
+    test('repository chunks keep provenance for citations', async () => {
+        jest.spyOn(vectorDB, 'denseSearch').mockResolvedValue([]);
+
+        const [result] = await documentRepository.similaritySearch('osmosis', 'provenance-session');
+
+        expect(result.provenance).toMatchObject({ pageStart: 4, pageEnd: 5, headingPath: ['Cell biology', 'Membranes'] });
+    });
+});
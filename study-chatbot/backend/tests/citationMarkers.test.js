@@ -0,0 +1,95 @@
+// Tables of contents are covered with section extraction; citations are
+// tested against a stand-in for the section service
+jest.mock('../src/services/sectionService', () => ({}));
+
+const enhancedAIService = require('../src/services/enhancedAIService');
+
+const CONTEXTS = [
+    {
+        documentId: 'biology',
+        chunkIndex: 4,
+        text: 'Cells divide by mitosis. Mitochondria produce ATP through cellular respiration.',
+        metadata: { filename: 'biology.pdf' },
+        similarity: 0.8,
+        provenance: {
+            startOffset: 1000,
+            endOffset: 1080,
+            overlapLength: 0,
+            pageStart: 3,
+            pageEnd: 4,
+            headingPath: ['Cells'],
+            pages: [{ page: 3, startOffset: 900, endOffset: 1030 }, { page: 4, startOffset: 1030, endOffset: 1200 }],
+            headings: [{ offset: 1020, path: ['Cells', 'Energy'] }]
+        }
+    },
+    {
+        documentId: 'chemistry',
+        chunkIndex: 0,
+        text: 'Water boils at 100 degrees at sea level.',
+        metadata: { filename: 'chemistry.txt' },
+        similarity: 0.6
+    }
+];
+
+describe('inline citation markers', () => {
+    test('ties each marker to the sentence of its source the statement comes from', () => {
+        const { answer, markers, strippedMarkers } = enhancedAIService.resolveCitationMarkers(
+            'Mitochondria produce ATP [1]. Water boils at 100 degrees [2].',
+            CONTEXTS
+        );
+
+        expect(answer).toBe('Mitochondria produce ATP [1]. Water boils at 100 degrees [2].');
+        expect(strippedMarkers).toEqual([]);
+        expect(markers[0]).toMatchObject({
+            marker: 1,
+            start: 25,
+            end: 28,
+            documentId: 'biology',
+            span: 'sentence',
+            text: 'Mitochondria produce ATP through cellular respiration.',
+            startOffset: 1025,
+            endOffset: 1079,
+            page: 3,
+            pageEnd: 4,
+            headingPath: ['Cells', 'Energy']
+        });
+        // A source without provenance is cited as a whole chunk
+        expect(markers[1]).toMatchObject({ marker: 2, documentId: 'chemistry', span: 'chunk', startOffset: null, page: null });
+    });
+
+    test('removes markers that name no source and splits grouped markers', () => {
+        const { answer, markers, strippedMarkers } = enhancedAIService.resolveCitationMarkers(
+            'Cells divide by mitosis [1, 7]. Boiling needs heat [9].',
+            CONTEXTS
+        );
+
+        expect(answer).toBe('Cells divide by mitosis [1]. Boiling needs heat.');
+        expect(strippedMarkers).toEqual([7, 9]);
+        expect(markers.map(marker => marker.marker)).toEqual([1]);
+        expect(markers[0].text).toBe('Cells divide by mitosis.');
+    });
+
+    test('takes the statement before a marker placed after the full stop', () => {
+        const answer = 'Intro line.\nCells divide by mitosis. [1][2]';
+
+        expect(enhancedAIService.markedStatement(answer, answer.indexOf('[2]'))).toBe('Cells divide by mitosis');
+    });
+
+    test('lists one citation per cited source in marker order', () => {
+        const { markers } = enhancedAIService.resolveCitationMarkers(
+            'Water boils at 100 degrees [2]. Cells divide by mitosis [1]. Mitochondria produce ATP [1].',
+            CONTEXTS
+        );
+        const citations = enhancedAIService.markerCitations(markers, CONTEXTS);
+
+        expect(citations.map(citation => citation.id)).toEqual(['cite_1', 'cite_2']);
+        expect(citations[0]).toMatchObject({
+            marker: 1,
+            document: 'biology.pdf',
+            text: 'Cells divide by mitosis.',
+            page: 3,
+            quoteSpan: { start: 1000, end: 1024, page: 3, pageOffset: 100, headingPath: ['Cells'] }
+        });
+        expect(citations[1]).toMatchObject({ marker: 2, document: 'chemistry.txt', page: 'Unknown', quoteSpan: null });
+    });
+});
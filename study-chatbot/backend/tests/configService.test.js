@@ -0,0 +1,31 @@
+const configService = require('../src/services/configService');
+
+const ingestionSettings = (env) => {
+    const saved = { ...process.env };
+    Object.assign(process.env, env);
+    try {
+        const { ingestionConcurrency, ingestionMaxRetries } = configService.loadConfiguration();
+        return { ingestionConcurrency, ingestionMaxRetries };
+    } finally {
+        process.env = saved;
+    }
+};
+
+describe('configService ingestion settings', () => {
+    test('defaults to one job at a time and two retries', () => {
+        expect(ingestionSettings({ INGESTION_CONCURRENCY: '', INGESTION_MAX_RETRIES: 'many' }))
+            .toEqual({ ingestionConcurrency: 1, ingestionMaxRetries: 2 });
+    });
+
+    test('keeps 0 retries, which disables retrying', () => {
+        expect(ingestionSettings({ INGESTION_MAX_RETRIES: '0' }).ingestionMaxRetries).toBe(0);
+        expect(ingestionSettings({ INGESTION_MAX_RETRIES: '5' }).ingestionMaxRetries).toBe(5);
+        expect(ingestionSettings({ INGESTION_MAX_RETRIES: '-1' }).ingestionMaxRetries).toBe(0);
+    });
+
+    test('always runs at least one job', () => {
+        expect(ingestionSettings({ INGESTION_CONCURRENCY: '0' }).ingestionConcurrency).toBe(1);
+        expect(ingestionSettings({ INGESTION_CONCURRENCY: '-3' }).ingestionConcurrency).toBe(1);
+        expect(ingestionSettings({ INGESTION_CONCURRENCY: '4' }).ingestionConcurrency).toBe(4);
+    });
+});
@@ -0,0 +1,40 @@
+const contentCache = require('../src/services/contentCacheService');
+
+const passage = 'Enzymes are proteins that speed up chemical reactions in living cells by lowering the activation energy ' +
+    'needed for the reaction to start. Each enzyme binds a specific substrate at its active site, and changes in ' +
+    'temperature or pH can alter the shape of that site and slow the reaction down.';
+
+describe('contentCacheService MinHash', () => {
+    test('identical texts have identical signatures', () => {
+        expect(contentCache.similarity(contentCache.minhash(passage), contentCache.minhash(passage))).toBe(1);
+    });
+
+    test('ignores case and punctuation', () => {
+        const signature = contentCache.minhash(passage);
+        const reformatted = contentCache.minhash(passage.toUpperCase().replace(/[.,]/g, ' ; '));
+
+        expect(contentCache.similarity(signature, reformatted)).toBe(1);
+    });
+
+    test('estimates a light edit as similar and unrelated text as dissimilar', () => {
+        const signature = contentCache.minhash(passage);
+        const edited = contentCache.minhash(passage.replace('living cells', 'all living cells'));
+        const unrelated = contentCache.minhash('The French Revolution began in 1789 with the storming of the Bastille ' +
+            'and ended the absolute monarchy, leading to the rise of Napoleon a decade later.');
+
+        expect(contentCache.similarity(signature, edited)).toBeGreaterThan(0.8);
+        expect(contentCache.similarity(signature, unrelated)).toBeLessThan(0.2);
+    });
+
+    test('has no signature for text without words', () => {
+        expect(contentCache.minhash(' ... ')).toBeNull();
+    });
+
+    test('near-identical signatures share an LSH band', () => {
+        const a = contentCache.bandKeys(contentCache.minhash(passage));
+        const b = contentCache.bandKeys(contentCache.minhash(passage.replace('slow the reaction down', 'slow it down')));
+
+        expect(a).toHaveLength(16);
+        expect(a.some(key => b.includes(key))).toBe(true);
+    });
+});
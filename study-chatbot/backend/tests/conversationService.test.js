@@ -0,0 +1,37 @@
+const conversationService = require('../src/services/conversationService');
+const llm = require('../src/services/llm');
+
+const recentTurns = [
+    { question: 'What is the total enrolment in 2021?', query: 'What is the total enrolment in 2021?', answer: 'The total enrolment in 2021 was 1,240.', messageCount: 2 }
+];
+
+describe('conversationService.rewrite', () => {
+    let generate;
+
+    beforeEach(() => {
+        generate = jest.fn().mockResolvedValue('Average enrolment by faculty in 2021');
+        jest.spyOn(llm, 'forFeature').mockReturnValue({ generate });
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    test('searches a self-contained question as asked, without calling the model', async () => {
+        const question = 'Which faculty had the highest enrolment in 2019?';
+
+        expect(await conversationService.rewrite(question, recentTurns)).toBe(question);
+        expect(generate).not.toHaveBeenCalled();
+    });
+
+    test('rewrites a question that refers back to an earlier turn', async () => {
+        expect(await conversationService.rewrite('And the average by faculty?', recentTurns)).toBe('Average enrolment by faculty in 2021');
+        expect(await conversationService.rewrite('Why?', recentTurns)).toBe('Average enrolment by faculty in 2021');
+        expect(generate).toHaveBeenCalledTimes(2);
+    });
+
+    test('searches the follow-up as asked when the model gives no usable rewrite', async () => {
+        generate.mockRejectedValueOnce(new Error('model unavailable')).mockResolvedValueOnce('');
+
+        expect(await conversationService.rewrite('And the average by faculty?', recentTurns)).toBe('And the average by faculty?');
+        expect(await conversationService.rewrite('And the average by faculty?', recentTurns)).toBe('And the average by faculty?');
+    });
+});
@@ -0,0 +1,52 @@
+process.env.VECTOR_DB_PATH = ':memory:';
+
+const database = require('../src/services/databaseService');
+
+const values = async () => (await database.all('SELECT v FROM t ORDER BY v')).map(row => row.v);
+
+describe('databaseService.transaction', () => {
+    beforeAll(async () => {
+        await database.initialize();
+        await database.exec('CREATE TABLE t (v INTEGER)');
+    });
+
+    beforeEach(() => database.run('DELETE FROM t'));
+
+    afterAll(() => database.close());
+
+    const slowInsert = (value, { fail = false } = {}) => database.transaction(async () => {
+        await database.run('INSERT INTO t (v) VALUES (?)', [value]);
+        await new Promise(resolve => setTimeout(resolve, 10));
+        if (fail) throw new Error(`failed ${value}`);
+    });
+
+    test('overlapping transactions run one after another', async () => {
+        await Promise.all([slowInsert(1), slowInsert(2), slowInsert(3)]);
+
+        expect(await values()).toEqual([1, 2, 3]);
+    });
+
+    test('a failed transaction rolls back only its own writes', async () => {
+        const results = await Promise.allSettled([slowInsert(1), slowInsert(2, { fail: true }), slowInsert(3)]);
+
+        expect(results.map(result => result.status)).toEqual(['fulfilled', 'rejected', 'fulfilled']);
+        expect(await values()).toEqual([1, 3]);
+    });
+
+    test('writes issued during a transaction wait for it instead of joining it', async () => {
+        const pending = slowInsert(1, { fail: true }).catch(() => {});
+        const written = database.persist('INSERT INTO t (v) VALUES (?)', [2]);
+        await Promise.all([pending, written]);
+
+        expect(await values()).toEqual([2]);
+    });
+
+    test('a transaction started inside another joins it', async () => {
+        await database.transaction(async () => {
+            await database.run('INSERT INTO t (v) VALUES (?)', [1]);
+            await database.transaction(() => database.run('INSERT INTO t (v) VALUES (?)', [2]));
+        });
+
+        expect(await values()).toEqual([1, 2]);
+    });
+});
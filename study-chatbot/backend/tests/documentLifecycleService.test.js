@@ -0,0 +1,85 @@
+// Processing, versioning, sections and highlights are covered elsewhere;
+// lifecycle operations are tested against stand-ins for those services
+jest.mock('../src/services/documentService', () => ({
+    sessions: new Map(),
+    registerDocuments: jest.fn(),
+    unregisterDocument: jest.fn(),
+    updateRegisteredDocument: jest.fn(),
+    createListing: jest.fn(doc => ({ documentId: doc.id }))
+}));
+jest.mock('../src/services/documentVersionService', () => ({}));
+jest.mock('../src/services/advancedFeatures', () => ({ moveDocument: jest.fn() }));
+jest.mock('../src/services/sectionService', () => ({}));
+
+const accessService = require('../src/services/accessService');
+const configService = require('../src/services/configService');
+const documentLifecycle = require('../src/services/documentLifecycleService');
+const libraryService = require('../src/services/libraryService');
+const vectorDB = require('../src/services/enhancedVectorDB_simplified');
+
+const addDocument = (id, sessionId) => {
+    vectorDB.documents.set(id, { id, sessionId, chunks: ['Notes on enzymes.'], embeddings: [null], metadata: { filename: `${id}.txt`, originalname: `${id}.txt` } });
+    vectorDB.sessionDocuments.set(sessionId, [...(vectorDB.sessionDocuments.get(sessionId) || []), id]);
+};
+
+const newSession = () => {
+    const { session, sessionToken } = configService.createSession();
+    return { sessionId: session.sessionId, sessionToken };
+};
+
+describe('documentLifecycleService', () => {
+    let alice;
+    let bob;
+
+    beforeEach(() => {
+        alice = newSession();
+        bob = newSession();
+        addDocument(`notes-${alice.sessionId}`, alice.sessionId);
+    });
+
+    test('renames and tags a document of the session', async () => {
+        const documentId = `notes-${alice.sessionId}`;
+        const described = await documentLifecycle.updateDocument(alice.sessionId, documentId, { name: ' Enzymes ', tags: ['bio', 'bio', ' exam '] });
+
+        expect(described).toMatchObject({ name: 'Enzymes', tags: ['bio', 'exam'] });
+        await expect(documentLifecycle.updateDocument(alice.sessionId, documentId, { tags: 'bio' })).rejects.toThrow(/^Invalid tags/);
+        await expect(documentLifecycle.updateDocument(bob.sessionId, documentId, { name: 'Mine' })).rejects.toThrow('Document not found');
+    });
+
+    test('rejects targets that cannot receive the document', () => {
+        const { library } = libraryService.createLibrary({ name: 'Biology 101' });
+
+        expect(() => documentLifecycle.checkTargetSession(alice.sessionId, undefined)).toThrow(/^Invalid target session/);
+        expect(() => documentLifecycle.checkTargetSession(alice.sessionId, alice.sessionId)).toThrow(/^Invalid target session/);
+        expect(() => documentLifecycle.checkTargetSession(alice.sessionId, libraryService.libraryKey(library.id))).toThrow(/^Invalid target session/);
+        expect(() => documentLifecycle.checkTargetSession(alice.sessionId, 'unknown')).toThrow('Target session not found');
+    });
+
+    test('does not write into another session on its ID alone', async () => {
+        const documentId = `notes-${alice.sessionId}`;
+
+        await expect(documentLifecycle.moveDocument(alice.sessionId, documentId, bob.sessionId)).rejects.toThrow(/^Access denied/);
+        await expect(documentLifecycle.moveDocument(alice.sessionId, documentId, bob.sessionId, alice.sessionToken)).rejects.toThrow(/^Access denied/);
+        await expect(documentLifecycle.copyDocument(alice.sessionId, documentId, bob.sessionId)).rejects.toThrow(/^Access denied/);
+        expect(vectorDB.documents.get(documentId).sessionId).toBe(alice.sessionId);
+        expect(vectorDB.sessionDocuments.get(bob.sessionId) || []).toEqual([]);
+    });
+
+    test('moves a document with the target session\'s token', async () => {
+        const documentId = `notes-${alice.sessionId}`;
+
+        await documentLifecycle.moveDocument(alice.sessionId, documentId, bob.sessionId, bob.sessionToken);
+
+        expect(vectorDB.documents.get(documentId).sessionId).toBe(bob.sessionId);
+        expect(vectorDB.sessionDocuments.get(alice.sessionId)).toEqual([]);
+        expect(vectorDB.sessionDocuments.get(bob.sessionId)).toEqual([documentId]);
+    });
+
+    test('writes into a session that granted the source session read access', () => {
+        accessService.grant(bob.sessionId, alice.sessionId, bob.sessionToken);
+
+        expect(() => documentLifecycle.checkTargetSession(alice.sessionId, bob.sessionId)).not.toThrow();
+        // A grant is one-way
+        expect(() => documentLifecycle.checkTargetSession(bob.sessionId, alice.sessionId)).toThrow(/^Access denied/);
+    });
+});
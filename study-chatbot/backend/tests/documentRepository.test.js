@@ -0,0 +1,74 @@
+const vectorDB = require('../src/services/enhancedVectorDB_simplified');
+const documentRepository = require('../src/services/documentRepository');
+const libraryService = require('../src/services/libraryService');
+
+const addDocument = (id, sessionId, chunks) => {
+    const docData = { id, sessionId, chunks, embeddings: chunks.map(() => null), metadata: { filename: `${id}.txt`, originalname: `${id}.pdf` } };
+    vectorDB.documents.set(id, docData);
+    vectorDB.sessionDocuments.set(sessionId, [...(vectorDB.sessionDocuments.get(sessionId) || []), id]);
+    vectorDB.indexChunks(docData, [], null);
+};
+
+describe('documentRepository', () => {
+    let libraryId;
+
+    beforeAll(() => {
+        addDocument('cells', 'repo-alice', ['Mitochondria release energy from glucose.', 'Ribosomes assemble proteins from amino acids.']);
+        addDocument('rivers', 'repo-bob', ['Rivers carry sediment from mountains to the sea; mitochondria never appear here.']);
+
+        libraryId = libraryService.createLibrary({ name: 'Biology 101' }).library.id;
+        addDocument('syllabus', libraryService.libraryKey(libraryId), ['Week three covers mitochondria and cell energy.']);
+    });
+
+    // Only BM25 ranks here; dense retrieval is covered by the hybrid search tests
+    beforeEach(() => jest.spyOn(vectorDB, 'denseSearch').mockResolvedValue([]));
+    afterEach(() => jest.restoreAllMocks());
+
+    test('returns chunks of the session in the shape features read', async () => {
+        const [result, ...rest] = await documentRepository.similaritySearch('mitochondria energy', 'repo-alice', 5);
+
+        expect(rest).toEqual([]);
+        expect(result).toMatchObject({
+            documentId: 'cells',
+            chunkIndex: 0,
+            content: 'Mitochondria release energy from glucose.',
+            metadata: { filename: 'cells.pdf', documentId: 'cells', chunkIndex: 0 }
+        });
+        expect(result.relevance).toBe(result.similarity);
+    });
+
+    test('includes the libraries attached to the session', async () => {
+        libraryService.attach('repo-alice', libraryId);
+        try {
+            const results = await documentRepository.similaritySearch('mitochondria energy', 'repo-alice', 5);
+            expect(results.map(result => result.documentId).sort()).toEqual(['cells', 'syllabus']);
+        } finally {
+            libraryService.detach('repo-alice', libraryId);
+        }
+    });
+
+    test('falls back to the documents\' chunks in order when a query matches nothing in them', async () => {
+        const results = await documentRepository.searchInDocuments('key concepts', ['cells'], 'repo-alice', 5);
+
+        expect(results.map(result => [result.documentId, result.chunkIndex, result.retrieval])).toEqual([
+            ['cells', 0, 'sequential'],
+            ['cells', 1, 'sequential']
+        ]);
+        expect(await documentRepository.searchInDocuments('key concepts', ['rivers'], 'repo-alice', 5)).toEqual([]);
+    });
+
+    test('builds context within the token budget and lists its sources', async () => {
+        const context = await documentRepository.getRelevantContext('unrelated question', 'repo-alice', 15);
+
+        expect(context.sources).toEqual([{ documentId: 'cells', filename: 'cells.pdf', chunkIndex: 0, relevance: 0 }]);
+        expect(context.context).toBe('[cells.pdf - Chunk 0]\nMitochondria release energy from glucose.');
+        expect(context.documentsUsed).toBe(1);
+    });
+
+    test('lists only the session\'s own documents', () => {
+        expect(documentRepository.getSessionDocuments('repo-alice')).toEqual([
+            expect.objectContaining({ documentId: 'cells', filename: 'cells.pdf', numChunks: 2 })
+        ]);
+        expect(() => documentRepository.getChunks(null)).toThrow('Session ID is required');
+    });
+});
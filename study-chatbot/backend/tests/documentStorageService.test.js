@@ -0,0 +1,78 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const configService = require('../src/services/configService');
+const documentStorage = require('../src/services/documentStorageService');
+const vectorDB = require('../src/services/enhancedVectorDB_simplified');
+
+const PAGE_ONE = 'Mitosis has four phases.';
+const PAGE_TWO = 'Meiosis halves the chromosomes.';
+const TEXT = `${PAGE_ONE}\n${PAGE_TWO}`;
+
+describe('documentStorageService', () => {
+    let directory;
+    let upload;
+
+    beforeAll(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'document-storage-'));
+        configService.config.documentStoragePath = path.join(directory, 'documents');
+        upload = path.join(directory, 'upload');
+        fs.writeFileSync(upload, TEXT);
+
+        vectorDB.documents.set('cells', { id: 'cells', sessionId: 'alice', chunks: [], metadata: { filename: 'cells.txt' } });
+        documentStorage.pages.set('cells', documentStorage.pageRows(TEXT, [
+            { page: 1, start: 0, end: PAGE_ONE.length + 1 },
+            { page: 2, start: PAGE_ONE.length + 1, end: TEXT.length }
+        ]));
+    });
+
+    afterAll(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+    test('stores the same contents once, named by their hash', async () => {
+        const stored = await documentStorage.storeOriginal(upload, 'Cells.TXT');
+        const again = await documentStorage.storeOriginal(upload, 'copy of cells.txt');
+
+        expect(stored).toEqual({ hash: again.hash, extension: '.txt', size: TEXT.length });
+        expect(stored.hash).toMatch(/^[0-9a-f]{64}$/);
+        expect(fs.readdirSync(path.join(directory, 'documents', stored.hash.slice(0, 2)))).toEqual([`${stored.hash}.txt`]);
+        // The upload itself is left in place
+        expect(fs.existsSync(upload)).toBe(true);
+    });
+
+    test('serves an original only to the session that owns it', async () => {
+        const storage = await documentStorage.storeOriginal(upload, 'cells.txt');
+        vectorDB.documents.get('cells').metadata.storage = storage;
+
+        const original = documentStorage.getOriginal('alice', 'cells');
+        expect(original).toMatchObject({ filename: 'cells.txt', extension: '.txt', size: TEXT.length });
+        expect(fs.readFileSync(original.path, 'utf8')).toBe(TEXT);
+        expect(() => documentStorage.getOriginal('bob', 'cells')).toThrow('Document not found');
+
+        await documentStorage.removeOriginal(storage.hash, storage.extension);
+        expect(() => documentStorage.getOriginal('alice', 'cells')).toThrow('Original file not found');
+    });
+
+    test('keeps a document without pages as a single page', () => {
+        expect(documentStorage.pageRows('Short notes', null)).toEqual([
+            { page: 1, startOffset: 0, endOffset: 11, text: 'Short notes', ocrConfidence: null }
+        ]);
+    });
+
+    test('maps a passage onto the pages it covers', async () => {
+        const start = TEXT.indexOf('phases');
+        const end = TEXT.indexOf(' the');
+        const passage = await documentStorage.getPassage('alice', 'cells', start, end);
+
+        expect(passage).toMatchObject({ start, end, pageStart: 1, pageEnd: 2, text: 'phases.\n\n\nMeiosis halves' });
+        expect(passage.pages.map(page => page.text)).toEqual(['phases.\n', 'Meiosis halves']);
+        expect(passage.pages[1]).toMatchObject({ page: 2, startOffset: 0, endOffset: 14 });
+    });
+
+    test('rejects passages that are not a span of the document', async () => {
+        await expect(documentStorage.getPassage('alice', 'cells', 5, 5)).rejects.toThrow(/^Invalid passage/);
+        await expect(documentStorage.getPassage('alice', 'cells', -1, 5)).rejects.toThrow(/^Invalid passage/);
+        await expect(documentStorage.getPassage('alice', 'cells', '0', 5)).rejects.toThrow(/^Invalid passage/);
+        await expect(documentStorage.getPassage('alice', 'cells', 500, 600)).rejects.toThrow('Passage not found');
+        await expect(documentStorage.getPassage('bob', 'cells', 0, 5)).rejects.toThrow('Document not found');
+    });
+});
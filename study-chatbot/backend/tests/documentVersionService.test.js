@@ -0,0 +1,105 @@
+// Tables of contents are covered with section extraction; versions are
+// tested against a stand-in for the section service
+jest.mock('../src/services/sectionService', () => ({ tocs: new Map() }));
+
+const documentVersions = require('../src/services/documentVersionService');
+const learningFeatures = require('../src/services/learningFeatures');
+const vectorDB = require('../src/services/enhancedVectorDB_simplified');
+
+const addDocument = (id, sessionId, chunks) => {
+    const docData = { id, sessionId, chunks, embeddings: chunks.map(() => null), metadata: { filename: `${id}.txt`, originalname: `${id}.txt`, contentId: `${id}-v1` } };
+    vectorDB.documents.set(id, docData);
+    vectorDB.sessionDocuments.set(sessionId, [...(vectorDB.sessionDocuments.get(sessionId) || []), id]);
+    vectorDB.indexChunks(docData, [], null);
+};
+
+describe('documentVersionService', () => {
+    beforeEach(() => jest.spyOn(vectorDB, 'embedTexts').mockResolvedValue(null));
+
+    afterEach(() => jest.restoreAllMocks());
+
+    test('finds the passages added and removed between two texts', () => {
+        const { added, removed } = documentVersions.diffPassages(
+            'Enzymes speed up reactions. They are proteins.\nExam on Friday.',
+            'Enzymes speed up reactions.   They are proteins.\nExam on Monday.\nBring a calculator.'
+        );
+
+        expect(added).toEqual(['Exam on Monday.', 'Bring a calculator.']);
+        expect(removed).toEqual(['Exam on Friday.']);
+    });
+
+    test('maps unchanged and rechunked passages to their new chunks', () => {
+        const chunkMap = documentVersions.mapChunks(
+            ['Enzymes speed up reactions.', 'They are proteins. Most work best at 37 degrees.', 'Exam on Friday.'],
+            ['Exam on Monday.', 'Enzymes speed up reactions. They are proteins.', 'Most work best at 37 degrees.'],
+            'Enzymes speed up reactions. They are proteins. Most work best at 37 degrees. Exam on Monday.'
+        );
+
+        expect(chunkMap.get(0)).toEqual({ chunkIndex: 1, text: 'Enzymes speed up reactions. They are proteins.' });
+        expect(chunkMap.get(1).chunkIndex).toBe(1);
+        expect(chunkMap.get(2)).toBeNull();
+    });
+
+    test('lists an unrevised document as version 1, to its own session only', async () => {
+        addDocument('biology', 'alice', ['Enzymes speed up reactions.']);
+
+        expect(await documentVersions.getVersions('alice', 'biology')).toEqual([
+            expect.objectContaining({ version: 1, contentId: 'biology-v1', originalname: 'biology.txt', chunkCount: 1, changes: null })
+        ]);
+        await expect(documentVersions.getVersions('bob', 'biology')).rejects.toThrow('Document not found');
+        await expect(documentVersions.getChanges('alice', 'biology', 1)).rejects.toThrow(/^Invalid version/);
+        await expect(documentVersions.getVersion('alice', 'biology', 2)).rejects.toThrow('Version not found');
+    });
+
+    test('adds a version, reusing unchanged chunks and marking stale flashcards', async () => {
+        addDocument('chemistry', 'alice', ['Water boils at 100 degrees.', 'Exam on Friday.']);
+        learningFeatures.flashcards.set('alice', [{
+            id: 'set-1',
+            flashcards: [
+                { front: 'Boiling point?', sourceChunk: { documentId: 'chemistry', chunkIndex: 0 } },
+                { front: 'Exam day?', sourceChunk: { documentId: 'chemistry', chunkIndex: 1 } }
+            ]
+        }]);
+
+        const record = await documentVersions.addVersion('alice', 'chemistry', {
+            contentId: 'chemistry-v2',
+            processed: {
+                text: 'Exam on Monday.\nWater boils at 100 degrees.',
+                chunks: ['Exam on Monday.', 'Water boils at 100 degrees.'],
+                chunkCount: 2
+            },
+            metadata: { filename: 'chemistry.txt', originalname: 'chemistry.txt', contentId: 'chemistry-v2' }
+        });
+
+        expect(record).toMatchObject({
+            version: 2,
+            chunkCount: 2,
+            changes: {
+                chunks: { reused: 1, embedded: 1, retired: 2 },
+                passages: { added: 1, removed: 1 },
+                stale: { flashcards: 1, questions: 0 },
+                added: ['Exam on Monday.'],
+                removed: ['Exam on Friday.']
+            }
+        });
+        expect(vectorDB.documents.get('chemistry').chunks).toEqual(['Exam on Monday.', 'Water boils at 100 degrees.']);
+
+        const [boiling, exam] = learningFeatures.flashcards.get('alice')[0].flashcards;
+        expect(boiling.sourceChunk.chunkIndex).toBe(1);
+        expect(boiling.stale).toBeUndefined();
+        expect(exam.stale).toMatchObject({ version: 2 });
+
+        expect((await documentVersions.getVersions('alice', 'chemistry')).map(version => version.version)).toEqual([1, 2]);
+    });
+
+    test('rejects a version identical to the current one', async () => {
+        addDocument('physics', 'alice', ['Force is mass times acceleration.']);
+
+        await expect(documentVersions.addVersion('alice', 'physics', {
+            contentId: 'physics-v1',
+            processed: { text: 'Force is mass times acceleration.', chunks: ['Force is mass times acceleration.'], chunkCount: 1 },
+            metadata: { filename: 'physics.txt', contentId: 'physics-v1' }
+        })).rejects.toThrow(/^Invalid version: the file is identical/);
+        await expect(documentVersions.addVersion('bob', 'physics', {})).rejects.toThrow('Document not found');
+    });
+});
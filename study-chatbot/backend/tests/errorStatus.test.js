@@ -0,0 +1,19 @@
+const { statusFor } = require('../src/utils/errorStatus');
+
+describe('statusFor', () => {
+    test.each([
+        ['Access denied: session a may not read the documents of session b', 403],
+        ['Invalid includeSessions: must be an array of session IDs', 400],
+        ['Section not found: Chapter 9', 404],
+        ['Job not found', 404],
+        ['Failed to process question: Access denied: session a may not read the documents of session b', 403],
+        ['Failed to get relevant context: Invalid session ID: library documents are searched by attaching the library', 400],
+        ['Embedding provider timed out', 500]
+    ])('maps "%s" to %i', (message, status) => {
+        expect(statusFor(new Error(message))).toBe(status);
+    });
+
+    test('ignores the same words in the middle of other messages', () => {
+        expect(statusFor(new Error('Model returned an Invalid JSON payload'))).toBe(500);
+    });
+});
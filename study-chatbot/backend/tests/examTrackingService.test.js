@@ -0,0 +1,89 @@
+const examTracking = require('../src/services/examTrackingService');
+const learningFeatures = require('../src/services/learningFeatures');
+const vectorDB = require('../src/services/enhancedVectorDB_simplified');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const examIn = (days, details = {}) => examTracking.createExam('alice', {
+    title: 'Biology midterm',
+    examDate: new Date(Date.now() + days * DAY_MS).toISOString(),
+    topics: ['Photosynthesis', 'Cell respiration'],
+    ...details
+});
+
+const gradedQuiz = (...questions) => ({
+    attempts: [{ submittedAt: new Date().toISOString(), gradedQuestions: questions }]
+});
+
+describe('examTrackingService exam details', () => {
+    beforeAll(() => {
+        vectorDB.documents.set('alice-notes', { id: 'alice-notes', sessionId: 'alice', chunks: [], metadata: {} });
+        vectorDB.documents.set('bob-notes', { id: 'bob-notes', sessionId: 'bob', chunks: [], metadata: {} });
+    });
+
+    test('trims and deduplicates topics', () => {
+        expect(examIn(10, { topics: [' Photosynthesis ', 'Photosynthesis', 'Enzymes'] }).topics).toEqual(['Photosynthesis', 'Enzymes']);
+    });
+
+    test('rejects topics that are not non-empty strings', () => {
+        expect(() => examIn(10, { topics: [] })).toThrow(/^Invalid exam: at least one/);
+        expect(() => examIn(10, { topics: ['Enzymes', '  '] })).toThrow(/^Invalid exam: topics/);
+        expect(() => examIn(10, { topics: [{ name: 'Enzymes' }] })).toThrow(/^Invalid exam: topics/);
+        expect(() => examIn(10, { topics: [42] })).toThrow(/^Invalid exam: topics/);
+    });
+
+    test('links only documents the session can read', () => {
+        expect(examIn(10, { documentIds: ['alice-notes'] }).documentIds).toEqual(['alice-notes']);
+        expect(() => examIn(10, { documentIds: ['bob-notes'] })).toThrow(/^Invalid exam: document bob-notes/);
+        expect(() => examIn(10, { documentIds: ['missing'] })).toThrow(/^Invalid exam: document missing/);
+        expect(() => examIn(10, { documentIds: [{ id: 'alice-notes' }] })).toThrow(/^Invalid exam: documentIds/);
+        expect(() => examIn(10, { documentIds: 'alice-notes' })).toThrow(/^Invalid exam: documentIds/);
+    });
+
+    test('validates changes to an exam the same way', () => {
+        const exam = examIn(10);
+
+        expect(() => examTracking.updateExam('alice', exam.id, { documentIds: ['bob-notes'] })).toThrow(/^Invalid exam/);
+        expect(() => examTracking.updateExam('bob', exam.id, { title: 'Renamed' })).toThrow('Exam not found');
+        expect(examTracking.getExam('alice', exam.id).documentIds).toEqual([]);
+    });
+});
+
+describe('examTrackingService readiness', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    test('counts down to the exam', () => {
+        const now = new Date('2026-03-01T09:00:00Z');
+        const exam = { examDate: '2026-03-04T09:00:00Z' };
+
+        expect(examTracking.getCountdown(exam, now)).toMatchObject({ daysRemaining: 3, status: 'upcoming' });
+        expect(examTracking.getCountdown(exam, new Date('2026-03-04T08:00:00Z')).status).toBe('today');
+        expect(examTracking.getCountdown(exam, new Date('2026-03-05T09:00:00Z'))).toMatchObject({ daysRemaining: 0, status: 'past' });
+    });
+
+    test('scores each topic from the quiz answers that cover it', () => {
+        jest.spyOn(learningFeatures, 'getSessionLearningContent').mockReturnValue({
+            quizzes: [gradedQuiz(
+                { concept: 'Photosynthesis', question: 'Where does photosynthesis take place?', isCorrect: true },
+                { concept: 'Photosynthesis', question: 'What does photosynthesis produce?', isCorrect: true },
+                { concept: 'Cell respiration', question: 'Where does cell respiration happen?', isCorrect: false }
+            )]
+        });
+
+        const readiness = examTracking.getReadiness(examIn(10));
+        const [photosynthesis, respiration] = readiness.topics;
+
+        expect(photosynthesis).toMatchObject({ score: 100, questionsAnswered: 2, status: 'ready', studyDaysNeeded: 0 });
+        expect(respiration).toMatchObject({ score: 0, questionsAnswered: 1, status: 'in_progress', studyDaysNeeded: 4 });
+        expect(readiness).toMatchObject({ readinessScore: 50, coverage: 100, topicsReady: 1, atRiskTopics: [] });
+    });
+
+    test('flags topics whose study time no longer fits before the exam', () => {
+        jest.spyOn(learningFeatures, 'getSessionLearningContent').mockReturnValue({ quizzes: [] });
+
+        const readiness = examTracking.getReadiness(examIn(5));
+
+        expect(readiness.topics.map(topic => topic.status)).toEqual(['not_started', 'not_started']);
+        expect(readiness.atRiskTopics).toEqual(['Cell respiration']);
+    });
+});
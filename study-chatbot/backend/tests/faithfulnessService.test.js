@@ -0,0 +1,77 @@
+const faithfulness = require('../src/services/faithfulnessService');
+const llm = require('../src/services/llm');
+
+const CONTEXTS = [
+    { text: 'Mitochondria produce ATP through cellular respiration. They have their own DNA.' },
+    { text: 'The Krebs cycle runs in the mitochondrial matrix. It yields 2 ATP per glucose.' }
+];
+
+describe('faithfulnessService', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    test('splits an answer into claims without headings, questions, citations or remarks', () => {
+        const answer = [
+            '## Summary:',
+            '- **Mitochondria** produce ATP through cellular respiration [1].',
+            'Why does this matter? The Krebs cycle runs in the matrix.',
+            'The provided context does not mention chloroplasts.',
+            'This is important.'
+        ].join('\n');
+
+        expect(faithfulness.splitClaims(answer)).toEqual([
+            'Mitochondria produce ATP through cellular respiration.',
+            'The Krebs cycle runs in the matrix.'
+        ]);
+    });
+
+    test('labels claims with lexical evidence from the context', async () => {
+        const result = await faithfulness.verify(
+            'Mitochondria produce ATP through cellular respiration. The Krebs cycle yields 36 ATP per glucose. Photosynthesis takes place in chloroplasts.',
+            CONTEXTS,
+            { strategy: 'lexical' }
+        );
+
+        expect(result.claims.map(claim => claim.label)).toEqual(['supported', 'partially_supported', 'unsupported']);
+        expect(result.claims[0].evidence).toEqual({
+            contextIndex: 0,
+            text: 'Mitochondria produce ATP through cellular respiration.',
+            start: 0,
+            end: 54
+        });
+        expect(result.claims[2].evidence).toBeNull();
+        expect(result).toMatchObject({ verifier: 'lexical', supported: 1, partiallySupported: 1, unsupported: 1, score: 0.5 });
+    });
+
+    test('does not verify when the verifier is off', async () => {
+        expect(await faithfulness.verify('Mitochondria produce ATP.', CONTEXTS, { strategy: 'none' })).toBeNull();
+    });
+
+    test('keeps LLM labels and replaces a quote that is not in the passage', async () => {
+        const generateJSON = jest.fn().mockResolvedValue({
+            data: [
+                { claim: 1, label: 'supported', passage: 2, evidence: 'It yields 2 ATP per glucose.' },
+                { claim: 2, label: 'partially_supported', passage: 1, evidence: 'Mitochondria are organelles.' }
+            ]
+        });
+        jest.spyOn(llm, 'forFeature').mockReturnValue({ generateJSON });
+
+        const result = await faithfulness.verify(
+            'The Krebs cycle yields 2 ATP per glucose. They keep their own circular DNA.',
+            CONTEXTS,
+            { strategy: 'llm' }
+        );
+
+        expect(llm.forFeature).toHaveBeenCalledWith('analysis');
+        expect(result.verifier).toBe('llm');
+        expect(result.claims[0]).toMatchObject({ label: 'supported', evidence: { contextIndex: 1, start: 50, text: 'It yields 2 ATP per glucose.' } });
+        expect(result.claims[1]).toMatchObject({ label: 'partially_supported', evidence: { contextIndex: 0, text: 'They have their own DNA.' } });
+    });
+
+    test('falls back to lexical when the LLM verifier fails', async () => {
+        jest.spyOn(llm, 'forFeature').mockReturnValue({ generateJSON: jest.fn().mockResolvedValue({ data: null }) });
+
+        const result = await faithfulness.verify('Mitochondria produce ATP through cellular respiration.', CONTEXTS, { strategy: 'llm' });
+
+        expect(result).toMatchObject({ verifier: 'lexical', supported: 1, score: 1 });
+    });
+});
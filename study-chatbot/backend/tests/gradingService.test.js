@@ -0,0 +1,79 @@
+const grading = require('../src/services/gradingService');
+const llm = require('../src/services/llm');
+
+const shortAnswer = {
+    type: 'short_answer',
+    question: 'What does photosynthesis produce?',
+    correct_answer: 'Photosynthesis produces glucose and oxygen.'
+};
+
+describe('gradingService objective questions', () => {
+    const question = { type: 'multiple_choice', options: ['A) Paris', 'B) Rome', 'C) Madrid'], correct_answer: 'B', points: 2 };
+
+    test.each(['B', 'b', 'B) Rome', 'rome', ' Rome. '])('accepts %p for the right option', async (answer) => {
+        expect(await grading.gradeAnswer(question, answer)).toMatchObject({ isCorrect: true, points: 2, credit: 1, grader: 'exact' });
+    });
+
+    test('rejects another option or no answer', async () => {
+        expect((await grading.gradeAnswer(question, 'A')).isCorrect).toBe(false);
+        expect((await grading.gradeAnswer(question, '')).isCorrect).toBe(false);
+    });
+
+    test('matches true/false answers however they are spelled', async () => {
+        const statement = { type: 'true_false', correct_answer: 'True' };
+
+        expect((await grading.gradeAnswer(statement, 'yes')).isCorrect).toBe(true);
+        expect((await grading.gradeAnswer(statement, 'F')).isCorrect).toBe(false);
+        expect((await grading.gradeAnswer(statement, 'maybe')).isCorrect).toBe(false);
+    });
+});
+
+describe('gradingService free-text answers', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    test('gives full credit for an answer that covers the expected one', async () => {
+        const result = await grading.gradeAnswer(shortAnswer, 'It produces oxygen and glucose.', { useModel: false });
+
+        expect(result).toMatchObject({ isCorrect: true, credit: 1, grader: 'rule', feedback: 'Correct!' });
+    });
+
+    test('gives credit per rubric criterion', async () => {
+        const question = {
+            ...shortAnswer,
+            rubric: [{ criterion: 'Mentions glucose', points: 1 }, { criterion: 'Mentions oxygen', points: 1 }]
+        };
+        const result = await grading.gradeAnswer(question, 'Glucose, used for energy.', { useModel: false });
+
+        expect(result).toMatchObject({ points: 1, maxPoints: 2, credit: 0.5, isCorrect: false });
+        expect(result.criteria.map(criterion => criterion.feedback)).toEqual(['Covered.', 'Not addressed.']);
+    });
+
+    test('scores an empty answer zero without asking the model', async () => {
+        const forFeature = jest.spyOn(llm, 'forFeature');
+
+        expect(await grading.gradeAnswer(shortAnswer, '   ', { useModel: true })).toMatchObject({ points: 0, credit: 0, isCorrect: false });
+        expect(forFeature).not.toHaveBeenCalled();
+    });
+
+    test('caps the model\'s points at each criterion\'s maximum', async () => {
+        const generateJSON = jest.fn().mockResolvedValue({ data: { criteria: [{ criterion: 1, points: 5, feedback: 'Good' }], feedback: 'Well done' } });
+        jest.spyOn(llm, 'forFeature').mockReturnValue({ generateJSON });
+
+        const result = await grading.gradeAnswer(shortAnswer, 'Sugar and O2.', { useModel: true });
+
+        expect(result).toMatchObject({ points: 1, maxPoints: 1, grader: 'llm', feedback: 'Well done' });
+    });
+
+    test('falls back to the rule-based grader when the model\'s grading is unusable', async () => {
+        jest.spyOn(llm, 'forFeature').mockReturnValue({ generateJSON: jest.fn().mockResolvedValue({ data: null }) });
+
+        expect((await grading.gradeAnswer(shortAnswer, 'Oxygen and glucose.', { useModel: true })).grader).toBe('rule');
+    });
+
+    test('derives an essay rubric that rewards development', () => {
+        const rubric = grading.getRubric({ type: 'essay', correct_answer: 'Cells divide by mitosis. Meiosis makes gametes.' });
+
+        expect(rubric.map(item => item.points)).toEqual([2, 2, 2]);
+        expect(rubric[2].criterion).toMatch(/^Develops/);
+    });
+});
@@ -0,0 +1,63 @@
+const vectorDB = require('../src/services/enhancedVectorDB_simplified');
+const configService = require('../src/services/configService');
+
+const addDocument = (id, sessionId, chunks) => {
+    const docData = { id, sessionId, chunks, embeddings: chunks.map(() => null), metadata: { filename: `${id}.txt` } };
+    vectorDB.documents.set(id, docData);
+    vectorDB.sessionDocuments.set(sessionId, [...(vectorDB.sessionDocuments.get(sessionId) || []), id]);
+    vectorDB.indexChunks(docData, [], null);
+};
+
+describe('hybridSearch reciprocal-rank fusion', () => {
+    const rrfK = configService.config.rrfK;
+
+    beforeAll(() => {
+        addDocument('notes', 'session', [
+            'Osmosis moves water across a membrane',
+            'Osmosis and diffusion both move molecules down a gradient; osmosis is about water',
+            'Active transport needs energy'
+        ]);
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    test('fuses the BM25 and dense rankings by reciprocal rank', async () => {
+        // Dense retrieval ranks the third chunk first and the first second
+        jest.spyOn(vectorDB, 'denseSearch').mockResolvedValue([
+            { chunkId: 'notes_2', score: 0.9 },
+            { chunkId: 'notes_0', score: 0.8 }
+        ]);
+
+        const results = await vectorDB.semanticSearch('osmosis water', 'session', 10);
+        const byChunk = new Map(results.map(result => [result.chunkIndex, result]));
+
+        const first = byChunk.get(0).scores;
+        expect(first.bm25Rank).not.toBeNull();
+        expect(first.denseRank).toBe(2);
+        expect(first.rrf).toBeCloseTo(1 / (rrfK + first.bm25Rank) + 1 / (rrfK + 2));
+        expect(byChunk.get(0).retrieval).toBe('hybrid');
+        expect(byChunk.get(0).similarity).toBe(0.8);
+
+        expect(byChunk.get(2).retrieval).toBe('dense');
+        expect(byChunk.get(2).scores.rrf).toBeCloseTo(1 / (rrfK + 1));
+        expect(byChunk.get(1).retrieval).toBe('bm25');
+
+        // Found by both retrievers, the first chunk outranks chunks found by one
+        expect(results[0].chunkIndex).toBe(0);
+        expect(results.map(result => result.scores.rrf)).toEqual([...results.map(result => result.scores.rrf)].sort((a, b) => b - a));
+    });
+
+    test('keyword search skips dense retrieval', async () => {
+        const denseSearch = jest.spyOn(vectorDB, 'denseSearch');
+
+        const results = await vectorDB.keywordSearch('osmosis', 'session', 10);
+
+        expect(denseSearch).not.toHaveBeenCalled();
+        expect(results.every(result => result.retrieval === 'bm25' && result.scores.dense === null)).toBe(true);
+        expect(results[0].similarity).toBe(1);
+    });
+
+    test('an empty query finds nothing', async () => {
+        expect(await vectorDB.keywordSearch('   ', 'session', 10)).toEqual([]);
+    });
+});
@@ -0,0 +1,117 @@
+const path = require('path');
+
+// Processing itself is covered elsewhere; the queue is tested against a stand-in
+jest.mock('../src/services/documentService', () => ({
+    ingestFile: jest.fn(),
+    registerDocuments: jest.fn()
+}));
+
+const documentService = require('../src/services/documentService');
+const configService = require('../src/services/configService');
+const ingestionQueue = require('../src/services/ingestionQueue');
+
+const upload = (name) => ({
+    filename: name,
+    originalname: name,
+    mimetype: 'text/plain',
+    size: 12,
+    path: path.join(__dirname, 'uploads-that-do-not-exist', name)
+});
+
+const finished = (jobId) => new Promise(resolve => {
+    const onUpdate = job => {
+        if (job.id === jobId && ingestionQueue.isFinished(job)) {
+            ingestionQueue.off('update', onUpdate);
+            resolve(job);
+        }
+    };
+    ingestionQueue.on('update', onUpdate);
+});
+
+const processed = (documentId) => ({ documentId, chunkCount: 1, wordCount: 2 });
+
+describe('ingestionQueue', () => {
+    beforeEach(() => {
+        Object.assign(configService.config, { ingestionConcurrency: 1, ingestionMaxRetries: 0, ingestionWorkerThreads: false });
+        documentService.ingestFile.mockReset();
+        documentService.registerDocuments.mockReset();
+    });
+
+    test('processes the files of a job and reports them without server paths', async () => {
+        documentService.ingestFile.mockImplementation(async file => processed(`doc-${file.originalname}`));
+
+        const { id } = ingestionQueue.enqueue('alice', [upload('a.txt'), upload('b.txt')]);
+        const job = await finished(id);
+
+        expect(job.status).toBe('completed');
+        expect(job.progress).toMatchObject({ percent: 100, completedFiles: 2 });
+        expect(job.files.map(file => file.result.documentId)).toEqual(['doc-a.txt', 'doc-b.txt']);
+        expect(job.files.every(file => !('path' in file))).toBe(true);
+        expect(documentService.registerDocuments).toHaveBeenCalledTimes(2);
+    });
+
+    test('reports a job only to the session that queued it', async () => {
+        documentService.ingestFile.mockResolvedValue(processed('doc'));
+
+        const { id } = ingestionQueue.enqueue('alice', [upload('a.txt')]);
+        await finished(id);
+
+        expect(ingestionQueue.getJob(id, 'alice').id).toBe(id);
+        expect(() => ingestionQueue.getJob(id, 'bob')).toThrow('Job not found');
+        expect(() => ingestionQueue.cancelJob(id, 'bob')).toThrow('Job not found');
+        expect(ingestionQueue.getSessionJobs('bob').map(job => job.id)).not.toContain(id);
+    });
+
+    test('fails a file after one attempt when retries are disabled', async () => {
+        documentService.ingestFile.mockRejectedValue(new Error('Embedding service unavailable'));
+
+        const { id } = ingestionQueue.enqueue('alice', [upload('a.txt')]);
+        const job = await finished(id);
+
+        expect(job.status).toBe('failed');
+        expect(job.files[0]).toMatchObject({ status: 'failed', attempts: 1 });
+    });
+
+    test('retries a failed file up to INGESTION_MAX_RETRIES times', async () => {
+        configService.config.ingestionMaxRetries = 1;
+        documentService.ingestFile
+            .mockRejectedValueOnce(new Error('Embedding service unavailable'))
+            .mockResolvedValueOnce(processed('doc'));
+
+        const { id } = ingestionQueue.enqueue('alice', [upload('a.txt')]);
+        const job = await finished(id);
+
+        expect(job.status).toBe('completed');
+        expect(job.files[0].attempts).toBe(2);
+        expect(job.files[0].errors.map(error => error.message)).toEqual(['Embedding service unavailable']);
+    });
+
+    test('does not retry failures a retry cannot fix', async () => {
+        configService.config.ingestionMaxRetries = 3;
+        documentService.ingestFile.mockRejectedValue(new Error('Unsupported file type: .doc'));
+
+        const { id } = ingestionQueue.enqueue('alice', [upload('a.doc')]);
+        const job = await finished(id);
+
+        expect(job.files[0]).toMatchObject({ status: 'failed', attempts: 1 });
+    });
+
+    test('cancels a job still waiting for a running one', async () => {
+        let release;
+        documentService.ingestFile
+            .mockImplementationOnce(() => new Promise(resolve => { release = () => resolve(processed('first')); }))
+            .mockResolvedValue(processed('second'));
+
+        const first = ingestionQueue.enqueue('alice', [upload('a.txt')]);
+        const second = ingestionQueue.enqueue('alice', [upload('b.txt')]);
+        expect(ingestionQueue.getJob(second.id, 'alice').status).toBe('queued');
+
+        const cancelled = ingestionQueue.cancelJob(second.id, 'alice');
+        expect(cancelled.status).toBe('cancelled');
+        expect(cancelled.files[0].status).toBe('cancelled');
+
+        release();
+        expect((await finished(first.id)).status).toBe('completed');
+        expect(documentService.ingestFile).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,61 @@
+const libraryService = require('../src/services/libraryService');
+const vectorDB = require('../src/services/enhancedVectorDB_simplified');
+
+describe('libraryService', () => {
+    test('creates a library without returning the owner token hash', () => {
+        const { library, ownerToken } = libraryService.createLibrary({ name: '  Biology 101 ', description: ' ' });
+
+        expect(ownerToken).toMatch(/^[0-9a-f]{64}$/);
+        expect(library).toMatchObject({ name: 'Biology 101', description: null, documentCount: 0, sessionCount: 0 });
+        expect(library).not.toHaveProperty('ownerTokenHash');
+        expect(libraryService.listLibraries().map(entry => entry.id)).toContain(library.id);
+    });
+
+    test('requires a name', () => {
+        expect(() => libraryService.createLibrary({ name: '   ' })).toThrow(/^Invalid name/);
+        expect(() => libraryService.createLibrary({ name: 'x'.repeat(256) })).toThrow(/^Invalid name/);
+        expect(() => libraryService.getLibrary('missing')).toThrow('Library not found');
+    });
+
+    test('lets only the owner token change the library', () => {
+        const { library, ownerToken } = libraryService.createLibrary({ name: 'Chemistry' });
+        const other = libraryService.createLibrary({ name: 'Physics' });
+
+        expect(libraryService.requireOwner(library.id, ownerToken).id).toBe(library.id);
+        expect(() => libraryService.requireOwner(library.id)).toThrow(/^Access denied/);
+        expect(() => libraryService.requireOwner(library.id, other.ownerToken)).toThrow(/^Access denied/);
+        expect(() => libraryService.requireOwner('missing', ownerToken)).toThrow('Library not found');
+    });
+
+    test('attaches a library to a session once and detaches it', () => {
+        const { library } = libraryService.createLibrary({ name: 'History' });
+
+        libraryService.attach('alice', library.id);
+        expect(libraryService.attach('alice', library.id).sessionCount).toBe(1);
+        expect(libraryService.attachedKeys('alice')).toEqual([libraryService.libraryKey(library.id)]);
+        expect(libraryService.attachedLibraries('alice').map(entry => entry.name)).toEqual(['History']);
+
+        expect(libraryService.detach('alice', library.id)).toBe(true);
+        expect(libraryService.detach('alice', library.id)).toBe(false);
+        expect(libraryService.attachedKeys('alice')).toEqual([]);
+    });
+
+    test('cannot attach a library to a library key or a missing library', () => {
+        const { library } = libraryService.createLibrary({ name: 'Art' });
+
+        expect(() => libraryService.attach(libraryService.libraryKey(library.id), library.id)).toThrow(/^Invalid session/);
+        expect(() => libraryService.attach(null, library.id)).toThrow(/^Invalid session/);
+        expect(() => libraryService.attach('alice', 'missing')).toThrow('Library not found');
+    });
+
+    test('names the library a document belongs to', () => {
+        const { library } = libraryService.createLibrary({ name: 'Geology' });
+        vectorDB.documents.set('rocks', { id: 'rocks', sessionId: libraryService.libraryKey(library.id), chunks: [], metadata: {} });
+        vectorDB.sessionDocuments.set(libraryService.libraryKey(library.id), ['rocks']);
+        vectorDB.documents.set('my-rocks', { id: 'my-rocks', sessionId: 'alice', chunks: [], metadata: {} });
+
+        expect(libraryService.libraryOf('rocks')).toEqual({ id: library.id, name: 'Geology' });
+        expect(libraryService.libraryOf('my-rocks')).toBeNull();
+        expect(libraryService.getLibrary(library.id).documentCount).toBe(1);
+    });
+});
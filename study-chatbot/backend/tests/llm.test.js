@@ -0,0 +1,87 @@
+const configService = require('../src/services/configService');
+const llm = require('../src/services/llm');
+const FakeProvider = require('../src/services/llm/fakeProvider');
+const { LLMProvider, parseJSONResponse } = require('../src/services/llm/baseProvider');
+
+describe('llm provider resolution', () => {
+    let savedConfig;
+
+    beforeEach(() => {
+        savedConfig = { llmProvider: configService.config.llmProvider, llmFeatureProviders: { ...configService.config.llmFeatureProviders } };
+        Object.assign(configService.config, { llmProvider: 'fake', llmFeatureProviders: {} });
+    });
+
+    afterEach(() => Object.assign(configService.config, savedConfig));
+
+    test('uses LLM_PROVIDER unless a feature overrides it', () => {
+        llm.setFeatureProvider('rerank', 'fake:reranker');
+
+        expect(llm.forFeature('qa').describe()).toEqual({ provider: 'fake', model: 'fake-llm' });
+        expect(llm.forFeature('rerank').describe()).toEqual({ provider: 'fake', model: 'reranker' });
+        expect(() => llm.setFeatureProvider('poetry', 'fake')).toThrow(/^Unknown LLM feature/);
+    });
+
+    test('splits the provider from a model name that contains colons', () => {
+        llm.registerProvider('echo', model => new (class extends LLMProvider {})('echo', model));
+
+        expect(llm.getProvider('echo:llama3.1:8b').model).toBe('llama3.1:8b');
+        expect(llm.getProvider('fake')).toBe(llm.getProvider('fake'));
+    });
+
+    test('reports an unknown provider instead of falling back', () => {
+        llm.setFeatureProvider('qa', 'nonexistent');
+
+        expect(() => llm.forFeature('qa')).toThrow(/^Unknown LLM provider "nonexistent"/);
+        expect(llm.isConfigured('qa')).toBe(false);
+        expect(llm.describe().qa).toMatchObject({ spec: 'nonexistent', error: expect.stringMatching(/^Unknown LLM provider/) });
+    });
+});
+
+describe('FakeProvider', () => {
+    test('answers from the prompt\'s own context', async () => {
+        const provider = new FakeProvider();
+        const prompt = 'CONTEXT:\nMitochondria produce most of the energy a cell uses. Ribosomes build proteins.\n\nQUESTION: What do mitochondria produce?';
+
+        expect(await provider.generate(prompt)).toBe('Mitochondria produce most of the energy a cell uses.');
+    });
+
+    test('prefers scripted responses, latest first', async () => {
+        const provider = new FakeProvider()
+            .respondWith('grade', 'first')
+            .respondWith(/grade/, { score: 3 });
+
+        expect(await provider.generate('Please grade this answer')).toBe('{"score":3}');
+        expect(provider.calls).toHaveLength(1);
+    });
+
+    test('fills JSON requests from the example in the prompt', async () => {
+        const { data } = await new FakeProvider().generateJSON('Format as JSON: {"verdict": "supported|unsupported", "confidence": 0.5, // 0-1\n}');
+
+        expect(data).toEqual({ verdict: 'supported', confidence: 0.5 });
+    });
+
+    test('embeds deterministically, with similar texts closer together', async () => {
+        const provider = new FakeProvider({ dimension: 64 });
+        const [a, b, c] = await provider.embed(['enzymes speed up reactions', 'enzymes speed up chemical reactions', 'the french revolution']);
+        const dot = (x, y) => x.reduce((sum, value, i) => sum + value * y[i], 0);
+
+        expect(a).toHaveLength(64);
+        expect(await provider.embed(['enzymes speed up reactions'])).toEqual([a]);
+        expect(dot(a, b)).toBeGreaterThan(dot(a, c));
+    });
+
+    test('stops when the request is aborted', async () => {
+        const controller = new AbortController();
+        controller.abort();
+
+        await expect(new FakeProvider().generate('anything', { signal: controller.signal })).rejects.toThrow('The operation was aborted');
+    });
+});
+
+describe('parseJSONResponse', () => {
+    test('tolerates markdown fences and prose around the payload', () => {
+        expect(parseJSONResponse('```json\n{"a": 1}\n```')).toEqual({ a: 1 });
+        expect(parseJSONResponse('Sure! Here it is: [1, 2] Hope that helps.')).toEqual([1, 2]);
+        expect(parseJSONResponse('no json here')).toBeNull();
+    });
+});
@@ -0,0 +1,72 @@
+const mastery = require('../src/services/masteryService');
+
+let sessionCount = 0;
+const newSession = () => `mastery-session-${++sessionCount}`;
+
+describe('masteryService', () => {
+    test('weights recent evidence most', () => {
+        const sessionId = newSession();
+
+        mastery.recordEvidence(sessionId, { concept: 'Osmosis', credit: 0, activity: 'quiz' });
+        const concept = mastery.recordEvidence(sessionId, { concept: 'osmosis!', credit: 1, activity: 'flashcard' });
+
+        expect(concept).toMatchObject({ mastery: 0.35, evidenceCount: 2, quizAnswers: 1, flashcardReviews: 1 });
+    });
+
+    test('needs enough evidence before a concept counts as mastered', () => {
+        const sessionId = newSession();
+
+        mastery.recordEvidence(sessionId, { concept: 'Mitosis', credit: 1 });
+        expect(mastery.getConcepts(sessionId)[0].status).toBe('learning');
+
+        mastery.recordEvidence(sessionId, { concept: 'Mitosis', credit: 1 });
+        mastery.recordEvidence(sessionId, { concept: 'Mitosis', credit: 1 });
+        expect(mastery.getConcepts(sessionId)[0].status).toBe('mastered');
+        expect(mastery.getWeakConcepts(sessionId)).toEqual([]);
+    });
+
+    test('lists weak concepts weakest first', () => {
+        const sessionId = newSession();
+        mastery.recordEvidence(sessionId, { concept: 'Meiosis', credit: 0.7 });
+        mastery.recordEvidence(sessionId, { concept: 'Enzymes', credit: 0.2 });
+
+        expect(mastery.getWeakConcepts(sessionId).map(concept => [concept.concept, concept.status])).toEqual([
+            ['Enzymes', 'struggling'],
+            ['Meiosis', 'learning']
+        ]);
+    });
+
+    test('targets quiz difficulty at recent scores, else at average mastery', () => {
+        const sessionId = newSession();
+
+        expect(mastery.getTargetDifficulty(sessionId)).toBe('easy');
+        expect(mastery.getTargetDifficulty(sessionId, [90, 80])).toBe('hard');
+        expect(mastery.getTargetDifficulty(sessionId, [60, 70])).toBe('medium');
+
+        mastery.recordEvidence(sessionId, { concept: 'Osmosis', credit: 0.9 });
+        expect(mastery.getTargetDifficulty(sessionId)).toBe('hard');
+    });
+
+    test('takes the concept from the item, its first tag or its question', () => {
+        expect(mastery.conceptOf({ concept: ' Krebs cycle ' })).toBe('Krebs cycle');
+        expect(mastery.conceptOf({ tags: ['Glycolysis'], question: 'Where does it happen?' })).toBe('Glycolysis');
+        expect(mastery.conceptOf({ tags: ['tag1'], question: 'The Golgi apparatus packages proteins.' })).toBe('golgi apparatus packages');
+    });
+
+    test('reports mastery per source document and forgets deleted ones', () => {
+        const sessionId = newSession();
+        mastery.recordEvidence(sessionId, { concept: 'Osmosis', credit: 0.4, documentId: 'cells', filename: 'cells.pdf' });
+        mastery.recordEvidence(sessionId, { concept: 'Rivers', credit: 1 });
+
+        const report = mastery.getReport(sessionId);
+        expect(report.summary).toMatchObject({ concepts: 2, struggling: 1, learning: 1, averageMastery: 0.7 });
+        expect(report.documents.map(doc => [doc.documentId, doc.notMastered])).toEqual([
+            ['cells', ['Osmosis']],
+            [null, ['Rivers']]
+        ]);
+
+        expect(mastery.removeDocument(sessionId, 'cells')).toBe(1);
+        expect(mastery.getReport(sessionId).documents.map(doc => doc.documentId)).toEqual([null]);
+        expect(mastery.getConcepts(sessionId).find(concept => concept.concept === 'Osmosis').mastery).toBe(0.4);
+    });
+});
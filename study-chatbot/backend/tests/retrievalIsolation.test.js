@@ -0,0 +1,69 @@
+const vectorDB = require('../src/services/enhancedVectorDB_simplified');
+const documentStorage = require('../src/services/documentStorageService');
+const libraryService = require('../src/services/libraryService');
+
+// Index a one-chunk document directly, without processing or embedding it
+const addDocument = (id, sessionId, text) => {
+    const docData = { id, sessionId, chunks: [text], embeddings: [null], metadata: { filename: `${id}.txt` } };
+    vectorDB.documents.set(id, docData);
+    vectorDB.sessionDocuments.set(sessionId, [...(vectorDB.sessionDocuments.get(sessionId) || []), id]);
+    vectorDB.indexChunks(docData, [], null);
+};
+
+const documentIds = results => results.map(result => result.documentId).sort();
+
+describe('retrieval isolation', () => {
+    let libraryKey;
+    let libraryId;
+
+    beforeAll(() => {
+        addDocument('alice-notes', 'alice', 'The quokka protocol encrypts every exam answer twice.');
+        addDocument('bob-notes', 'bob', 'Bob also wrote about the quokka protocol in his notes.');
+
+        libraryId = libraryService.createLibrary({ name: 'Security 101' }).library.id;
+        libraryKey = libraryService.libraryKey(libraryId);
+        addDocument('syllabus', libraryKey, 'Week seven covers the quokka protocol.');
+    });
+
+    test('a chunk filter matches the documents of the given sessions only', () => {
+        const isSearchable = vectorDB.createChunkFilter('alice', null);
+
+        expect(isSearchable(vectorDB.embeddings.get('alice-notes_0'))).toBe(true);
+        expect(isSearchable(vectorDB.embeddings.get('bob-notes_0'))).toBe(false);
+        expect(isSearchable(vectorDB.embeddings.get('syllabus_0'))).toBe(false);
+    });
+
+    test('no session, or an unknown one, matches nothing rather than everything', () => {
+        expect(vectorDB.getSessionDocumentIds(null).size).toBe(0);
+        expect(vectorDB.getSessionDocumentIds(undefined).size).toBe(0);
+        expect(vectorDB.getSessionDocumentIds('nobody').size).toBe(0);
+        expect(vectorDB.createChunkFilter(null, null)(vectorDB.embeddings.get('alice-notes_0'))).toBe(false);
+    });
+
+    test('selected documents of another session stay out of reach', () => {
+        const isSearchable = vectorDB.createChunkFilter('alice', ['bob-notes']);
+
+        expect(isSearchable(vectorDB.embeddings.get('bob-notes_0'))).toBe(false);
+    });
+
+    test('keyword search returns only the documents of the searched sessions', async () => {
+        expect(documentIds(await vectorDB.keywordSearch('quokka protocol', 'alice'))).toEqual(['alice-notes']);
+        expect(documentIds(await vectorDB.keywordSearch('quokka protocol', ['alice', libraryKey]))).toEqual(['alice-notes', 'syllabus']);
+        expect(await vectorDB.keywordSearch('quokka protocol', null)).toEqual([]);
+    });
+
+    test('documents are changed only by their own session', () => {
+        expect(documentStorage.getDocument('alice', 'alice-notes').id).toBe('alice-notes');
+        expect(() => documentStorage.getDocument('bob', 'alice-notes')).toThrow('Document not found');
+        expect(() => documentStorage.getDocument('alice', 'syllabus')).toThrow('Document not found');
+    });
+
+    test('library documents are readable only by sessions they are attached to', () => {
+        expect(() => documentStorage.getReadableDocument('alice', 'syllabus')).toThrow('Document not found');
+
+        libraryService.attach('alice', libraryId);
+        expect(documentStorage.getReadableDocument('alice', 'syllabus').id).toBe('syllabus');
+        expect(() => documentStorage.getReadableDocument('bob', 'syllabus')).toThrow('Document not found');
+        expect(() => documentStorage.getReadableDocument('alice', 'bob-notes')).toThrow('Document not found');
+    });
+});
@@ -0,0 +1,56 @@
+const vectorDB = require('../src/services/enhancedVectorDB_simplified');
+
+// Index a document directly, with a span and heading path per chunk
+const addDocument = (id, sessionId, chunks) => {
+    const docData = { id, sessionId, chunks: chunks.map(chunk => chunk.text), embeddings: chunks.map(() => null), metadata: { filename: `${id}.txt` } };
+    vectorDB.documents.set(id, docData);
+    vectorDB.sessionDocuments.set(sessionId, [...(vectorDB.sessionDocuments.get(sessionId) || []), id]);
+    vectorDB.indexChunks(docData, chunks, null);
+};
+
+const section = (documentId, start, end, path) => new Map([[documentId, { start, end, path }]]);
+
+describe('section-scoped retrieval', () => {
+    beforeAll(() => {
+        addDocument('biology', 'section-session', [
+            { text: 'Cells are the unit of life; osmosis is introduced later.', provenance: { startOffset: 0, endOffset: 100, headingPath: ['Cells'] } },
+            { text: 'Osmosis moves water across the cell membrane.', provenance: { startOffset: 100, endOffset: 200, headingPath: ['Cells', 'Membranes'] } },
+            { text: 'Respiration releases energy; osmosis plays no part.', provenance: { startOffset: 200, endOffset: 300, headingPath: ['Energy'] } }
+        ]);
+        addDocument('legacy', 'section-session', [
+            { text: 'Osmosis in plant roots.', provenance: { headingPath: ['Plants', 'Roots'] } },
+            { text: 'Osmosis in animal cells.', provenance: { headingPath: ['Animals'] } }
+        ]);
+    });
+
+    test('searches only the chunks within the section', async () => {
+        const results = await vectorDB.keywordSearch('osmosis', 'section-session', 10, ['biology'], section('biology', 100, 200, ['Cells', 'Membranes']));
+
+        expect(results.map(result => result.chunkIndex)).toEqual([1]);
+    });
+
+    test('a parent section covers its subsections', async () => {
+        const results = await vectorDB.keywordSearch('osmosis', 'section-session', 10, ['biology'], section('biology', 0, 200, ['Cells']));
+
+        expect(results.map(result => result.chunkIndex).sort()).toEqual([0, 1]);
+    });
+
+    test('a section shorter than a chunk still finds the chunk that holds it', () => {
+        const chunk = vectorDB.embeddings.get('biology_1');
+
+        expect(vectorDB.isInSection(chunk, section('biology', 120, 140, ['Cells', 'Membranes', 'Osmosis']))).toBe(true);
+        expect(vectorDB.isInSection(chunk, section('biology', 190, 260, ['Energy']))).toBe(false);
+    });
+
+    test('chunks without a span are placed by their heading path', async () => {
+        const results = await vectorDB.keywordSearch('osmosis', 'section-session', 10, ['legacy'], section('legacy', 0, 50, ['Plants']));
+
+        expect(results.map(result => result.text)).toEqual(['Osmosis in plant roots.']);
+    });
+
+    test('documents outside the scope are not searched', async () => {
+        const results = await vectorDB.keywordSearch('osmosis', 'section-session', 10, null, section('biology', 100, 200, ['Cells', 'Membranes']));
+
+        expect(results.map(result => result.documentId)).toEqual(['biology']);
+    });
+});
@@ -0,0 +1,93 @@
+const spacedRepetition = require('../src/services/spacedRepetitionService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const start = new Date('2026-01-01T00:00:00.000Z');
+
+// Review a new card with each grade in turn, on the day it falls due
+const reviewAll = (grades, scheduler) => {
+    let schedule = spacedRepetition.newSchedule(start);
+    let now = start;
+    for (const grade of grades) {
+        schedule = spacedRepetition.review(schedule, grade, now, scheduler).schedule;
+        now = new Date(schedule.due);
+    }
+    return schedule;
+};
+
+describe('spacedRepetitionService', () => {
+    test.each([
+        [1, 'again'], ['4', 'easy'], ['Good', 'good'], ['hard', 'hard'], [0, null], ['5', null], ['great', null]
+    ])('normalizes grade %p to %p', (grade, expected) => {
+        expect(spacedRepetition.normalizeGrade(grade)).toBe(expected);
+    });
+
+    describe('SM-2', () => {
+        test('schedules 1 day, 6 days, then the interval times the ease', () => {
+            expect(reviewAll(['good'], 'sm2').interval).toBe(1);
+            expect(reviewAll(['good', 'good'], 'sm2').interval).toBe(6);
+            expect(reviewAll(['good', 'good', 'good'], 'sm2')).toMatchObject({ interval: 15, ease: 2.5, repetitions: 3 });
+        });
+
+        test('adjusts the ease by grade', () => {
+            expect(reviewAll(['easy'], 'sm2').ease).toBe(2.6);
+            expect(reviewAll(['hard'], 'sm2').ease).toBe(2.36);
+        });
+
+        test('a lapse restarts the card and counts once it was learned', () => {
+            const schedule = reviewAll(['good', 'good', 'again'], 'sm2');
+
+            expect(schedule).toMatchObject({ interval: 1, repetitions: 0, lapses: 1, state: 'relearning' });
+            expect(reviewAll(['again'], 'sm2').lapses).toBe(0);
+        });
+
+        test('a lapse leaves the ease unchanged', () => {
+            expect(reviewAll(['good', 'good', 'again'], 'sm2').ease).toBe(2.5);
+            expect(reviewAll(['hard', 'again', 'again', 'again'], 'sm2').ease).toBe(2.36);
+        });
+
+        test('never lets the ease fall below 1.3', () => {
+            expect(reviewAll(Array(10).fill('hard'), 'sm2').ease).toBe(1.3);
+        });
+    });
+
+    describe('FSRS', () => {
+        test('starts a new card from the initial stability of its grade', () => {
+            const schedule = reviewAll(['good'], 'fsrs');
+
+            expect(schedule.stability).toBeCloseTo(3.7145);
+            expect(schedule.difficulty).toBeCloseTo(5.1618);
+            // At 90% desired retention the interval is the stability
+            expect(schedule.interval).toBe(4);
+            expect(schedule.due).toBe(new Date(start.getTime() + 4 * DAY_MS).toISOString());
+        });
+
+        test('grows stability with successful reviews and easier grades', () => {
+            const good = reviewAll(['good', 'good'], 'fsrs');
+            const easy = reviewAll(['good', 'easy'], 'fsrs');
+            const hard = reviewAll(['good', 'hard'], 'fsrs');
+
+            expect(good.stability).toBeGreaterThan(3.7145);
+            expect(easy.stability).toBeGreaterThan(good.stability);
+            expect(hard.stability).toBeLessThan(good.stability);
+            expect(easy.interval).toBeGreaterThan(good.interval);
+        });
+
+        test('a lapse lowers stability and raises difficulty', () => {
+            const before = reviewAll(['good', 'good'], 'fsrs');
+            const after = reviewAll(['good', 'good', 'again'], 'fsrs');
+
+            expect(after.stability).toBeLessThan(before.stability);
+            expect(after.difficulty).toBeGreaterThan(before.difficulty);
+            expect(after.interval).toBeLessThan(before.interval);
+            expect(after).toMatchObject({ lapses: 1, state: 'relearning' });
+        });
+
+        test('seeds the memory state of a card reviewed with SM-2 from its interval', () => {
+            const sm2 = reviewAll(['good', 'good'], 'sm2');
+            const { schedule } = spacedRepetition.review(sm2, 'good', new Date(sm2.due), 'fsrs');
+
+            expect(schedule.scheduler).toBe('fsrs');
+            expect(schedule.stability).toBeGreaterThan(sm2.interval);
+        });
+    });
+});
@@ -0,0 +1,52 @@
+const tableService = require('../src/services/tableService');
+
+const table = {
+    index: 0,
+    caption: 'Enzyme activity',
+    columns: ['Enzyme', 'Optimal pH', 'Rate'],
+    rows: [
+        { row: 1, cells: ['Amylase', '7', '120'] },
+        { row: 2, cells: ['Pepsin', '2', '80'] },
+        { row: 3, cells: ['Trypsin', '8', '95'] }
+    ]
+};
+
+describe('tableService.parseQuestion', () => {
+    test.each([
+        'Why does pepsin work best in the stomach?',
+        'How many steps does enzyme activity regulation involve?',
+        'What is the most important enzyme for digestion?',
+        'Does pepsin digest proteins?',
+        'How does trypsin differ from amylase?'
+    ])('leaves prose question "%s" to text retrieval', (question) => {
+        expect(tableService.parseQuestion(question, table)).toBeNull();
+    });
+
+    test('looks up the column a question names for the row it names', () => {
+        expect(tableService.parseQuestion('What is the optimal pH of pepsin?', table)).toEqual({
+            operation: 'lookup',
+            label: 'lookup',
+            column: 1,
+            filters: [{ column: 0, op: '=', value: 'Pepsin' }]
+        });
+    });
+
+    test('returns a whole row only when the question asks for it', () => {
+        expect(tableService.parseQuestion('Show the row for trypsin', table)).toMatchObject({ operation: 'lookup', column: null });
+    });
+
+    test.each([
+        ['Which enzyme has the highest rate?', 'max', 2],
+        ['What is the average optimal pH?', 'avg', 1],
+        ['What is the total rate?', 'sum', 2],
+        ['Which enzyme has the lowest optimal pH?', 'min', 1]
+    ])('aggregates "%s" as %s over column %i', (question, operation, column) => {
+        expect(tableService.parseQuestion(question, table)).toMatchObject({ operation, column });
+    });
+
+    test('counts the rows matching a comparison', () => {
+        const query = tableService.parseQuestion('How many enzymes have a rate above 90?', table);
+        expect(query).toMatchObject({ operation: 'count', filters: [{ column: 2, op: '>', value: 90 }] });
+        expect(tableService.executeQuery(table, query).value).toBe(2);
+    });
+});